@@ -0,0 +1,30 @@
+-- VoidGuard AI Governance Suite - Audit Log
+--
+-- Append-only, hash-chained audit events. Each organization has its own chain:
+-- every event stores the hash of the previous event in the chain, and
+-- audit_chain_heads records the latest sequence and hash so that deleting the
+-- most recent events is also detectable.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    sequence BIGINT NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100),
+    system_id VARCHAR(200),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    occurred_at TIMESTAMPTZ NOT NULL,
+    prev_hash CHAR(64) NOT NULL,
+    hash CHAR(64) NOT NULL,
+    UNIQUE (organization_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_org_type_time
+    ON audit_events (organization_id, event_type, occurred_at);
+
+CREATE TABLE IF NOT EXISTS audit_chain_heads (
+    organization_id VARCHAR(100) PRIMARY KEY,
+    sequence BIGINT NOT NULL,
+    hash CHAR(64) NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
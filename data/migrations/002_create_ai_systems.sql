@@ -0,0 +1,44 @@
+-- VoidGuard AI Governance Suite - AI System Registry
+--
+-- Inventory of AI systems per organization and the history of their safety
+-- validations. Validation rows keep a snapshot of the system as validated,
+-- so history survives later edits or removal of the registry entry.
+
+CREATE TABLE IF NOT EXISTS ai_systems (
+    organization_id VARCHAR(100) NOT NULL,
+    id VARCHAR(200) NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    description TEXT,
+    owner VARCHAR(200) NOT NULL,
+    purpose VARCHAR(200),
+    model_version VARCHAR(100),
+    data_sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    lifecycle_state VARCHAR(20) NOT NULL DEFAULT 'proposed',
+    definition JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (organization_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_systems_org_state
+    ON ai_systems (organization_id, lifecycle_state);
+
+CREATE TABLE IF NOT EXISTS safety_validations (
+    validation_id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    validated_at TIMESTAMPTZ NOT NULL,
+    validated_by VARCHAR(100),
+    compliance_score DOUBLE PRECISION NOT NULL,
+    safety_status VARCHAR(20) NOT NULL,
+    risk_level VARCHAR(20),
+    ai_act_tier VARCHAR(20),
+    system_snapshot JSONB NOT NULL,
+    context JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_safety_validations_org_system_time
+    ON safety_validations (organization_id, system_id, validated_at DESC);
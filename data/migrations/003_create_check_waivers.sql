@@ -0,0 +1,27 @@
+-- VoidGuard AI Governance Suite - Check Waivers
+--
+-- Accepted risks: a waiver covers the findings of one safety check (or one
+-- rule/control of it) for one AI system until it expires. Waivers are
+-- requested, then approved or revoked; expiry is evaluated at validation
+-- time, so an expired waiver stops applying without any update.
+
+CREATE TABLE IF NOT EXISTS check_waivers (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    check_id VARCHAR(100) NOT NULL,
+    rule_id VARCHAR(100),
+    justification TEXT NOT NULL,
+    exclude_from_score BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    requested_by VARCHAR(100),
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    approved_by VARCHAR(100),
+    approved_at TIMESTAMPTZ,
+    revoked_by VARCHAR(100),
+    revoked_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_waivers_org_system
+    ON check_waivers (organization_id, system_id, status, expires_at);
@@ -0,0 +1,42 @@
+-- VoidGuard AI Governance Suite - Remediation Tracking
+--
+-- Tracked remediation items generated from validation recommendations.
+-- issue_key identifies the underlying finding (check + rule, control or
+-- message), so later validations update the same item instead of opening a
+-- new one, and resolve it once the finding is no longer reported.
+
+CREATE TABLE IF NOT EXISTS remediation_items (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    issue_key VARCHAR(500) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    priority VARCHAR(10) NOT NULL,
+    issue TEXT NOT NULL,
+    action TEXT,
+    framework VARCHAR(50),
+    control_id VARCHAR(100),
+    citation VARCHAR(200),
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    assignee VARCHAR(200),
+    due_date TIMESTAMPTZ NOT NULL,
+    opened_validation_id UUID,
+    last_seen_validation_id UUID,
+    last_seen_at TIMESTAMPTZ,
+    resolution VARCHAR(20),
+    resolved_at TIMESTAMPTZ,
+    resolved_by VARCHAR(100),
+    resolution_validation_id UUID,
+    verified_at TIMESTAMPTZ,
+    verified_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one unresolved item per finding and system
+CREATE UNIQUE INDEX IF NOT EXISTS idx_remediation_items_open_issue
+    ON remediation_items (organization_id, system_id, issue_key)
+    WHERE status IN ('open', 'in_progress');
+
+CREATE INDEX IF NOT EXISTS idx_remediation_items_org_status_due
+    ON remediation_items (organization_id, status, due_date);
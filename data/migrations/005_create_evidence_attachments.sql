@@ -0,0 +1,26 @@
+-- VoidGuard AI Governance Suite - Evidence Attachments
+--
+-- Evidence artifacts (reports, test results, model cards) attached to a
+-- safety check of an AI system. File contents live in the content-addressed
+-- evidence store (EVIDENCE_STORAGE_DIR) under their SHA-256; removing an
+-- attachment keeps the content, since past validations reference it.
+
+CREATE TABLE IF NOT EXISTS evidence_attachments (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    check_id VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    description TEXT,
+    uploaded_by VARCHAR(100),
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    removed_by VARCHAR(100),
+    removed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_attachments_org_system
+    ON evidence_attachments (organization_id, system_id, check_id);
@@ -0,0 +1,24 @@
+-- VoidGuard AI Governance Suite - Fairness Evaluations
+--
+-- Fairness metrics measured from uploaded prediction datasets (predictions,
+-- labels and protected attributes). The dataset itself is kept as test
+-- results evidence on the bias check; the latest evaluation of a system
+-- drives the bias check score of its validations.
+
+CREATE TABLE IF NOT EXISTS fairness_evaluations (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    evidence_id UUID,
+    dataset_sha256 CHAR(64) NOT NULL,
+    dataset_format VARCHAR(10) NOT NULL,
+    row_count INTEGER NOT NULL,
+    protected_attributes JSONB NOT NULL,
+    columns JSONB NOT NULL,
+    metrics JSONB NOT NULL,
+    evaluated_by VARCHAR(100),
+    evaluated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fairness_evaluations_org_system_time
+    ON fairness_evaluations (organization_id, system_id, evaluated_at DESC);
@@ -0,0 +1,60 @@
+-- VoidGuard AI Governance Suite - Algorithm Transparency Engine
+--
+-- Registered algorithm audits, the transparency reports their runs produce
+-- and the background jobs that run them. Reports expire after
+-- TRANSPARENCY_REPORT_RETENTION days and are purged once expired.
+
+CREATE TABLE IF NOT EXISTS async_jobs (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    job_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    progress DOUBLE PRECISION NOT NULL DEFAULT 0,
+    message TEXT,
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result JSONB,
+    error TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_async_jobs_org_type_time
+    ON async_jobs (organization_id, job_type, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS transparency_audits (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    system_id VARCHAR(200) NOT NULL,
+    analyses JSONB NOT NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_transparency_audits_org_time
+    ON transparency_audits (organization_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS transparency_reports (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    audit_id UUID NOT NULL,
+    job_id UUID,
+    system_id VARCHAR(200),
+    score DOUBLE PRECISION NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    report JSONB NOT NULL,
+    generated_by VARCHAR(100),
+    generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_transparency_reports_org_audit_time
+    ON transparency_reports (organization_id, audit_id, generated_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_transparency_reports_expiry
+    ON transparency_reports (expires_at);
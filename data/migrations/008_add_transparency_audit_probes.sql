@@ -0,0 +1,7 @@
+-- VoidGuard AI Governance Suite - Behavioral probes
+--
+-- Black-box probe configuration of an algorithm audit: the HTTP endpoint of
+-- the model with its request/response mapping, the probe inputs or pairs,
+-- the perturbations to apply and the divergence thresholds.
+
+ALTER TABLE transparency_audits ADD COLUMN IF NOT EXISTS probe JSONB;
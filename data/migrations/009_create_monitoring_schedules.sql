@@ -0,0 +1,48 @@
+-- VoidGuard AI Governance Suite - Continuous Compliance Monitoring
+--
+-- Per-system schedules that re-run safety validation and transparency
+-- audits, and the events raised when a scheduled validation regresses.
+-- A replica claims a due schedule by taking its lease (lease_owner,
+-- lease_expires_at), so each run happens once across API replicas.
+
+CREATE TABLE IF NOT EXISTS monitoring_schedules (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    cron VARCHAR(100),
+    interval_hours INTEGER,
+    validate BOOLEAN NOT NULL DEFAULT TRUE,
+    regulatory JSONB NOT NULL DEFAULT '[]'::jsonb,
+    audit_id UUID,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(20),
+    last_error TEXT,
+    lease_owner VARCHAR(200),
+    lease_expires_at TIMESTAMPTZ,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_schedules_org_system
+    ON monitoring_schedules (organization_id, system_id);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_schedules_due
+    ON monitoring_schedules (next_run_at);
+
+CREATE TABLE IF NOT EXISTS monitoring_events (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    system_id VARCHAR(200) NOT NULL,
+    schedule_id UUID,
+    event_type VARCHAR(50) NOT NULL,
+    validation_id VARCHAR(100),
+    previous_validation_id VARCHAR(100),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_events_org_time
+    ON monitoring_events (organization_id, occurred_at DESC);
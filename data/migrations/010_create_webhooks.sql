@@ -0,0 +1,53 @@
+-- VoidGuard AI Governance Suite - Outbound Webhooks
+--
+-- Per-organization webhook subscriptions and the log of their deliveries.
+-- A delivery is retried with exponential backoff until it succeeds or runs
+-- out of attempts; replays are new deliveries of the same event. A replica
+-- claims a delivery attempt by taking its lease, as for monitoring schedules.
+-- Waivers and remediation items remember when their expiry or overdue notice
+-- was sent, so each is announced once.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    url VARCHAR(2000) NOT NULL,
+    description TEXT,
+    events JSONB NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_org
+    ON webhook_subscriptions (organization_id, enabled);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_attempt_at TIMESTAMPTZ,
+    response_status INTEGER,
+    last_error TEXT,
+    replay_of UUID,
+    lease_expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_org_time
+    ON webhook_deliveries (organization_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries (status, next_attempt_at);
+
+ALTER TABLE check_waivers ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMPTZ;
+
+ALTER TABLE remediation_items ADD COLUMN IF NOT EXISTS overdue_notified_at TIMESTAMPTZ;
@@ -0,0 +1,7 @@
+-- VoidGuard AI Governance Suite - Compliance trends
+--
+-- Compliance trends scan an organization's validations by time range,
+-- across all of its systems.
+
+CREATE INDEX IF NOT EXISTS idx_safety_validations_org_time
+    ON safety_validations (organization_id, validated_at, validation_id);
@@ -0,0 +1,24 @@
+-- VoidGuard AI Governance Suite - Oracle sessions
+--
+-- Every strategic intelligence analysis of an organization, with the raw
+-- void and pattern analysis it was derived from. Sessions expire after
+-- ORACLE_SESSION_RETENTION days.
+
+CREATE TABLE IF NOT EXISTS oracle_sessions (
+    session_id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100),
+    query TEXT NOT NULL,
+    overall_score DOUBLE PRECISION NOT NULL,
+    risk_level VARCHAR(20),
+    result JSONB NOT NULL,
+    raw_analysis JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_sessions_org_time
+    ON oracle_sessions (organization_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_sessions_expiry
+    ON oracle_sessions (expires_at);
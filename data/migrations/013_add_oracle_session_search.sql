@@ -0,0 +1,16 @@
+-- VoidGuard AI Governance Suite - Oracle session history
+--
+-- Session history is filtered by user and transcendence level, and searched
+-- by the text of the query (English full-text search).
+
+ALTER TABLE oracle_sessions ADD COLUMN IF NOT EXISTS transcendence_level VARCHAR(20);
+
+UPDATE oracle_sessions
+SET transcendence_level = result->'strategicIntelligence'->'consciousness'->>'transcendenceLevel'
+WHERE transcendence_level IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_oracle_sessions_org_user
+    ON oracle_sessions (organization_id, user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_sessions_query_search
+    ON oracle_sessions USING GIN (to_tsvector('english', query));
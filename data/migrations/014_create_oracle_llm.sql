@@ -0,0 +1,30 @@
+-- VoidGuard AI Governance Suite - Oracle LLM providers
+--
+-- The LLM provider (and model) each organization's Oracle narratives are
+-- generated with, and the tokens every provider call consumed.
+
+CREATE TABLE IF NOT EXISTS oracle_llm_settings (
+    organization_id VARCHAR(100) PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100),
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS oracle_llm_usage (
+    id UUID PRIMARY KEY,
+    organization_id VARCHAR(100) NOT NULL,
+    session_id UUID,
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER NOT NULL,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oracle_llm_usage_org_time
+    ON oracle_llm_usage (organization_id, created_at DESC);
@@ -0,0 +1,13 @@
+-- VoidGuard AI Governance Suite - Safety check settings
+--
+-- Safety checks an organization has enabled or disabled. Checks without a
+-- row keep their default state.
+
+CREATE TABLE IF NOT EXISTS safety_check_settings (
+    organization_id VARCHAR(100) NOT NULL,
+    check_id VARCHAR(100) NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (organization_id, check_id)
+);
@@ -0,0 +1,20 @@
+-- VoidGuard AI Governance Suite - Governance policies
+--
+-- Every version of the governance policies an organization published. The
+-- latest version of each policy supplies the organization's checks.
+
+CREATE TABLE IF NOT EXISTS governance_policies (
+    organization_id VARCHAR(100) NOT NULL,
+    policy_id VARCHAR(100) NOT NULL,
+    version VARCHAR(100) NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    checks JSONB NOT NULL,
+    document JSONB NOT NULL,
+    published_by VARCHAR(100),
+    published_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (organization_id, policy_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_governance_policies_org_time
+    ON governance_policies (organization_id, published_at);
@@ -309,6 +309,14 @@ All API responses include VoidGuard safety metadata ensuring:
             name: 'Algorithm Transparency',
             description: 'AI system auditing and transparency analysis'
         },
+        {
+            name: 'Compliance Monitoring',
+            description: 'Scheduled re-validation and compliance regression events'
+        },
+        {
+            name: 'Webhooks',
+            description: 'Signed outbound webhooks for governance events'
+        },
         {
             name: 'Admin',
             description: 'Administrative operations and system management'
@@ -0,0 +1,58 @@
+/**
+ * VoidGuard AI Governance Suite - Database Migrations
+ *
+ * Applies data/migrations/*.sql in filename order and records applied files
+ * in schema_migrations. The same files initialize the docker-compose
+ * PostgreSQL container, so each migration must be idempotent.
+ *
+ * Usage: npm run db:migrate
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { getPool, withTransaction, closePool } = require('../src/utils/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../data/migrations');
+
+async function migrate() {
+    const pool = getPool();
+
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    const { rows } = await pool.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+
+    const pending = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.sql') && !applied.has(file))
+        .sort();
+
+    for (const file of pending) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+        await withTransaction(pool, async (client) => {
+            await client.query(sql);
+            await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        });
+
+        console.log(`Applied ${file}`);
+    }
+
+    console.log(pending.length > 0 ? `${pending.length} migration(s) applied` : 'Database is up to date');
+}
+
+migrate()
+    .catch(error => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => closePool());
@@ -26,10 +26,18 @@ const {
     apiResponse 
 } = require('./utils/responseHelpers');
 const { voidguardSecurity } = require('./middleware/auth');
+const { closePool } = require('./utils/database');
+const { AsyncJobs } = require('./services/AsyncJobs');
 
 // Import routes
 const oracleRoutes = require('./routes/oracleRoutes');
 const authRoutes = require('./routes/authRoutes');
+const dashboardRoutes = require('./routes/dashboardRoutes');
+const transparencyRoutes = require('./routes/transparencyRoutes');
+const monitoringRoutes = require('./routes/monitoringRoutes');
+const MonitoringController = require('./controllers/MonitoringController');
+const webhookRoutes = require('./routes/webhookRoutes');
+const WebhookController = require('./controllers/WebhookController');
 
 // Import documentation
 const { setupSwagger } = require('../docs/swagger.config');
@@ -191,7 +199,9 @@ app.get('/health', (req, res) => {
             oracle: 'operational',
             voidguard: 'operational',
             voice: 'not_implemented',
-            transparency: 'not_implemented',
+            transparency: 'operational',
+            monitoring: 'operational',
+            webhooks: 'operational',
             database: 'not_connected',
             redis: 'not_connected'
         },
@@ -210,11 +220,13 @@ setupSwagger(app);
 // API routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/oracle', oracleRoutes);
+app.use('/api/v1/dashboard', dashboardRoutes);
+app.use('/api/v1/transparency', transparencyRoutes);
+app.use('/api/v1/monitoring', monitoringRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
 
 // TODO: Add other route modules
-// app.use('/api/v1/dashboard', dashboardRoutes);
 // app.use('/api/v1/voice', voiceRoutes);
-// app.use('/api/v1/transparency', transparencyRoutes);
 // app.use('/api/v1/admin', adminRoutes);
 
 // Root endpoint
@@ -230,15 +242,18 @@ app.get('/', (req, res) => {
                 'Oracle Strategic Intelligence',
                 'VoidGuard Enterprise Dashboard',
                 'Alo Corporate Suite',
-                'Algorithm Transparency Engine'
+                'Algorithm Transparency Engine',
+                'Continuous Compliance Monitoring'
             ],
             documentation: '/api-docs',
             health: '/health',
             endpoints: {
                 oracle: '/api/v1/oracle',
-                dashboard: '/api/v1/dashboard (coming soon)',
+                dashboard: '/api/v1/dashboard',
                 voice: '/api/v1/voice (coming soon)',
-                transparency: '/api/v1/transparency (coming soon)',
+                transparency: '/api/v1/transparency',
+                monitoring: '/api/v1/monitoring',
+                webhooks: '/api/v1/webhooks',
                 auth: '/api/v1/auth (coming soon)',
                 admin: '/api/v1/admin (coming soon)'
             }
@@ -304,15 +319,29 @@ app.use((error, req, res, next) => {
 // SERVER STARTUP
 // =============================================================================
 
+// The monitoring API's service also runs this replica's share of the schedules
+const monitoringScheduler = MonitoringController.monitoringService;
+// The webhook API's service also delivers the governance events raised on this replica
+const webhookDispatcher = WebhookController.webhookService;
+
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
     logger.info(`Received ${signal}. Starting graceful shutdown...`);
     
-    server.close(() => {
+    server.close(async () => {
         logger.info('HTTP server closed.');
         
+        // Let a scheduled run and webhook deliveries in progress finish before the pool closes
+        await monitoringScheduler.stop();
+        await webhookDispatcher.stop();
+        
         // Close database connections, Redis connections, etc.
-        // TODO: Add cleanup for database and Redis connections
+        // TODO: Add cleanup for Redis connections
+        try {
+            await closePool();
+        } catch (error) {
+            logger.error('Failed to close database pool', { error: error.message });
+        }
         
         process.exit(0);
     });
@@ -362,15 +391,18 @@ const server = app.listen(PORT, () => {
 
 📡 Available Endpoints:
    • Oracle Strategic Intelligence: /api/v1/oracle
-   • VoidGuard Dashboard: /api/v1/dashboard (coming soon)
+   • VoidGuard Dashboard: /api/v1/dashboard
    • Alo Voice Suite: /api/v1/voice (coming soon)  
-   • Algorithm Transparency: /api/v1/transparency (coming soon)
+   • Algorithm Transparency: /api/v1/transparency
+   • Compliance Monitoring: /api/v1/monitoring
+   • Webhooks: /api/v1/webhooks
 
 🧬 Suite Components:
    ✅ Oracle Strategic Intelligence (Value-Void Axiom)
    ✅ VoidGuard Safety Framework  
    🏗️  Alo Corporate Suite (architecture ready)
-   🏗️  Algorithm Transparency Engine (architecture ready)
+   ✅ Algorithm Transparency Engine
+   ✅ Continuous Compliance Monitoring
 
 👨‍💻 Created by: Ricardo Amaral (Brevvi) - Silverbullet Research
 📅 Founded: July 18, 2025
@@ -379,6 +411,15 @@ const server = app.listen(PORT, () => {
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     `);
     
+    // Replicas share the schedules; MONITORING_SCHEDULER_ENABLED=false opts a replica out of running them
+    if (process.env.MONITORING_SCHEDULER_ENABLED !== 'false') {
+        monitoringScheduler.start();
+    }
+    webhookDispatcher.start();
+    // Jobs left queued or running by a replica that stopped will never finish
+    new AsyncJobs().failInterrupted()
+        .catch(error => logger.error('Failed to recover interrupted jobs', { error: error.message }));
+    
     logger.info('VoidGuard AI Governance Suite started successfully', {
         port: PORT,
         environment: process.env.NODE_ENV || 'development',
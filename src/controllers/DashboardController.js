@@ -0,0 +1,1407 @@
+/**
+ * VoidGuard AI Governance Suite - VoidGuard Enterprise Dashboard Controller
+ *
+ * Controller for VoidGuard safety validation and compliance dashboard endpoints
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { VoidGuardService } = require('../services/VoidGuardService');
+const { exportValidation, exportAuditLog } = require('../services/FindingsExport');
+const { apiResponse } = require('../utils/responseHelpers');
+const winston = require('winston');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/dashboard-controller.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+/**
+ * Send a generated file as a download
+ * @private
+ */
+function sendDownload(res, { filename, contentType, content }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(content);
+}
+
+/**
+ * Send a compliance report as a download, with its digest and signature
+ * @private
+ */
+function sendReport(res, report) {
+    res.setHeader('X-Report-Id', report.reportId);
+    res.setHeader('X-Report-Digest', `sha256=${report.digest}`);
+    if (report.signature) {
+        res.setHeader('X-Report-Signature', `hmac-sha256=${report.signature}`);
+    }
+    return sendDownload(res, report);
+}
+
+class DashboardController {
+    constructor() {
+        this.voidguardService = new VoidGuardService();
+        this.logger = logger.child({ component: 'DashboardController' });
+    }
+
+    /**
+     * Validate AI system safety
+     * POST /api/v1/dashboard/validate-ai-system
+     */
+    validateAISystem = async (req, res) => {
+        try {
+            const { aiSystem, options = {} } = req.body;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            this.logger.info('AI system validation request', {
+                userId,
+                organizationId,
+                systemId: aiSystem.id,
+                systemType: aiSystem.type
+            });
+
+            // Add user context to options
+            const validationOptions = {
+                ...options,
+                userId,
+                organizationId
+            };
+
+            const result = await this.voidguardService.validateAISystem(aiSystem, validationOptions);
+
+            this.logger.info('AI system validation completed', {
+                validationId: result.validationId,
+                systemId: result.systemId,
+                userId,
+                organizationId,
+                safetyStatus: result.safetyStatus,
+                complianceScore: result.complianceScore
+            });
+
+            if (req.exportFormat !== 'json') {
+                return sendDownload(res, exportValidation(result, req.exportFormat));
+            }
+
+            return apiResponse.success(res, {
+                message: 'AI system validation completed',
+                data: result
+            });
+
+        } catch (error) {
+            this.logger.error('AI system validation failed', {
+                userId: req.user?.id,
+                systemId: req.body?.aiSystem?.id,
+                error: error.message,
+                stack: error.stack
+            });
+
+            return apiResponse.error(res, 'Validation failed', 500);
+        }
+    };
+
+    /**
+     * Get compliance dashboard overview
+     * GET /api/v1/dashboard/compliance-overview
+     */
+    getComplianceOverview = async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            this.logger.info('Compliance overview request', {
+                userId,
+                organizationId,
+                startDate,
+                endDate
+            });
+
+            const overview = await this.voidguardService.getComplianceDashboard({
+                organizationId,
+                startDate,
+                endDate
+            });
+
+            return apiResponse.success(res, {
+                message: 'Compliance overview retrieved successfully',
+                data: overview
+            });
+
+        } catch (error) {
+            this.logger.error('Compliance overview retrieval failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve compliance overview', 500);
+        }
+    };
+
+    /**
+     * Get compliance trends over time buckets
+     * GET /api/v1/dashboard/compliance-trends
+     */
+    getComplianceTrends = async (req, res) => {
+        try {
+            const { interval, startDate, endDate, systemId, owner, lifecycleState } = req.query;
+
+            const { trends, error } = await this.voidguardService.getComplianceTrends(
+                req.user.organizationId,
+                { interval, startDate, endDate, systemId, owner, lifecycleState }
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Compliance trends retrieved successfully',
+                data: trends
+            });
+
+        } catch (error) {
+            this.logger.error('Compliance trends retrieval failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve compliance trends', 500);
+        }
+    };
+
+    /**
+     * List safety checks for the organization
+     * GET /api/v1/dashboard/checks
+     */
+    listSafetyChecks = async (req, res) => {
+        try {
+            const organizationId = req.user.organizationId;
+            const checks = await this.voidguardService.listSafetyChecks(organizationId);
+
+            return apiResponse.success(res, {
+                message: 'Safety checks retrieved successfully',
+                data: {
+                    checks,
+                    total: checks.length,
+                    enabled: checks.filter(check => check.enabled).length
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('Safety check listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve safety checks', 500);
+        }
+    };
+
+    /**
+     * Enable or disable a safety check for the organization
+     * PATCH /api/v1/dashboard/checks/:checkId
+     */
+    updateSafetyCheck = async (req, res) => {
+        try {
+            const { checkId } = req.params;
+            const { enabled } = req.body;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const check = await this.voidguardService.setSafetyCheckEnabled(organizationId, checkId, enabled, userId);
+            if (!check) {
+                return apiResponse.notFound(res, `Safety check ${checkId} not found`);
+            }
+
+            this.logger.info('Safety check setting updated', {
+                checkId,
+                enabled: check.enabled,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, check, 'Safety check updated successfully');
+
+        } catch (error) {
+            this.logger.error('Safety check update failed', {
+                checkId: req.params.checkId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update safety check', 500);
+        }
+    };
+
+    /**
+     * Validate a governance policy document
+     * POST /api/v1/dashboard/policies/validate
+     */
+    validatePolicy = async (req, res) => {
+        try {
+            const validation = this.voidguardService.validatePolicy(req.body.policy);
+
+            return apiResponse.success(res, {
+                message: validation.valid ? 'Policy is valid' : 'Policy is invalid',
+                data: validation
+            });
+
+        } catch (error) {
+            this.logger.error('Policy validation failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to validate policy', 500);
+        }
+    };
+
+    /**
+     * Preview the score impact of a governance policy on validated systems
+     * POST /api/v1/dashboard/policies/dry-run
+     */
+    dryRunPolicy = async (req, res) => {
+        try {
+            const organizationId = req.user.organizationId;
+            const { validation, impact } = await this.voidguardService.dryRunPolicy(organizationId, req.body.policy);
+
+            if (!validation.valid) {
+                return apiResponse.validationError(res, validation.errors);
+            }
+
+            this.logger.info('Policy dry run completed', {
+                userId: req.user.id,
+                organizationId,
+                policyId: impact.policy.id,
+                systemsEvaluated: impact.summary.systemsEvaluated,
+                scoresChanged: impact.summary.scoresChanged
+            });
+
+            return apiResponse.success(res, {
+                message: 'Policy dry run completed',
+                data: impact
+            });
+
+        } catch (error) {
+            this.logger.error('Policy dry run failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Policy dry run failed', 500);
+        }
+    };
+
+    /**
+     * Publish a governance policy for the organization
+     * POST /api/v1/dashboard/policies
+     */
+    publishPolicy = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { validation, policy, conflict } = await this.voidguardService.publishPolicy(
+                organizationId,
+                req.body.policy,
+                userId
+            );
+
+            if (!validation.valid) {
+                return apiResponse.validationError(res, validation.errors);
+            }
+            if (conflict) {
+                return apiResponse.error(res, `Policy ${conflict.id} version ${validation.summary.version} is already published`, 409);
+            }
+
+            return apiResponse.created(res, policy, 'Policy published successfully');
+
+        } catch (error) {
+            this.logger.error('Policy publication failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to publish policy', 500);
+        }
+    };
+
+    /**
+     * List governance policies in effect for the organization
+     * GET /api/v1/dashboard/policies
+     */
+    listPolicies = async (req, res) => {
+        try {
+            const policies = await this.voidguardService.listPolicies(req.user.organizationId);
+
+            return apiResponse.success(res, {
+                message: 'Policies retrieved successfully',
+                data: { policies, total: policies.length }
+            });
+
+        } catch (error) {
+            this.logger.error('Policy listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve policies', 500);
+        }
+    };
+
+    /**
+     * List registered AI systems
+     * GET /api/v1/dashboard/systems
+     */
+    listSystems = async (req, res) => {
+        try {
+            const { page, limit, lifecycleState, owner, type } = req.query;
+            const organizationId = req.user.organizationId;
+
+            const { systems, pagination } = await this.voidguardService.listSystems(
+                organizationId,
+                { lifecycleState, owner, type },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, systems, pagination, 'AI systems retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('AI system listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve AI systems', 500);
+        }
+    };
+
+    /**
+     * Register an AI system
+     * POST /api/v1/dashboard/systems
+     */
+    registerSystem = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const system = await this.voidguardService.registerSystem(organizationId, req.body, userId);
+            if (!system) {
+                return apiResponse.error(res, `AI system ${req.body.id} is already registered`, 409);
+            }
+
+            this.logger.info('AI system registered', {
+                systemId: system.id,
+                lifecycleState: system.lifecycleState,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.created(res, system, 'AI system registered successfully');
+
+        } catch (error) {
+            this.logger.error('AI system registration failed', {
+                userId: req.user?.id,
+                systemId: req.body?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to register AI system', 500);
+        }
+    };
+
+    /**
+     * Get a registered AI system
+     * GET /api/v1/dashboard/systems/:systemId
+     */
+    getSystem = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const system = await this.voidguardService.getSystem(req.user.organizationId, systemId);
+
+            if (!system) {
+                return apiResponse.notFound(res, `AI system ${systemId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'AI system retrieved successfully',
+                data: system
+            });
+
+        } catch (error) {
+            this.logger.error('AI system retrieval failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve AI system', 500);
+        }
+    };
+
+    /**
+     * Update a registered AI system
+     * PATCH /api/v1/dashboard/systems/:systemId
+     */
+    updateSystem = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { system, error } = await this.voidguardService.updateSystem(organizationId, systemId, req.body, userId);
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!system) {
+                return apiResponse.notFound(res, `AI system ${systemId} not found`);
+            }
+
+            this.logger.info('AI system updated', {
+                systemId,
+                fields: Object.keys(req.body),
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, system, 'AI system updated successfully');
+
+        } catch (error) {
+            this.logger.error('AI system update failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update AI system', 500);
+        }
+    };
+
+    /**
+     * Remove an AI system from the registry
+     * DELETE /api/v1/dashboard/systems/:systemId
+     */
+    deleteSystem = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const deleted = await this.voidguardService.deleteSystem(req.user.organizationId, systemId, req.user.id);
+
+            if (!deleted) {
+                return apiResponse.notFound(res, `AI system ${systemId} not found`);
+            }
+
+            return apiResponse.deleted(res, 'AI system removed from registry');
+
+        } catch (error) {
+            this.logger.error('AI system deletion failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to delete AI system', 500);
+        }
+    };
+
+    /**
+     * Get the validation history of a registered AI system
+     * GET /api/v1/dashboard/systems/:systemId/validations
+     */
+    getSystemValidations = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const { page, limit } = req.query;
+
+            const { validations, pagination } = await this.voidguardService.getSystemValidations(
+                req.user.organizationId,
+                systemId,
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, validations, pagination, 'Validation history retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Validation history retrieval failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve validation history', 500);
+        }
+    };
+
+    /**
+     * Re-run safety validation against the stored AI system
+     * POST /api/v1/dashboard/systems/:systemId/validate
+     */
+    revalidateSystem = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const { options = {} } = req.body;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { result, system, error } = await this.voidguardService.revalidateSystem(
+                organizationId,
+                systemId,
+                { ...options, userId }
+            );
+            if (!system) {
+                return apiResponse.notFound(res, `AI system ${systemId} not found`);
+            }
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+
+            this.logger.info('AI system re-validation completed', {
+                validationId: result.validationId,
+                systemId,
+                userId,
+                organizationId,
+                safetyStatus: result.safetyStatus,
+                complianceScore: result.complianceScore
+            });
+
+            if (req.exportFormat !== 'json') {
+                return sendDownload(res, exportValidation(result, req.exportFormat));
+            }
+
+            return apiResponse.success(res, {
+                message: 'AI system validation completed',
+                data: result
+            });
+
+        } catch (error) {
+            this.logger.error('AI system re-validation failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Validation failed', 500);
+        }
+    };
+
+    /**
+     * List check waivers
+     * GET /api/v1/dashboard/waivers
+     */
+    listWaivers = async (req, res) => {
+        try {
+            const { page, limit, systemId, checkId, status } = req.query;
+
+            const { waivers, pagination } = await this.voidguardService.listWaivers(
+                req.user.organizationId,
+                { systemId, checkId, status },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, waivers, pagination, 'Waivers retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Waiver listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve waivers', 500);
+        }
+    };
+
+    /**
+     * Request a waiver for failed check findings
+     * POST /api/v1/dashboard/waivers
+     */
+    requestWaiver = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { systemId, checkId, ruleId, justification, excludeFromScore, expiresAt } = req.body;
+
+            const { waiver, error } = await this.voidguardService.requestWaiver(
+                organizationId,
+                { systemId, checkId, ruleId, justification, excludeFromScore, expiresAt },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Waiver requested', {
+                waiverId: waiver.id,
+                systemId,
+                checkId,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.created(res, waiver, 'Waiver requested successfully');
+
+        } catch (error) {
+            this.logger.error('Waiver request failed', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to request waiver', 500);
+        }
+    };
+
+    /**
+     * Get a check waiver
+     * GET /api/v1/dashboard/waivers/:waiverId
+     */
+    getWaiver = async (req, res) => {
+        try {
+            const { waiverId } = req.params;
+            const waiver = await this.voidguardService.getWaiver(req.user.organizationId, waiverId);
+
+            if (!waiver) {
+                return apiResponse.notFound(res, `Waiver ${waiverId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Waiver retrieved successfully',
+                data: waiver
+            });
+
+        } catch (error) {
+            this.logger.error('Waiver retrieval failed', {
+                waiverId: req.params.waiverId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve waiver', 500);
+        }
+    };
+
+    /**
+     * Approve a pending waiver
+     * POST /api/v1/dashboard/waivers/:waiverId/approve
+     */
+    approveWaiver = async (req, res) => {
+        try {
+            const { waiverId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { waiver, error } = await this.voidguardService.approveWaiver(organizationId, waiverId, userId);
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!waiver) {
+                return apiResponse.notFound(res, `Waiver ${waiverId} not found`);
+            }
+
+            this.logger.info('Waiver approved', {
+                waiverId,
+                systemId: waiver.systemId,
+                checkId: waiver.checkId,
+                expiresAt: waiver.expiresAt,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, waiver, 'Waiver approved successfully');
+
+        } catch (error) {
+            this.logger.error('Waiver approval failed', {
+                waiverId: req.params.waiverId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to approve waiver', 500);
+        }
+    };
+
+    /**
+     * Revoke a pending or active waiver
+     * POST /api/v1/dashboard/waivers/:waiverId/revoke
+     */
+    revokeWaiver = async (req, res) => {
+        try {
+            const { waiverId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { waiver, error } = await this.voidguardService.revokeWaiver(organizationId, waiverId, userId);
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!waiver) {
+                return apiResponse.notFound(res, `Waiver ${waiverId} not found`);
+            }
+
+            this.logger.info('Waiver revoked', {
+                waiverId,
+                systemId: waiver.systemId,
+                checkId: waiver.checkId,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, waiver, 'Waiver revoked successfully');
+
+        } catch (error) {
+            this.logger.error('Waiver revocation failed', {
+                waiverId: req.params.waiverId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to revoke waiver', 500);
+        }
+    };
+
+    /**
+     * List remediation items
+     * GET /api/v1/dashboard/remediation
+     */
+    listRemediationItems = async (req, res) => {
+        try {
+            const { page, limit, systemId, status, priority, assignee, overdue } = req.query;
+
+            const { items, pagination } = await this.voidguardService.listRemediationItems(
+                req.user.organizationId,
+                { systemId, status, priority, assignee, overdue: overdue === 'true' },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, items, pagination, 'Remediation items retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Remediation item listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve remediation items', 500);
+        }
+    };
+
+    /**
+     * Get a remediation item
+     * GET /api/v1/dashboard/remediation/:itemId
+     */
+    getRemediationItem = async (req, res) => {
+        try {
+            const { itemId } = req.params;
+            const item = await this.voidguardService.getRemediationItem(req.user.organizationId, itemId);
+
+            if (!item) {
+                return apiResponse.notFound(res, `Remediation item ${itemId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Remediation item retrieved successfully',
+                data: item
+            });
+
+        } catch (error) {
+            this.logger.error('Remediation item retrieval failed', {
+                itemId: req.params.itemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve remediation item', 500);
+        }
+    };
+
+    /**
+     * Update status, assignee or due date of a remediation item
+     * PATCH /api/v1/dashboard/remediation/:itemId
+     */
+    updateRemediationItem = async (req, res) => {
+        try {
+            const { itemId } = req.params;
+            const { status, assignee, dueDate } = req.body;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const changes = Object.fromEntries(
+                Object.entries({ status, assignee, dueDate }).filter(([, value]) => value !== undefined)
+            );
+
+            const { item, error } = await this.voidguardService.updateRemediationItem(
+                organizationId, itemId, changes, userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!item) {
+                return apiResponse.notFound(res, `Remediation item ${itemId} not found`);
+            }
+
+            this.logger.info('Remediation item updated', {
+                itemId,
+                fields: Object.keys(changes),
+                status: item.status,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, item, 'Remediation item updated successfully');
+
+        } catch (error) {
+            this.logger.error('Remediation item update failed', {
+                itemId: req.params.itemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update remediation item', 500);
+        }
+    };
+
+    /**
+     * Verify a resolved remediation item
+     * POST /api/v1/dashboard/remediation/:itemId/verify
+     */
+    verifyRemediationItem = async (req, res) => {
+        try {
+            const { itemId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { item, error } = await this.voidguardService.verifyRemediationItem(organizationId, itemId, userId);
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!item) {
+                return apiResponse.notFound(res, `Remediation item ${itemId} not found`);
+            }
+
+            this.logger.info('Remediation item verified', {
+                itemId,
+                systemId: item.systemId,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.updated(res, item, 'Remediation item verified successfully');
+
+        } catch (error) {
+            this.logger.error('Remediation item verification failed', {
+                itemId: req.params.itemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to verify remediation item', 500);
+        }
+    };
+
+    /**
+     * Attach an evidence artifact to a safety check
+     * POST /api/v1/dashboard/evidence
+     */
+    attachEvidence = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { systemId, checkId, kind, description } = req.body;
+
+            const { evidence, error } = await this.voidguardService.attachEvidence(
+                organizationId,
+                {
+                    systemId,
+                    checkId,
+                    kind,
+                    description,
+                    filename: req.file.originalname,
+                    contentType: req.file.mimetype,
+                    content: req.file.buffer
+                },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Evidence attached', {
+                evidenceId: evidence.id,
+                systemId,
+                checkId,
+                sha256: evidence.sha256,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.created(res, evidence, 'Evidence attached successfully');
+
+        } catch (error) {
+            this.logger.error('Evidence attachment failed', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to attach evidence', 500);
+        }
+    };
+
+    /**
+     * List evidence attachments
+     * GET /api/v1/dashboard/evidence
+     */
+    listEvidence = async (req, res) => {
+        try {
+            const { systemId, checkId } = req.query;
+            const evidence = await this.voidguardService.listEvidence(req.user.organizationId, { systemId, checkId });
+
+            return apiResponse.success(res, {
+                message: 'Evidence retrieved successfully',
+                data: evidence
+            });
+
+        } catch (error) {
+            this.logger.error('Evidence listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve evidence', 500);
+        }
+    };
+
+    /**
+     * Download the content of an evidence attachment
+     * GET /api/v1/dashboard/evidence/:evidenceId/content
+     */
+    getEvidenceContent = async (req, res) => {
+        try {
+            const { evidenceId } = req.params;
+            const found = await this.voidguardService.getEvidenceContent(req.user.organizationId, evidenceId);
+
+            if (!found) {
+                return apiResponse.notFound(res, `Evidence ${evidenceId} not found`);
+            }
+
+            res.setHeader('Content-Type', found.evidence.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${found.evidence.filename}"`);
+            res.setHeader('X-Content-SHA256', found.evidence.sha256);
+            return res.send(found.content);
+
+        } catch (error) {
+            this.logger.error('Evidence download failed', {
+                evidenceId: req.params.evidenceId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve evidence content', 500);
+        }
+    };
+
+    /**
+     * Remove an evidence attachment from future validations
+     * DELETE /api/v1/dashboard/evidence/:evidenceId
+     */
+    removeEvidence = async (req, res) => {
+        try {
+            const { evidenceId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const removed = await this.voidguardService.removeEvidence(organizationId, evidenceId, userId);
+            if (!removed) {
+                return apiResponse.notFound(res, `Evidence ${evidenceId} not found`);
+            }
+
+            this.logger.info('Evidence removed', { evidenceId, systemId: removed.systemId, userId, organizationId });
+
+            return apiResponse.deleted(res, 'Evidence removed successfully');
+
+        } catch (error) {
+            this.logger.error('Evidence removal failed', {
+                evidenceId: req.params.evidenceId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to remove evidence', 500);
+        }
+    };
+
+    /**
+     * Get a stored validation
+     * GET /api/v1/dashboard/validations/:validationId
+     */
+    getValidation = async (req, res) => {
+        try {
+            const { validationId } = req.params;
+            const record = await this.voidguardService.getValidation(req.user.organizationId, validationId);
+
+            if (!record) {
+                return apiResponse.notFound(res, `Validation ${validationId} not found`);
+            }
+
+            if (req.exportFormat !== 'json') {
+                return sendDownload(res, exportValidation(record.result, req.exportFormat));
+            }
+
+            return apiResponse.success(res, {
+                message: 'Validation retrieved successfully',
+                data: record
+            });
+
+        } catch (error) {
+            this.logger.error('Validation retrieval failed', {
+                validationId: req.params.validationId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve validation', 500);
+        }
+    };
+
+    /**
+     * Download the evidence bundle of a validation
+     * GET /api/v1/dashboard/validations/:validationId/evidence-bundle
+     */
+    getEvidenceBundle = async (req, res) => {
+        try {
+            const { validationId } = req.params;
+            const bundle = await this.voidguardService.buildEvidenceBundle(
+                req.user.organizationId, validationId, req.user.id
+            );
+
+            if (!bundle) {
+                return apiResponse.notFound(res, `Validation ${validationId} not found`);
+            }
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+            return res.send(bundle.archive);
+
+        } catch (error) {
+            this.logger.error('Evidence bundle generation failed', {
+                validationId: req.params.validationId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to generate evidence bundle', 500);
+        }
+    };
+
+    /**
+     * Download the compliance report of a validation
+     * GET /api/v1/dashboard/validations/:validationId/report
+     */
+    getValidationReport = async (req, res) => {
+        try {
+            const { validationId } = req.params;
+            const { report } = await this.voidguardService.buildComplianceReport(
+                req.user.organizationId,
+                { validationId, format: req.query.format },
+                req.user.id
+            );
+
+            if (!report) {
+                return apiResponse.notFound(res, `Validation ${validationId} not found`);
+            }
+
+            return sendReport(res, report);
+
+        } catch (error) {
+            this.logger.error('Compliance report generation failed', {
+                validationId: req.params.validationId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to generate compliance report', 500);
+        }
+    };
+
+    /**
+     * Download the compliance report of an AI system
+     * GET /api/v1/dashboard/systems/:systemId/report
+     */
+    getSystemReport = async (req, res) => {
+        try {
+            const { systemId } = req.params;
+            const { report, error } = await this.voidguardService.buildComplianceReport(
+                req.user.organizationId,
+                { systemId, format: req.query.format },
+                req.user.id
+            );
+
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+            if (!report) {
+                return apiResponse.notFound(res, `AI system ${systemId} not found`);
+            }
+
+            return sendReport(res, report);
+
+        } catch (error) {
+            this.logger.error('Compliance report generation failed', {
+                systemId: req.params.systemId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to generate compliance report', 500);
+        }
+    };
+
+    /**
+     * Measure fairness from an uploaded prediction dataset
+     * POST /api/v1/dashboard/fairness/evaluations
+     */
+    evaluateFairness = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const {
+                systemId, protectedAttributes, predictionColumn, labelColumn, scoreColumn, positiveLabel, decisionThreshold
+            } = req.body;
+
+            const { evaluation, error } = await this.voidguardService.evaluateFairness(
+                organizationId,
+                {
+                    systemId,
+                    protectedAttributes,
+                    columns: {
+                        prediction: predictionColumn || 'prediction',
+                        label: labelColumn || 'label',
+                        score: scoreColumn || 'score'
+                    },
+                    positiveLabel,
+                    decisionThreshold,
+                    filename: req.file.originalname,
+                    contentType: req.file.mimetype,
+                    content: req.file.buffer
+                },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Fairness evaluated', {
+                evaluationId: evaluation.id,
+                systemId,
+                rows: evaluation.dataset.rows,
+                score: evaluation.assessment.score,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.created(res, evaluation, 'Fairness evaluated successfully');
+
+        } catch (error) {
+            this.logger.error('Fairness evaluation failed', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to evaluate fairness', 500);
+        }
+    };
+
+    /**
+     * List fairness evaluations
+     * GET /api/v1/dashboard/fairness/evaluations
+     */
+    listFairnessEvaluations = async (req, res) => {
+        try {
+            const { page, limit, systemId } = req.query;
+
+            const { evaluations, pagination } = await this.voidguardService.listFairnessEvaluations(
+                req.user.organizationId,
+                { systemId },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, evaluations, pagination, 'Fairness evaluations retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Fairness evaluation listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve fairness evaluations', 500);
+        }
+    };
+
+    /**
+     * Get a fairness evaluation
+     * GET /api/v1/dashboard/fairness/evaluations/:evaluationId
+     */
+    getFairnessEvaluation = async (req, res) => {
+        try {
+            const { evaluationId } = req.params;
+            const evaluation = await this.voidguardService.getFairnessEvaluation(req.user.organizationId, evaluationId);
+
+            if (!evaluation) {
+                return apiResponse.notFound(res, `Fairness evaluation ${evaluationId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Fairness evaluation retrieved successfully',
+                data: evaluation
+            });
+
+        } catch (error) {
+            this.logger.error('Fairness evaluation retrieval failed', {
+                evaluationId: req.params.evaluationId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve fairness evaluation', 500);
+        }
+    };
+
+    /**
+     * Compare two validations of the same AI system
+     * GET /api/v1/dashboard/validations/diff
+     */
+    compareValidations = async (req, res) => {
+        try {
+            const { from, to } = req.query;
+
+            const { diff, missing, error } = await this.voidguardService.compareValidations(
+                req.user.organizationId,
+                from,
+                to
+            );
+            if (missing.length > 0) {
+                return apiResponse.notFound(res, `Validation not found: ${missing.join(', ')}`);
+            }
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Validation diff generated successfully',
+                data: diff
+            });
+
+        } catch (error) {
+            this.logger.error('Validation diff failed', {
+                from: req.query.from,
+                to: req.query.to,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to compare validations', 500);
+        }
+    };
+
+    /**
+     * Get the organization's audit log
+     * GET /api/v1/dashboard/audit-log
+     */
+    getAuditLog = async (req, res) => {
+        try {
+            const { page, limit, type, systemId, startDate, endDate } = req.query;
+            const organizationId = req.user.organizationId;
+
+            if (req.exportFormat !== 'json') {
+                // Exports hold every matching event rather than a page
+                const { events, truncated } = await this.voidguardService.collectAuditLog(
+                    { organizationId, type, systemId, startDate, endDate },
+                    req.user.id
+                );
+                res.setHeader('X-Export-Truncated', String(truncated));
+                return sendDownload(res, exportAuditLog(events, req.exportFormat, { organizationId }));
+            }
+
+            const { events, pagination } = await this.voidguardService.getAuditLog(
+                { organizationId, type, systemId, startDate, endDate },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, events, pagination, 'Audit log retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Audit log retrieval failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve audit log', 500);
+        }
+    };
+
+    /**
+     * Verify the integrity of the organization's audit log
+     * GET /api/v1/dashboard/audit-log/verify
+     */
+    verifyAuditLog = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const verification = await this.voidguardService.verifyAuditLog(organizationId);
+
+            if (!verification.valid) {
+                this.logger.warn('Audit log integrity check failed', {
+                    userId,
+                    organizationId,
+                    issues: verification.issues.length
+                });
+            }
+
+            return apiResponse.success(res, {
+                message: verification.valid ? 'Audit log integrity verified' : 'Audit log integrity check failed',
+                data: verification
+            });
+
+        } catch (error) {
+            this.logger.error('Audit log verification failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to verify audit log', 500);
+        }
+    };
+
+    /**
+     * Get VoidGuard service health
+     * GET /api/v1/dashboard/health
+     */
+    getHealth = async (req, res) => {
+        try {
+            const health = this.voidguardService.getHealth();
+
+            return apiResponse.success(res, {
+                message: 'VoidGuard health status retrieved',
+                data: health
+            });
+
+        } catch (error) {
+            this.logger.error('VoidGuard health check failed', {
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Health check failed', 500);
+        }
+    };
+}
+
+module.exports = new DashboardController();
@@ -0,0 +1,256 @@
+/**
+ * VoidGuard AI Governance Suite - Continuous Compliance Monitoring Controller
+ *
+ * Controller for monitoring schedule and event API endpoints. Its service
+ * is also the replica's scheduler, started by the app.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { MonitoringService } = require('../services/MonitoringService');
+const DashboardController = require('./DashboardController');
+const { apiResponse } = require('../utils/responseHelpers');
+const winston = require('winston');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/monitoring-controller.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+class MonitoringController {
+    constructor() {
+        // Scheduled validations run on the dashboard's service, so they are scored with the same
+        // checks and policies as on-demand validations and compared against the same history
+        this.monitoringService = new MonitoringService({ voidguardService: DashboardController.voidguardService });
+        this.logger = logger.child({ component: 'MonitoringController' });
+    }
+
+    /**
+     * Create a monitoring schedule
+     * POST /api/v1/monitoring/schedules
+     */
+    createSchedule = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { systemId, cron, intervalHours, validate, regulatory, auditId, enabled } = req.body;
+
+            const { schedule, error } = await this.monitoringService.createSchedule(
+                organizationId,
+                { systemId, cron, intervalHours, validate, regulatory, auditId, enabled },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Monitoring schedule created', { scheduleId: schedule.id, systemId, userId, organizationId });
+
+            return apiResponse.created(res, schedule, 'Monitoring schedule created successfully');
+
+        } catch (error) {
+            this.logger.error('Monitoring schedule creation failed', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to create monitoring schedule', 500);
+        }
+    };
+
+    /**
+     * List monitoring schedules
+     * GET /api/v1/monitoring/schedules
+     */
+    listSchedules = async (req, res) => {
+        try {
+            const { page, limit, systemId, enabled } = req.query;
+
+            const { schedules, pagination } = await this.monitoringService.listSchedules(
+                req.user.organizationId,
+                { systemId, enabled },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, schedules, pagination, 'Monitoring schedules retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Monitoring schedule listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve monitoring schedules', 500);
+        }
+    };
+
+    /**
+     * Get a monitoring schedule
+     * GET /api/v1/monitoring/schedules/:scheduleId
+     */
+    getSchedule = async (req, res) => {
+        try {
+            const { scheduleId } = req.params;
+            const schedule = await this.monitoringService.getSchedule(req.user.organizationId, scheduleId);
+
+            if (!schedule) {
+                return apiResponse.notFound(res, `Monitoring schedule ${scheduleId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Monitoring schedule retrieved successfully',
+                data: schedule
+            });
+
+        } catch (error) {
+            this.logger.error('Monitoring schedule retrieval failed', {
+                scheduleId: req.params.scheduleId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve monitoring schedule', 500);
+        }
+    };
+
+    /**
+     * Update a monitoring schedule
+     * PATCH /api/v1/monitoring/schedules/:scheduleId
+     */
+    updateSchedule = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { scheduleId } = req.params;
+            const changes = Object.fromEntries(
+                ['cron', 'intervalHours', 'validate', 'regulatory', 'auditId', 'enabled']
+                    .filter(field => req.body[field] !== undefined)
+                    .map(field => [field, req.body[field]])
+            );
+
+            const { schedule, error } = await this.monitoringService.updateSchedule(
+                organizationId, scheduleId, changes, userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+            if (!schedule) {
+                return apiResponse.notFound(res, `Monitoring schedule ${scheduleId} not found`);
+            }
+
+            this.logger.info('Monitoring schedule updated', {
+                scheduleId,
+                fields: Object.keys(changes),
+                userId,
+                organizationId
+            });
+
+            return apiResponse.success(res, {
+                message: 'Monitoring schedule updated successfully',
+                data: schedule
+            });
+
+        } catch (error) {
+            this.logger.error('Monitoring schedule update failed', {
+                scheduleId: req.params.scheduleId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update monitoring schedule', 500);
+        }
+    };
+
+    /**
+     * Delete a monitoring schedule
+     * DELETE /api/v1/monitoring/schedules/:scheduleId
+     */
+    deleteSchedule = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { scheduleId } = req.params;
+
+            const deleted = await this.monitoringService.deleteSchedule(organizationId, scheduleId, userId);
+            if (!deleted) {
+                return apiResponse.notFound(res, `Monitoring schedule ${scheduleId} not found`);
+            }
+
+            this.logger.info('Monitoring schedule deleted', { scheduleId, userId, organizationId });
+
+            return apiResponse.success(res, {
+                message: 'Monitoring schedule deleted successfully',
+                data: { id: scheduleId }
+            });
+
+        } catch (error) {
+            this.logger.error('Monitoring schedule deletion failed', {
+                scheduleId: req.params.scheduleId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to delete monitoring schedule', 500);
+        }
+    };
+
+    /**
+     * List monitoring events
+     * GET /api/v1/monitoring/events
+     */
+    listEvents = async (req, res) => {
+        try {
+            const { page, limit, systemId, type } = req.query;
+
+            const { events, pagination } = await this.monitoringService.listEvents(
+                req.user.organizationId,
+                { systemId, type },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, events, pagination, 'Monitoring events retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Monitoring event listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve monitoring events', 500);
+        }
+    };
+
+    /**
+     * Get monitoring health
+     * GET /api/v1/monitoring/health
+     */
+    getHealth = async (req, res) => {
+        try {
+            const health = this.monitoringService.getHealthStatus();
+
+            return apiResponse.success(res, {
+                message: 'Compliance monitoring health status retrieved',
+                data: health
+            });
+
+        } catch (error) {
+            this.logger.error('Monitoring health check failed', {
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Health check failed', 500);
+        }
+    };
+}
+
+module.exports = new MonitoringController();
@@ -9,6 +9,7 @@
 
 const { OracleService } = require('../services/OracleService');
 const { apiResponse } = require('../utils/responseHelpers');
+const { openEventStream } = require('../utils/sse');
 const winston = require('winston');
 
 // Initialize logger
@@ -24,6 +25,15 @@ const logger = winston.createLogger({
     ]
 });
 
+// Rough duration of one round of batch analyses, for the estimated completion of a batch job
+const ESTIMATED_QUERY_MS = 200;
+
+// Heartbeat of streamed analyses
+const STREAM_HEARTBEAT_MS = (parseInt(process.env.ORACLE_STREAM_HEARTBEAT_INTERVAL, 10) || 15) * 1000;
+
+// Roles that may delete any session of their organization
+const SESSION_ADMIN_ROLES = ['admin', 'super_admin'];
+
 class OracleController {
     constructor() {
         this.oracleService = new OracleService();
@@ -36,7 +46,8 @@ class OracleController {
      */
     analyzeQuery = async (req, res) => {
         try {
-            const { query, options = {} } = req.body;
+            // Session ids are always generated; a client-chosen id could collide with a stored session
+            const { query, options: { sessionId, ...options } = {} } = req.body;
             const userId = req.user.id;
             const organizationId = req.user.organizationId;
 
@@ -81,87 +92,89 @@ class OracleController {
     };
 
     /**
-     * Analyze multiple queries in batch
+     * Analyze a strategic intelligence query, streaming each engine's result
+     * as Server-Sent Events
+     * POST /api/v1/oracle/analyze/stream
+     */
+    analyzeQueryStream = async (req, res) => {
+        const { query, options: { sessionId, ...options } = {} } = req.body;
+        const userId = req.user.id;
+        const organizationId = req.user.organizationId;
+        const abort = new AbortController();
+        const events = openEventStream(res, {
+            heartbeatMs: STREAM_HEARTBEAT_MS,
+            onClose: () => abort.abort()
+        });
+
+        this.logger.info('Oracle streamed analysis request', { userId, organizationId, queryLength: query.length });
+
+        try {
+            const result = await this.oracleService.processQuery(
+                query,
+                { ...options, userId, organizationId, userRole: req.user.role },
+                { onEvent: async (event, data) => events.send(event, data), signal: abort.signal }
+            );
+
+            events.send('done', {
+                sessionId: result.sessionId,
+                timestamp: result.timestamp,
+                metadata: result.metadata
+            });
+            events.close();
+
+        } catch (error) {
+            if (abort.signal.aborted) {
+                this.logger.info('Oracle streamed analysis cancelled by the client', { userId, organizationId });
+                return;
+            }
+
+            this.logger.error('Oracle streamed analysis failed', {
+                userId,
+                error: error.message,
+                stack: error.stack
+            });
+
+            events.send('error', { message: 'Analysis failed' });
+            events.close();
+        }
+    };
+
+    /**
+     * Start a batch analysis job
      * POST /api/v1/oracle/batch-analyze
      */
     batchAnalyze = async (req, res) => {
         try {
-            const { queries } = req.body;
             const userId = req.user.id;
             const organizationId = req.user.organizationId;
 
-            this.logger.info('Oracle batch analysis request', { 
-                userId, 
-                organizationId, 
-                queryCount: queries.length 
-            });
-
-            const results = [];
-            const errors = [];
-
-            // Process queries concurrently with limited concurrency
-            const concurrencyLimit = 3;
-            for (let i = 0; i < queries.length; i += concurrencyLimit) {
-                const batch = queries.slice(i, i + concurrencyLimit);
-                
-                const batchPromises = batch.map(async (queryItem) => {
-                    try {
-                        const options = {
-                            sessionId: `${queryItem.id}_${Date.now()}`,
-                            userId,
-                            organizationId,
-                            userRole: req.user.role
-                        };
-                        
-                        const result = await this.oracleService.processQuery(queryItem.query, options);
-                        return {
-                            id: queryItem.id,
-                            status: 'success',
-                            data: result
-                        };
-                    } catch (error) {
-                        this.logger.error('Batch query failed', {
-                            queryId: queryItem.id,
-                            userId,
-                            error: error.message
-                        });
-                        
-                        return {
-                            id: queryItem.id,
-                            status: 'error',
-                            error: error.message
-                        };
-                    }
-                });
-
-                const batchResults = await Promise.all(batchPromises);
-                results.push(...batchResults.filter(r => r.status === 'success'));
-                errors.push(...batchResults.filter(r => r.status === 'error'));
+            const { job, error } = await this.oracleService.startBatchAnalysis(
+                organizationId,
+                req.file ?
+                    { queries: req.body.queries, filename: req.file.originalname, content: req.file.buffer } :
+                    { queries: req.body.queries },
+                { userId, userRole: req.user.role }
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
             }
 
-            this.logger.info('Oracle batch analysis completed', {
+            this.logger.info('Oracle batch analysis started', {
+                jobId: job.id,
                 userId,
                 organizationId,
-                totalQueries: queries.length,
-                successCount: results.length,
-                errorCount: errors.length
+                queryCount: job.params.total
             });
 
-            return apiResponse.success(res, {
-                message: 'Batch analysis completed',
-                data: {
-                    results,
-                    errors,
-                    summary: {
-                        total: queries.length,
-                        successful: results.length,
-                        failed: errors.length
-                    }
-                }
+            const rounds = Math.ceil(job.params.total / this.oracleService.config.maxConcurrent);
+            return apiResponse.asyncStarted(res, {
+                id: job.id,
+                estimatedCompletion: new Date(Date.now() + rounds * ESTIMATED_QUERY_MS).toISOString(),
+                statusUrl: `/api/v1/oracle/batch-jobs/${job.id}`
             });
 
         } catch (error) {
-            this.logger.error('Oracle batch analysis failed', {
+            this.logger.error('Oracle batch analysis failed to start', {
                 userId: req.user?.id,
                 error: error.message,
                 stack: error.stack
@@ -171,6 +184,61 @@ class OracleController {
         }
     };
 
+    /**
+     * Get the status and results of a batch analysis job
+     * GET /api/v1/oracle/batch-jobs/:jobId
+     */
+    getBatchJob = async (req, res) => {
+        try {
+            const { jobId } = req.params;
+            const job = await this.oracleService.getBatchJob(req.user.organizationId, jobId);
+
+            if (!job) {
+                return apiResponse.notFound(res, `Batch job ${jobId} not found`);
+            }
+
+            return apiResponse.operationStatus(res, job);
+
+        } catch (error) {
+            this.logger.error('Oracle batch job status retrieval failed', {
+                jobId: req.params.jobId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve batch job status', 500);
+        }
+    };
+
+    /**
+     * Cancel a batch analysis job
+     * POST /api/v1/oracle/batch-jobs/:jobId/cancel
+     */
+    cancelBatchJob = async (req, res) => {
+        try {
+            const { jobId } = req.params;
+            const { job, error } = await this.oracleService.cancelBatchJob(req.user.organizationId, jobId, req.user.id);
+
+            if (!job) {
+                return apiResponse.notFound(res, `Batch job ${jobId} not found`);
+            }
+            if (error) {
+                return apiResponse.error(res, error, 409);
+            }
+
+            return apiResponse.operationStatus(res, job);
+
+        } catch (error) {
+            this.logger.error('Oracle batch job cancellation failed', {
+                jobId: req.params.jobId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to cancel batch job', 500);
+        }
+    };
+
     /**
      * Retrieve analysis insights
      * GET /api/v1/oracle/insights/:sessionId
@@ -188,37 +256,10 @@ class OracleController {
                 organizationId 
             });
 
-            // TODO: Implement session storage and retrieval
-            // For now, return a placeholder response
-            const insights = {
-                sessionId,
-                timestamp: new Date().toISOString(),
-                status: 'completed',
-                summary: {
-                    queryAnalyzed: true,
-                    consciousnessScore: 0.75,
-                    riskLevel: 'low',
-                    recommendationCount: 3
-                },
-                insights: [
-                    {
-                        type: 'consciousness_emergence',
-                        confidence: 0.8,
-                        description: 'Analysis indicates moderate consciousness emergence patterns'
-                    },
-                    {
-                        type: 'strategic_value',
-                        confidence: 0.9,
-                        description: 'High strategic value identified in query context'
-                    }
-                ]
-            };
+            const insights = await this.oracleService.getInsights(organizationId, sessionId, { includeRaw });
 
-            if (includeRaw) {
-                insights.rawData = {
-                    voidAnalysis: { voidScore: 0.75, emergencePattern: 'transcendent' },
-                    patternAnalysis: { turbulenceCoefficient: 0.3, patterns: ['interrogative', 'causal'] }
-                };
+            if (!insights) {
+                return apiResponse.notFound(res, `Oracle session ${sessionId} not found`);
             }
 
             return apiResponse.success(res, {
@@ -237,6 +278,176 @@ class OracleController {
         }
     };
 
+    /**
+     * List stored analysis sessions
+     * GET /api/v1/oracle/sessions
+     */
+    listSessions = async (req, res) => {
+        try {
+            const { page, limit, userId, startDate, endDate, riskLevel, transcendenceLevel, search } = req.query;
+
+            const { sessions, pagination } = await this.oracleService.listSessions(
+                req.user.organizationId,
+                { userId, startDate, endDate, riskLevel, transcendenceLevel, search },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, sessions, pagination, 'Oracle sessions retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Oracle session listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve Oracle sessions', 500);
+        }
+    };
+
+    /**
+     * Delete a stored analysis session
+     * DELETE /api/v1/oracle/sessions/:sessionId
+     */
+    deleteSession = async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+
+            const { deleted, error } = await this.oracleService.deleteSession(organizationId, sessionId, userId, {
+                anyUser: SESSION_ADMIN_ROLES.includes(req.user.role)
+            });
+            if (error) {
+                return apiResponse.forbidden(res, error);
+            }
+            if (!deleted) {
+                return apiResponse.notFound(res, `Oracle session ${sessionId} not found`);
+            }
+
+            this.logger.info('Oracle session deleted', { sessionId, userId, organizationId });
+
+            return apiResponse.success(res, {
+                message: 'Oracle session deleted successfully',
+                data: { sessionId }
+            });
+
+        } catch (error) {
+            this.logger.error('Oracle session deletion failed', {
+                sessionId: req.params.sessionId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to delete Oracle session', 500);
+        }
+    };
+
+    /**
+     * Erase every stored analysis session of a user
+     * DELETE /api/v1/oracle/users/:userId/sessions
+     */
+    eraseUserSessions = async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const deleted = await this.oracleService.eraseUserSessions(req.user.organizationId, userId, req.user.id);
+
+            return apiResponse.success(res, {
+                message: `Oracle sessions of user ${userId} erased`,
+                data: { userId, deleted }
+            });
+
+        } catch (error) {
+            this.logger.error('Oracle session erasure failed', {
+                subjectUserId: req.params.userId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to erase Oracle sessions', 500);
+        }
+    };
+
+    /**
+     * Get the LLM provider settings of the organization
+     * GET /api/v1/oracle/llm/settings
+     */
+    getLlmSettings = async (req, res) => {
+        try {
+            const settings = await this.oracleService.getLlmSettings(req.user.organizationId);
+
+            return apiResponse.success(res, {
+                message: 'LLM provider settings retrieved successfully',
+                data: settings
+            });
+
+        } catch (error) {
+            this.logger.error('LLM provider settings retrieval failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve LLM provider settings', 500);
+        }
+    };
+
+    /**
+     * Pick the LLM provider of the organization
+     * PUT /api/v1/oracle/llm/settings
+     */
+    updateLlmSettings = async (req, res) => {
+        try {
+            const { provider, model } = req.body;
+
+            const { settings, error } = await this.oracleService.updateLlmSettings(
+                req.user.organizationId,
+                { provider, model },
+                req.user.id
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            return apiResponse.success(res, {
+                message: 'LLM provider settings updated successfully',
+                data: settings
+            });
+
+        } catch (error) {
+            this.logger.error('LLM provider settings update failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update LLM provider settings', 500);
+        }
+    };
+
+    /**
+     * Get the LLM token usage of the organization
+     * GET /api/v1/oracle/llm/usage
+     */
+    getLlmUsage = async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+
+            const usage = await this.oracleService.getLlmUsage(req.user.organizationId, { startDate, endDate });
+
+            return apiResponse.success(res, {
+                message: 'LLM usage retrieved successfully',
+                data: { startDate: startDate || null, endDate: endDate || null, ...usage }
+            });
+
+        } catch (error) {
+            this.logger.error('LLM usage retrieval failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve LLM usage', 500);
+        }
+    };
+
     /**
      * Get analysis templates
      * GET /api/v1/oracle/templates
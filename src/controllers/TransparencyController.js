@@ -0,0 +1,321 @@
+/**
+ * VoidGuard AI Governance Suite - Algorithm Transparency Controller
+ *
+ * Controller for Algorithm Transparency Engine API endpoints
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { TransparencyService } = require('../services/TransparencyService');
+const { apiResponse } = require('../utils/responseHelpers');
+const winston = require('winston');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/transparency-controller.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+// Expected duration of an audit run, reported when the run is started
+const ESTIMATED_RUN_MS = 5000;
+
+class TransparencyController {
+    constructor() {
+        this.transparencyService = new TransparencyService();
+        this.logger = logger.child({ component: 'TransparencyController' });
+    }
+
+    /**
+     * Register an algorithm audit
+     * POST /api/v1/transparency/audits
+     */
+    registerAudit = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { name, description, systemId, analyses, probe } = req.body;
+
+            const { audit, error } = await this.transparencyService.registerAudit(
+                organizationId,
+                { name, description, systemId, analyses, probe },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Transparency audit registered', { auditId: audit.id, systemId, userId, organizationId });
+
+            return apiResponse.created(res, audit, 'Transparency audit registered successfully');
+
+        } catch (error) {
+            this.logger.error('Transparency audit registration failed', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to register transparency audit', 500);
+        }
+    };
+
+    /**
+     * List algorithm audits
+     * GET /api/v1/transparency/audits
+     */
+    listAudits = async (req, res) => {
+        try {
+            const { page, limit, systemId } = req.query;
+
+            const { audits, pagination } = await this.transparencyService.listAudits(
+                req.user.organizationId,
+                { systemId },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, audits, pagination, 'Transparency audits retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Transparency audit listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve transparency audits', 500);
+        }
+    };
+
+    /**
+     * Get an algorithm audit
+     * GET /api/v1/transparency/audits/:auditId
+     */
+    getAudit = async (req, res) => {
+        try {
+            const { auditId } = req.params;
+            const audit = await this.transparencyService.getAudit(req.user.organizationId, auditId);
+
+            if (!audit) {
+                return apiResponse.notFound(res, `Transparency audit ${auditId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Transparency audit retrieved successfully',
+                data: audit
+            });
+
+        } catch (error) {
+            this.logger.error('Transparency audit retrieval failed', {
+                auditId: req.params.auditId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve transparency audit', 500);
+        }
+    };
+
+    /**
+     * Start a run of an algorithm audit
+     * POST /api/v1/transparency/audits/:auditId/runs
+     */
+    runAudit = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { auditId } = req.params;
+
+            const job = await this.transparencyService.startAuditRun(organizationId, auditId, userId);
+            if (!job) {
+                return apiResponse.notFound(res, `Transparency audit ${auditId} not found`);
+            }
+
+            this.logger.info('Transparency audit run started', { auditId, jobId: job.id, userId, organizationId });
+
+            return apiResponse.asyncStarted(res, {
+                id: job.id,
+                estimatedCompletion: new Date(Date.now() + ESTIMATED_RUN_MS).toISOString(),
+                statusUrl: `/api/v1/transparency/jobs/${job.id}`
+            });
+
+        } catch (error) {
+            this.logger.error('Transparency audit run failed to start', {
+                auditId: req.params.auditId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to start transparency audit run', 500);
+        }
+    };
+
+    /**
+     * Start an explainability report from uploaded predictions or a model endpoint
+     * POST /api/v1/transparency/explainability
+     */
+    generateExplainabilityReport = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const {
+                systemId, predictionColumn, labelColumn, features, positiveLabel, decisionThreshold, endpoint
+            } = req.body;
+
+            const { job, error } = await this.transparencyService.startExplainabilityReport(
+                organizationId,
+                {
+                    systemId,
+                    predictionColumn: predictionColumn || 'prediction',
+                    labelColumn: labelColumn || 'label',
+                    features,
+                    positiveLabel,
+                    decisionThreshold,
+                    endpoint,
+                    filename: req.file.originalname,
+                    contentType: req.file.mimetype,
+                    content: req.file.buffer
+                },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Explainability report started', {
+                jobId: job.id,
+                systemId,
+                mode: job.params.mode,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.asyncStarted(res, {
+                id: job.id,
+                estimatedCompletion: new Date(Date.now() + ESTIMATED_RUN_MS).toISOString(),
+                statusUrl: `/api/v1/transparency/jobs/${job.id}`
+            });
+
+        } catch (error) {
+            this.logger.error('Explainability report failed to start', {
+                userId: req.user?.id,
+                systemId: req.body?.systemId,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to start explainability report', 500);
+        }
+    };
+
+    /**
+     * Get the status of an audit run or explainability report
+     * GET /api/v1/transparency/jobs/:jobId
+     */
+    getJob = async (req, res) => {
+        try {
+            const { jobId } = req.params;
+            const job = await this.transparencyService.getJob(req.user.organizationId, jobId);
+
+            if (!job) {
+                return apiResponse.notFound(res, `Transparency job ${jobId} not found`);
+            }
+
+            return apiResponse.operationStatus(res, job);
+
+        } catch (error) {
+            this.logger.error('Transparency job status retrieval failed', {
+                jobId: req.params.jobId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve transparency job status', 500);
+        }
+    };
+
+    /**
+     * List the reports of an algorithm audit
+     * GET /api/v1/transparency/audits/:auditId/reports
+     */
+    listReports = async (req, res) => {
+        try {
+            const { auditId } = req.params;
+            const { page, limit } = req.query;
+
+            const listing = await this.transparencyService.listReports(req.user.organizationId, auditId, { page, limit });
+            if (!listing) {
+                return apiResponse.notFound(res, `Transparency audit ${auditId} not found`);
+            }
+
+            return apiResponse.paginated(res, listing.reports, listing.pagination, 'Transparency reports retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Transparency report listing failed', {
+                auditId: req.params.auditId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve transparency reports', 500);
+        }
+    };
+
+    /**
+     * Get a transparency report
+     * GET /api/v1/transparency/reports/:reportId
+     */
+    getReport = async (req, res) => {
+        try {
+            const { reportId } = req.params;
+            const report = await this.transparencyService.getReport(req.user.organizationId, reportId);
+
+            if (!report) {
+                return apiResponse.notFound(res, `Transparency report ${reportId} not found or expired`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Transparency report retrieved successfully',
+                data: report
+            });
+
+        } catch (error) {
+            this.logger.error('Transparency report retrieval failed', {
+                reportId: req.params.reportId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve transparency report', 500);
+        }
+    };
+
+    /**
+     * Get Algorithm Transparency Engine health
+     * GET /api/v1/transparency/health
+     */
+    getHealth = async (req, res) => {
+        try {
+            const health = this.transparencyService.getHealthStatus();
+
+            return apiResponse.success(res, {
+                message: 'Algorithm Transparency Engine health status retrieved',
+                data: health
+            });
+
+        } catch (error) {
+            this.logger.error('Transparency health check failed', {
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Health check failed', 500);
+        }
+    };
+}
+
+module.exports = new TransparencyController();
@@ -0,0 +1,360 @@
+/**
+ * VoidGuard AI Governance Suite - Webhook Controller
+ *
+ * Controller for webhook subscription and delivery API endpoints. Its
+ * service is also the replica's webhook dispatcher, started by the app.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { WebhookService } = require('../services/WebhookService');
+const { apiResponse } = require('../utils/responseHelpers');
+const winston = require('winston');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/webhook-controller.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+/**
+ * Response message for a delivery after its first attempt
+ * @private
+ */
+function attemptMessage(subject, delivery) {
+    if (delivery.status === 'delivered') {
+        return `${subject} delivered successfully`;
+    }
+    return delivery.status === 'pending' ?
+        `${subject} was not delivered; it will be retried` :
+        `${subject} could not be delivered`;
+}
+
+class WebhookController {
+    constructor() {
+        this.webhookService = new WebhookService();
+        this.logger = logger.child({ component: 'WebhookController' });
+    }
+
+    /**
+     * Create a webhook subscription
+     * POST /api/v1/webhooks/subscriptions
+     */
+    createSubscription = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { url, description, events, enabled } = req.body;
+
+            const { subscription, error } = await this.webhookService.createSubscription(
+                organizationId,
+                { url, description, events, enabled },
+                userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+
+            this.logger.info('Webhook subscription created', { subscriptionId: subscription.id, userId, organizationId });
+
+            return apiResponse.created(res, subscription, 'Webhook subscription created successfully');
+
+        } catch (error) {
+            this.logger.error('Webhook subscription creation failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to create webhook subscription', 500);
+        }
+    };
+
+    /**
+     * List webhook subscriptions
+     * GET /api/v1/webhooks/subscriptions
+     */
+    listSubscriptions = async (req, res) => {
+        try {
+            const { page, limit } = req.query;
+
+            const { subscriptions, pagination } = await this.webhookService.listSubscriptions(
+                req.user.organizationId,
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, subscriptions, pagination, 'Webhook subscriptions retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Webhook subscription listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve webhook subscriptions', 500);
+        }
+    };
+
+    /**
+     * Get a webhook subscription
+     * GET /api/v1/webhooks/subscriptions/:subscriptionId
+     */
+    getSubscription = async (req, res) => {
+        try {
+            const { subscriptionId } = req.params;
+            const subscription = await this.webhookService.getSubscription(req.user.organizationId, subscriptionId);
+
+            if (!subscription) {
+                return apiResponse.notFound(res, `Webhook subscription ${subscriptionId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Webhook subscription retrieved successfully',
+                data: subscription
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook subscription retrieval failed', {
+                subscriptionId: req.params.subscriptionId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve webhook subscription', 500);
+        }
+    };
+
+    /**
+     * Update a webhook subscription
+     * PATCH /api/v1/webhooks/subscriptions/:subscriptionId
+     */
+    updateSubscription = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { subscriptionId } = req.params;
+            const changes = Object.fromEntries(
+                ['url', 'description', 'events', 'enabled', 'rotateSecret']
+                    .filter(field => req.body[field] !== undefined)
+                    .map(field => [field, req.body[field]])
+            );
+
+            const { subscription, error } = await this.webhookService.updateSubscription(
+                organizationId, subscriptionId, changes, userId
+            );
+            if (error) {
+                return apiResponse.error(res, error, 400);
+            }
+            if (!subscription) {
+                return apiResponse.notFound(res, `Webhook subscription ${subscriptionId} not found`);
+            }
+
+            this.logger.info('Webhook subscription updated', {
+                subscriptionId,
+                fields: Object.keys(changes),
+                userId,
+                organizationId
+            });
+
+            return apiResponse.success(res, {
+                message: 'Webhook subscription updated successfully',
+                data: subscription
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook subscription update failed', {
+                subscriptionId: req.params.subscriptionId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to update webhook subscription', 500);
+        }
+    };
+
+    /**
+     * Delete a webhook subscription
+     * DELETE /api/v1/webhooks/subscriptions/:subscriptionId
+     */
+    deleteSubscription = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { subscriptionId } = req.params;
+
+            const deleted = await this.webhookService.deleteSubscription(organizationId, subscriptionId, userId);
+            if (!deleted) {
+                return apiResponse.notFound(res, `Webhook subscription ${subscriptionId} not found`);
+            }
+
+            this.logger.info('Webhook subscription deleted', { subscriptionId, userId, organizationId });
+
+            return apiResponse.success(res, {
+                message: 'Webhook subscription deleted successfully',
+                data: { id: subscriptionId }
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook subscription deletion failed', {
+                subscriptionId: req.params.subscriptionId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to delete webhook subscription', 500);
+        }
+    };
+
+    /**
+     * Send a test event to a webhook subscription
+     * POST /api/v1/webhooks/subscriptions/:subscriptionId/test
+     */
+    testSubscription = async (req, res) => {
+        try {
+            const { subscriptionId } = req.params;
+
+            const delivery = await this.webhookService.sendTestEvent(
+                req.user.organizationId, subscriptionId, req.user.id
+            );
+            if (!delivery) {
+                return apiResponse.notFound(res, `Webhook subscription ${subscriptionId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: attemptMessage('Test event', delivery),
+                data: delivery
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook test failed', {
+                subscriptionId: req.params.subscriptionId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to send test event', 500);
+        }
+    };
+
+    /**
+     * List webhook deliveries
+     * GET /api/v1/webhooks/deliveries
+     */
+    listDeliveries = async (req, res) => {
+        try {
+            const { page, limit, subscriptionId, status, eventType } = req.query;
+
+            const { deliveries, pagination } = await this.webhookService.listDeliveries(
+                req.user.organizationId,
+                { subscriptionId, status, eventType },
+                { page, limit }
+            );
+
+            return apiResponse.paginated(res, deliveries, pagination, 'Webhook deliveries retrieved successfully');
+
+        } catch (error) {
+            this.logger.error('Webhook delivery listing failed', {
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve webhook deliveries', 500);
+        }
+    };
+
+    /**
+     * Get a webhook delivery
+     * GET /api/v1/webhooks/deliveries/:deliveryId
+     */
+    getDelivery = async (req, res) => {
+        try {
+            const { deliveryId } = req.params;
+            const delivery = await this.webhookService.getDelivery(req.user.organizationId, deliveryId);
+
+            if (!delivery) {
+                return apiResponse.notFound(res, `Webhook delivery ${deliveryId} not found`);
+            }
+
+            return apiResponse.success(res, {
+                message: 'Webhook delivery retrieved successfully',
+                data: delivery
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook delivery retrieval failed', {
+                deliveryId: req.params.deliveryId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to retrieve webhook delivery', 500);
+        }
+    };
+
+    /**
+     * Replay a webhook delivery
+     * POST /api/v1/webhooks/deliveries/:deliveryId/replay
+     */
+    replayDelivery = async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const organizationId = req.user.organizationId;
+            const { deliveryId } = req.params;
+
+            const delivery = await this.webhookService.replayDelivery(organizationId, deliveryId, userId);
+            if (!delivery) {
+                return apiResponse.notFound(res, `Webhook delivery ${deliveryId} not found`);
+            }
+
+            this.logger.info('Webhook delivery replayed', {
+                deliveryId,
+                replayId: delivery.id,
+                status: delivery.status,
+                userId,
+                organizationId
+            });
+
+            return apiResponse.created(res, delivery, attemptMessage('Replayed event', delivery));
+
+        } catch (error) {
+            this.logger.error('Webhook delivery replay failed', {
+                deliveryId: req.params.deliveryId,
+                userId: req.user?.id,
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Failed to replay webhook delivery', 500);
+        }
+    };
+
+    /**
+     * Get webhook health
+     * GET /api/v1/webhooks/health
+     */
+    getHealth = async (req, res) => {
+        try {
+            const health = this.webhookService.getHealthStatus();
+
+            return apiResponse.success(res, {
+                message: 'Webhook health status retrieved',
+                data: health
+            });
+
+        } catch (error) {
+            this.logger.error('Webhook health check failed', {
+                error: error.message
+            });
+
+            return apiResponse.error(res, 'Health check failed', 500);
+        }
+    };
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,149 @@
+/**
+ * VoidGuard AI Governance Suite - AI System Validators
+ *
+ * express-validator chains for the AISystem schema (docs/openapi.yml), shared
+ * by the validation and registry routes
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { body } = require('express-validator');
+const { AI_ACT_DOMAINS, DEPLOYMENT_CONTEXTS } = require('../services/EUAIActClassifier');
+
+const AI_SYSTEM_TYPES = ['ml_model', 'llm', 'computer_vision', 'nlp', 'robotics', 'decision_support'];
+
+/**
+ * Validation chain for AISystem fields
+ * @param {string} prefix - Body path of the AISystem (e.g. 'aiSystem.' or '' for the whole body)
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Partial update: identity fields are optional and null clears a field
+ * @returns {Array} Validation chain
+ */
+const aiSystemFieldValidators = (prefix, options = {}) => {
+    const optional = options.partial ? { values: 'null' } : undefined;
+
+    const identity = options.partial ? [
+        body(`${prefix}name`)
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage(`${prefix}name must be between 1 and 200 characters`),
+        body(`${prefix}type`)
+            .optional()
+            .isIn(AI_SYSTEM_TYPES)
+            .withMessage(`${prefix}type must be one of: ${AI_SYSTEM_TYPES.join(', ')}`)
+    ] : [
+        body(`${prefix}id`)
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage(`${prefix}id is required`),
+        body(`${prefix}name`)
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage(`${prefix}name must be between 1 and 200 characters`),
+        body(`${prefix}type`)
+            .isIn(AI_SYSTEM_TYPES)
+            .withMessage(`${prefix}type must be one of: ${AI_SYSTEM_TYPES.join(', ')}`)
+    ];
+
+    return [
+        ...identity,
+        body(`${prefix}description`)
+            .optional(optional)
+            .isString()
+            .isLength({ max: 2000 })
+            .withMessage(`${prefix}description must be at most 2000 characters`),
+        body(`${prefix}version`)
+            .optional(optional)
+            .isString()
+            .withMessage(`${prefix}version must be a string`),
+        body(`${prefix}ethicalBoundaries`)
+            .optional(optional)
+            .isArray()
+            .withMessage(`${prefix}ethicalBoundaries must be an array of strings`),
+        body(`${prefix}ethicalBoundaries.*`)
+            .isString()
+            .withMessage(`${prefix}ethicalBoundaries must be an array of strings`),
+        body(`${prefix}fairnessMetrics`)
+            .optional(optional)
+            .isArray()
+            .withMessage(`${prefix}fairnessMetrics must be an array of strings`),
+        body(`${prefix}fairnessMetrics.*`)
+            .isString()
+            .withMessage(`${prefix}fairnessMetrics must be an array of strings`),
+        body([
+            `${prefix}harmPrevention`,
+            `${prefix}valuesAlignment`,
+            `${prefix}dataMinimization`,
+            `${prefix}consentManagement`,
+            `${prefix}datasetDiversity`,
+            `${prefix}decisionLogging`,
+            `${prefix}modelDocumentation`,
+            `${prefix}manualOverride`,
+            `${prefix}escalationProcedures`,
+            `${prefix}errorHandling`,
+            `${prefix}performanceMonitoring`,
+            `${prefix}responsibilityMatrix`,
+            `${prefix}incidentResponse`,
+            `${prefix}optOutMechanism`,
+            `${prefix}accessControl`,
+            `${prefix}changeManagement`,
+            `${prefix}encryption.enabled`,
+            `${prefix}biasTesting.conducted`,
+            `${prefix}explainability.enabled`,
+            `${prefix}humanOversight.enabled`,
+            `${prefix}adversarialTesting.conducted`,
+            `${prefix}auditTrail.enabled`,
+            `${prefix}dpia.conducted`,
+            `${prefix}dataSubjectRights.access`,
+            `${prefix}dataSubjectRights.deletion`,
+            `${prefix}dataSubjectRights.portability`,
+            `${prefix}safetyComponent`,
+            `${prefix}deployment.interactsWithNaturalPersons`,
+            `${prefix}deployment.generatesSyntheticContent`,
+            `${prefix}deployment.deepfake`,
+            `${prefix}deployment.infersSensitiveAttributes`,
+            `${prefix}deployment.medicalOrSafetyReasons`,
+            `${prefix}deployment.narrowProceduralTask`,
+            `${prefix}deployment.profiling`
+        ])
+            .optional(optional)
+            .isBoolean({ strict: true })
+            .withMessage('Must be a boolean'),
+        body(`${prefix}purpose`)
+            .optional(optional)
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage(`${prefix}purpose must be a string of at most 200 characters`),
+        body(`${prefix}domain`)
+            .optional(optional)
+            .isIn(AI_ACT_DOMAINS)
+            .withMessage(`${prefix}domain must be one of: ${AI_ACT_DOMAINS.join(', ')}`),
+        body(`${prefix}deployment`)
+            .optional(optional)
+            .isObject()
+            .withMessage(`${prefix}deployment must be an object`),
+        body(`${prefix}deployment.context`)
+            .optional(optional)
+            .isIn(DEPLOYMENT_CONTEXTS)
+            .withMessage(`${prefix}deployment.context must be one of: ${DEPLOYMENT_CONTEXTS.join(', ')}`),
+        body(`${prefix}humanOversight.level`)
+            .optional(optional)
+            .isIn(['minimal', 'moderate', 'comprehensive'])
+            .withMessage(`${prefix}humanOversight.level must be one of: minimal, moderate, comprehensive`),
+        body([`${prefix}biasTesting.date`, `${prefix}adversarialTesting.date`, `${prefix}dpia.date`])
+            .optional(optional)
+            .isISO8601()
+            .withMessage('Must be a valid ISO 8601 date'),
+        body(`${prefix}auditTrail.retention`)
+            .optional(optional)
+            .isInt({ min: 0 })
+            .withMessage(`${prefix}auditTrail.retention must be a non-negative integer`)
+    ];
+};
+
+module.exports = { aiSystemFieldValidators, AI_SYSTEM_TYPES };
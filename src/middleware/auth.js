@@ -212,7 +212,8 @@ const requirePermission = (requiredPermissions = []) => {
             }
 
             const userPermissions = req.user.permissions || [];
-            const hasPermission = requiredPermissions.every(permission => 
+            // '*' grants every permission (see super_admin accounts)
+            const hasPermission = userPermissions.includes('*') || requiredPermissions.every(permission =>
                 userPermissions.includes(permission)
             );
             
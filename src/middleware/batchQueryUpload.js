@@ -0,0 +1,50 @@
+/**
+ * VoidGuard AI Governance Suite - Batch Query Upload Middleware
+ *
+ * Optional single-file multipart upload (field `file`) of Oracle batch
+ * queries as JSON Lines or CSV, kept in memory for parsing. Requests that are
+ * not multipart pass through with their JSON body.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const multer = require('multer');
+const { apiResponse } = require('../utils/responseHelpers');
+const { detectDatasetFormat } = require('../utils/datasetParser');
+
+const MAX_FILE_SIZE = parseInt(process.env.ORACLE_BATCH_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!detectDatasetFormat(file.originalname)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `Unsupported query file ${file.originalname}. Accepted: JSON Lines (.jsonl, .ndjson) and CSV (.csv)`;
+            return callback(error);
+        }
+        callback(null, true);
+    }
+}).single('file');
+
+/**
+ * Parse a batch query upload, answering upload errors in the API error format
+ */
+const batchQueryUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return apiResponse.error(res, `Query files are limited to ${MAX_FILE_SIZE} bytes`, 413);
+        }
+        if (error instanceof multer.MulterError) {
+            return apiResponse.error(res, error.message, 400);
+        }
+        next(error);
+    });
+};
+
+module.exports = { batchQueryUpload, MAX_FILE_SIZE };
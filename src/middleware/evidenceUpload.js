@@ -0,0 +1,55 @@
+/**
+ * VoidGuard AI Governance Suite - Evidence Upload Middleware
+ *
+ * Single-file multipart upload (field `file`) for evidence artifacts, kept
+ * in memory so it can be hashed before it is written to the evidence store
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const multer = require('multer');
+const { apiResponse } = require('../utils/responseHelpers');
+const { EVIDENCE_CONTENT_TYPES } = require('../services/EvidenceStore');
+
+const MAX_FILE_SIZE = parseInt(process.env.EVIDENCE_MAX_FILE_SIZE, 10) || 20 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        const extensions = EVIDENCE_CONTENT_TYPES[file.mimetype];
+        if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `Unsupported evidence file ${file.originalname} (${file.mimetype}). ` +
+                'Accepted: PDF, CSV, JSON, JSON Lines, Markdown, text and YAML';
+            return callback(error);
+        }
+        callback(null, true);
+    }
+}).single('file');
+
+/**
+ * Parse an evidence upload, answering upload errors in the API error format
+ */
+const evidenceUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) {
+            if (!req.file) {
+                return apiResponse.error(res, 'An evidence file is required (multipart field "file")', 400);
+            }
+            return next();
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return apiResponse.error(res, `Evidence files are limited to ${MAX_FILE_SIZE} bytes`, 413);
+        }
+        if (error instanceof multer.MulterError) {
+            return apiResponse.error(res, error.message, 400);
+        }
+        next(error);
+    });
+};
+
+module.exports = { evidenceUpload, MAX_FILE_SIZE };
@@ -0,0 +1,46 @@
+/**
+ * VoidGuard AI Governance Suite - Export Format Negotiation Middleware
+ *
+ * Selects the response format of endpoints that can also answer in an
+ * export format: the `format` query parameter wins, otherwise the Accept
+ * header is negotiated. JSON is the default, including for Accept headers
+ * that match none of the formats, so existing clients are unaffected.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { query } = require('express-validator');
+const { EXPORT_CONTENT_TYPES } = require('../services/FindingsExport');
+
+/**
+ * Validator of the `format` query parameter
+ * @param {Array} formats - Export formats of the endpoint
+ */
+const exportFormatValidator = (formats) => query('format')
+    .optional()
+    .isIn(['json', ...formats])
+    .withMessage(`format must be one of: ${['json', ...formats].join(', ')}`);
+
+/**
+ * Set req.exportFormat to 'json' or one of the export formats
+ * @param {Array} formats - Export formats of the endpoint
+ */
+const negotiateExportFormat = (formats) => {
+    const mediaTypes = formats.map(format => EXPORT_CONTENT_TYPES[format].split(';')[0]);
+
+    return (req, res, next) => {
+        res.vary('Accept');
+        if (req.query.format) {
+            req.exportFormat = req.query.format;
+            return next();
+        }
+
+        const accepted = req.accepts(['application/json', ...mediaTypes]);
+        const index = mediaTypes.indexOf(accepted);
+        req.exportFormat = index === -1 ? 'json' : formats[index];
+        next();
+    };
+};
+
+module.exports = { exportFormatValidator, negotiateExportFormat };
@@ -35,6 +35,15 @@ const logger = winston.createLogger({
     ]
 });
 
+// Permissions of new enterprise users. Changing AI systems and their
+// waivers, remediation and evidence (dashboard.systems), running
+// transparency audits (transparency.audit), and managing monitoring schedules
+// (monitoring.manage) and webhooks (webhooks.manage) are granted explicitly
+const DEFAULT_USER_PERMISSIONS = [
+    'oracle.analyze', 'oracle.templates', 'dashboard.view', 'dashboard.validate',
+    'transparency.view', 'monitoring.view', 'webhooks.view'
+];
+
 // Rate limiting for auth endpoints
 const authRateLimit = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -161,7 +170,7 @@ router.post('/login',
                     passwordHash: await bcrypt.hash('demo_password_123', 12),
                     role: 'enterprise_user',
                     organizationId: 'org_demo_001',
-                    permissions: ['oracle.analyze', 'oracle.templates', 'dashboard.view'],
+                    permissions: [...DEFAULT_USER_PERMISSIONS],
                     name: 'Demo User',
                     isActive: true
                 }
@@ -328,7 +337,7 @@ router.post('/register',
                 role: 'enterprise_user',
                 organizationId,
                 organizationName,
-                permissions: ['oracle.analyze', 'oracle.templates', 'dashboard.view'],
+                permissions: [...DEFAULT_USER_PERMISSIONS],
                 isActive: true,
                 createdAt: new Date().toISOString()
             };
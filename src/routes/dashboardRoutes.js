@@ -0,0 +1,2131 @@
+/**
+ * VoidGuard AI Governance Suite - VoidGuard Enterprise Dashboard Routes
+ *
+ * API routes for VoidGuard safety validation and compliance monitoring
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, param, validationResult } = require('express-validator');
+const DashboardController = require('../controllers/DashboardController');
+const { SUPPORTED_FRAMEWORKS } = require('../services/RegulatoryFrameworks');
+const { aiSystemFieldValidators } = require('../middleware/aiSystemValidators');
+const { LIFECYCLE_STATES } = require('../services/AISystemRegistry');
+const { WAIVER_STATUSES, MAX_WAIVER_DAYS } = require('../services/CheckWaivers');
+const { REMEDIATION_STATUSES } = require('../services/RemediationTracker');
+const { EVIDENCE_KINDS } = require('../services/EvidenceStore');
+const { REPORT_FORMATS } = require('../services/ComplianceReport');
+const { TREND_INTERVALS } = require('../services/ComplianceTrends');
+const { VALIDATION_EXPORT_FORMATS, AUDIT_LOG_EXPORT_FORMATS } = require('../services/FindingsExport');
+const { exportFormatValidator, negotiateExportFormat } = require('../middleware/exportFormat');
+const { evidenceUpload } = require('../middleware/evidenceUpload');
+const auth = require('../middleware/auth');
+const { apiResponse } = require('../utils/responseHelpers');
+
+const router = express.Router();
+
+// Rate limiting for dashboard endpoints
+const dashboardRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 200, // limit each IP to 200 requests per windowMs
+    message: { error: 'Too many dashboard requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Apply rate limiting to all dashboard routes
+router.use(dashboardRateLimit);
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return apiResponse.validationError(res, errors.array());
+    }
+    next();
+};
+
+const aiSystemValidators = [
+    body('aiSystem')
+        .isObject()
+        .withMessage('aiSystem must be an object'),
+    ...aiSystemFieldValidators('aiSystem.'),
+    body('options.regulatory')
+        .optional()
+        .isArray()
+        .withMessage('options.regulatory must be an array'),
+    body('options.regulatory.*')
+        .isIn(SUPPORTED_FRAMEWORKS)
+        .withMessage(`Regulatory framework must be one of: ${SUPPORTED_FRAMEWORKS.join(', ')}`)
+];
+
+/**
+ * @swagger
+ * /api/v1/dashboard/validate-ai-system:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Validate AI system safety
+ *     description: Comprehensive safety and compliance validation for AI systems. Requires the dashboard.validate permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - aiSystem
+ *             properties:
+ *               aiSystem:
+ *                 $ref: '#/components/schemas/AISystem'
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   regulatory:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [GDPR, CCPA, SOC2, ISO27001, NIST]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ValidationExportFormat'
+ *     responses:
+ *       200:
+ *         description: Validation completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SafetyValidationResponse'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per finding, and one per check without findings
+ *           application/sarif+json:
+ *             schema:
+ *               type: object
+ *               description: SARIF 2.1.0 log; findings are results (error, warning or note), waived findings are suppressed
+ *           application/oscal+json:
+ *             schema:
+ *               type: object
+ *               description: OSCAL assessment results; checks are findings, reported findings are observations
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/validate-ai-system',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.validate']),
+    aiSystemValidators,
+    exportFormatValidator(VALIDATION_EXPORT_FORMATS),
+    validateRequest,
+    negotiateExportFormat(VALIDATION_EXPORT_FORMATS),
+    DashboardController.validateAISystem
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/compliance-overview:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get compliance dashboard overview
+ *     description: Retrieve organization-wide compliance metrics and trends, AI system inventory coverage and remediation status with overdue high-priority items. Requires the dashboard.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Compliance overview retrieved
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/compliance-overview',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('startDate must be a valid ISO 8601 date'),
+        query('endDate')
+            .optional()
+            .isISO8601()
+            .withMessage('endDate must be a valid ISO 8601 date')
+    ],
+    validateRequest,
+    DashboardController.getComplianceOverview
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/compliance-trends:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get compliance trends
+ *     description: Validation count, average compliance score and compliance rate per daily, weekly (ISO weeks) or monthly UTC bucket, broken down by safety check (average score, pass rate) and by risk level, with totals over the range. The range is widened to whole buckets; without startDate it covers the last 30 days, 12 weeks or 12 months. The owner (owning team) and lifecycleState filters apply to registered systems. Requires the dashboard.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: owner
+ *         description: Owning team of the registered system
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lifecycleState
+ *         schema:
+ *           type: string
+ *           enum: [proposed, in_development, production, retired]
+ *     responses:
+ *       200:
+ *         description: Compliance trends retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ComplianceTrends'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/compliance-trends',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('interval')
+            .optional()
+            .isIn(TREND_INTERVALS)
+            .withMessage(`interval must be one of: ${TREND_INTERVALS.join(', ')}`),
+        query(['startDate', 'endDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Must be a valid ISO 8601 date'),
+        query(['systemId', 'owner'])
+            .optional()
+            .isString()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Must be between 1 and 200 characters'),
+        query('lifecycleState')
+            .optional()
+            .isIn(LIFECYCLE_STATES)
+            .withMessage(`lifecycleState must be one of: ${LIFECYCLE_STATES.join(', ')}`)
+    ],
+    validateRequest,
+    DashboardController.getComplianceTrends
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/checks:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List safety checks
+ *     description: List built-in, global and organization-specific safety checks with their weights and enabled state
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Safety checks retrieved
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/checks',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    DashboardController.listSafetyChecks
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/checks/{checkId}:
+ *   patch:
+ *     tags: [VoidGuard Safety]
+ *     summary: Enable or disable a safety check
+ *     description: Enable or disable a safety check for the caller's organization. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: checkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Safety check updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Safety check not found
+ */
+router.patch('/checks/:checkId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    [
+        param('checkId')
+            .matches(/^[a-zA-Z][a-zA-Z0-9_-]{1,63}$/)
+            .withMessage('checkId must be a valid safety check identifier'),
+        body('enabled')
+            .isBoolean({ strict: true })
+            .withMessage('enabled must be a boolean')
+    ],
+    validateRequest,
+    DashboardController.updateSafetyCheck
+);
+
+// Policies are accepted as JSON objects or as JSON/YAML text
+const policyValidators = [
+    body('policy')
+        .custom(value => (typeof value === 'string' && value.trim().length > 0) ||
+            (value !== null && typeof value === 'object' && !Array.isArray(value)))
+        .withMessage('policy must be an object or a JSON/YAML document'),
+    body('policy')
+        .if(body('policy').isString())
+        .isLength({ max: 256 * 1024 })
+        .withMessage('policy document must be at most 256KB')
+];
+
+/**
+ * @swagger
+ * /api/v1/dashboard/policies:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List governance policies
+ *     description: List the built-in policy and the policies published by the caller's organization
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies retrieved
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Publish a governance policy
+ *     description: Publish a versioned policy for the caller's organization. Its checks override built-in checks with the same id. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PolicyRequest'
+ *     responses:
+ *       201:
+ *         description: Policy published
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Policy version already published
+ */
+router.get('/policies',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    DashboardController.listPolicies
+);
+
+router.post('/policies',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    policyValidators,
+    validateRequest,
+    DashboardController.publishPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/policies/validate:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Validate a governance policy
+ *     description: Check a policy document for schema errors without applying it
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Validation result (see data.valid and data.errors)
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/policies/validate',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    policyValidators,
+    validateRequest,
+    DashboardController.validatePolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/policies/dry-run:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Dry-run a governance policy
+ *     description: Re-score the latest validation of each of the organization's systems with the policy applied, without publishing it
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Projected score changes per system
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/policies/dry-run',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.validate']),
+    policyValidators,
+    validateRequest,
+    DashboardController.dryRunPolicy
+);
+
+// Registry metadata on top of the AISystem fields
+const registryFieldValidators = (options = {}) => [
+    body('owner')
+        .optional(options.partial ? {} : false)
+        .isString()
+        .withMessage('owner is required and must be at most 200 characters')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('owner is required and must be at most 200 characters'),
+    body('modelVersion')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('modelVersion must be a string of at most 100 characters'),
+    body('dataSources')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('dataSources must be an array of at most 100 entries'),
+    body('dataSources.*')
+        .custom(value => (typeof value === 'string' && value.length > 0) ||
+            (value !== null && typeof value === 'object' && typeof value.name === 'string'))
+        .withMessage('Each data source must be a name or an object with a name'),
+    body('lifecycleState')
+        .optional()
+        .isIn(LIFECYCLE_STATES)
+        .withMessage(`lifecycleState must be one of: ${LIFECYCLE_STATES.join(', ')}`)
+];
+
+const systemIdValidator = param('systemId')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('systemId must be between 1 and 200 characters');
+
+/**
+ * @swagger
+ * /api/v1/dashboard/systems:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List registered AI systems
+ *     description: AI system inventory of the caller's organization with the latest validation of each system
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: lifecycleState
+ *         schema:
+ *           type: string
+ *           enum: [proposed, in_development, production, retired]
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: AI systems retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegisteredAISystem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Register an AI system
+ *     description: Add an AI system to the organization's inventory. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AISystemRegistration'
+ *     responses:
+ *       201:
+ *         description: AI system registered
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: AI system id already registered
+ */
+router.get('/systems',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('lifecycleState')
+            .optional()
+            .isIn(LIFECYCLE_STATES)
+            .withMessage(`lifecycleState must be one of: ${LIFECYCLE_STATES.join(', ')}`),
+        query(['owner', 'type'])
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Must be at most 200 characters')
+    ],
+    validateRequest,
+    DashboardController.listSystems
+);
+
+router.post('/systems',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    aiSystemFieldValidators(''),
+    body('id')
+        .isLength({ max: 200 })
+        .withMessage('id must be at most 200 characters'),
+    registryFieldValidators(),
+    validateRequest,
+    DashboardController.registerSystem
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/systems/{systemId}:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get a registered AI system
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: AI system retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RegisteredAISystem'
+ *       404:
+ *         description: AI system not found
+ *   patch:
+ *     tags: [VoidGuard Safety]
+ *     summary: Update a registered AI system
+ *     description: Partial update. AISystem fields are merged into the stored definition (null clears a field). Lifecycle changes must follow proposed → in_development → production → retired; production may move back to in_development. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AISystemRegistration'
+ *     responses:
+ *       200:
+ *         description: AI system updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: AI system not found
+ *       409:
+ *         description: Lifecycle transition not allowed
+ *   delete:
+ *     tags: [VoidGuard Safety]
+ *     summary: Remove an AI system from the registry
+ *     description: Removes the registry entry; validation history and audit events are kept. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: AI system removed
+ *       404:
+ *         description: AI system not found
+ */
+router.get('/systems/:systemId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    systemIdValidator,
+    validateRequest,
+    DashboardController.getSystem
+);
+
+router.patch('/systems/:systemId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    [
+        systemIdValidator,
+        body()
+            .custom(value => Object.keys(value || {}).length > 0)
+            .withMessage('At least one field must be provided'),
+        body('id')
+            .not()
+            .exists()
+            .withMessage('id cannot be changed')
+    ],
+    aiSystemFieldValidators('', { partial: true }),
+    registryFieldValidators({ partial: true }),
+    validateRequest,
+    DashboardController.updateSystem
+);
+
+router.delete('/systems/:systemId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    systemIdValidator,
+    validateRequest,
+    DashboardController.deleteSystem
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/systems/{systemId}/validations:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get validation history of an AI system
+ *     description: Paginated safety validations of the system, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Validation history retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ValidationSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ */
+router.get('/systems/:systemId/validations',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        systemIdValidator,
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100')
+    ],
+    validateRequest,
+    DashboardController.getSystemValidations
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/systems/{systemId}/validate:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Re-validate a registered AI system
+ *     description: Run safety validation against the stored registry entry. Requires the dashboard.validate permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ValidationExportFormat'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   regulatory:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [GDPR, CCPA, SOC2, ISO27001, NIST]
+ *     responses:
+ *       200:
+ *         description: Validation completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SafetyValidationResponse'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per finding, and one per check without findings
+ *           application/sarif+json:
+ *             schema:
+ *               type: object
+ *               description: SARIF 2.1.0 log; findings are results (error, warning or note), waived findings are suppressed
+ *           application/oscal+json:
+ *             schema:
+ *               type: object
+ *               description: OSCAL assessment results; checks are findings, reported findings are observations
+ *       404:
+ *         description: AI system not found
+ *       409:
+ *         description: AI system is retired
+ */
+router.post('/systems/:systemId/validate',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.validate']),
+    [
+        systemIdValidator,
+        body('options.regulatory')
+            .optional()
+            .isArray()
+            .withMessage('options.regulatory must be an array'),
+        body('options.regulatory.*')
+            .isIn(SUPPORTED_FRAMEWORKS)
+            .withMessage(`Regulatory framework must be one of: ${SUPPORTED_FRAMEWORKS.join(', ')}`),
+        exportFormatValidator(VALIDATION_EXPORT_FORMATS)
+    ],
+    validateRequest,
+    negotiateExportFormat(VALIDATION_EXPORT_FORMATS),
+    DashboardController.revalidateSystem
+);
+
+const waiverIdValidator = param('waiverId')
+    .isUUID()
+    .withMessage('waiverId must be a UUID');
+
+/**
+ * @swagger
+ * /api/v1/dashboard/waivers:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List check waivers
+ *     description: Risk acceptances for failed safety checks, most recently requested first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: checkId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, expired, revoked]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Waivers retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CheckWaiver'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Request a check waiver
+ *     description: Request acceptance of the error and warning findings of a safety check (or of one rule/control with ruleId) for an AI system. The waiver applies to validations once an admin approves it and until it expires. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaiverRequest'
+ *     responses:
+ *       201:
+ *         description: Waiver requested (pending approval)
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/waivers',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('status')
+            .optional()
+            .isIn(WAIVER_STATUSES)
+            .withMessage(`status must be one of: ${WAIVER_STATUSES.join(', ')}`),
+        query(['systemId', 'checkId'])
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Must be at most 200 characters')
+    ],
+    validateRequest,
+    DashboardController.listWaivers
+);
+
+router.post('/waivers',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    [
+        body('systemId')
+            .isString()
+            .withMessage('systemId is required')
+            .bail()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        body('checkId')
+            .isString()
+            .withMessage('checkId is required')
+            .bail()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('checkId must be between 1 and 100 characters'),
+        body('ruleId')
+            .optional()
+            .isString()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('ruleId must be between 1 and 100 characters'),
+        body('justification')
+            .isString()
+            .trim()
+            .isLength({ min: 10, max: 2000 })
+            .withMessage('justification must be between 10 and 2000 characters'),
+        body('excludeFromScore')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('excludeFromScore must be a boolean'),
+        body('expiresAt')
+            .isISO8601()
+            .withMessage('expiresAt must be an ISO 8601 date')
+            .bail()
+            .custom(value => {
+                const expiresAt = new Date(value).getTime();
+                return expiresAt > Date.now() && expiresAt <= Date.now() + MAX_WAIVER_DAYS * 24 * 60 * 60 * 1000;
+            })
+            .withMessage(`expiresAt must be in the future and at most ${MAX_WAIVER_DAYS} days ahead`)
+    ],
+    validateRequest,
+    DashboardController.requestWaiver
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/waivers/{waiverId}:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get a check waiver
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: waiverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Waiver retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckWaiver'
+ *       404:
+ *         description: Waiver not found
+ */
+router.get('/waivers/:waiverId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    waiverIdValidator,
+    validateRequest,
+    DashboardController.getWaiver
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/waivers/{waiverId}/approve:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Approve a check waiver
+ *     description: Admin only. A waiver cannot be approved by the user who requested it, and expired waivers cannot be approved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: waiverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Waiver approved
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waiver not found
+ *       409:
+ *         description: Waiver is not pending or was requested by the approver
+ */
+router.post('/waivers/:waiverId/approve',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    waiverIdValidator,
+    validateRequest,
+    DashboardController.approveWaiver
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/waivers/{waiverId}/revoke:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Revoke a check waiver
+ *     description: Admin only. Revoked findings count as failures again from the next validation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: waiverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Waiver revoked
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waiver not found
+ *       409:
+ *         description: Waiver is already expired or revoked
+ */
+router.post('/waivers/:waiverId/revoke',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    waiverIdValidator,
+    validateRequest,
+    DashboardController.revokeWaiver
+);
+
+const remediationItemIdValidator = param('itemId')
+    .isUUID()
+    .withMessage('itemId must be a UUID');
+
+// Verification is a separate, admin-only step
+const UPDATABLE_REMEDIATION_STATUSES = REMEDIATION_STATUSES.filter(status => status !== 'verified');
+
+/**
+ * @swagger
+ * /api/v1/dashboard/remediation:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List remediation items
+ *     description: Remediation items opened from validation recommendations, earliest due first. Items are resolved automatically when a later validation of the system no longer reports the finding, and reopened if it comes back.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, resolved, verified]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overdue
+ *         description: Only unresolved items past their due date
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Remediation items retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RemediationItem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ */
+router.get('/remediation',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('status')
+            .optional()
+            .isIn(REMEDIATION_STATUSES)
+            .withMessage(`status must be one of: ${REMEDIATION_STATUSES.join(', ')}`),
+        query('priority')
+            .optional()
+            .isIn(['low', 'medium', 'high'])
+            .withMessage('priority must be one of: low, medium, high'),
+        query('overdue')
+            .optional()
+            .isBoolean()
+            .withMessage('overdue must be a boolean'),
+        query(['systemId', 'assignee'])
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Must be at most 200 characters')
+    ],
+    validateRequest,
+    DashboardController.listRemediationItems
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/remediation/{itemId}:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get a remediation item
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Remediation item retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RemediationItem'
+ *       404:
+ *         description: Remediation item not found
+ *   patch:
+ *     tags: [VoidGuard Safety]
+ *     summary: Update a remediation item
+ *     description: Assign, reschedule or move an item between open, in_progress and resolved. Verified items cannot be changed. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, in_progress, resolved]
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Remediation item updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Remediation item not found
+ *       409:
+ *         description: Status change not allowed, or the item changed status during the update
+ */
+router.get('/remediation/:itemId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    remediationItemIdValidator,
+    validateRequest,
+    DashboardController.getRemediationItem
+);
+
+router.patch('/remediation/:itemId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    [
+        remediationItemIdValidator,
+        body()
+            .custom(value => ['status', 'assignee', 'dueDate'].some(field => value && value[field] !== undefined))
+            .withMessage('At least one of status, assignee or dueDate must be provided'),
+        body('status')
+            .optional()
+            .isIn(UPDATABLE_REMEDIATION_STATUSES)
+            .withMessage(`status must be one of: ${UPDATABLE_REMEDIATION_STATUSES.join(', ')}`),
+        body('assignee')
+            .optional({ values: 'null' })
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('assignee must be between 1 and 200 characters'),
+        body('dueDate')
+            .optional()
+            .isISO8601()
+            .withMessage('dueDate must be an ISO 8601 date')
+    ],
+    validateRequest,
+    DashboardController.updateRemediationItem
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/remediation/{itemId}/verify:
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Verify a resolved remediation item
+ *     description: Admin only. Confirms the resolution and closes the item for good.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Remediation item verified
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Remediation item not found
+ *       409:
+ *         description: Item is not resolved
+ */
+router.post('/remediation/:itemId/verify',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    remediationItemIdValidator,
+    validateRequest,
+    DashboardController.verifyRemediationItem
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/validations/diff:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Compare two validations of an AI system
+ *     description: Structured diff between a baseline validation and a later one of the same system - overall and per-category score deltas, categories whose status flipped, findings added or resolved, and risk level and AI Act tier changes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         description: Baseline validationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         description: validationId compared against the baseline
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Validation diff generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ValidationDiff'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Validation not found
+ */
+router.get('/validations/diff',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query(['from', 'to'])
+            .isUUID()
+            .withMessage('Must be a validationId'),
+        query('to')
+            .custom((value, { req }) => value !== req.query.from)
+            .withMessage('from and to must be different validations')
+    ],
+    validateRequest,
+    DashboardController.compareValidations
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/validations/{validationId}:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get a stored validation
+ *     description: The validation result with the AI system snapshot and context it ran with, or the result exported as CSV, SARIF or OSCAL
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: validationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/ValidationExportFormat'
+ *     responses:
+ *       200:
+ *         description: Validation retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     validationId:
+ *                       type: string
+ *                       format: uuid
+ *                     systemId:
+ *                       type: string
+ *                     validatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     validatedBy:
+ *                       type: string
+ *                     aiSystem:
+ *                       $ref: '#/components/schemas/AISystem'
+ *                     context:
+ *                       type: object
+ *                     result:
+ *                       type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per finding, and one per check without findings
+ *           application/sarif+json:
+ *             schema:
+ *               type: object
+ *               description: SARIF 2.1.0 log; findings are results (error, warning or note), waived findings are suppressed
+ *           application/oscal+json:
+ *             schema:
+ *               type: object
+ *               description: OSCAL assessment results; checks are findings, reported findings are observations
+ *       404:
+ *         description: Validation not found
+ */
+router.get('/validations/:validationId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        param('validationId')
+            .isUUID()
+            .withMessage('validationId must be a UUID'),
+        exportFormatValidator(VALIDATION_EXPORT_FORMATS)
+    ],
+    validateRequest,
+    negotiateExportFormat(VALIDATION_EXPORT_FORMATS),
+    DashboardController.getValidation
+);
+
+const evidenceIdValidator = param('evidenceId')
+    .isUUID()
+    .withMessage('evidenceId must be a UUID');
+
+/**
+ * @swagger
+ * /api/v1/dashboard/evidence:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List evidence attachments
+ *     description: Current (not removed) evidence attachments, most recent first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: checkId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evidence retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EvidenceAttachment'
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Attach evidence to a safety check
+ *     description: Uploads a PDF report, CSV/JSON test results or a Markdown/YAML model card for a check of an AI system. Contents are stored once per SHA-256. Policy rules with an evidence requirement only pass while matching evidence is attached. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, systemId, checkId, kind]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               systemId:
+ *                 type: string
+ *               checkId:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [report, test_results, model_card, other]
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Evidence attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/EvidenceAttachment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       413:
+ *         description: File exceeds EVIDENCE_MAX_FILE_SIZE
+ */
+router.get('/evidence',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query(['systemId', 'checkId'])
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Must be at most 200 characters')
+    ],
+    validateRequest,
+    DashboardController.listEvidence
+);
+
+router.post('/evidence',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    evidenceUpload,
+    [
+        body('systemId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        body('checkId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('checkId must be between 1 and 100 characters'),
+        body('kind')
+            .isIn(EVIDENCE_KINDS)
+            .withMessage(`kind must be one of: ${EVIDENCE_KINDS.join(', ')}`),
+        body('description')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('description must be at most 1000 characters')
+    ],
+    validateRequest,
+    DashboardController.attachEvidence
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/evidence/{evidenceId}:
+ *   delete:
+ *     tags: [VoidGuard Safety]
+ *     summary: Remove an evidence attachment
+ *     description: Admin only. Later validations no longer see the attachment. Its content is kept, since earlier validations and their evidence bundles reference it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evidenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Evidence removed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Evidence not found
+ */
+router.delete('/evidence/:evidenceId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    evidenceIdValidator,
+    validateRequest,
+    DashboardController.removeEvidence
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/evidence/{evidenceId}/content:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Download an evidence file
+ *     description: The content is verified against its SHA-256 (also returned in X-Content-SHA256) before it is sent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evidenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Evidence file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Evidence not found
+ */
+router.get('/evidence/:evidenceId/content',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    evidenceIdValidator,
+    validateRequest,
+    DashboardController.getEvidenceContent
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/validations/{validationId}/evidence-bundle:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Download the evidence bundle of a validation
+ *     description: ZIP archive of the evidence the validation was evaluated against, with manifest.json (validation outcome and files) and SHA256SUMS. Files whose content is no longer available are listed in the manifest with available false.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: validationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Evidence bundle
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Validation not found
+ */
+router.get('/validations/:validationId/evidence-bundle',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    param('validationId')
+        .isUUID()
+        .withMessage('validationId must be a UUID'),
+    validateRequest,
+    DashboardController.getEvidenceBundle
+);
+
+const reportFormatValidator = query('format')
+    .optional()
+    .isIn(REPORT_FORMATS)
+    .withMessage(`format must be one of: ${REPORT_FORMATS.join(', ')}`);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/validations/{validationId}/report:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Download the compliance report of a validation
+ *     description: Human-readable report for auditors with the executive summary, safety checks and findings, risk assessment, recommendations, waivers, evidence hashes and the audit chain verification result. The SHA-256 digest of the report content is returned in X-Report-Digest and, when VOIDGUARD_REPORT_SIGNING_KEY is configured, its HMAC-SHA256 in X-Report-Signature; both are printed in the report and recorded in the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: validationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Compliance report
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Validation not found
+ */
+router.get('/validations/:validationId/report',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        param('validationId')
+            .isUUID()
+            .withMessage('validationId must be a UUID'),
+        reportFormatValidator
+    ],
+    validateRequest,
+    DashboardController.getValidationReport
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/systems/{systemId}/report:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Download the compliance report of an AI system
+ *     description: Compliance report of the system's latest validation together with its validation history (up to the 500 most recent validations). Signed like the validation report.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Compliance report
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: AI system not found
+ *       409:
+ *         description: AI system has not been validated
+ */
+router.get('/systems/:systemId/report',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [systemIdValidator, reportFormatValidator],
+    validateRequest,
+    DashboardController.getSystemReport
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/fairness/evaluations:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: List fairness evaluations
+ *     description: Fairness metrics measured from prediction datasets, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fairness evaluations retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FairnessEvaluation'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *   post:
+ *     tags: [VoidGuard Safety]
+ *     summary: Measure fairness from a prediction dataset
+ *     description: Upload a CSV (with header) or JSONL dataset with one record per decision - the prediction, the true label, an optional score (probability) and the protected attributes. Demographic parity difference, disparate impact ratio, equalized odds and calibration by group are computed per protected attribute. The latest evaluation of a system scores its bias check against the VOIDGUARD_FAIRNESS_* thresholds; the dataset is kept as test results evidence on the bias check. Requires the dashboard.systems permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, systemId, protectedAttributes]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               systemId:
+ *                 type: string
+ *               protectedAttributes:
+ *                 type: string
+ *                 description: Comma-separated protected attribute columns
+ *                 example: gender,age_band
+ *               predictionColumn:
+ *                 type: string
+ *                 default: prediction
+ *               labelColumn:
+ *                 type: string
+ *                 default: label
+ *               scoreColumn:
+ *                 type: string
+ *                 default: score
+ *               positiveLabel:
+ *                 type: string
+ *                 description: Value of the favorable outcome (default 1, true, yes or positive)
+ *               decisionThreshold:
+ *                 type: number
+ *                 default: 0.5
+ *                 description: Score at or above which a record without a prediction counts as positive
+ *     responses:
+ *       201:
+ *         description: Fairness evaluated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/FairnessEvaluation'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       413:
+ *         description: File exceeds EVIDENCE_MAX_FILE_SIZE
+ */
+router.get('/fairness/evaluations',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('systemId')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('systemId must be at most 200 characters')
+    ],
+    validateRequest,
+    DashboardController.listFairnessEvaluations
+);
+
+router.post('/fairness/evaluations',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.systems']),
+    evidenceUpload,
+    [
+        body('systemId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        body('protectedAttributes')
+            .customSanitizer(value => (typeof value === 'string' ?
+                value.split(',').map(attribute => attribute.trim()).filter(attribute => attribute.length > 0) : value))
+            .isArray({ min: 1, max: 10 })
+            .withMessage('protectedAttributes must list 1-10 comma-separated columns'),
+        body(['predictionColumn', 'labelColumn', 'scoreColumn', 'positiveLabel'])
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Must be between 1 and 100 characters'),
+        body('decisionThreshold')
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('decisionThreshold must be between 0 and 1')
+            .toFloat()
+    ],
+    validateRequest,
+    DashboardController.evaluateFairness
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/fairness/evaluations/{evaluationId}:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get a fairness evaluation
+ *     description: Measured metrics with their assessment against the current thresholds
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evaluationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Fairness evaluation retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/FairnessEvaluation'
+ *       404:
+ *         description: Fairness evaluation not found
+ */
+router.get('/fairness/evaluations/:evaluationId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['dashboard.view']),
+    param('evaluationId')
+        .isUUID()
+        .withMessage('evaluationId must be a UUID'),
+    validateRequest,
+    DashboardController.getFairnessEvaluation
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/audit-log:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get audit log
+ *     description: Paginated, hash-chained audit events for the caller's organization, newest first. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/AuditLogExportFormat'
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: One row per event, with the event payload as JSON in the details column
+ *           application/oscal+json:
+ *             schema:
+ *               type: object
+ *               description: OSCAL assessment results with one assessment log entry per event
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/audit-log',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('type')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('type must be at most 100 characters'),
+        query('systemId')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('systemId must be at most 200 characters'),
+        query(['startDate', 'endDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Must be a valid ISO 8601 date'),
+        exportFormatValidator(AUDIT_LOG_EXPORT_FORMATS)
+    ],
+    validateRequest,
+    negotiateExportFormat(AUDIT_LOG_EXPORT_FORMATS),
+    DashboardController.getAuditLog
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/audit-log/verify:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Verify audit log integrity
+ *     description: Recompute the organization's audit hash chain and report modified, missing or truncated events. Modification is only detectable when the chain is keyed (data.keyed, VOIDGUARD_AUDIT_CHAIN_KEY). Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification report (see data.valid and data.issues)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/AuditVerification'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/audit-log/verify',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    DashboardController.verifyAuditLog
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/health:
+ *   get:
+ *     tags: [VoidGuard Safety]
+ *     summary: Get VoidGuard service health
+ *     description: Check the health status of the VoidGuard Safety Engine
+ *     responses:
+ *       200:
+ *         description: Health status retrieved
+ */
+router.get('/health',
+    DashboardController.getHealth
+);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const dashboardRoutes = require('./dashboardRoutes');
+const DashboardController = require('../controllers/DashboardController');
+const { generateToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/dashboard', dashboardRoutes);
+
+const tokenFor = (role, permissions) => `Bearer ${generateToken({
+    userId: `${role}-1`,
+    email: `${role}@example.com`,
+    role,
+    organizationId: 'org-1',
+    permissions
+})}`;
+
+const viewer = tokenFor('enterprise_user', ['dashboard.view']);
+const editor = tokenFor('enterprise_user', ['dashboard.view', 'dashboard.systems']);
+const admin = tokenFor('admin', ['dashboard.view', 'dashboard.systems']);
+const evidenceId = '6f1c2a5e-3b1d-4c8e-9a2f-1d3e5b7c9a0f';
+const waiverId = '0b6f4c2e-8d1a-4f3b-a5c7-9e2d4f6a8b1c';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('dashboard routes', () => {
+    test('require authentication', async () => {
+        const response = await request(app).get('/api/v1/dashboard/systems');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('serve read routes to dashboard.view', async () => {
+        jest.spyOn(DashboardController.voidguardService, 'listSystems')
+            .mockResolvedValue({ systems: [], pagination: { page: 1, limit: 20, total: 0, hasNext: false, hasPrev: false } });
+
+        const response = await request(app).get('/api/v1/dashboard/systems').set('Authorization', viewer);
+
+        expect(response.status).toBe(200);
+        expect(DashboardController.voidguardService.listSystems).toHaveBeenCalledWith('org-1', expect.any(Object), expect.any(Object));
+    });
+
+    test('require dashboard.systems to register AI systems', async () => {
+        const response = await request(app)
+            .post('/api/v1/dashboard/systems')
+            .set('Authorization', viewer)
+            .send({ id: 'system-1', name: 'Credit model' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('reserve waiver approval and evidence removal for admins', async () => {
+        const removeEvidence = jest.spyOn(DashboardController.voidguardService, 'removeEvidence')
+            .mockResolvedValue({ id: evidenceId, systemId: 'system-1' });
+
+        const approval = await request(app).post(`/api/v1/dashboard/waivers/${waiverId}/approve`).set('Authorization', editor);
+        const editorRemoval = await request(app).delete(`/api/v1/dashboard/evidence/${evidenceId}`).set('Authorization', editor);
+        expect(approval.status).toBe(403);
+        expect(editorRemoval.status).toBe(403);
+        expect(removeEvidence).not.toHaveBeenCalled();
+
+        const adminRemoval = await request(app).delete(`/api/v1/dashboard/evidence/${evidenceId}`).set('Authorization', admin);
+        expect(adminRemoval.status).toBe(200);
+        expect(removeEvidence).toHaveBeenCalledWith('org-1', evidenceId, 'admin-1');
+    });
+});
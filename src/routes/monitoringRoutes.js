@@ -0,0 +1,428 @@
+/**
+ * VoidGuard AI Governance Suite - Continuous Compliance Monitoring Routes
+ *
+ * API routes for scheduled re-validation and the events it raises
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, param, validationResult } = require('express-validator');
+const MonitoringController = require('../controllers/MonitoringController');
+const { MONITORING_EVENT_TYPES } = require('../services/MonitoringService');
+const { SUPPORTED_FRAMEWORKS } = require('../services/RegulatoryFrameworks');
+const auth = require('../middleware/auth');
+const { apiResponse } = require('../utils/responseHelpers');
+
+const router = express.Router();
+
+// Rate limiting for monitoring endpoints
+const monitoringRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 200, // limit each IP to 200 requests per windowMs
+    message: { error: 'Too many monitoring requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Apply rate limiting to all monitoring routes
+router.use(monitoringRateLimit);
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return apiResponse.validationError(res, errors.array());
+    }
+    next();
+};
+
+const paginationValidators = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('limit must be between 1 and 100')
+];
+
+const scheduleIdValidator = param('scheduleId')
+    .isUUID()
+    .withMessage('scheduleId must be a UUID');
+
+// Timing and targets of a schedule; cron expressions and audits are checked by the service
+const scheduleFieldValidators = [
+    body('cron')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('cron must be between 1 and 100 characters'),
+    body('intervalHours')
+        .optional()
+        .isInt({ min: 1, max: 8760 })
+        .withMessage('intervalHours must be between 1 and 8760')
+        .toInt(),
+    body()
+        .custom(value => !(value.cron && value.intervalHours))
+        .withMessage('Provide either cron or intervalHours, not both'),
+    body(['validate', 'enabled'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Must be a boolean'),
+    body('regulatory')
+        .optional()
+        .isArray()
+        .withMessage('regulatory must be an array'),
+    body('regulatory.*')
+        .isIn(SUPPORTED_FRAMEWORKS)
+        .withMessage(`Regulatory framework must be one of: ${SUPPORTED_FRAMEWORKS.join(', ')}`),
+    body('auditId')
+        .optional({ values: 'null' })
+        .isUUID()
+        .withMessage('auditId must be a UUID')
+];
+
+/**
+ * @swagger
+ * /api/v1/monitoring/schedules:
+ *   get:
+ *     tags: [Compliance Monitoring]
+ *     summary: List monitoring schedules
+ *     description: Re-validation schedules of the caller's organization, soonest run first. Requires the monitoring.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MonitoringSchedule'
+ *   post:
+ *     tags: [Compliance Monitoring]
+ *     summary: Create a monitoring schedule
+ *     description: |
+ *       Periodically re-run safety validation of a registered AI system against its registry entry, a transparency
+ *       audit of the system, or both. Timing is a five-field cron expression in UTC (or @hourly, @daily, @weekly,
+ *       @monthly, @yearly), or every intervalHours hours (default MONITORING_DEFAULT_INTERVAL). A scheduled
+ *       validation that makes a compliant system non-compliant, or raises its risk level, records a monitoring
+ *       event. Requires the monitoring.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [systemId]
+ *             properties:
+ *               systemId:
+ *                 type: string
+ *               cron:
+ *                 type: string
+ *                 example: '0 6 * * 1-5'
+ *               intervalHours:
+ *                 type: integer
+ *                 minimum: 1
+ *               validate:
+ *                 type: boolean
+ *                 default: true
+ *               regulatory:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [GDPR, CCPA, SOC2, ISO27001, NIST]
+ *               auditId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Transparency audit of the system to run
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/MonitoringSchedule'
+ *       400:
+ *         description: Invalid cron expression, unknown system or audit, or nothing to run
+ */
+router.get('/schedules',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.view']),
+    [
+        ...paginationValidators,
+        query('systemId')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('systemId must be at most 200 characters'),
+        query('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('enabled must be a boolean')
+            .toBoolean()
+    ],
+    validateRequest,
+    MonitoringController.listSchedules
+);
+
+router.post('/schedules',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.manage']),
+    [
+        body('systemId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        ...scheduleFieldValidators
+    ],
+    validateRequest,
+    MonitoringController.createSchedule
+);
+
+/**
+ * @swagger
+ * /api/v1/monitoring/schedules/{scheduleId}:
+ *   get:
+ *     tags: [Compliance Monitoring]
+ *     summary: Get a monitoring schedule
+ *     description: Requires the monitoring.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/MonitoringSchedule'
+ *       404:
+ *         description: Schedule not found
+ *   patch:
+ *     tags: [Compliance Monitoring]
+ *     summary: Update a monitoring schedule
+ *     description: Change the timing, targets or enabled state. Setting cron clears intervalHours and vice versa; a new timing, or re-enabling, schedules the next run from now. Requires the monitoring.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cron:
+ *                 type: string
+ *               intervalHours:
+ *                 type: integer
+ *               validate:
+ *                 type: boolean
+ *               regulatory:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               auditId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       400:
+ *         description: Invalid change
+ *       404:
+ *         description: Schedule not found
+ *   delete:
+ *     tags: [Compliance Monitoring]
+ *     summary: Delete a monitoring schedule
+ *     description: Requires the monitoring.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/schedules/:scheduleId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.view']),
+    scheduleIdValidator,
+    validateRequest,
+    MonitoringController.getSchedule
+);
+
+router.patch('/schedules/:scheduleId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.manage']),
+    [
+        scheduleIdValidator,
+        body()
+            .custom(value => Object.keys(value || {}).length > 0)
+            .withMessage('At least one field must be provided'),
+        body('systemId')
+            .not()
+            .exists()
+            .withMessage('systemId cannot be changed'),
+        ...scheduleFieldValidators
+    ],
+    validateRequest,
+    MonitoringController.updateSchedule
+);
+
+router.delete('/schedules/:scheduleId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.manage']),
+    scheduleIdValidator,
+    validateRequest,
+    MonitoringController.deleteSchedule
+);
+
+/**
+ * @swagger
+ * /api/v1/monitoring/events:
+ *   get:
+ *     tags: [Compliance Monitoring]
+ *     summary: List monitoring events
+ *     description: Regressions found by scheduled validations, newest first. Requires the monitoring.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [compliance_regressed, risk_level_increased]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Events retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MonitoringEvent'
+ */
+router.get('/events',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['monitoring.view']),
+    [
+        ...paginationValidators,
+        query('systemId')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('systemId must be at most 200 characters'),
+        query('type')
+            .optional()
+            .isIn(MONITORING_EVENT_TYPES)
+            .withMessage(`type must be one of: ${MONITORING_EVENT_TYPES.join(', ')}`)
+    ],
+    validateRequest,
+    MonitoringController.listEvents
+);
+
+/**
+ * @swagger
+ * /api/v1/monitoring/health:
+ *   get:
+ *     tags: [Compliance Monitoring]
+ *     summary: Get compliance monitoring health
+ *     description: Check the health status of compliance monitoring and whether this replica runs the scheduler
+ *     responses:
+ *       200:
+ *         description: Health status retrieved
+ */
+router.get('/health',
+    MonitoringController.getHealth
+);
+
+module.exports = router;
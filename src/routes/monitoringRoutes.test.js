@@ -0,0 +1,70 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const monitoringRoutes = require('./monitoringRoutes');
+const MonitoringController = require('../controllers/MonitoringController');
+const { generateToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/monitoring', monitoringRoutes);
+
+const tokenFor = (permissions) => `Bearer ${generateToken({
+    userId: 'user-1',
+    email: 'user@example.com',
+    role: 'enterprise_user',
+    organizationId: 'org-1',
+    permissions
+})}`;
+
+const viewer = tokenFor(['monitoring.view']);
+const manager = tokenFor(['monitoring.view', 'monitoring.manage']);
+const scheduleId = '9a7c5e3b-1d2f-4a6b-8c0e-2f4a6c8e0b1d';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('monitoring routes', () => {
+    test('require authentication', async () => {
+        const response = await request(app).get('/api/v1/monitoring/schedules');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('require monitoring.view to read events', async () => {
+        const response = await request(app).get('/api/v1/monitoring/events').set('Authorization', tokenFor(['dashboard.view']));
+
+        expect(response.status).toBe(403);
+    });
+
+    test('require monitoring.manage to create and delete schedules', async () => {
+        const createSchedule = jest.spyOn(MonitoringController.monitoringService, 'createSchedule')
+            .mockResolvedValue({ schedule: { id: scheduleId, systemId: 'system-1' }, error: null });
+
+        const denied = await request(app)
+            .post('/api/v1/monitoring/schedules')
+            .set('Authorization', viewer)
+            .send({ systemId: 'system-1', cron: '0 6 * * *' });
+        const deniedDelete = await request(app).delete(`/api/v1/monitoring/schedules/${scheduleId}`).set('Authorization', viewer);
+        expect(denied.status).toBe(403);
+        expect(deniedDelete.status).toBe(403);
+        expect(createSchedule).not.toHaveBeenCalled();
+
+        const created = await request(app)
+            .post('/api/v1/monitoring/schedules')
+            .set('Authorization', manager)
+            .send({ systemId: 'system-1', cron: '0 6 * * *' });
+        expect(created.status).toBe(201);
+        expect(createSchedule).toHaveBeenCalledWith('org-1', expect.objectContaining({ systemId: 'system-1' }), 'user-1');
+    });
+
+    test('reject cron and intervalHours together', async () => {
+        const response = await request(app)
+            .post('/api/v1/monitoring/schedules')
+            .set('Authorization', manager)
+            .send({ systemId: 'system-1', cron: '0 6 * * *', intervalHours: 6 });
+
+        expect(response.status).toBe(400);
+    });
+});
@@ -13,6 +13,8 @@ const { body, query, param, validationResult } = require('express-validator');
 const OracleController = require('../controllers/OracleController');
 const auth = require('../middleware/auth');
 const { apiResponse } = require('../utils/responseHelpers');
+const { batchQueryUpload } = require('../middleware/batchQueryUpload');
+const { LLM_PROVIDERS } = require('../services/LlmProviders');
 
 const router = express.Router();
 
@@ -37,6 +39,30 @@ const validateRequest = (req, res, next) => {
     next();
 };
 
+const analyzeValidators = [
+    body('query')
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage('Query must be between 5 and 1000 characters'),
+    body('options.includeVisualization')
+        .optional()
+        .isBoolean()
+        .withMessage('includeVisualization must be a boolean'),
+    body('options.analysisDepth')
+        .optional()
+        .isIn(['shallow', 'standard', 'deep'])
+        .withMessage('analysisDepth must be one of: shallow, standard, deep'),
+    body('options.includeNarrative')
+        .optional()
+        .isBoolean()
+        .withMessage('includeNarrative must be a boolean')
+        .toBoolean()
+];
+
+const sessionIdValidator = param('sessionId')
+    .isUUID()
+    .withMessage('Session ID must be a valid UUID');
+
 /**
  * @swagger
  * /api/v1/oracle/analyze:
@@ -70,6 +96,10 @@ const validateRequest = (req, res, next) => {
  *                     type: string
  *                     enum: [shallow, standard, deep]
  *                     default: standard
+ *                   includeNarrative:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Add reasoning and recommendations from the organization's LLM provider
  *     responses:
  *       200:
  *         description: Analysis completed successfully
@@ -86,31 +116,95 @@ const validateRequest = (req, res, next) => {
  */
 router.post('/analyze',
     auth.authenticate,
-    [
-        body('query')
-            .trim()
-            .isLength({ min: 5, max: 1000 })
-            .withMessage('Query must be between 5 and 1000 characters'),
-        body('options.includeVisualization')
-            .optional()
-            .isBoolean()
-            .withMessage('includeVisualization must be a boolean'),
-        body('options.analysisDepth')
-            .optional()
-            .isIn(['shallow', 'standard', 'deep'])
-            .withMessage('analysisDepth must be one of: shallow, standard, deep')
-    ],
+    analyzeValidators,
     validateRequest,
     OracleController.analyzeQuery
 );
 
+/**
+ * @swagger
+ * /api/v1/oracle/analyze/stream:
+ *   post:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Analyze a query, streaming results
+ *     description: |
+ *       Streaming variant of /api/v1/oracle/analyze. The response is a
+ *       text/event-stream of JSON events, sent as each engine finishes:
+ *
+ *       - `axiom` - consciousness analysis (Value-Void Axiom engine)
+ *       - `microscope` - pattern analysis (Algorithm Microscope engine); `axiom` and `microscope` arrive in the order they complete
+ *       - `aquarium` - visualization points, 25 per event, with their offset and the total
+ *       - `assessment` - overall assessment
+ *       - `narrative` - reasoning and recommendations of the LLM provider, with options.includeNarrative
+ *       - `done` - sessionId, timestamp and metadata; the stream then ends
+ *       - `error` - the analysis failed; the stream then ends
+ *
+ *       A `: heartbeat` comment is sent every ORACLE_STREAM_HEARTBEAT_INTERVAL
+ *       seconds (default 15). Closing the connection cancels the analysis,
+ *       which is then not stored.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 1000
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   includeVisualization:
+ *                     type: boolean
+ *                     default: true
+ *                   analysisDepth:
+ *                     type: string
+ *                     enum: [shallow, standard, deep]
+ *                     default: standard
+ *                   includeNarrative:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Add reasoning and recommendations from the organization's LLM provider
+ *     responses:
+ *       200:
+ *         description: Event stream of the analysis
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimit'
+ */
+router.post('/analyze/stream',
+    auth.authenticate,
+    analyzeValidators,
+    validateRequest,
+    OracleController.analyzeQueryStream
+);
+
 /**
  * @swagger
  * /api/v1/oracle/batch-analyze:
  *   post:
  *     tags: [Oracle Strategic Intelligence]
- *     summary: Analyze multiple queries in batch
- *     description: Process multiple strategic queries efficiently
+ *     summary: Start a batch analysis job
+ *     description: |
+ *       Analyzes a batch of queries in the background, up to
+ *       ORACLE_BATCH_MAX_QUERIES (default 1000). Queries are sent as a JSON
+ *       array or uploaded as a JSON Lines or CSV file of records with a
+ *       `query` and an optional `id` (default: the record number). Poll the
+ *       statusUrl for progress and results; each analysis is also stored as
+ *       an Oracle session.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -124,7 +218,7 @@ router.post('/analyze',
  *             properties:
  *               queries:
  *                 type: array
- *                 maxItems: 10
+ *                 minItems: 1
  *                 items:
  *                   type: object
  *                   required:
@@ -138,21 +232,38 @@ router.post('/analyze',
  *                       type: string
  *                       minLength: 5
  *                       maxLength: 1000
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .jsonl, .ndjson or .csv file of queries
  *     responses:
- *       200:
- *         description: Batch analysis completed
+ *       202:
+ *         description: Batch job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStarted'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       413:
+ *         description: Query file too large
  */
 router.post('/batch-analyze',
     auth.authenticate,
     auth.requireRole(['admin', 'enterprise_user']),
+    batchQueryUpload,
     [
         body('queries')
-            .isArray({ max: 10 })
-            .withMessage('Queries must be an array with maximum 10 items'),
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('queries must be a non-empty array'),
         body('queries.*.id')
             .isString()
             .notEmpty()
@@ -166,13 +277,91 @@ router.post('/batch-analyze',
     OracleController.batchAnalyze
 );
 
+const jobIdValidator = param('jobId')
+    .isUUID()
+    .withMessage('jobId must be a UUID');
+
+/**
+ * @swagger
+ * /api/v1/oracle/batch-jobs/{jobId}:
+ *   get:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Get the status of a batch analysis job
+ *     description: Progress of a batch job. The result (an OracleBatchResult) holds the queries analyzed so far while the job runs or after it is cancelled, and all of them once it completes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job status retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStatus'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/batch-jobs/:jobId',
+    auth.authenticate,
+    auth.requireRole(['admin', 'enterprise_user']),
+    jobIdValidator,
+    validateRequest,
+    OracleController.getBatchJob
+);
+
+/**
+ * @swagger
+ * /api/v1/oracle/batch-jobs/{jobId}/cancel:
+ *   post:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Cancel a batch analysis job
+ *     description: Stops a queued or running batch job. Queries being analyzed finish and queries already analyzed stay in the job result. Cancelling a cancelled job has no effect.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStatus'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already completed or failed
+ */
+router.post('/batch-jobs/:jobId/cancel',
+    auth.authenticate,
+    auth.requireRole(['admin', 'enterprise_user']),
+    jobIdValidator,
+    validateRequest,
+    OracleController.cancelBatchJob
+);
+
 /**
  * @swagger
  * /api/v1/oracle/insights/{sessionId}:
  *   get:
  *     tags: [Oracle Strategic Intelligence]
  *     summary: Retrieve analysis insights
- *     description: Get detailed insights for a previous analysis session
+ *     description: |
+ *       Get insights derived from a stored analysis session of the caller's
+ *       organization. Sessions are kept for ORACLE_SESSION_RETENTION days
+ *       (default 30); expired sessions and sessions of other organizations
+ *       are not found.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -187,7 +376,7 @@ router.post('/batch-analyze',
  *         schema:
  *           type: boolean
  *           default: false
- *         description: Include raw analysis data
+ *         description: Include the raw void and pattern analysis
  *     responses:
  *       200:
  *         description: Insights retrieved successfully
@@ -199,18 +388,366 @@ router.post('/batch-analyze',
 router.get('/insights/:sessionId',
     auth.authenticate,
     [
-        param('sessionId')
-            .isUUID()
-            .withMessage('Session ID must be a valid UUID'),
+        sessionIdValidator,
         query('includeRaw')
             .optional()
             .isBoolean()
             .withMessage('includeRaw must be a boolean')
+            .toBoolean()
     ],
     validateRequest,
     OracleController.getInsights
 );
 
+/**
+ * @swagger
+ * /api/v1/oracle/sessions:
+ *   get:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: List analysis sessions
+ *     description: |
+ *       Stored analysis sessions of the caller's organization, newest first.
+ *       `search` is an English full-text search of the query in web search
+ *       syntax (quoted phrases, `or`, `-` to exclude a word).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User who ran the analysis
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: riskLevel
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *       - in: query
+ *         name: transcendenceLevel
+ *         schema:
+ *           type: string
+ *           enum: [minimal, moderate, high]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OracleSessionSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/sessions',
+    auth.authenticate,
+    auth.requireOrganization(),
+    [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('limit must be between 1 and 100'),
+        query('userId')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('userId must be at most 100 characters'),
+        query(['startDate', 'endDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Must be a valid ISO 8601 date'),
+        query('riskLevel')
+            .optional()
+            .isIn(['low', 'medium', 'high'])
+            .withMessage('riskLevel must be one of: low, medium, high'),
+        query('transcendenceLevel')
+            .optional()
+            .isIn(['minimal', 'moderate', 'high'])
+            .withMessage('transcendenceLevel must be one of: minimal, moderate, high'),
+        query('search')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('search must be between 1 and 200 characters')
+    ],
+    validateRequest,
+    OracleController.listSessions
+);
+
+/**
+ * @swagger
+ * /api/v1/oracle/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Delete an analysis session
+ *     description: Users can delete the sessions of their own analyses; admins can delete any session of their organization.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    sessionIdValidator,
+    validateRequest,
+    OracleController.deleteSession
+);
+
+/**
+ * @swagger
+ * /api/v1/oracle/users/{userId}/sessions:
+ *   delete:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Erase a user's analysis sessions
+ *     description: |
+ *       Deletes every stored session of a user in the caller's organization,
+ *       including expired sessions not yet purged, for data-subject erasure
+ *       requests. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions erased; data.deleted is the number of sessions deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/users/:userId/sessions',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    [
+        param('userId')
+            .isString()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('userId must be between 1 and 100 characters')
+    ],
+    validateRequest,
+    OracleController.eraseUserSessions
+);
+
+/**
+ * @swagger
+ * /api/v1/oracle/llm/settings:
+ *   get:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Get the LLM provider of the organization
+ *     description: |
+ *       Provider and model that generate the organization's analysis
+ *       narratives. `source` is `organization` when an admin picked the
+ *       provider, `default` for ORACLE_LLM_PROVIDER, and `mock` when
+ *       MOCK_EXTERNAL_APIS sends every narrative to the local mock provider.
+ *       Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provider settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OracleLlmSettings'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Pick the LLM provider of the organization
+ *     description: The provider must have an API key configured (the mock provider needs none). Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [anthropic, openai, mock]
+ *               model:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Model of the provider (defaults to the provider's configured model)
+ *     responses:
+ *       200:
+ *         description: Provider settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OracleLlmSettings'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/llm/settings',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    OracleController.getLlmSettings
+);
+
+router.put('/llm/settings',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    [
+        body('provider')
+            .isIn(LLM_PROVIDERS)
+            .withMessage(`provider must be one of: ${LLM_PROVIDERS.join(', ')}`),
+        body('model')
+            .optional({ values: 'null' })
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('model must be between 1 and 100 characters')
+    ],
+    validateRequest,
+    OracleController.updateLlmSettings
+);
+
+/**
+ * @swagger
+ * /api/v1/oracle/llm/usage:
+ *   get:
+ *     tags: [Oracle Strategic Intelligence]
+ *     summary: Get the LLM token usage of the organization
+ *     description: |
+ *       Calls, attempts and tokens of the organization's narrative
+ *       completions per provider and model, with their totals. Failed calls
+ *       are counted with the tokens the provider reported (none). Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     startDate:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     endDate:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     usage:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OracleLlmUsage'
+ *                     totals:
+ *                       $ref: '#/components/schemas/OracleLlmUsage'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/llm/usage',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requireRole(['admin', 'super_admin']),
+    [
+        query(['startDate', 'endDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Must be a valid ISO 8601 date')
+    ],
+    validateRequest,
+    OracleController.getLlmUsage
+);
+
 /**
  * @swagger
  * /api/v1/oracle/templates:
@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const oracleRoutes = require('./oracleRoutes');
+const OracleController = require('../controllers/OracleController');
+const { generateToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/oracle', oracleRoutes);
+
+const tokenFor = (role) => `Bearer ${generateToken({
+    userId: 'user-1',
+    email: 'user@example.com',
+    role,
+    organizationId: 'org-1',
+    permissions: ['oracle.analyze']
+})}`;
+
+const sessionId = '3c5e7a9b-2d4f-4b6a-8c1e-7f9a1b3d5e7c';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('oracle session routes', () => {
+    test('require authentication to delete a session', async () => {
+        const response = await request(app).delete(`/api/v1/oracle/sessions/${sessionId}`);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('let only admins delete the sessions of other users', async () => {
+        const deleteSession = jest.spyOn(OracleController.oracleService, 'deleteSession')
+            .mockResolvedValue({ deleted: true, error: null });
+
+        await request(app).delete(`/api/v1/oracle/sessions/${sessionId}`).set('Authorization', tokenFor('enterprise_user'));
+        await request(app).delete(`/api/v1/oracle/sessions/${sessionId}`).set('Authorization', tokenFor('admin'));
+
+        expect(deleteSession).toHaveBeenNthCalledWith(1, 'org-1', sessionId, 'user-1', { anyUser: false });
+        expect(deleteSession).toHaveBeenNthCalledWith(2, 'org-1', sessionId, 'user-1', { anyUser: true });
+    });
+
+    test('answer 403 when the session belongs to another user', async () => {
+        jest.spyOn(OracleController.oracleService, 'deleteSession')
+            .mockResolvedValue({ deleted: false, error: 'Only the user who ran an analysis or an admin can delete its session' });
+
+        const response = await request(app).delete(`/api/v1/oracle/sessions/${sessionId}`).set('Authorization', tokenFor('enterprise_user'));
+
+        expect(response.status).toBe(403);
+    });
+
+    test('let only admins erase the sessions of a user', async () => {
+        const eraseUserSessions = jest.spyOn(OracleController.oracleService, 'eraseUserSessions').mockResolvedValue(2);
+
+        const denied = await request(app).delete('/api/v1/oracle/users/user-2/sessions').set('Authorization', tokenFor('enterprise_user'));
+        expect(denied.status).toBe(403);
+        expect(eraseUserSessions).not.toHaveBeenCalled();
+
+        const erased = await request(app).delete('/api/v1/oracle/users/user-2/sessions').set('Authorization', tokenFor('admin'));
+        expect(erased.status).toBe(200);
+        expect(eraseUserSessions).toHaveBeenCalledWith('org-1', 'user-2', 'user-1');
+    });
+});
+
+describe('oracle analysis stream', () => {
+    test('requires authentication', async () => {
+        const response = await request(app).post('/api/v1/oracle/analyze/stream').send({ query: 'Should we ship this model?' });
+
+        expect(response.status).toBe(401);
+    });
+
+    test('sends the analysis as Server-Sent Events ending with done', async () => {
+        const record = jest.spyOn(OracleController.oracleService.sessions, 'record').mockResolvedValue({});
+
+        const response = await request(app)
+            .post('/api/v1/oracle/analyze/stream')
+            .set('Authorization', tokenFor('enterprise_user'))
+            .send({ query: 'Should we ship this model?' });
+
+        const events = response.text.match(/^event: .+$/gm).map(line => line.slice('event: '.length));
+        expect(response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        expect(events).toEqual(expect.arrayContaining(['axiom', 'microscope', 'aquarium', 'assessment']));
+        expect(events[events.length - 1]).toBe('done');
+        expect(record).toHaveBeenCalledWith('org-1', expect.objectContaining({ userId: 'user-1' }));
+    });
+});
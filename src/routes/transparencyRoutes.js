@@ -0,0 +1,585 @@
+/**
+ * VoidGuard AI Governance Suite - Algorithm Transparency Routes
+ *
+ * API routes for algorithm audits and transparency reports
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, param, validationResult } = require('express-validator');
+const TransparencyController = require('../controllers/TransparencyController');
+const { TRANSPARENCY_ANALYSES } = require('../services/TransparencyService');
+const { PERTURBATION_KINDS, DEFAULT_DIVERGENCE_THRESHOLDS } = require('../services/BehavioralProbe');
+const { ADAPTER_METHODS } = require('../services/ModelHttpAdapter');
+const auth = require('../middleware/auth');
+const { evidenceUpload } = require('../middleware/evidenceUpload');
+const { apiResponse } = require('../utils/responseHelpers');
+
+const router = express.Router();
+
+// Rate limiting for transparency endpoints
+const transparencyRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 200, // limit each IP to 200 requests per windowMs
+    message: { error: 'Too many transparency requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Apply rate limiting to all transparency routes
+router.use(transparencyRateLimit);
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return apiResponse.validationError(res, errors.array());
+    }
+    next();
+};
+
+const paginationValidators = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('limit must be between 1 and 100')
+];
+
+// Black-box probe configuration of an audit; endpoint hosts are checked by the service
+const probeValidators = [
+    body('probe')
+        .optional()
+        .isObject()
+        .withMessage('probe must be an object')
+        .bail()
+        .custom(probe => (probe.inputs && probe.inputs.length > 0) || (probe.pairs && probe.pairs.length > 0))
+        .withMessage('probe needs inputs or pairs'),
+    body('probe.endpoint')
+        .if(body('probe').exists())
+        .isObject()
+        .withMessage('probe.endpoint must be an object'),
+    body('probe.endpoint.url')
+        .if(body('probe').exists())
+        .isString()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('probe.endpoint.url is required'),
+    body('probe.endpoint.method')
+        .optional()
+        .customSanitizer(value => (typeof value === 'string' ? value.toUpperCase() : value))
+        .isIn(ADAPTER_METHODS)
+        .withMessage(`probe.endpoint.method must be one of: ${ADAPTER_METHODS.join(', ')}`),
+    body('probe.endpoint.headers')
+        .optional()
+        .isObject()
+        .withMessage('probe.endpoint.headers must be an object'),
+    body('probe.endpoint.headers.*')
+        .isString()
+        .withMessage('Header values must be strings'),
+    body('probe.endpoint.responsePath')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('probe.endpoint.responsePath must be between 1 and 200 characters'),
+    body('probe.endpoint.timeoutMs')
+        .optional()
+        .isInt({ min: 100, max: 60000 })
+        .withMessage('probe.endpoint.timeoutMs must be between 100 and 60000')
+        .toInt(),
+    body('probe.inputs')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('probe.inputs must be an array of at most 20 inputs'),
+    body('probe.inputs.*')
+        .isString()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Probe inputs must be between 1 and 2000 characters'),
+    body('probe.pairs')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('probe.pairs must be an array of at most 20 pairs'),
+    body(['probe.pairs.*.original', 'probe.pairs.*.variant'])
+        .isString()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Probe pairs need an original and a variant of 1-2000 characters'),
+    body('probe.perturbations')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('probe.perturbations must be a non-empty array'),
+    body('probe.perturbations.*')
+        .isIn(PERTURBATION_KINDS)
+        .withMessage(`Perturbation must be one of: ${PERTURBATION_KINDS.join(', ')}`),
+    body('probe.thresholds')
+        .optional()
+        .isObject()
+        .withMessage('probe.thresholds must be an object')
+        .bail()
+        .custom(thresholds => Object.keys(thresholds).every(kind => kind in DEFAULT_DIVERGENCE_THRESHOLDS))
+        .withMessage(`Thresholds can be set for: ${Object.keys(DEFAULT_DIVERGENCE_THRESHOLDS).join(', ')}`),
+    body('probe.thresholds.*')
+        .isFloat({ min: 0, max: 1 })
+        .withMessage('Divergence thresholds must be between 0 and 1')
+        .toFloat()
+];
+
+const auditIdValidator = param('auditId')
+    .isUUID()
+    .withMessage('auditId must be a UUID');
+
+/**
+ * @swagger
+ * /api/v1/transparency/audits:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: List algorithm audits
+ *     description: Registered algorithm audits, most recently registered first. Requires the transparency.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: systemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audits retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransparencyAudit'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *   post:
+ *     tags: [Algorithm Transparency]
+ *     summary: Register an algorithm audit
+ *     description: Register an audit of an AI system in the inventory. The audit runs the selected analyses (all of them by default, probe only when a probe is configured) each time it is run. The probe analysis sends the probe inputs and their perturbations (name, gender and locale swaps, paraphrases) or explicit pairs to the model's HTTP endpoint and reports how much the outputs diverge; endpoint hosts must be listed in TRANSPARENCY_PROBE_ALLOWED_HOSTS, redirects are not followed and header values are never returned. Requires the transparency.audit permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, systemId]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *               systemId:
+ *                 type: string
+ *               analyses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [documentation, aiAct, validation, microscope, probe]
+ *               probe:
+ *                 $ref: '#/components/schemas/BehavioralProbe'
+ *     responses:
+ *       201:
+ *         description: Audit registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/TransparencyAudit'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/audits',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.view']),
+    [
+        ...paginationValidators,
+        query('systemId')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('systemId must be at most 200 characters')
+    ],
+    validateRequest,
+    TransparencyController.listAudits
+);
+
+router.post('/audits',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.audit']),
+    [
+        body('name')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('name must be between 1 and 200 characters'),
+        body('description')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 2000 })
+            .withMessage('description must be at most 2000 characters'),
+        body('systemId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        body('analyses')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('analyses must be a non-empty array'),
+        body('analyses.*')
+            .isIn(TRANSPARENCY_ANALYSES)
+            .withMessage(`Analysis must be one of: ${TRANSPARENCY_ANALYSES.join(', ')}`),
+        ...probeValidators
+    ],
+    validateRequest,
+    TransparencyController.registerAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/audits/{auditId}:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: Get an algorithm audit
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Audit retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/TransparencyAudit'
+ *       404:
+ *         description: Audit not found
+ */
+router.get('/audits/:auditId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.view']),
+    auditIdValidator,
+    validateRequest,
+    TransparencyController.getAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/audits/{auditId}/runs:
+ *   post:
+ *     tags: [Algorithm Transparency]
+ *     summary: Run an algorithm audit
+ *     description: Start a run of the audit as an async job. Poll the returned statusUrl; when the job completes its result links the stored transparency report, which is kept for TRANSPARENCY_REPORT_RETENTION days. Requires the transparency.audit permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Audit run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStarted'
+ *       404:
+ *         description: Audit not found
+ */
+router.post('/audits/:auditId/runs',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.audit']),
+    auditIdValidator,
+    validateRequest,
+    TransparencyController.runAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/audits/{auditId}/reports:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: List the reports of an algorithm audit
+ *     description: Unexpired transparency reports of the audit, newest first. Requires the transparency.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reports retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransparencyReportSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       404:
+ *         description: Audit not found
+ */
+router.get('/audits/:auditId/reports',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.view']),
+    [auditIdValidator, ...paginationValidators],
+    validateRequest,
+    TransparencyController.listReports
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/explainability:
+ *   post:
+ *     tags: [Algorithm Transparency]
+ *     summary: Generate an explainability report
+ *     description: |
+ *       Model-agnostic explanations of a system's decisions: permutation feature importance, partial dependence
+ *       summaries and per-instance counterfactual examples. The uploaded CSV or JSON Lines dataset holds the
+ *       instances to explain. Predictions come from the model endpoint when one is given (up to 50 instances);
+ *       otherwise a surrogate model is fitted to the dataset's prediction column (up to 1000 instances) and its
+ *       fidelity is reported. The report runs asynchronously and is attached as evidence to the system's
+ *       transparency check. Requires the transparency.audit permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, systemId]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               systemId:
+ *                 type: string
+ *               predictionColumn:
+ *                 type: string
+ *                 default: prediction
+ *               labelColumn:
+ *                 type: string
+ *                 default: label
+ *                 description: Ground-truth column, excluded from the features
+ *               features:
+ *                 type: string
+ *                 description: Comma-separated feature columns (default all other columns)
+ *               positiveLabel:
+ *                 type: string
+ *                 description: Prediction value of the favorable outcome (default 1/true/yes/positive)
+ *               decisionThreshold:
+ *                 type: number
+ *                 default: 0.5
+ *               endpoint:
+ *                 type: string
+ *                 description: JSON endpoint configuration, as the endpoint of a BehavioralProbe. Records are sent as objects, e.g. requestTemplate {"features":"{{input}}"}
+ *     responses:
+ *       202:
+ *         description: Explainability report started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStarted'
+ *       400:
+ *         description: Invalid dataset, columns or endpoint, or unknown system
+ */
+router.post('/explainability',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.audit']),
+    evidenceUpload,
+    [
+        body('systemId')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('systemId must be between 1 and 200 characters'),
+        body(['predictionColumn', 'labelColumn', 'positiveLabel'])
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Must be between 1 and 100 characters'),
+        body('features')
+            .optional()
+            .customSanitizer(value => (typeof value === 'string' ?
+                value.split(',').map(feature => feature.trim()).filter(feature => feature.length > 0) : value))
+            .isArray({ min: 1, max: 50 })
+            .withMessage('features must list 1-50 comma-separated columns'),
+        body('decisionThreshold')
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('decisionThreshold must be between 0 and 1')
+            .toFloat(),
+        body('endpoint')
+            .optional()
+            .customSanitizer(value => {
+                if (typeof value !== 'string') return value;
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return value;
+                }
+            })
+            .custom(endpoint => endpoint && typeof endpoint === 'object' && !Array.isArray(endpoint) &&
+                typeof endpoint.url === 'string' &&
+                (endpoint.method === undefined || ADAPTER_METHODS.includes(String(endpoint.method).toUpperCase())))
+            .withMessage(`endpoint must be a JSON object with a url and a method of ${ADAPTER_METHODS.join(', ')}`)
+    ],
+    validateRequest,
+    TransparencyController.generateExplainabilityReport
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/jobs/{jobId}:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: Get the status of an audit run or explainability report
+ *     description: Progress of an audit run or explainability report. A completed run's result holds the reportId and reportUrl of its transparency report; a completed explainability report's result holds the evidenceId and contentUrl of the attached report. A failed job holds the error. Requires the transparency.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job status retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AsyncOperationStatus'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:jobId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.view']),
+    param('jobId')
+        .isUUID()
+        .withMessage('jobId must be a UUID'),
+    validateRequest,
+    TransparencyController.getJob
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/reports/{reportId}:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: Get a transparency report
+ *     description: Sections and findings of an audit run. Reports are no longer available once they expire. Requires the transparency.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Report retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/TransparencyReport'
+ *       404:
+ *         description: Report not found or expired
+ */
+router.get('/reports/:reportId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['transparency.view']),
+    param('reportId')
+        .isUUID()
+        .withMessage('reportId must be a UUID'),
+    validateRequest,
+    TransparencyController.getReport
+);
+
+/**
+ * @swagger
+ * /api/v1/transparency/health:
+ *   get:
+ *     tags: [Algorithm Transparency]
+ *     summary: Get Algorithm Transparency Engine health
+ *     description: Check the health status of the Algorithm Transparency Engine
+ *     responses:
+ *       200:
+ *         description: Health status retrieved
+ */
+router.get('/health',
+    TransparencyController.getHealth
+);
+
+module.exports = router;
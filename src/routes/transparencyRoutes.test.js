@@ -0,0 +1,64 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const transparencyRoutes = require('./transparencyRoutes');
+const TransparencyController = require('../controllers/TransparencyController');
+const { generateToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/transparency', transparencyRoutes);
+
+const tokenFor = (permissions) => `Bearer ${generateToken({
+    userId: 'user-1',
+    email: 'user@example.com',
+    role: 'enterprise_user',
+    organizationId: 'org-1',
+    permissions
+})}`;
+
+const viewer = tokenFor(['transparency.view']);
+const auditor = tokenFor(['transparency.view', 'transparency.audit']);
+const auditId = '3c9e1f7a-5b2d-4e8f-a1c3-7d9b2e4f6a8c';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('transparency routes', () => {
+    test('require authentication', async () => {
+        const response = await request(app).get('/api/v1/transparency/audits');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('require transparency.view to read audits', async () => {
+        const response = await request(app)
+            .get(`/api/v1/transparency/audits/${auditId}`)
+            .set('Authorization', tokenFor(['dashboard.view']));
+
+        expect(response.status).toBe(403);
+    });
+
+    test('require transparency.audit to run audits', async () => {
+        const startAuditRun = jest.spyOn(TransparencyController.transparencyService, 'startAuditRun')
+            .mockResolvedValue({ id: 'job-1' });
+
+        const denied = await request(app).post(`/api/v1/transparency/audits/${auditId}/runs`).set('Authorization', viewer);
+        expect(denied.status).toBe(403);
+        expect(startAuditRun).not.toHaveBeenCalled();
+
+        const started = await request(app).post(`/api/v1/transparency/audits/${auditId}/runs`).set('Authorization', auditor);
+        expect(started.status).toBe(202);
+        expect(startAuditRun).toHaveBeenCalledWith('org-1', auditId, 'user-1');
+    });
+
+    test('scope audits to the caller\'s organization', async () => {
+        const getAudit = jest.spyOn(TransparencyController.transparencyService, 'getAudit').mockResolvedValue(null);
+
+        const response = await request(app).get(`/api/v1/transparency/audits/${auditId}`).set('Authorization', viewer);
+
+        expect(response.status).toBe(404);
+        expect(getAudit).toHaveBeenCalledWith('org-1', auditId);
+    });
+});
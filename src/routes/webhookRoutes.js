@@ -0,0 +1,530 @@
+/**
+ * VoidGuard AI Governance Suite - Webhook Routes
+ *
+ * API routes for webhook subscriptions to governance events and their delivery log
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, param, validationResult } = require('express-validator');
+const WebhookController = require('../controllers/WebhookController');
+const { GOVERNANCE_EVENT_TYPES } = require('../services/GovernanceEvents');
+const { DELIVERY_STATUSES } = require('../services/WebhookStore');
+const { TEST_EVENT_TYPE } = require('../services/WebhookService');
+const auth = require('../middleware/auth');
+const { apiResponse } = require('../utils/responseHelpers');
+
+const router = express.Router();
+
+// Rate limiting for webhook endpoints
+const webhookRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 200, // limit each IP to 200 requests per windowMs
+    message: { error: 'Too many webhook requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Apply rate limiting to all webhook routes
+router.use(webhookRateLimit);
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return apiResponse.validationError(res, errors.array());
+    }
+    next();
+};
+
+// Event filters a subscription may use; '*' subscribes to every event
+const SUBSCRIBABLE_EVENTS = ['*', ...GOVERNANCE_EVENT_TYPES];
+
+const paginationValidators = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('limit must be between 1 and 100')
+];
+
+const subscriptionIdValidator = param('subscriptionId')
+    .isUUID()
+    .withMessage('subscriptionId must be a UUID');
+
+const deliveryIdValidator = param('deliveryId')
+    .isUUID()
+    .withMessage('deliveryId must be a UUID');
+
+// Fields of a subscription; the URL scheme and host are checked by the service
+const subscriptionFieldValidators = [
+    body('url')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('url must be between 1 and 2000 characters'),
+    body('description')
+        .optional({ values: 'null' })
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('description must be at most 500 characters'),
+    body('events')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('events must be a non-empty array'),
+    body('events.*')
+        .isIn(SUBSCRIBABLE_EVENTS)
+        .withMessage(`Event must be one of: ${SUBSCRIBABLE_EVENTS.join(', ')}`),
+    body('enabled')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('enabled must be a boolean')
+];
+
+/**
+ * @swagger
+ * /api/v1/webhooks/subscriptions:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List webhook subscriptions
+ *     description: Webhook subscriptions of the caller's organization, newest first. Secrets are not returned. Requires the webhooks.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Create a webhook subscription
+ *     description: |
+ *       Receive the organization's governance events as POST requests to a URL. The URL must use https; plain http
+ *       is accepted for localhost, e.g. for a local receiver. Hosts resolving to loopback, private or link-local
+ *       addresses are refused unless the address is listed in WEBHOOK_ALLOWED_HOSTS. Each request carries the event type in
+ *       X-VoidGuard-Event, the delivery id in X-VoidGuard-Delivery and a signature in X-VoidGuard-Signature:
+ *       `t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<request body>">`, keyed with the subscription secret. The
+ *       secret is only returned by this call (and when it is rotated). A delivery that does not get a 2xx response
+ *       is retried with exponential backoff. Requires the webhooks.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 description: Event types to receive; '*' receives every event
+ *                 items:
+ *                   type: string
+ *                   enum: ['*', validation.completed, system.non_compliant, waiver.expiring, remediation.overdue, oracle.analysis.completed, monitoring.compliance_regressed, monitoring.risk_level_increased]
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookSubscription'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: whsec_3f9c...
+ *       400:
+ *         description: Invalid URL or event filter
+ */
+router.get('/subscriptions',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.view']),
+    paginationValidators,
+    validateRequest,
+    WebhookController.listSubscriptions
+);
+
+router.post('/subscriptions',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.manage']),
+    [
+        body('url')
+            .exists()
+            .withMessage('url is required'),
+        body('events')
+            .exists()
+            .withMessage('events is required'),
+        ...subscriptionFieldValidators
+    ],
+    validateRequest,
+    WebhookController.createSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/subscriptions/{subscriptionId}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get a webhook subscription
+ *     description: Requires the webhooks.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Subscription not found
+ *   patch:
+ *     tags: [Webhooks]
+ *     summary: Update a webhook subscription
+ *     description: Change the URL, event filter or enabled state, or rotate the signing secret (the new secret is returned). Deliveries to a disabled subscription fail without being sent. Requires the webhooks.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               enabled:
+ *                 type: boolean
+ *               rotateSecret:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Invalid change
+ *       404:
+ *         description: Subscription not found
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Delete a webhook subscription
+ *     description: Deletes the subscription and its delivery log. Requires the webhooks.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/subscriptions/:subscriptionId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.view']),
+    subscriptionIdValidator,
+    validateRequest,
+    WebhookController.getSubscription
+);
+
+router.patch('/subscriptions/:subscriptionId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.manage']),
+    [
+        subscriptionIdValidator,
+        body()
+            .custom(value => Object.keys(value || {}).length > 0)
+            .withMessage('At least one field must be provided'),
+        ...subscriptionFieldValidators,
+        body('rotateSecret')
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('rotateSecret must be a boolean')
+    ],
+    validateRequest,
+    WebhookController.updateSubscription
+);
+
+router.delete('/subscriptions/:subscriptionId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.manage']),
+    subscriptionIdValidator,
+    validateRequest,
+    WebhookController.deleteSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/subscriptions/{subscriptionId}/test:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Send a test event
+ *     description: Deliver a webhook.test event to the subscription and return the delivery after its first attempt. Requires the webhooks.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Test event attempted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/subscriptions/:subscriptionId/test',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.manage']),
+    subscriptionIdValidator,
+    validateRequest,
+    WebhookController.testSubscription
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List webhook deliveries
+ *     description: Delivery log of the organization's subscriptions, newest first. Requires the webhooks.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ */
+router.get('/deliveries',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.view']),
+    [
+        ...paginationValidators,
+        query('subscriptionId')
+            .optional()
+            .isUUID()
+            .withMessage('subscriptionId must be a UUID'),
+        query('status')
+            .optional()
+            .isIn(DELIVERY_STATUSES)
+            .withMessage(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+        query('eventType')
+            .optional()
+            .isIn([...GOVERNANCE_EVENT_TYPES, TEST_EVENT_TYPE])
+            .withMessage(`eventType must be one of: ${[...GOVERNANCE_EVENT_TYPES, TEST_EVENT_TYPE].join(', ')}`)
+    ],
+    validateRequest,
+    WebhookController.listDeliveries
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get a webhook delivery
+ *     description: A delivery with its event payload and the outcome of its last attempt. Requires the webhooks.view permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/deliveries/:deliveryId',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.view']),
+    deliveryIdValidator,
+    validateRequest,
+    WebhookController.getDelivery
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Replay a webhook delivery
+ *     description: Deliver the same event (with the same event id) to the subscription again as a new delivery, returned after its first attempt. Requires the webhooks.manage permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Replay attempted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ */
+router.post('/deliveries/:deliveryId/replay',
+    auth.authenticate,
+    auth.requireOrganization(),
+    auth.requirePermission(['webhooks.manage']),
+    deliveryIdValidator,
+    validateRequest,
+    WebhookController.replayDelivery
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/health:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get webhook health
+ *     description: Check the health status of webhook delivery and whether this replica runs the dispatcher
+ *     responses:
+ *       200:
+ *         description: Health status retrieved
+ */
+router.get('/health',
+    WebhookController.getHealth
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const webhookRoutes = require('./webhookRoutes');
+const WebhookController = require('../controllers/WebhookController');
+const { generateToken } = require('../middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/webhooks', webhookRoutes);
+
+const tokenFor = (permissions) => `Bearer ${generateToken({
+    userId: 'user-1',
+    email: 'user@example.com',
+    role: 'enterprise_user',
+    organizationId: 'org-1',
+    permissions
+})}`;
+
+const viewer = tokenFor(['webhooks.view']);
+const manager = tokenFor(['webhooks.view', 'webhooks.manage']);
+const deliveryId = '4e2a8c6f-0b3d-4f7a-9c1e-5a7b9d1f3c5e';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('webhook routes', () => {
+    test('require authentication', async () => {
+        const response = await request(app).get('/api/v1/webhooks/subscriptions');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('require webhooks.view to list deliveries', async () => {
+        const response = await request(app).get('/api/v1/webhooks/deliveries').set('Authorization', tokenFor(['dashboard.view']));
+
+        expect(response.status).toBe(403);
+    });
+
+    test('require webhooks.manage to subscribe and replay', async () => {
+        const createSubscription = jest.spyOn(WebhookController.webhookService, 'createSubscription')
+            .mockResolvedValue({ subscription: { id: 'subscription-1', url: 'https://hooks.example.com/voidguard' }, error: null });
+        const subscription = { url: 'https://hooks.example.com/voidguard', events: ['validation.completed'] };
+
+        const denied = await request(app).post('/api/v1/webhooks/subscriptions').set('Authorization', viewer).send(subscription);
+        const deniedReplay = await request(app).post(`/api/v1/webhooks/deliveries/${deliveryId}/replay`).set('Authorization', viewer);
+        expect(denied.status).toBe(403);
+        expect(deniedReplay.status).toBe(403);
+        expect(createSubscription).not.toHaveBeenCalled();
+
+        const created = await request(app).post('/api/v1/webhooks/subscriptions').set('Authorization', manager).send(subscription);
+        expect(created.status).toBe(201);
+        expect(createSubscription).toHaveBeenCalledWith('org-1', expect.objectContaining({ url: subscription.url }), 'user-1');
+    });
+
+    test('reject subscriptions to non-public addresses', async () => {
+        const response = await request(app)
+            .post('/api/v1/webhooks/subscriptions')
+            .set('Authorization', manager)
+            .send({ url: 'https://169.254.169.254/latest/meta-data', events: ['validation.completed'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toMatch(/non-public address/);
+    });
+});
@@ -0,0 +1,322 @@
+/**
+ * VoidGuard AI Governance Suite - AI System Registry
+ *
+ * Inventory of AI systems per organization (data/migrations/002_create_ai_systems.sql).
+ * A registry entry holds the governance metadata (owner, purpose, model
+ * version, data sources, lifecycle state) and the AISystem definition that
+ * is validated by the VoidGuard Safety Engine.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const LIFECYCLE_STATES = ['proposed', 'in_development', 'production', 'retired'];
+
+// Allowed lifecycle transitions; retired systems stay retired
+const LIFECYCLE_TRANSITIONS = {
+    proposed: ['in_development', 'retired'],
+    in_development: ['proposed', 'production', 'retired'],
+    production: ['in_development', 'retired'],
+    retired: []
+};
+
+// Fields stored in dedicated columns; everything else goes to the definition
+const COLUMN_FIELDS = {
+    name: 'name',
+    type: 'type',
+    description: 'description',
+    owner: 'owner',
+    purpose: 'purpose',
+    modelVersion: 'model_version',
+    dataSources: 'data_sources',
+    lifecycleState: 'lifecycle_state'
+};
+
+/**
+ * Map an ai_systems row to a registry entry
+ * @private
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        name: row.name,
+        type: row.type,
+        description: row.description,
+        owner: row.owner,
+        purpose: row.purpose,
+        modelVersion: row.model_version,
+        dataSources: row.data_sources,
+        lifecycleState: row.lifecycle_state,
+        definition: row.definition,
+        createdBy: row.created_by,
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString()
+    };
+}
+
+/**
+ * Split a submitted system into column fields and the AISystem definition
+ * @private
+ */
+function splitFields(system) {
+    // `id` is immutable and `version` is accepted as an alias of modelVersion
+    const { id, version, ...fields } = system;
+    const columns = {};
+    const definition = {};
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (COLUMN_FIELDS[key]) {
+            columns[key] = value;
+        } else {
+            definition[key] = value;
+        }
+    });
+
+    if (version !== undefined && columns.modelVersion === undefined) {
+        columns.modelVersion = version;
+    }
+
+    return { columns, definition };
+}
+
+/**
+ * Build the AISystem validated by the safety engine from a registry entry
+ * @param {Object} entry - Registry entry
+ * @returns {Object} AISystem
+ */
+function toAISystem(entry) {
+    const aiSystem = {
+        ...entry.definition,
+        id: entry.id,
+        name: entry.name,
+        type: entry.type,
+        owner: entry.owner,
+        dataSources: entry.dataSources,
+        lifecycleState: entry.lifecycleState
+    };
+
+    if (entry.description) aiSystem.description = entry.description;
+    if (entry.purpose) aiSystem.purpose = entry.purpose;
+    if (entry.modelVersion) aiSystem.version = entry.modelVersion;
+
+    return aiSystem;
+}
+
+class AISystemRegistry {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'AISystemRegistry' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Register an AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} system - AISystem fields plus owner, modelVersion, dataSources, lifecycleState
+     * @param {string} userId - Registering user
+     * @returns {Object|null} Registry entry, or null if the id is already registered
+     */
+    async create(organizationId, system, userId) {
+        const { columns, definition } = splitFields(system);
+
+        const { rows } = await this.db.query(
+            `INSERT INTO ai_systems
+                (organization_id, id, name, type, description, owner, purpose, model_version,
+                 data_sources, lifecycle_state, definition, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             ON CONFLICT (organization_id, id) DO NOTHING
+             RETURNING *`,
+            [
+                organizationId,
+                system.id,
+                columns.name,
+                columns.type,
+                columns.description || null,
+                columns.owner,
+                columns.purpose || null,
+                columns.modelVersion || null,
+                JSON.stringify(columns.dataSources || []),
+                columns.lifecycleState || 'proposed',
+                JSON.stringify(definition),
+                userId || null
+            ]
+        );
+
+        if (rows.length === 0) return null;
+
+        this.logger.info('AI system registered', { organizationId, systemId: system.id, userId });
+        return fromRow(rows[0]);
+    }
+
+    /**
+     * Get a registered AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @returns {Object|null} Registry entry
+     */
+    async get(organizationId, systemId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM ai_systems WHERE organization_id = $1 AND id = $2',
+            [organizationId, systemId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * List registered AI systems
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - lifecycleState, owner, type
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { systems, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        [['lifecycleState', 'lifecycle_state'], ['owner', 'owner'], ['type', 'type']].forEach(([filter, column]) => {
+            if (filters[filter]) {
+                params.push(filters[filter]);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        });
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM ai_systems WHERE ${where}
+                 ORDER BY name ASC, id ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM ai_systems WHERE ${where}`, params)
+        ]);
+
+        return {
+            systems: rows.map(fromRow),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Lifecycle state of every system in an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array} [{ id, lifecycleState }]
+     */
+    async listStates(organizationId) {
+        const { rows } = await this.db.query(
+            'SELECT id, lifecycle_state FROM ai_systems WHERE organization_id = $1',
+            [organizationId]
+        );
+
+        return rows.map(row => ({ id: row.id, lifecycleState: row.lifecycle_state }));
+    }
+
+    /**
+     * Update a registered AI system
+     *
+     * Column fields are replaced; definition fields are merged into the stored
+     * definition (set a field to null to clear it).
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {Object} changes - Fields to change
+     * @returns {Object} { system, previous, error } - system is null when not found or rejected
+     */
+    async update(organizationId, systemId, changes) {
+        const previous = await this.get(organizationId, systemId);
+        if (!previous) {
+            return { system: null, previous: null, error: null };
+        }
+
+        const { columns, definition } = splitFields(changes);
+
+        if (columns.lifecycleState && columns.lifecycleState !== previous.lifecycleState &&
+            !LIFECYCLE_TRANSITIONS[previous.lifecycleState].includes(columns.lifecycleState)) {
+            return {
+                system: null,
+                previous,
+                error: `Cannot move a ${previous.lifecycleState} system to ${columns.lifecycleState}`
+            };
+        }
+
+        const mergedDefinition = { ...previous.definition, ...definition };
+        Object.keys(mergedDefinition).forEach(key => {
+            if (mergedDefinition[key] === null) delete mergedDefinition[key];
+        });
+
+        const assignments = ['definition = $3', 'updated_at = NOW()'];
+        const params = [organizationId, systemId, JSON.stringify(mergedDefinition)];
+        Object.entries(columns).forEach(([field, value]) => {
+            params.push(field === 'dataSources' ? JSON.stringify(value) : value);
+            assignments.push(`${COLUMN_FIELDS[field]} = $${params.length}`);
+        });
+
+        const { rows } = await this.db.query(
+            `UPDATE ai_systems SET ${assignments.join(', ')}
+             WHERE organization_id = $1 AND id = $2 RETURNING *`,
+            params
+        );
+
+        this.logger.info('AI system updated', { organizationId, systemId, fields: Object.keys(changes) });
+        return { system: rows.length > 0 ? fromRow(rows[0]) : null, previous, error: null };
+    }
+
+    /**
+     * Remove a system from the registry (its validation history is kept)
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @returns {boolean} True if the system existed
+     */
+    async delete(organizationId, systemId) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM ai_systems WHERE organization_id = $1 AND id = $2',
+            [organizationId, systemId]
+        );
+
+        if (rowCount > 0) {
+            this.logger.info('AI system removed from registry', { organizationId, systemId });
+        }
+        return rowCount > 0;
+    }
+}
+
+module.exports = { AISystemRegistry, toAISystem, LIFECYCLE_STATES, LIFECYCLE_TRANSITIONS };
@@ -0,0 +1,310 @@
+/**
+ * VoidGuard AI Governance Suite - Async Jobs
+ *
+ * Long-running operations started with a 202 (apiResponse.asyncStarted) and
+ * polled through apiResponse.operationStatus. Job state is persisted
+ * (data/migrations/007_create_transparency_audits.sql) so any replica can
+ * report it; the work itself runs in the process that started the job.
+ *
+ * A job cancelled from any replica stays cancelled: its handler learns of it
+ * from its next progress report, heartbeat or cancellation check (its
+ * signal is then aborted), and whatever result it returns is kept as the
+ * job's partial result.
+ *
+ * While a job runs, its process refreshes it every ASYNC_JOB_HEARTBEAT_INTERVAL
+ * seconds. A queued or running job left without a heartbeat for three
+ * intervals belonged to a process that stopped (restart, crash): it is
+ * failed as interrupted when a replica starts, or when the job is read.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+// Heartbeats a job may miss before it counts as interrupted
+const MISSED_HEARTBEATS = 3;
+const INTERRUPTED_ERROR = 'The process running the job stopped before it finished';
+
+/**
+ * Positive integer from the environment
+ * @private
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * Map an async_jobs row to a job
+ * @private
+ */
+function fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        type: row.job_type,
+        status: row.status,
+        progress: Number(row.progress),
+        message: row.message,
+        params: row.params,
+        result: row.result,
+        error: row.error,
+        createdBy: row.created_by,
+        createdAt: timestamp(row.created_at),
+        updatedAt: timestamp(row.updated_at),
+        startedAt: timestamp(row.started_at),
+        completedAt: timestamp(row.completed_at)
+    };
+}
+
+class AsyncJobs {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     * @param {number} options.heartbeatMs - Heartbeat interval of running jobs
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.heartbeatMs = options.heartbeatMs || envInt('ASYNC_JOB_HEARTBEAT_INTERVAL', 30) * 1000;
+        this.logger = logger.child({ component: 'AsyncJobs' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Create a queued job
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} job - { type, params }
+     * @param {string} userId - Requesting user
+     * @returns {Object} Job
+     */
+    async create(organizationId, { type, params = {} }, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO async_jobs (id, organization_id, job_type, params, created_by, message)
+             VALUES ($1, $2, $3, $4, $5, 'Queued')
+             RETURNING *`,
+            [uuidv4(), organizationId, type, JSON.stringify(params), userId || null]
+        );
+
+        return fromRow(rows[0]);
+    }
+
+    /**
+     * Get a job
+     * @param {string} organizationId - Organization identifier
+     * @param {string} jobId - Job identifier
+     * @param {Object} options - Options
+     * @param {string|Array<string>} options.type - Only return a job of this type (or types)
+     * @returns {Object|null} Job
+     */
+    async get(organizationId, jobId, options = {}) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM async_jobs WHERE organization_id = $1 AND id = $2',
+            [organizationId, jobId]
+        );
+
+        if (rows.length === 0 || (options.type && ![].concat(options.type).includes(rows[0].job_type))) {
+            return null;
+        }
+
+        const job = fromRow(rows[0]);
+        if (['queued', 'running'].includes(job.status) && this.isStale(job)) {
+            const [interrupted] = await this.failInterrupted({ jobId });
+            return interrupted || this.get(organizationId, jobId, options);
+        }
+        return job;
+    }
+
+    /**
+     * Whether a job has been cancelled
+     * @private
+     */
+    async isCancelled(jobId) {
+        const { rows } = await this.db.query('SELECT status FROM async_jobs WHERE id = $1', [jobId]);
+        return rows.length > 0 && rows[0].status === 'cancelled';
+    }
+
+    /**
+     * Whether a job has gone without a heartbeat for too long
+     * @private
+     */
+    isStale(job) {
+        return Date.parse(job.updatedAt) < Date.now() - this.heartbeatMs * MISSED_HEARTBEATS;
+    }
+
+    /**
+     * Fail the queued and running jobs whose process stopped before they finished
+     * @param {Object} options - Options
+     * @param {string} options.jobId - Only this job
+     * @returns {Array<Object>} Jobs marked as failed
+     */
+    async failInterrupted(options = {}) {
+        const params = [INTERRUPTED_ERROR, new Date(Date.now() - this.heartbeatMs * MISSED_HEARTBEATS)];
+        if (options.jobId) {
+            params.push(options.jobId);
+        }
+
+        const { rows } = await this.db.query(
+            `UPDATE async_jobs SET status = 'failed', message = 'Interrupted', error = $1,
+                updated_at = NOW(), completed_at = NOW()
+             WHERE status IN ('queued', 'running') AND updated_at < $2${options.jobId ? ' AND id = $3' : ''}
+             RETURNING *`,
+            params
+        );
+
+        rows.forEach(row => this.logger.warn('Interrupted job failed', { jobId: row.id, type: row.job_type }));
+        return rows.map(fromRow);
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} organizationId - Organization identifier
+     * @param {string} jobId - Job identifier
+     * @param {Object} options - Options
+     * @param {string|Array<string>} options.type - Only cancel a job of this type (or types)
+     * @returns {Object|null} { job, cancelled } - cancelled is false when the job had already finished;
+     *   null when the job does not exist
+     */
+    async cancel(organizationId, jobId, options = {}) {
+        const job = await this.get(organizationId, jobId, options);
+        if (!job) return null;
+
+        const { rows } = await this.db.query(
+            `UPDATE async_jobs SET status = 'cancelled', message = 'Cancelled', updated_at = NOW(), completed_at = NOW()
+             WHERE id = $1 AND status IN ('queued', 'running')
+             RETURNING *`,
+            [jobId]
+        );
+
+        return rows.length > 0 ? { job: fromRow(rows[0]), cancelled: true } : { job, cancelled: false };
+    }
+
+    /**
+     * Update the state of a job that has not been cancelled
+     * @private
+     * @returns {boolean} False when the job has been cancelled
+     */
+    async update(jobId, { status, progress, message, result, error }) {
+        const { rowCount } = await this.db.query(
+            `UPDATE async_jobs SET
+                status = COALESCE($2, status),
+                progress = COALESCE($3, progress),
+                message = COALESCE($4, message),
+                result = COALESCE($5, result),
+                error = COALESCE($6, error),
+                updated_at = NOW(),
+                started_at = CASE WHEN $2 = 'running' THEN NOW() ELSE started_at END,
+                completed_at = CASE WHEN $2 IN ('completed', 'failed') THEN NOW() ELSE completed_at END
+             WHERE id = $1 AND status <> 'cancelled'`,
+            [
+                jobId,
+                status || null,
+                progress === undefined ? null : progress,
+                message || null,
+                result === undefined ? null : JSON.stringify(result),
+                error || null
+            ]
+        );
+
+        return rowCount > 0;
+    }
+
+    /**
+     * Run a job in the background
+     *
+     * The handler receives a progress reporter (progress 0-1, message and,
+     * optionally, the partial result so far) that resolves to false once the
+     * job has been cancelled, a cancellation check that resolves to true once
+     * it has, and a signal aborted as soon as either notices it (or a
+     * heartbeat finds the job no longer running). It resolves with the job
+     * result; a rejection fails the job. Returns immediately; the job's state
+     * tracks the run.
+     *
+     * @param {Object} job - Job returned by create()
+     * @param {Function} handler - async ({ progress, cancelled, signal }) => result
+     */
+    run(job, handler) {
+        const controller = new AbortController();
+        const progress = async (value, message, result) => {
+            const running = await this.update(job.id, { progress: value, message, result });
+            if (!running) controller.abort();
+            return running;
+        };
+        const cancelled = async () => {
+            if (!controller.signal.aborted && await this.isCancelled(job.id)) controller.abort();
+            return controller.signal.aborted;
+        };
+
+        setImmediate(async () => {
+            // Tells other replicas the job is still being worked on between progress reports
+            const heartbeat = setInterval(() => {
+                this.db.query(`UPDATE async_jobs SET updated_at = NOW() WHERE id = $1 AND status = 'running'`, [job.id])
+                    .then(({ rowCount }) => {
+                        if (rowCount === 0) controller.abort();
+                    })
+                    .catch(error => this.logger.warn('Job heartbeat failed', { jobId: job.id, error: error.message }));
+            }, this.heartbeatMs);
+            heartbeat.unref();
+
+            try {
+                if (!await this.update(job.id, { status: 'running', message: 'Running' })) {
+                    this.logger.info('Job cancelled before it started', { jobId: job.id, type: job.type });
+                    return;
+                }
+                const result = await handler({ progress, cancelled, signal: controller.signal });
+                if (!await this.update(job.id, { status: 'completed', progress: 1, message: 'Completed', result })) {
+                    // Cancelled while running: keep what the handler got done
+                    if (result !== undefined) {
+                        await this.db.query(
+                            'UPDATE async_jobs SET result = $2, updated_at = NOW() WHERE id = $1',
+                            [job.id, JSON.stringify(result)]
+                        );
+                    }
+                    this.logger.info('Job cancelled', { jobId: job.id, type: job.type });
+                    return;
+                }
+                this.logger.info('Job completed', { jobId: job.id, type: job.type });
+            } catch (error) {
+                this.logger.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+                // The job row may be unreachable too (database down); never let this escape
+                await this.update(job.id, { status: 'failed', message: 'Failed', error: error.message })
+                    .catch(updateError => this.logger.error('Failed to record job failure', {
+                        jobId: job.id,
+                        error: updateError.message
+                    }));
+            } finally {
+                clearInterval(heartbeat);
+            }
+        });
+    }
+}
+
+module.exports = { AsyncJobs, JOB_STATUSES };
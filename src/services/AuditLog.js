@@ -0,0 +1,405 @@
+/**
+ * VoidGuard AI Governance Suite - Tamper-Evident Audit Log
+ *
+ * Append-only audit events stored in PostgreSQL (data/migrations/001_create_audit_events.sql).
+ * Every organization has its own hash chain: each event's hash covers its
+ * content and the previous event's hash, and audit_chain_heads records the
+ * latest link. Verification recomputes the chain and reports modified,
+ * missing and truncated events.
+ *
+ * The hashes are HMAC-SHA256 keyed with VOIDGUARD_AUDIT_CHAIN_KEY. Without a
+ * key they are plain SHA-256, which anyone able to write to the tables can
+ * recompute after rewriting an event, so only a keyed chain shows deliberate
+ * modification.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool, withTransaction } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const GENESIS_HASH = '0'.repeat(64);
+// Chain for events raised outside an organization context
+const SYSTEM_CHAIN = '_system';
+const VERIFY_BATCH_SIZE = 1000;
+const MAX_REPORTED_ISSUES = 100;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so hashes do not depend
+ * on key order (JSONB does not preserve it)
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of an audit entry, chained to the previous entry
+ * @param {Object} entry - Audit entry (without hash)
+ * @param {string} key - Chain key (plain SHA-256 without one)
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+function computeHash(entry, key = null) {
+    const hash = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+
+    return hash.update(canonicalize({
+        id: entry.id,
+        organizationId: entry.organizationId,
+        sequence: entry.sequence,
+        type: entry.type,
+        userId: entry.userId,
+        systemId: entry.systemId,
+        timestamp: entry.timestamp,
+        payload: entry.payload,
+        prevHash: entry.prevHash
+    })).digest('hex');
+}
+
+/**
+ * Describe a range of chain positions
+ * @private
+ */
+const describeRange = (from, to) => (from === to ? `Event ${from} is` : `Events ${from} to ${to} are`);
+
+/**
+ * Map an audit_events row to an audit entry
+ * @private
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        sequence: Number(row.sequence),
+        type: row.event_type,
+        userId: row.user_id,
+        systemId: row.system_id,
+        timestamp: new Date(row.occurred_at).toISOString(),
+        payload: row.payload,
+        prevHash: row.prev_hash,
+        hash: row.hash
+    };
+}
+
+/**
+ * Flatten an entry into the event shape returned by the API
+ * @private
+ */
+function toEvent(entry) {
+    return {
+        ...entry.payload,
+        id: entry.id,
+        sequence: entry.sequence,
+        type: entry.type,
+        organizationId: entry.organizationId === SYSTEM_CHAIN ? null : entry.organizationId,
+        userId: entry.userId,
+        systemId: entry.systemId,
+        timestamp: entry.timestamp,
+        hash: entry.hash,
+        prevHash: entry.prevHash
+    };
+}
+
+class AuditLog {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     * @param {string} options.chainKey - Key of the chain hashes (defaults to VOIDGUARD_AUDIT_CHAIN_KEY)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.chainKey = options.chainKey || process.env.VOIDGUARD_AUDIT_CHAIN_KEY || null;
+        this.logger = logger.child({ component: 'AuditLog' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Append an event to its organization's chain
+     * @param {Object} event - Audit event (type, organizationId, userId, systemId, timestamp, ...payload)
+     * @returns {Object} Stored event with sequence and hash
+     */
+    async append(event) {
+        const { type, organizationId, userId, systemId, timestamp, ...payload } = event;
+        const chain = organizationId || SYSTEM_CHAIN;
+
+        const entry = await withTransaction(this.db, async (client) => {
+            // The head row lock serializes appends to the same chain
+            await client.query(
+                `INSERT INTO audit_chain_heads (organization_id, sequence, hash)
+                 VALUES ($1, 0, $2) ON CONFLICT (organization_id) DO NOTHING`,
+                [chain, GENESIS_HASH]
+            );
+            const { rows: [head] } = await client.query(
+                'SELECT sequence, hash FROM audit_chain_heads WHERE organization_id = $1 FOR UPDATE',
+                [chain]
+            );
+
+            const next = {
+                id: uuidv4(),
+                organizationId: chain,
+                sequence: Number(head.sequence) + 1,
+                type,
+                userId: userId || null,
+                systemId: systemId || null,
+                timestamp: new Date(timestamp || Date.now()).toISOString(),
+                // Round-trip through JSON so the hash covers exactly what JSONB stores
+                payload: JSON.parse(JSON.stringify(payload)),
+                prevHash: head.hash
+            };
+            next.hash = computeHash(next, this.chainKey);
+
+            await client.query(
+                `INSERT INTO audit_events
+                    (id, organization_id, sequence, event_type, user_id, system_id, payload, occurred_at, prev_hash, hash)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+                [next.id, next.organizationId, next.sequence, next.type, next.userId, next.systemId,
+                    JSON.stringify(next.payload), next.timestamp, next.prevHash, next.hash]
+            );
+            await client.query(
+                'UPDATE audit_chain_heads SET sequence = $2, hash = $3, updated_at = NOW() WHERE organization_id = $1',
+                [chain, next.sequence, next.hash]
+            );
+
+            return next;
+        });
+
+        this.logger.info('Audit event logged', {
+            eventType: entry.type,
+            eventId: entry.id,
+            organizationId: organizationId || null,
+            sequence: entry.sequence
+        });
+
+        return toEvent(entry);
+    }
+
+    /**
+     * Build the WHERE clause for event filters
+     * @private
+     */
+    buildFilter(filters) {
+        const conditions = ['organization_id = $1'];
+        const params = [filters.organizationId || SYSTEM_CHAIN];
+
+        if (filters.type) {
+            params.push(filters.type);
+            conditions.push(`event_type = $${params.length}`);
+        }
+        if (filters.systemId) {
+            params.push(filters.systemId);
+            conditions.push(`system_id = $${params.length}`);
+        }
+        if (filters.startDate) {
+            params.push(new Date(filters.startDate).toISOString());
+            conditions.push(`occurred_at >= $${params.length}`);
+        }
+        if (filters.endDate) {
+            params.push(new Date(filters.endDate).toISOString());
+            conditions.push(`occurred_at <= $${params.length}`);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    /**
+     * List events, newest first
+     * @param {Object} filters - organizationId, type, systemId, startDate, endDate
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { events, pagination }
+     */
+    async list(filters = {}, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+        const { where, params } = this.buildFilter(filters);
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM audit_events WHERE ${where}
+                 ORDER BY sequence DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM audit_events WHERE ${where}`, params)
+        ]);
+
+        return {
+            events: rows.map(row => toEvent(fromRow(row))),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Aggregate safety validation events for the compliance dashboard
+     * @param {Object} filters - organizationId, startDate, endDate
+     * @returns {Object} Validation counts and average scores
+     */
+    async summarizeValidations(filters = {}) {
+        const { where, params } = this.buildFilter({ ...filters, type: 'safety_validation' });
+        const score = "(payload->'result'->>'score')::double precision";
+        const last30Days = "occurred_at >= NOW() - INTERVAL '30 days'";
+        const last7Days = "occurred_at >= NOW() - INTERVAL '7 days'";
+
+        const { rows: [summary] } = await this.db.query(
+            `SELECT COUNT(*)::int AS total,
+                    COALESCE(SUM(CASE WHEN payload->'result'->>'status' = 'compliant' THEN 1 ELSE 0 END), 0)::int AS compliant,
+                    COALESCE(AVG(${score}), 0) AS average_score,
+                    COALESCE(SUM(CASE WHEN ${last30Days} THEN 1 ELSE 0 END), 0)::int AS last_30_days,
+                    COALESCE(SUM(CASE WHEN ${last7Days} THEN 1 ELSE 0 END), 0)::int AS last_7_days,
+                    COALESCE(AVG(CASE WHEN ${last30Days} THEN ${score} END), 0) AS average_score_last_30_days
+             FROM audit_events WHERE ${where}`,
+            params
+        );
+
+        return {
+            total: summary.total,
+            compliant: summary.compliant,
+            averageScore: Number(summary.average_score),
+            last30Days: summary.last_30_days,
+            last7Days: summary.last_7_days,
+            averageScoreLast30Days: Number(summary.average_score_last_30_days)
+        };
+    }
+
+    /**
+     * Verify an organization's hash chain
+     *
+     * Detects modified events (hash mismatch), deleted events (sequence gaps
+     * and broken links) and deleted recent events (chain shorter than its head).
+     * An unkeyed chain rewritten with recomputed hashes still verifies.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} Verification report
+     */
+    async verify(organizationId) {
+        const chain = organizationId || SYSTEM_CHAIN;
+        const issues = [];
+        const report = (issue) => {
+            if (issues.length < MAX_REPORTED_ISSUES) issues.push(issue);
+        };
+
+        let expectedSequence = 1;
+        let previousHash = GENESIS_HASH;
+        let eventsVerified = 0;
+
+        for (;;) {
+            const { rows } = await this.db.query(
+                `SELECT * FROM audit_events WHERE organization_id = $1 AND sequence >= $2
+                 ORDER BY sequence ASC LIMIT $3`,
+                [chain, expectedSequence, VERIFY_BATCH_SIZE]
+            );
+            if (rows.length === 0) break;
+
+            rows.map(fromRow).forEach(entry => {
+                if (entry.sequence !== expectedSequence) {
+                    report({
+                        type: 'missing',
+                        sequence: expectedSequence,
+                        message: `${describeRange(expectedSequence, entry.sequence - 1)} missing`
+                    });
+                } else if (entry.prevHash !== previousHash) {
+                    report({
+                        type: 'broken_link',
+                        sequence: entry.sequence,
+                        eventId: entry.id,
+                        message: 'Previous hash does not match the preceding event'
+                    });
+                }
+                if (computeHash(entry, this.chainKey) !== entry.hash) {
+                    report({
+                        type: 'modified',
+                        sequence: entry.sequence,
+                        eventId: entry.id,
+                        message: 'Event content does not match its hash'
+                    });
+                }
+
+                expectedSequence = entry.sequence + 1;
+                previousHash = entry.hash;
+                eventsVerified++;
+            });
+        }
+
+        const { rows: [head] } = await this.db.query(
+            'SELECT sequence, hash FROM audit_chain_heads WHERE organization_id = $1',
+            [chain]
+        );
+        const headSequence = head ? Number(head.sequence) : 0;
+        const lastSequence = expectedSequence - 1;
+
+        if (headSequence > lastSequence) {
+            report({
+                type: 'truncated',
+                sequence: lastSequence + 1,
+                message: `${describeRange(lastSequence + 1, headSequence)} missing from the end of the chain`
+            });
+        } else if (head && (headSequence !== lastSequence || head.hash !== previousHash)) {
+            report({
+                type: 'head_mismatch',
+                sequence: headSequence,
+                message: 'Chain head does not match the latest event'
+            });
+        }
+
+        const result = {
+            organizationId: organizationId || null,
+            valid: issues.length === 0,
+            keyed: Boolean(this.chainKey),
+            eventsVerified,
+            head: { sequence: headSequence, hash: head ? head.hash : GENESIS_HASH },
+            issues,
+            verifiedAt: new Date().toISOString()
+        };
+
+        this.logger.info('Audit chain verified', {
+            organizationId: result.organizationId,
+            valid: result.valid,
+            eventsVerified,
+            issues: issues.length
+        });
+
+        return result;
+    }
+}
+
+module.exports = { AuditLog, canonicalize, computeHash, GENESIS_HASH };
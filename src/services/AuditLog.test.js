@@ -0,0 +1,163 @@
+const { AuditLog, canonicalize, computeHash, GENESIS_HASH } = require('./AuditLog');
+
+/**
+ * Hash-chained entries of one organization, as append() stores them
+ */
+function buildChain(length, { organizationId = 'org-1', key = null } = {}) {
+    const entries = [];
+    let prevHash = GENESIS_HASH;
+    for (let sequence = 1; sequence <= length; sequence++) {
+        const entry = {
+            id: `event-${sequence}`,
+            organizationId,
+            sequence,
+            type: 'validation_completed',
+            userId: 'user-1',
+            systemId: 'system-1',
+            timestamp: new Date(Date.UTC(2026, 0, 1, 0, sequence)).toISOString(),
+            payload: { complianceScore: sequence / 10, checks: ['bias', 'privacy'] },
+            prevHash
+        };
+        entry.hash = computeHash(entry, key);
+        prevHash = entry.hash;
+        entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * Pool answering the queries of verify() from in-memory rows
+ */
+function poolOf(entries, head) {
+    const rows = entries.map(entry => ({
+        id: entry.id,
+        organization_id: entry.organizationId,
+        sequence: String(entry.sequence),
+        event_type: entry.type,
+        user_id: entry.userId,
+        system_id: entry.systemId,
+        occurred_at: entry.timestamp,
+        payload: entry.payload,
+        prev_hash: entry.prevHash,
+        hash: entry.hash
+    }));
+
+    return {
+        async query(text, params) {
+            if (text.includes('FROM audit_chain_heads')) {
+                return { rows: head ? [head] : [] };
+            }
+            const [chain, fromSequence, limit] = params;
+            return {
+                rows: rows
+                    .filter(row => row.organization_id === chain && Number(row.sequence) >= fromSequence)
+                    .sort((a, b) => a.sequence - b.sequence)
+                    .slice(0, limit)
+            };
+        }
+    };
+}
+
+const headOf = (entries) => ({
+    sequence: String(entries.length),
+    hash: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH
+});
+
+describe('canonicalize', () => {
+    test('sorts object keys at every level and drops undefined values', () => {
+        expect(canonicalize({ b: 1, a: { d: [1, undefined], c: 'x' }, e: undefined }))
+            .toBe('{"a":{"c":"x","d":[1,null]},"b":1}');
+    });
+
+    test('hashes do not depend on key order', () => {
+        const [entry] = buildChain(1);
+        const reordered = { ...entry, payload: { checks: entry.payload.checks, complianceScore: entry.payload.complianceScore } };
+
+        expect(computeHash(reordered)).toBe(entry.hash);
+    });
+});
+
+describe('AuditLog.verify', () => {
+    test('accepts an intact chain', async () => {
+        const entries = buildChain(5);
+        const result = await new AuditLog({ pool: poolOf(entries, headOf(entries)) }).verify('org-1');
+
+        expect(result.valid).toBe(true);
+        expect(result.keyed).toBe(false);
+        expect(result.eventsVerified).toBe(5);
+        expect(result.head.hash).toBe(entries[4].hash);
+    });
+
+    test('accepts an empty chain', async () => {
+        const result = await new AuditLog({ pool: poolOf([], null) }).verify('org-1');
+
+        expect(result.valid).toBe(true);
+        expect(result.eventsVerified).toBe(0);
+    });
+
+    test('detects a modified event', async () => {
+        const entries = buildChain(5);
+        const head = headOf(entries);
+        entries[2].payload = { ...entries[2].payload, complianceScore: 1 };
+
+        const result = await new AuditLog({ pool: poolOf(entries, head) }).verify('org-1');
+
+        expect(result.valid).toBe(false);
+        expect(result.issues).toEqual([expect.objectContaining({ type: 'modified', sequence: 3, eventId: 'event-3' })]);
+    });
+
+    test('detects deleted events in the middle of the chain', async () => {
+        const entries = buildChain(6);
+        const head = headOf(entries);
+
+        const result = await new AuditLog({ pool: poolOf([...entries.slice(0, 2), ...entries.slice(4)], head) }).verify('org-1');
+
+        expect(result.issues).toEqual([
+            expect.objectContaining({ type: 'missing', sequence: 3, message: 'Events 3 to 4 are missing' })
+        ]);
+    });
+
+    test('detects a rewritten chain whose links no longer match', async () => {
+        const entries = buildChain(3);
+        const head = headOf(entries);
+        entries[1].prevHash = 'f'.repeat(64);
+        entries[1].hash = computeHash(entries[1]);
+
+        const result = await new AuditLog({ pool: poolOf(entries, head) }).verify('org-1');
+
+        expect(result.issues.map(issue => issue.type)).toEqual(['broken_link', 'broken_link']);
+    });
+
+    test('detects events deleted from the end of the chain', async () => {
+        const entries = buildChain(4);
+        const head = headOf(entries);
+
+        const result = await new AuditLog({ pool: poolOf(entries.slice(0, 2), head) }).verify('org-1');
+
+        expect(result.issues).toEqual([
+            expect.objectContaining({ type: 'truncated', sequence: 3, message: 'Events 3 to 4 are missing from the end of the chain' })
+        ]);
+    });
+
+    test('accepts an intact keyed chain', async () => {
+        const entries = buildChain(3, { key: 'chain-key' });
+        const result = await new AuditLog({ pool: poolOf(entries, headOf(entries)), chainKey: 'chain-key' }).verify('org-1');
+
+        expect(result.valid).toBe(true);
+        expect(result.keyed).toBe(true);
+    });
+
+    test('detects a keyed chain rewritten with recomputed hashes', async () => {
+        // Rewritten by someone without the key, hashes recomputed down to the head
+        const forged = buildChain(3);
+        forged[1].payload = { ...forged[1].payload, complianceScore: 1 };
+        forged[1].hash = computeHash(forged[1]);
+        forged[2].prevHash = forged[1].hash;
+        forged[2].hash = computeHash(forged[2]);
+
+        const result = await new AuditLog({ pool: poolOf(forged, headOf(forged)), chainKey: 'chain-key' }).verify('org-1');
+
+        expect(result.valid).toBe(false);
+        expect(result.issues.map(issue => issue.type)).toEqual(['modified', 'modified', 'modified']);
+    });
+});
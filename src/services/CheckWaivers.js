@@ -0,0 +1,293 @@
+/**
+ * VoidGuard AI Governance Suite - Check Waivers
+ *
+ * Risk acceptance for failed safety checks (data/migrations/003_create_check_waivers.sql).
+ * A waiver covers the findings of a check, or of a single rule/control of it,
+ * for one AI system. It is requested with a justification, applies once an
+ * approver has approved it and stops applying at its expiry date.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+// Reported statuses; `expired` is derived from expires_at, stored rows stay pending/approved
+const WAIVER_STATUSES = ['pending', 'active', 'expired', 'revoked'];
+
+// Longest time a waiver may be granted for
+const MAX_WAIVER_DAYS = 365;
+
+// SQL condition for each reported status
+const STATUS_CONDITIONS = {
+    pending: "status = 'pending' AND expires_at > NOW()",
+    active: "status = 'approved' AND expires_at > NOW()",
+    expired: "status IN ('pending', 'approved') AND expires_at <= NOW()",
+    revoked: "status = 'revoked'"
+};
+
+/**
+ * Map a check_waivers row to a waiver
+ * @private
+ */
+function fromRow(row) {
+    const expiresAt = new Date(row.expires_at);
+    const toISO = value => (value ? new Date(value).toISOString() : null);
+
+    let status = row.status === 'approved' ? 'active' : row.status;
+    if (status !== 'revoked' && expiresAt <= new Date()) {
+        status = 'expired';
+    }
+
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        checkId: row.check_id,
+        ruleId: row.rule_id,
+        justification: row.justification,
+        excludeFromScore: row.exclude_from_score,
+        status,
+        requestedBy: row.requested_by,
+        requestedAt: toISO(row.requested_at),
+        approvedBy: row.approved_by,
+        approvedAt: toISO(row.approved_at),
+        revokedBy: row.revoked_by,
+        revokedAt: toISO(row.revoked_at),
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+class CheckWaivers {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'CheckWaivers' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Request a waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} waiver - { systemId, checkId, ruleId, justification, excludeFromScore, expiresAt }
+     * @param {string} userId - Requesting user
+     * @returns {Object} Pending waiver
+     */
+    async request(organizationId, waiver, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO check_waivers
+                (id, organization_id, system_id, check_id, rule_id, justification,
+                 exclude_from_score, requested_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                waiver.systemId,
+                waiver.checkId,
+                waiver.ruleId || null,
+                waiver.justification,
+                Boolean(waiver.excludeFromScore),
+                userId || null,
+                new Date(waiver.expiresAt).toISOString()
+            ]
+        );
+
+        this.logger.info('Waiver requested', {
+            organizationId,
+            waiverId: rows[0].id,
+            systemId: waiver.systemId,
+            checkId: waiver.checkId,
+            userId
+        });
+        return fromRow(rows[0]);
+    }
+
+    /**
+     * Get a waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @returns {Object|null} Waiver
+     */
+    async get(organizationId, waiverId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM check_waivers WHERE organization_id = $1 AND id = $2',
+            [organizationId, waiverId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * List waivers, most recently requested first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, checkId, status
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { waivers, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        [['systemId', 'system_id'], ['checkId', 'check_id']].forEach(([filter, column]) => {
+            if (filters[filter]) {
+                params.push(filters[filter]);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        });
+        if (filters.status) {
+            conditions.push(STATUS_CONDITIONS[filters.status]);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM check_waivers WHERE ${where}
+                 ORDER BY requested_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM check_waivers WHERE ${where}`, params)
+        ]);
+
+        return {
+            waivers: rows.map(fromRow),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Approve a pending waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @param {string} userId - Approving user
+     * @returns {Object} { waiver, error } - waiver is null when not found or not pending
+     */
+    async approve(organizationId, waiverId, userId) {
+        const { rows } = await this.db.query(
+            `UPDATE check_waivers SET status = 'approved', approved_by = $3, approved_at = NOW()
+             WHERE organization_id = $1 AND id = $2 AND ${STATUS_CONDITIONS.pending}
+             RETURNING *`,
+            [organizationId, waiverId, userId || null]
+        );
+
+        if (rows.length === 0) {
+            return this.rejectTransition(organizationId, waiverId, 'approved');
+        }
+
+        this.logger.info('Waiver approved', { organizationId, waiverId, userId });
+        return { waiver: fromRow(rows[0]), error: null };
+    }
+
+    /**
+     * Revoke a pending or active waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @param {string} userId - Revoking user
+     * @returns {Object} { waiver, error } - waiver is null when not found or already ended
+     */
+    async revoke(organizationId, waiverId, userId) {
+        const { rows } = await this.db.query(
+            `UPDATE check_waivers SET status = 'revoked', revoked_by = $3, revoked_at = NOW()
+             WHERE organization_id = $1 AND id = $2 AND (${STATUS_CONDITIONS.pending} OR ${STATUS_CONDITIONS.active})
+             RETURNING *`,
+            [organizationId, waiverId, userId || null]
+        );
+
+        if (rows.length === 0) {
+            return this.rejectTransition(organizationId, waiverId, 'revoked');
+        }
+
+        this.logger.info('Waiver revoked', { organizationId, waiverId, userId });
+        return { waiver: fromRow(rows[0]), error: null };
+    }
+
+    /**
+     * Explain why a waiver could not change status
+     * @private
+     */
+    async rejectTransition(organizationId, waiverId, target) {
+        const waiver = await this.get(organizationId, waiverId);
+
+        return {
+            waiver: null,
+            error: waiver ? `A ${waiver.status} waiver cannot be ${target}` : null
+        };
+    }
+
+    /**
+     * Waivers that apply to a system now
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @returns {Array} Active waivers
+     */
+    async getActive(organizationId, systemId) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM check_waivers
+             WHERE organization_id = $1 AND system_id = $2 AND ${STATUS_CONDITIONS.active}
+             ORDER BY approved_at ASC`,
+            [organizationId, systemId]
+        );
+
+        return rows.map(fromRow);
+    }
+
+    /**
+     * Active waivers expiring soon whose expiry has not been announced yet,
+     * across organizations, marked as announced
+     * @param {number} withinDays - Announce waivers expiring within this many days
+     * @param {number} limit - Maximum waivers
+     * @returns {Array} Waivers
+     */
+    async claimExpiryNotices(withinDays, limit) {
+        const { rows } = await this.db.query(
+            `UPDATE check_waivers SET expiry_notified_at = NOW()
+             WHERE id IN (
+                SELECT id FROM check_waivers
+                WHERE ${STATUS_CONDITIONS.active} AND expires_at <= $1 AND expiry_notified_at IS NULL
+                ORDER BY expires_at ASC LIMIT $2
+             ) AND expiry_notified_at IS NULL
+             RETURNING *`,
+            [new Date(Date.now() + withinDays * 24 * 60 * 60 * 1000), limit]
+        );
+
+        return rows.map(fromRow);
+    }
+}
+
+module.exports = { CheckWaivers, WAIVER_STATUSES, MAX_WAIVER_DAYS };
@@ -0,0 +1,467 @@
+/**
+ * VoidGuard AI Governance Suite - Compliance Reports
+ *
+ * Human-readable compliance reports for auditors, rendered as HTML or PDF
+ * from a stored validation (or the latest validation and full history of an
+ * AI system): executive summary, safety checks and their findings, risk
+ * assessment, recommendations, waivers, evidence hashes and the result of
+ * verifying the organization's audit chain.
+ *
+ * A report is identified by the SHA-256 digest of its canonical content and,
+ * when a signing key is configured, signed with an HMAC-SHA256 of the digest.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { canonicalize } = require('./AuditLog');
+const { createPdfDocument } = require('../utils/pdfDocument');
+
+const REPORT_FORMATS = ['html', 'pdf'];
+const REPORT_CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf'
+};
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Text colors (PDF) and classes (HTML) of a tone
+const TONES = {
+    good: [0.1, 0.45, 0.2],
+    bad: [0.7, 0.1, 0.1],
+    warn: [0.65, 0.4, 0]
+};
+
+/**
+ * Score as a percentage
+ * @private
+ */
+function percent(score) {
+    return typeof score === 'number' ? `${(score * 100).toFixed(1)}%` : 'n/a';
+}
+
+/**
+ * Timestamp as a readable UTC date and time
+ * @private
+ */
+function formatDate(value) {
+    return value ? `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '-';
+}
+
+/**
+ * Tone of a status
+ * @private
+ */
+function toneOf(status) {
+    if (['compliant', 'pass', 'low', 'active'].includes(status)) return 'good';
+    if (['non-compliant', 'fail', 'high', 'critical', 'prohibited'].includes(status)) return 'bad';
+    return 'warn';
+}
+
+/**
+ * Build the content of a compliance report
+ * @param {Object} input - Report input
+ * @param {string} input.scope - 'validation' or 'system'
+ * @param {string} input.organizationId - Organization identifier
+ * @param {Object} input.system - AI system (registry entry, or the validated snapshot)
+ * @param {Object} input.record - Stored validation reported in detail
+ * @param {Array} input.history - Validation summaries of the system, newest first (system scope)
+ * @param {Array} input.waivers - Waivers of the system
+ * @param {Object} input.auditChain - Audit chain verification result
+ * @param {string} input.generatedBy - Requesting user
+ * @returns {Object} Report content
+ */
+function buildReportModel({ scope, organizationId, system, record, history, waivers, auditChain, generatedBy }) {
+    const { result } = record;
+    const checks = Object.entries(result.safetyChecks).map(([checkId, check]) => ({
+        checkId,
+        category: check.category || checkId,
+        status: check.status,
+        score: check.score,
+        findings: check.checks.map(finding => ({
+            type: finding.type,
+            message: finding.message,
+            reference: finding.citation || finding.controlId || finding.ruleId || null,
+            action: finding.action || null,
+            waiverId: finding.waived ? finding.waived.waiverId : null
+        }))
+    }));
+    const findings = checks.flatMap(check => check.findings).filter(finding => finding.type !== 'info');
+    const statusCount = status => checks.filter(check => check.status === status).length;
+    const recommendations = result.recommendations || [];
+
+    return {
+        reportId: uuidv4(),
+        scope,
+        title: scope === 'system' ?
+            `Compliance history report: ${system.name || system.id}` :
+            `Compliance report: ${system.name || system.id}`,
+        organizationId,
+        generatedAt: new Date().toISOString(),
+        generatedBy: generatedBy || null,
+        system: {
+            id: system.id,
+            name: system.name || null,
+            type: system.type || null,
+            owner: system.owner || null,
+            purpose: system.purpose || null,
+            lifecycleState: system.lifecycleState || null
+        },
+        validation: {
+            validationId: record.validationId,
+            validatedAt: record.validatedAt,
+            validatedBy: record.validatedBy,
+            regulatory: (record.context && record.context.regulatory) || []
+        },
+        summary: {
+            safetyStatus: result.safetyStatus,
+            complianceScore: result.complianceScore,
+            complianceScoreWithoutWaivers: result.complianceScoreWithoutWaivers ?? null,
+            riskLevel: result.riskAssessment.level,
+            aiActTier: result.aiActClassification ? result.aiActClassification.tier : null,
+            checks: { total: checks.length, pass: statusCount('pass'), warning: statusCount('warning'), fail: statusCount('fail') },
+            findings: findings.length,
+            waivedFindings: findings.filter(finding => finding.waiverId).length,
+            recommendations: Object.fromEntries(PRIORITIES.map(priority => [
+                priority, recommendations.filter(item => item.priority === priority).length
+            ]))
+        },
+        checks,
+        riskAssessment: result.riskAssessment,
+        aiActClassification: result.aiActClassification ? {
+            regulation: result.aiActClassification.regulation,
+            tier: result.aiActClassification.tier,
+            label: result.aiActClassification.label,
+            reasons: result.aiActClassification.reasons || []
+        } : null,
+        recommendations: recommendations.map(item => ({
+            priority: item.priority,
+            category: item.category,
+            issue: item.issue,
+            action: item.action,
+            reference: item.citation || item.controlId || item.ruleId || null
+        })),
+        waivers: {
+            applied: result.waivers || [],
+            register: waivers.map(waiver => ({
+                id: waiver.id,
+                checkId: waiver.checkId,
+                ruleId: waiver.ruleId,
+                status: waiver.status,
+                justification: waiver.justification,
+                excludeFromScore: waiver.excludeFromScore,
+                requestedBy: waiver.requestedBy,
+                approvedBy: waiver.approvedBy,
+                expiresAt: waiver.expiresAt
+            }))
+        },
+        evidence: (result.evidence || []).map(item => ({
+            evidenceId: item.evidenceId,
+            checkId: item.checkId,
+            kind: item.kind,
+            filename: item.filename,
+            size: item.size,
+            sha256: item.sha256
+        })),
+        history: scope === 'system' ? history : null,
+        auditChain: {
+            valid: auditChain.valid,
+            keyed: Boolean(auditChain.keyed),
+            eventsVerified: auditChain.eventsVerified,
+            headSequence: auditChain.head.sequence,
+            headHash: auditChain.head.hash,
+            issues: auditChain.issues.length,
+            verifiedAt: auditChain.verifiedAt
+        }
+    };
+}
+
+/**
+ * Digest and signature of a report's content
+ * @param {Object} model - Report content
+ * @param {string} key - Signing key; without one the report is only digested
+ * @returns {Object} { algorithm, digest, signatureAlgorithm, signature }
+ */
+function signReport(model, key) {
+    const digest = crypto.createHash('sha256').update(canonicalize(model)).digest('hex');
+
+    return {
+        algorithm: 'sha256',
+        digest,
+        signatureAlgorithm: key ? 'hmac-sha256' : null,
+        signature: key ? crypto.createHmac('sha256', key).update(digest).digest('hex') : null
+    };
+}
+
+/**
+ * Sections of a report as format-neutral blocks (headings, paragraphs, tables)
+ * @private
+ */
+function reportSections(model, integrity) {
+    const { summary, system, validation } = model;
+    const sections = [];
+    const section = (title, blocks) => sections.push({ title, blocks });
+    const paragraph = (text, options = {}) => ({ type: 'paragraph', text, ...options });
+    const table = (columns, rows) => ({ type: 'table', columns, rows });
+
+    const summaryText = [
+        `${system.name || system.id} was assessed ${summary.safetyStatus} on ${formatDate(validation.validatedAt)} ` +
+            `with a compliance score of ${percent(summary.complianceScore)}` +
+            (summary.complianceScoreWithoutWaivers !== null ?
+                ` (${percent(summary.complianceScoreWithoutWaivers)} without waivers).` : '.'),
+        `${summary.checks.pass} of ${summary.checks.total} safety checks passed, ${summary.checks.warning} raised warnings and ` +
+            `${summary.checks.fail} failed, with ${summary.findings} findings (${summary.waivedFindings} covered by waivers).`,
+        `Risk level ${summary.riskLevel}; EU AI Act tier ${summary.aiActTier || 'not classified'}. ` +
+            `${summary.recommendations.high} high, ${summary.recommendations.medium} medium and ` +
+            `${summary.recommendations.low} low priority recommendations.`
+    ];
+    if (model.history) {
+        const compliant = model.history.filter(item => item.safetyStatus === 'compliant').length;
+        summaryText.push(
+            `The system was validated ${model.history.length} times` +
+            (model.history.length > 0 ?
+                ` between ${formatDate(model.history[model.history.length - 1].validatedAt)} and ` +
+                `${formatDate(model.history[0].validatedAt)}, compliant in ${compliant} of them.` : '.')
+        );
+    }
+    section('Executive summary', [
+        paragraph(summary.safetyStatus.toUpperCase(), { bold: true, size: 13, tone: toneOf(summary.safetyStatus) }),
+        ...summaryText.map(text => paragraph(text)),
+        table([{ header: 'Item', width: 1 }, { header: 'Value', width: 2.5 }], [
+            ['AI system', `${system.name || '-'} (${system.id})`],
+            ['Type / owner', `${system.type || '-'} / ${system.owner || '-'}`],
+            ['Purpose', system.purpose || '-'],
+            ['Lifecycle state', system.lifecycleState || '-'],
+            ['Validation', validation.validationId],
+            ['Validated', `${formatDate(validation.validatedAt)} by ${validation.validatedBy || 'system'}`],
+            ['Regulatory frameworks', validation.regulatory.length > 0 ? validation.regulatory.join(', ') : 'none requested'],
+            ['Organization', model.organizationId]
+        ])
+    ]);
+
+    section('Safety checks', [
+        table(
+            [{ header: 'Check', width: 1.4 }, { header: 'Category', width: 1.2 }, { header: 'Status', width: 0.8 }, { header: 'Score', width: 0.7 }],
+            model.checks.map(check => [check.checkId, check.category, check.status, percent(check.score)])
+        ),
+        ...(summary.findings > 0 ? [
+            { type: 'heading', text: 'Findings', level: 2 },
+            table(
+                [
+                    { header: 'Check', width: 1 }, { header: 'Severity', width: 0.7 }, { header: 'Finding', width: 2.2 },
+                    { header: 'Reference', width: 1 }, { header: 'Action', width: 2 }, { header: 'Waiver', width: 0.9 }
+                ],
+                model.checks.flatMap(check => check.findings
+                    .filter(finding => finding.type !== 'info')
+                    .map(finding => [
+                        check.checkId, finding.type, finding.message, finding.reference || '-', finding.action || '-',
+                        finding.waiverId ? finding.waiverId.slice(0, 8) : '-'
+                    ]))
+            )
+        ] : [paragraph('No findings were reported.')])
+    ]);
+
+    const risk = model.riskAssessment;
+    section('Risk assessment', [
+        paragraph(`Risk level: ${risk.level}`, { bold: true, tone: toneOf(risk.level) }),
+        paragraph(risk.summary || `${risk.criticalFailures} critical issues, ${risk.warnings} warnings`),
+        ...(model.aiActClassification ? [
+            paragraph(
+                `${model.aiActClassification.regulation}: ${model.aiActClassification.label} (tier ${model.aiActClassification.tier}).`
+            ),
+            ...model.aiActClassification.reasons.map(reason => paragraph(`• ${reason.citation}: ${reason.description}`))
+        ] : [])
+    ]);
+
+    section('Recommendations', model.recommendations.length > 0 ? [
+        table(
+            [{ header: 'Priority', width: 0.7 }, { header: 'Check', width: 1 }, { header: 'Issue', width: 2.2 }, { header: 'Action', width: 2.2 }, { header: 'Reference', width: 1 }],
+            model.recommendations.map(item => [item.priority, item.category, item.issue, item.action, item.reference || '-'])
+        )
+    ] : [paragraph('No recommendations.')]);
+
+    section('Waivers', [
+        { type: 'heading', text: 'Applied to this validation', level: 2 },
+        model.waivers.applied.length > 0 ?
+            table(
+                [{ header: 'Waiver', width: 2 }, { header: 'Check / rule', width: 1.5 }, { header: 'Findings', width: 0.7 }, { header: 'Excluded from score', width: 1 }, { header: 'Expires', width: 1.3 }],
+                model.waivers.applied.map(waiver => [
+                    waiver.waiverId, [waiver.checkId, waiver.ruleId].filter(Boolean).join(' / '), String(waiver.findingsWaived),
+                    waiver.excludeFromScore ? 'yes' : 'no', formatDate(waiver.expiresAt)
+                ])
+            ) :
+            paragraph('No waivers applied.'),
+        { type: 'heading', text: 'Waiver register of the system', level: 2 },
+        model.waivers.register.length > 0 ?
+            table(
+                [{ header: 'Check / rule', width: 1.3 }, { header: 'Status', width: 0.8 }, { header: 'Justification', width: 2.5 }, { header: 'Approved by', width: 1 }, { header: 'Expires', width: 1.3 }],
+                model.waivers.register.map(waiver => [
+                    [waiver.checkId, waiver.ruleId].filter(Boolean).join(' / '), waiver.status, waiver.justification,
+                    waiver.approvedBy || '-', formatDate(waiver.expiresAt)
+                ])
+            ) :
+            paragraph('No waivers have been requested for this system.')
+    ]);
+
+    section('Evidence', model.evidence.length > 0 ? [
+        paragraph('Artifacts the validation was evaluated against, identified by the SHA-256 hash of their content.'),
+        table(
+            [{ header: 'Check', width: 1 }, { header: 'File', width: 1.6 }, { header: 'Kind', width: 0.9 }, { header: 'SHA-256', width: 3.2 }],
+            model.evidence.map(item => [item.checkId, item.filename, item.kind, item.sha256])
+        )
+    ] : [paragraph('No evidence was attached when the validation ran.')]);
+
+    if (model.history) {
+        section('Validation history', [
+            table(
+                [{ header: 'Validated', width: 1.3 }, { header: 'Status', width: 1 }, { header: 'Score', width: 0.7 }, { header: 'Risk', width: 0.7 }, { header: 'AI Act tier', width: 0.9 }, { header: 'Validation', width: 2.2 }],
+                model.history.map(item => [
+                    formatDate(item.validatedAt), item.safetyStatus, percent(item.complianceScore), item.riskLevel,
+                    item.aiActTier || '-', item.validationId
+                ])
+            )
+        ]);
+    }
+
+    const chain = model.auditChain;
+    section('Audit chain verification', [
+        paragraph(
+            chain.valid ?
+                'The organization\'s audit chain verified intact.' :
+                `The organization's audit chain failed verification with ${chain.issues} issues.`,
+            { bold: true, tone: chain.valid ? 'good' : 'bad' }
+        ),
+        paragraph(
+            `${chain.eventsVerified} events verified at ${formatDate(chain.verifiedAt)}; chain head ` +
+            `#${chain.headSequence} ${chain.headHash}.`
+        ),
+        paragraph(chain.keyed ?
+            'The chain is keyed (HMAC-SHA256): an event cannot be rewritten without the chain key.' :
+            'The chain is not keyed: it shows deleted events, but an event rewritten together with the hashes ' +
+            'after it would still verify.')
+    ]);
+
+    section('Report integrity', [
+        paragraph(`Report ${model.reportId}, generated ${formatDate(model.generatedAt)} by ${model.generatedBy || 'system'}.`),
+        paragraph(`Content digest (SHA-256): ${integrity.digest}`),
+        paragraph(integrity.signature ?
+            `Signature (HMAC-SHA256 of the digest): ${integrity.signature}` :
+            'This report is not signed: no report signing key is configured.'),
+        paragraph('The digest and signature are recorded in the organization\'s audit log when the report is generated.', { size: 8.5 })
+    ]);
+
+    return sections;
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+}
+
+const HTML_STYLE = `
+body { font-family: Helvetica, Arial, sans-serif; color: #1b1f2a; margin: 40px auto; max-width: 960px; line-height: 1.45; font-size: 14px; }
+h1 { color: #1a2650; border-bottom: 2px solid #1a2650; padding-bottom: 6px; }
+h2 { color: #1a2650; border-bottom: 1px solid #c9cedb; padding-bottom: 4px; margin-top: 32px; }
+h3 { color: #1a2650; margin-bottom: 6px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; font-size: 12px; }
+th, td { text-align: left; vertical-align: top; padding: 5px 7px; border-bottom: 1px solid #d5d9e2; word-break: break-word; }
+th { background: #eceef5; }
+.meta { color: #5b6275; }
+.bold { font-weight: bold; }
+.large { font-size: 18px; }
+.small { font-size: 12px; color: #5b6275; }
+.good { color: #1a7333; }
+.bad { color: #b31a1a; }
+.warn { color: #a66600; }
+@media print { body { margin: 0; max-width: none; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+`;
+
+/**
+ * Render a report as a self-contained HTML page
+ * @param {Object} model - Report content
+ * @param {Object} integrity - Digest and signature (signReport)
+ * @returns {string} HTML
+ */
+function renderReportHtml(model, integrity) {
+    const renderBlock = (block) => {
+        if (block.type === 'heading') {
+            return `<h3>${escapeHtml(block.text)}</h3>`;
+        }
+        if (block.type === 'table') {
+            const head = block.columns.map(column => `<th>${escapeHtml(column.header)}</th>`).join('');
+            const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell ?? '')}</td>`).join('')}</tr>`);
+            return `<table><thead><tr>${head}</tr></thead><tbody>${rows.join('\n')}</tbody></table>`;
+        }
+        const classes = [
+            block.bold && 'bold',
+            block.size > 12 && 'large',
+            block.size < 10 && 'small',
+            block.tone
+        ].filter(Boolean);
+        return `<p${classes.length > 0 ? ` class="${classes.join(' ')}"` : ''}>${escapeHtml(block.text)}</p>`;
+    };
+
+    const body = reportSections(model, integrity).map(({ title, blocks }) => (
+        `<section>\n<h2>${escapeHtml(title)}</h2>\n${blocks.map(renderBlock).join('\n')}\n</section>`
+    ));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="report-id" content="${escapeHtml(model.reportId)}">
+<meta name="report-digest" content="sha256:${escapeHtml(integrity.digest)}">
+<title>${escapeHtml(model.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(model.title)}</h1>
+<p class="meta">VoidGuard AI Governance Suite &middot; generated ${escapeHtml(formatDate(model.generatedAt))}</p>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as a PDF document
+ * @param {Object} model - Report content
+ * @param {Object} integrity - Digest and signature (signReport)
+ * @returns {Buffer} PDF
+ */
+function renderReportPdf(model, integrity) {
+    const blocks = [
+        { type: 'paragraph', text: model.title, bold: true, size: 18 },
+        { type: 'paragraph', text: `VoidGuard AI Governance Suite - generated ${formatDate(model.generatedAt)}`, size: 9 }
+    ];
+    reportSections(model, integrity).forEach(({ title, blocks: sectionBlocks }) => {
+        blocks.push({ type: 'heading', text: title, level: 1 });
+        sectionBlocks.forEach(block => blocks.push(block));
+    });
+
+    return createPdfDocument(
+        blocks.map(block => (block.tone ? { ...block, color: TONES[block.tone] } : block)),
+        {
+            title: model.title,
+            author: model.generatedBy || undefined,
+            subject: `Compliance report ${model.reportId}`,
+            footer: `Compliance report - SHA-256 ${integrity.digest}`,
+            createdAt: new Date(model.generatedAt)
+        }
+    );
+}
+
+module.exports = {
+    buildReportModel,
+    signReport,
+    renderReportHtml,
+    renderReportPdf,
+    REPORT_FORMATS,
+    REPORT_CONTENT_TYPES
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { buildReportModel, signReport, renderReportHtml, renderReportPdf } = require('./ComplianceReport');
+
+function reportInput(overrides = {}) {
+    return {
+        scope: 'validation',
+        organizationId: 'org-1',
+        system: { id: 'system-1', name: 'Credit <scoring> model' },
+        record: {
+            validationId: 'validation-1',
+            validatedAt: '2026-03-10T10:00:00.000Z',
+            validatedBy: 'user-1',
+            result: {
+                safetyStatus: 'non_compliant',
+                complianceScore: 0.62,
+                riskAssessment: { level: 'high' },
+                safetyChecks: {
+                    privacy: {
+                        status: 'fail',
+                        score: 0.3,
+                        checks: [
+                            { type: 'error', ruleId: 'encryption', message: 'No encryption at rest' },
+                            { type: 'warning', ruleId: 'retention', message: 'No retention policy', waived: { waiverId: 'waiver-1' } },
+                            { type: 'info', message: 'Data minimization declared' }
+                        ]
+                    },
+                    bias: { status: 'pass', score: 1, checks: [] }
+                },
+                recommendations: [{ priority: 'high', category: 'privacy', issue: 'No encryption at rest', action: 'Encrypt' }]
+            }
+        },
+        history: [],
+        waivers: [],
+        auditChain: {
+            valid: true,
+            keyed: true,
+            eventsVerified: 12,
+            head: { sequence: 12, hash: 'a'.repeat(64) },
+            issues: [],
+            verifiedAt: '2026-03-10T10:05:00.000Z'
+        },
+        generatedBy: 'auditor-1',
+        ...overrides
+    };
+}
+
+describe('buildReportModel', () => {
+    test('summarizes checks, findings and waivers', () => {
+        const model = buildReportModel(reportInput());
+
+        expect(model.summary.checks).toEqual({ total: 2, pass: 1, warning: 0, fail: 1 });
+        expect(model.summary.findings).toBe(2);
+        expect(model.summary.waivedFindings).toBe(1);
+        expect(model.summary.recommendations.high).toBe(1);
+        expect(model.history).toBeNull();
+    });
+});
+
+describe('signReport', () => {
+    test('signs the digest only when a key is configured', () => {
+        const model = buildReportModel(reportInput());
+        const signed = signReport(model, 'report-key');
+
+        expect(signed.signature).toBe(crypto.createHmac('sha256', 'report-key').update(signed.digest).digest('hex'));
+        expect(signReport(model, null)).toEqual({
+            algorithm: 'sha256',
+            digest: signed.digest,
+            signatureAlgorithm: null,
+            signature: null
+        });
+    });
+});
+
+describe('renderReportHtml', () => {
+    test('escapes report content', () => {
+        const model = buildReportModel(reportInput());
+        const html = renderReportHtml(model, signReport(model, null));
+
+        expect(html).toContain('Credit &lt;scoring&gt; model');
+        expect(html).not.toContain('<scoring>');
+    });
+
+    test('states whether the verified audit chain is keyed', () => {
+        const keyed = buildReportModel(reportInput());
+        const unkeyed = buildReportModel(reportInput({ auditChain: { ...reportInput().auditChain, keyed: false } }));
+
+        expect(renderReportHtml(keyed, signReport(keyed, null))).toContain('The chain is keyed');
+        expect(renderReportHtml(unkeyed, signReport(unkeyed, null))).toContain('The chain is not keyed');
+    });
+});
+
+describe('renderReportPdf', () => {
+    test('produces a PDF document', () => {
+        const model = buildReportModel(reportInput());
+        const pdf = renderReportPdf(model, signReport(model, 'report-key'));
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
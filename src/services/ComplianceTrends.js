@@ -0,0 +1,221 @@
+/**
+ * VoidGuard AI Governance Suite - Compliance Trends
+ *
+ * Time series of safety validations over daily, weekly (ISO weeks, starting
+ * Monday) or monthly UTC buckets: validation count, average compliance
+ * score and compliance rate per bucket, broken down by safety check and by
+ * risk level.
+ *
+ * Validations are added one at a time so a date range of any size can be
+ * aggregated while it is scanned from the validation history.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Buckets covered when no start date is given
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+const MAX_TREND_BUCKETS = 366;
+
+/**
+ * Start of the bucket containing a date
+ * @param {Date} date - Date
+ * @param {string} interval - day, week or month
+ * @returns {Date} Bucket start (UTC)
+ */
+function bucketStart(date, interval) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    if (interval === 'month') return new Date(Date.UTC(year, month, 1));
+    if (interval === 'week') return new Date(Date.UTC(year, month, day - (date.getUTCDay() + 6) % 7));
+    return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Start of the bucket a number of intervals after (or before) a bucket start
+ * @private
+ */
+function shiftBucket(start, interval, count) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = start.getUTCDate();
+
+    if (interval === 'month') return new Date(Date.UTC(year, month + count, 1));
+    return new Date(Date.UTC(year, month, day + count * (interval === 'week' ? 7 : 1)));
+}
+
+/**
+ * Empty validation counters
+ * @private
+ */
+function newCounters() {
+    return { validations: 0, compliant: 0, scoreSum: 0 };
+}
+
+/**
+ * Empty counters of a time bucket or of the whole range
+ * @private
+ */
+function newGroup() {
+    return {
+        ...newCounters(),
+        byCheck: {},
+        byRiskLevel: Object.fromEntries(RISK_LEVELS.map(level => [level, newCounters()]))
+    };
+}
+
+/**
+ * Count a validation in counters
+ * @private
+ */
+function count(counters, validation) {
+    counters.validations++;
+    counters.scoreSum += validation.complianceScore;
+    if (validation.safetyStatus === 'compliant') counters.compliant++;
+}
+
+/**
+ * Count a validation in a bucket or range group
+ * @private
+ */
+function addToGroup(group, validation) {
+    count(group, validation);
+
+    const level = validation.riskLevel;
+    if (level) {
+        group.byRiskLevel[level] = group.byRiskLevel[level] || newCounters();
+        count(group.byRiskLevel[level], validation);
+    }
+
+    Object.entries(validation.safetyChecks || {}).forEach(([checkId, check]) => {
+        const counters = group.byCheck[checkId] = group.byCheck[checkId] ||
+            { category: check.category || checkId, validations: 0, passed: 0, scoreSum: 0 };
+        counters.validations++;
+        counters.scoreSum += check.score;
+        if (check.status === 'pass') counters.passed++;
+    });
+}
+
+/**
+ * Averages and rates of counters; null when no validation was counted
+ * @private
+ */
+function summarizeCounters({ validations, compliant, scoreSum }) {
+    return {
+        validations,
+        averageScore: validations > 0 ? scoreSum / validations : null,
+        complianceRate: validations > 0 ? compliant / validations : null
+    };
+}
+
+/**
+ * Averages and rates of a bucket or range group
+ * @private
+ */
+function summarizeGroup(group) {
+    return {
+        ...summarizeCounters(group),
+        byCheck: Object.fromEntries(Object.entries(group.byCheck).map(([checkId, counters]) => [checkId, {
+            category: counters.category,
+            validations: counters.validations,
+            averageScore: counters.scoreSum / counters.validations,
+            passRate: counters.passed / counters.validations
+        }])),
+        byRiskLevel: Object.fromEntries(Object.entries(group.byRiskLevel).map(([level, counters]) => [
+            level, summarizeCounters(counters)
+        ]))
+    };
+}
+
+/**
+ * Create an empty trend over the buckets covering a date range
+ *
+ * The range is widened to whole buckets: it starts at the start of the
+ * bucket containing startDate and ends at the end of the bucket containing
+ * endDate.
+ *
+ * @param {Object} options - Trend options
+ * @param {string} options.interval - day, week or month
+ * @param {Date} options.startDate - Range start (defaults to DEFAULT_BUCKETS intervals before endDate)
+ * @param {Date} options.endDate - Range end (defaults to now)
+ * @returns {Object} { trend, error } - trend is null when the range is invalid
+ */
+function createTrend({ interval, startDate, endDate }) {
+    const end = bucketStart(endDate || new Date(), interval);
+    const start = startDate ?
+        bucketStart(startDate, interval) :
+        shiftBucket(end, interval, 1 - DEFAULT_BUCKETS[interval]);
+
+    if (start > end) {
+        return { trend: null, error: 'startDate must not be after endDate' };
+    }
+
+    const buckets = [];
+    for (let bucket = start; bucket <= end; bucket = shiftBucket(bucket, interval, 1)) {
+        if (buckets.length === MAX_TREND_BUCKETS) {
+            return {
+                trend: null,
+                error: `The date range spans more than ${MAX_TREND_BUCKETS} ${interval} buckets; use a shorter range or a longer interval`
+            };
+        }
+        buckets.push({ start: bucket, end: shiftBucket(bucket, interval, 1), ...newGroup() });
+    }
+
+    return {
+        trend: {
+            interval,
+            startDate: start,
+            endDate: buckets[buckets.length - 1].end,
+            buckets,
+            index: new Map(buckets.map((bucket, i) => [bucket.start.getTime(), i])),
+            totals: newGroup()
+        },
+        error: null
+    };
+}
+
+/**
+ * Add a validation to the trend
+ * @param {Object} trend - Trend (createTrend)
+ * @param {Object} validation - { validatedAt, complianceScore, safetyStatus, riskLevel, safetyChecks }
+ */
+function addValidation(trend, validation) {
+    const index = trend.index.get(bucketStart(new Date(validation.validatedAt), trend.interval).getTime());
+    if (index === undefined) return;
+
+    addToGroup(trend.buckets[index], validation);
+    addToGroup(trend.totals, validation);
+}
+
+/**
+ * Summarize a trend for the API
+ * @param {Object} trend - Trend (createTrend)
+ * @returns {Object} { interval, startDate, endDate, buckets, totals }
+ */
+function summarizeTrend(trend) {
+    return {
+        interval: trend.interval,
+        startDate: trend.startDate.toISOString(),
+        endDate: trend.endDate.toISOString(),
+        buckets: trend.buckets.map(bucket => ({
+            start: bucket.start.toISOString(),
+            end: bucket.end.toISOString(),
+            ...summarizeGroup(bucket)
+        })),
+        totals: summarizeGroup(trend.totals)
+    };
+}
+
+module.exports = {
+    createTrend,
+    addValidation,
+    summarizeTrend,
+    bucketStart,
+    TREND_INTERVALS,
+    MAX_TREND_BUCKETS
+};
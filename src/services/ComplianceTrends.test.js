@@ -0,0 +1,65 @@
+const { createTrend, addValidation, summarizeTrend, bucketStart, MAX_TREND_BUCKETS } = require('./ComplianceTrends');
+
+const at = (iso) => new Date(iso);
+
+function validation(validatedAt, complianceScore, safetyStatus, riskLevel, privacyStatus = 'pass') {
+    return {
+        validatedAt,
+        complianceScore,
+        safetyStatus,
+        riskLevel,
+        safetyChecks: { privacy: { category: 'privacy', status: privacyStatus, score: complianceScore } }
+    };
+}
+
+describe('bucketStart', () => {
+    test('starts days, ISO weeks and months in UTC', () => {
+        // 2026-03-12 is a Thursday
+        expect(bucketStart(at('2026-03-12T23:30:00Z'), 'day')).toEqual(at('2026-03-12T00:00:00Z'));
+        expect(bucketStart(at('2026-03-12T23:30:00Z'), 'week')).toEqual(at('2026-03-09T00:00:00Z'));
+        expect(bucketStart(at('2026-03-15T12:00:00Z'), 'week')).toEqual(at('2026-03-09T00:00:00Z'));
+        expect(bucketStart(at('2026-03-12T23:30:00Z'), 'month')).toEqual(at('2026-03-01T00:00:00Z'));
+    });
+});
+
+describe('createTrend', () => {
+    test('widens the range to whole buckets', () => {
+        const { trend } = createTrend({ interval: 'week', startDate: at('2026-03-04T10:00:00Z'), endDate: at('2026-03-18T10:00:00Z') });
+
+        expect(trend.startDate).toEqual(at('2026-03-02T00:00:00Z'));
+        expect(trend.endDate).toEqual(at('2026-03-23T00:00:00Z'));
+        expect(trend.buckets).toHaveLength(3);
+    });
+
+    test('defaults to the latest buckets before the end date', () => {
+        const { trend } = createTrend({ interval: 'month', endDate: at('2026-03-18T10:00:00Z') });
+
+        expect(trend.buckets).toHaveLength(12);
+        expect(trend.startDate).toEqual(at('2025-04-01T00:00:00Z'));
+    });
+
+    test('rejects inverted and oversized ranges', () => {
+        expect(createTrend({ interval: 'day', startDate: at('2026-03-18T00:00:00Z'), endDate: at('2026-03-01T00:00:00Z') }).error)
+            .toBe('startDate must not be after endDate');
+        expect(createTrend({ interval: 'day', startDate: at('2024-01-01T00:00:00Z'), endDate: at('2026-01-01T00:00:00Z') }).error)
+            .toBe(`The date range spans more than ${MAX_TREND_BUCKETS} day buckets; use a shorter range or a longer interval`);
+    });
+});
+
+describe('summarizeTrend', () => {
+    test('aggregates validations per bucket, check and risk level', () => {
+        const { trend } = createTrend({ interval: 'day', startDate: at('2026-03-10T00:00:00Z'), endDate: at('2026-03-11T00:00:00Z') });
+        addValidation(trend, validation('2026-03-10T08:00:00Z', 1, 'compliant', 'low'));
+        addValidation(trend, validation('2026-03-10T20:00:00Z', 0.5, 'non_compliant', 'high', 'fail'));
+        addValidation(trend, validation('2026-03-12T08:00:00Z', 0.9, 'compliant', 'low'));
+
+        const summary = summarizeTrend(trend);
+        const [first, second] = summary.buckets;
+
+        expect(first).toEqual(expect.objectContaining({ start: '2026-03-10T00:00:00.000Z', validations: 2, averageScore: 0.75, complianceRate: 0.5 }));
+        expect(first.byCheck.privacy).toEqual({ category: 'privacy', validations: 2, averageScore: 0.75, passRate: 0.5 });
+        expect(first.byRiskLevel.high).toEqual({ validations: 1, averageScore: 0.5, complianceRate: 0 });
+        expect(second).toEqual(expect.objectContaining({ validations: 0, averageScore: null, complianceRate: null }));
+        expect(summary.totals.validations).toBe(2);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * VoidGuard AI Governance Suite - EU AI Act Risk Classification
+ *
+ * Classifies AI systems into the risk tiers of Regulation (EU) 2024/1689
+ * (prohibited, high-risk, limited-risk transparency, minimal) from the
+ * declared purpose, domain and deployment fields of the AI system.
+ *
+ * The classification is a governance aid based on self-declared fields and
+ * does not replace a legal assessment.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const REGULATION = 'Regulation (EU) 2024/1689 (AI Act)';
+
+/**
+ * Prohibited AI practices (Art. 5) keyed by declared purpose
+ * `applies` narrows purposes that are only prohibited in certain deployments
+ */
+const PROHIBITED_PRACTICES = {
+    subliminal_manipulation: {
+        citation: 'Art. 5(1)(a)',
+        description: 'Subliminal, manipulative or deceptive techniques that materially distort behaviour'
+    },
+    exploitation_of_vulnerabilities: {
+        citation: 'Art. 5(1)(b)',
+        description: 'Exploitation of vulnerabilities due to age, disability or socio-economic situation'
+    },
+    social_scoring: {
+        citation: 'Art. 5(1)(c)',
+        description: 'Social scoring leading to detrimental or unfavourable treatment'
+    },
+    predictive_policing: {
+        citation: 'Art. 5(1)(d)',
+        description: 'Crime risk assessment of natural persons based solely on profiling or personality traits'
+    },
+    untargeted_facial_scraping: {
+        citation: 'Art. 5(1)(e)',
+        description: 'Untargeted scraping of facial images to build facial recognition databases'
+    },
+    emotion_recognition: {
+        citation: 'Art. 5(1)(f)',
+        description: 'Emotion recognition in the workplace or education institutions',
+        applies: (aiSystem, deployment) => ['workplace', 'education'].includes(deployment.context) &&
+            !deployment.medicalOrSafetyReasons
+    },
+    biometric_categorisation: {
+        citation: 'Art. 5(1)(g)',
+        description: 'Biometric categorisation inferring race, political opinions, religion, sex life or sexual orientation',
+        applies: (aiSystem, deployment) => Boolean(deployment.infersSensitiveAttributes)
+    },
+    real_time_remote_biometric_identification: {
+        citation: 'Art. 5(1)(h)',
+        description: 'Real-time remote biometric identification in publicly accessible spaces for law enforcement',
+        applies: (aiSystem, deployment) => deployment.context === 'public_space' &&
+            aiSystem.domain === 'law_enforcement'
+    }
+};
+
+/**
+ * High-risk use case areas (Annex III) keyed by declared domain
+ */
+const ANNEX_III_AREAS = {
+    biometrics: { citation: 'Annex III point 1', description: 'Biometrics' },
+    critical_infrastructure: { citation: 'Annex III point 2', description: 'Critical infrastructure' },
+    education: { citation: 'Annex III point 3', description: 'Education and vocational training' },
+    employment: { citation: 'Annex III point 4', description: 'Employment, workers management and access to self-employment' },
+    essential_services: { citation: 'Annex III point 5', description: 'Access to essential private and public services and benefits' },
+    law_enforcement: { citation: 'Annex III point 6', description: 'Law enforcement' },
+    migration: { citation: 'Annex III point 7', description: 'Migration, asylum and border control management' },
+    justice: { citation: 'Annex III point 8', description: 'Administration of justice and democratic processes' }
+};
+
+const AI_ACT_DOMAINS = [...Object.keys(ANNEX_III_AREAS), 'healthcare', 'finance', 'marketing', 'customer_service', 'general'];
+const DEPLOYMENT_CONTEXTS = ['internal', 'workplace', 'education', 'public_space', 'consumer', 'b2b'];
+
+/**
+ * Mandatory obligations per tier
+ * `satisfiedBy` maps an obligation onto declared AISystem fields where one exists
+ */
+const TIER_OBLIGATIONS = {
+    prohibited: [
+        { article: 'Art. 5', requirement: 'The practice may not be placed on the market, put into service or used in the EU' },
+        { article: 'Art. 99(3)', requirement: 'Withdraw or redesign the system; infringements carry fines up to EUR 35M or 7% of turnover' }
+    ],
+    high: [
+        { article: 'Art. 9', requirement: 'Establish and maintain a risk management system' },
+        { article: 'Art. 10', requirement: 'Apply data governance to training, validation and testing data',
+            satisfiedBy: (s) => Boolean(s.datasetDiversity && s.biasTesting && s.biasTesting.conducted) },
+        { article: 'Art. 11', requirement: 'Draw up technical documentation (Annex IV)',
+            satisfiedBy: (s) => Boolean(s.modelDocumentation) },
+        { article: 'Art. 12', requirement: 'Enable automatic recording of events (logging)',
+            satisfiedBy: (s) => Boolean(s.decisionLogging || (s.auditTrail && s.auditTrail.enabled)) },
+        { article: 'Art. 13', requirement: 'Provide transparency and instructions for use to deployers',
+            satisfiedBy: (s) => Boolean(s.explainability && s.explainability.enabled) },
+        { article: 'Art. 14', requirement: 'Design for effective human oversight',
+            satisfiedBy: (s) => Boolean(s.humanOversight && s.humanOversight.enabled && s.manualOverride) },
+        { article: 'Art. 15', requirement: 'Achieve appropriate accuracy, robustness and cybersecurity',
+            satisfiedBy: (s) => Boolean(s.adversarialTesting && s.adversarialTesting.conducted && s.encryption && s.encryption.enabled) },
+        { article: 'Art. 17', requirement: 'Put a quality management system in place' },
+        { article: 'Art. 27', requirement: 'Perform a fundamental rights impact assessment where the deployer is a public body or provides public services' },
+        { article: 'Art. 43', requirement: 'Undergo the applicable conformity assessment procedure' },
+        { article: 'Art. 47-48', requirement: 'Issue an EU declaration of conformity and affix the CE marking' },
+        { article: 'Art. 49', requirement: 'Register the system in the EU database' },
+        { article: 'Art. 72', requirement: 'Operate a post-market monitoring system',
+            satisfiedBy: (s) => Boolean(s.performanceMonitoring) },
+        { article: 'Art. 73', requirement: 'Report serious incidents to market surveillance authorities',
+            satisfiedBy: (s) => Boolean(s.incidentResponse) }
+    ],
+    limited: [
+        { article: 'Art. 50(1)', requirement: 'Inform natural persons that they are interacting with an AI system',
+            when: (s, d) => Boolean(d.interactsWithNaturalPersons) },
+        { article: 'Art. 50(2)', requirement: 'Mark synthetic audio, image, video or text output in a machine-readable format',
+            when: (s, d) => Boolean(d.generatesSyntheticContent) || s.type === 'llm' },
+        { article: 'Art. 50(3)', requirement: 'Inform exposed persons of emotion recognition or biometric categorisation',
+            when: (s) => ['emotion_recognition', 'biometric_categorisation'].includes(s.purpose) },
+        { article: 'Art. 50(4)', requirement: 'Disclose that deep fake content has been artificially generated or manipulated',
+            when: (s, d) => Boolean(d.deepfake) }
+    ],
+    minimal: [
+        { article: 'Art. 4', requirement: 'Ensure a sufficient level of AI literacy of staff operating the system' },
+        { article: 'Art. 95', requirement: 'Voluntary codes of conduct are encouraged' }
+    ]
+};
+
+const TIER_LABELS = {
+    prohibited: 'Prohibited AI practice',
+    high: 'High-risk AI system',
+    limited: 'Limited-risk AI system (transparency obligations)',
+    minimal: 'Minimal-risk AI system'
+};
+
+/**
+ * Resolve obligation status against declared AISystem fields
+ * @private
+ */
+const resolveObligations = (obligations, aiSystem) => obligations.map(({ article, requirement, satisfiedBy }) => ({
+    article,
+    requirement,
+    status: satisfiedBy ? (satisfiedBy(aiSystem) ? 'met' : 'unmet') : 'not_assessed'
+}));
+
+/**
+ * Classify an AI system into an EU AI Act risk tier
+ * @param {Object} aiSystem - AI system definition (purpose, domain, deployment)
+ * @returns {Object} Tier classification with legal basis and obligations
+ */
+function classifyAISystem(aiSystem) {
+    const deployment = aiSystem.deployment || {};
+    const reasons = [];
+
+    // 1. Prohibited practices (Art. 5)
+    const practice = PROHIBITED_PRACTICES[aiSystem.purpose];
+    if (practice && (!practice.applies || practice.applies(aiSystem, deployment))) {
+        reasons.push({ citation: practice.citation, description: practice.description });
+        return buildClassification('prohibited', aiSystem, reasons);
+    }
+
+    // 2. High-risk: safety components of Annex I products (Art. 6(1)) or Annex III use cases (Art. 6(2))
+    if (aiSystem.safetyComponent) {
+        reasons.push({
+            citation: 'Art. 6(1), Annex I',
+            description: 'Safety component of a product covered by Union harmonisation legislation'
+        });
+    }
+
+    const area = ANNEX_III_AREAS[aiSystem.domain];
+    // Art. 6(3) derogation does not apply when the system profiles natural persons
+    const derogated = Boolean(area && deployment.narrowProceduralTask && !deployment.profiling);
+    if (derogated) {
+        reasons.push({
+            citation: 'Art. 6(3)',
+            description: `${area.description} use case performs a narrow procedural task and is not considered high-risk`
+        });
+    } else if (area) {
+        reasons.push({ citation: `Art. 6(2), ${area.citation}`, description: area.description });
+    }
+
+    if (aiSystem.safetyComponent || (area && !derogated)) {
+        return buildClassification('high', aiSystem, reasons);
+    }
+
+    // 3. Limited risk: transparency obligations (Art. 50)
+    const transparencyDuties = TIER_OBLIGATIONS.limited.filter(obligation => obligation.when(aiSystem, deployment));
+    if (transparencyDuties.length > 0) {
+        transparencyDuties.forEach(duty => {
+            reasons.push({ citation: duty.article, description: duty.requirement });
+        });
+        return buildClassification('limited', aiSystem, reasons, transparencyDuties);
+    }
+
+    // 4. Minimal risk
+    reasons.push({ citation: 'Art. 95', description: 'No prohibited, high-risk or transparency criteria matched' });
+    return buildClassification('minimal', aiSystem, reasons);
+}
+
+/**
+ * Assemble the classification result
+ * @private
+ */
+function buildClassification(tier, aiSystem, reasons, obligations = TIER_OBLIGATIONS[tier]) {
+    const declared = ['purpose', 'domain', 'deployment'].filter(field => aiSystem[field] !== undefined);
+
+    return {
+        regulation: REGULATION,
+        tier,
+        label: TIER_LABELS[tier],
+        reasons,
+        obligations: resolveObligations(obligations, aiSystem),
+        basis: {
+            purpose: aiSystem.purpose || null,
+            domain: aiSystem.domain || null,
+            deployment: aiSystem.deployment || null
+        },
+        // Classification quality depends entirely on declared fields
+        confidence: declared.length === 3 ? 'declared' : 'incomplete'
+    };
+}
+
+module.exports = {
+    classifyAISystem,
+    AI_ACT_DOMAINS,
+    DEPLOYMENT_CONTEXTS
+};
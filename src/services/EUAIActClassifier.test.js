@@ -0,0 +1,72 @@
+const { classifyAISystem } = require('./EUAIActClassifier');
+
+describe('classifyAISystem', () => {
+    test('classifies prohibited practices by purpose', () => {
+        const classification = classifyAISystem({ purpose: 'social_scoring', domain: 'general', deployment: {} });
+
+        expect(classification.tier).toBe('prohibited');
+        expect(classification.reasons[0].citation).toBe('Art. 5(1)(c)');
+    });
+
+    test('prohibits emotion recognition only in the workplace and education', () => {
+        expect(classifyAISystem({ purpose: 'emotion_recognition', deployment: { context: 'workplace' } }).tier)
+            .toBe('prohibited');
+        expect(classifyAISystem({
+            purpose: 'emotion_recognition',
+            deployment: { context: 'workplace', medicalOrSafetyReasons: true }
+        }).tier).not.toBe('prohibited');
+        expect(classifyAISystem({ purpose: 'emotion_recognition', deployment: { context: 'consumer' } }).tier)
+            .toBe('limited');
+    });
+
+    test('classifies Annex III domains as high-risk', () => {
+        const classification = classifyAISystem({ purpose: 'screening', domain: 'employment', deployment: {} });
+
+        expect(classification.tier).toBe('high');
+        expect(classification.reasons[0].citation).toBe('Art. 6(2), Annex III point 4');
+    });
+
+    test('applies the narrow procedural task derogation unless the system profiles people', () => {
+        expect(classifyAISystem({ domain: 'employment', deployment: { narrowProceduralTask: true } }).tier)
+            .toBe('minimal');
+        expect(classifyAISystem({ domain: 'employment', deployment: { narrowProceduralTask: true, profiling: true } }).tier)
+            .toBe('high');
+    });
+
+    test('classifies safety components as high-risk in any domain', () => {
+        expect(classifyAISystem({ domain: 'general', safetyComponent: true }).reasons[0].citation).toBe('Art. 6(1), Annex I');
+    });
+
+    test('resolves high-risk obligations against declared fields', () => {
+        const { obligations } = classifyAISystem({
+            domain: 'education',
+            modelDocumentation: 'https://example.com/model-card',
+            humanOversight: { enabled: true },
+            manualOverride: false
+        });
+        const status = Object.fromEntries(obligations.map(obligation => [obligation.article, obligation.status]));
+
+        expect(status['Art. 11']).toBe('met');
+        expect(status['Art. 14']).toBe('unmet');
+        expect(status['Art. 9']).toBe('not_assessed');
+    });
+
+    test('lists only the transparency duties that apply to limited-risk systems', () => {
+        const classification = classifyAISystem({
+            type: 'llm',
+            domain: 'customer_service',
+            deployment: { interactsWithNaturalPersons: true }
+        });
+
+        expect(classification.tier).toBe('limited');
+        expect(classification.obligations.map(obligation => obligation.article)).toEqual(['Art. 50(1)', 'Art. 50(2)']);
+    });
+
+    test('falls back to minimal risk and reports incomplete declarations', () => {
+        const classification = classifyAISystem({ type: 'classifier', domain: 'marketing' });
+
+        expect(classification.tier).toBe('minimal');
+        expect(classification.confidence).toBe('incomplete');
+        expect(classifyAISystem({ purpose: 'ranking', domain: 'marketing', deployment: {} }).confidence).toBe('declared');
+    });
+});
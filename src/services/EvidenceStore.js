@@ -0,0 +1,259 @@
+/**
+ * VoidGuard AI Governance Suite - Evidence Store
+ *
+ * Evidence artifacts backing self-declared safety claims (bias testing,
+ * adversarial testing, model documentation, ...). Contents are stored once
+ * per SHA-256 on disk (EVIDENCE_STORAGE_DIR) and attached to a safety check
+ * of an AI system (data/migrations/005_create_evidence_attachments.sql).
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const EVIDENCE_KINDS = ['report', 'test_results', 'model_card', 'other'];
+
+// Accepted uploads: PDF reports, CSV/JSON/JSONL test results, Markdown/text/YAML model cards
+const EVIDENCE_CONTENT_TYPES = {
+    'application/pdf': ['.pdf'],
+    'text/csv': ['.csv'],
+    'application/json': ['.json', '.jsonl'],
+    'application/x-ndjson': ['.jsonl', '.ndjson'],
+    'application/jsonl': ['.jsonl'],
+    'text/markdown': ['.md', '.markdown'],
+    'text/plain': ['.txt', '.md', '.csv', '.jsonl'],
+    'application/x-yaml': ['.yml', '.yaml'],
+    'text/yaml': ['.yml', '.yaml']
+};
+
+/**
+ * Map an evidence_attachments row to an attachment
+ * @private
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        checkId: row.check_id,
+        kind: row.kind,
+        sha256: row.sha256,
+        filename: row.filename,
+        contentType: row.content_type,
+        size: Number(row.size_bytes),
+        description: row.description,
+        uploadedBy: row.uploaded_by,
+        uploadedAt: new Date(row.uploaded_at).toISOString(),
+        removedBy: row.removed_by,
+        removedAt: row.removed_at ? new Date(row.removed_at).toISOString() : null
+    };
+}
+
+/**
+ * Reduce an uploaded file name to a safe base name
+ * @private
+ */
+function safeFilename(filename) {
+    const base = path.basename(String(filename || '')).replace(/[\x00-\x1f"\\/]/g, '_').slice(0, 255);
+    return base.length > 0 && base !== '.' && base !== '..' ? base : 'evidence';
+}
+
+/**
+ * SHA-256 of a buffer (hex)
+ * @param {Buffer} content - Content
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+class EvidenceStore {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     * @param {string} options.storageDir - Content directory (defaults to EVIDENCE_STORAGE_DIR)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.storageDir = options.storageDir || process.env.EVIDENCE_STORAGE_DIR || 'uploads/evidence';
+        this.logger = logger.child({ component: 'EvidenceStore' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Path of a content file
+     * @private
+     */
+    contentPath(digest) {
+        return path.join(this.storageDir, digest.slice(0, 2), digest);
+    }
+
+    /**
+     * Store content under its SHA-256 (no-op if already stored)
+     * @param {Buffer} content - File content
+     * @returns {string} SHA-256 of the content
+     */
+    async putContent(content) {
+        const digest = sha256(content);
+        const target = this.contentPath(digest);
+
+        if (!fs.existsSync(target)) {
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            // Write then rename, so a partially written file is never visible under its hash
+            const temporary = `${target}.${uuidv4()}.tmp`;
+            await fs.promises.writeFile(temporary, content);
+            await fs.promises.rename(temporary, target);
+        }
+
+        return digest;
+    }
+
+    /**
+     * Read stored content, verifying it still matches its hash
+     * @param {string} digest - SHA-256 of the content
+     * @returns {Buffer} File content
+     */
+    async getContent(digest) {
+        const content = await fs.promises.readFile(this.contentPath(digest));
+
+        if (sha256(content) !== digest) {
+            this.logger.error('Evidence content does not match its hash', { sha256: digest });
+            throw new Error(`Evidence content ${digest} failed integrity verification`);
+        }
+
+        return content;
+    }
+
+    /**
+     * Attach an evidence artifact to a safety check of an AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} evidence - { systemId, checkId, kind, description, filename, contentType, content }
+     * @param {string} userId - Uploading user
+     * @returns {Object} Attachment
+     */
+    async attach(organizationId, evidence, userId) {
+        const digest = await this.putContent(evidence.content);
+
+        const { rows } = await this.db.query(
+            `INSERT INTO evidence_attachments
+                (id, organization_id, system_id, check_id, kind, sha256, filename, content_type,
+                 size_bytes, description, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                evidence.systemId,
+                evidence.checkId,
+                evidence.kind,
+                digest,
+                safeFilename(evidence.filename),
+                evidence.contentType,
+                evidence.content.length,
+                evidence.description || null,
+                userId || null
+            ]
+        );
+
+        this.logger.info('Evidence attached', {
+            organizationId,
+            attachmentId: rows[0].id,
+            systemId: evidence.systemId,
+            checkId: evidence.checkId,
+            sha256: digest
+        });
+        return fromRow(rows[0]);
+    }
+
+    /**
+     * Get an attachment (including removed ones)
+     * @param {string} organizationId - Organization identifier
+     * @param {string} attachmentId - Attachment identifier
+     * @returns {Object|null} Attachment
+     */
+    async get(organizationId, attachmentId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM evidence_attachments WHERE organization_id = $1 AND id = $2',
+            [organizationId, attachmentId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * List current attachments, most recent first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, checkId
+     * @returns {Array} Attachments
+     */
+    async list(organizationId, filters = {}) {
+        const conditions = ['organization_id = $1', 'removed_at IS NULL'];
+        const params = [organizationId];
+        [['systemId', 'system_id'], ['checkId', 'check_id']].forEach(([filter, column]) => {
+            if (filters[filter]) {
+                params.push(filters[filter]);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        });
+
+        const { rows } = await this.db.query(
+            `SELECT * FROM evidence_attachments WHERE ${conditions.join(' AND ')}
+             ORDER BY uploaded_at DESC`,
+            params
+        );
+
+        return rows.map(fromRow);
+    }
+
+    /**
+     * Remove an attachment from future validations (its content is kept)
+     * @param {string} organizationId - Organization identifier
+     * @param {string} attachmentId - Attachment identifier
+     * @param {string} userId - Removing user
+     * @returns {Object|null} Removed attachment, or null if not found or already removed
+     */
+    async remove(organizationId, attachmentId, userId) {
+        const { rows } = await this.db.query(
+            `UPDATE evidence_attachments SET removed_by = $3, removed_at = NOW()
+             WHERE organization_id = $1 AND id = $2 AND removed_at IS NULL
+             RETURNING *`,
+            [organizationId, attachmentId, userId || null]
+        );
+
+        if (rows.length === 0) return null;
+
+        this.logger.info('Evidence removed', { organizationId, attachmentId, userId });
+        return fromRow(rows[0]);
+    }
+}
+
+module.exports = { EvidenceStore, EVIDENCE_KINDS, EVIDENCE_CONTENT_TYPES, sha256 };
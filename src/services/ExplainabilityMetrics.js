@@ -0,0 +1,374 @@
+/**
+ * VoidGuard AI Governance Suite - Explainability Metrics
+ *
+ * Model-agnostic explanations computed from a tabular dataset and a
+ * predictor - either the model itself behind an endpoint, or a regression
+ * tree surrogate fitted to the dataset's prediction column:
+ *
+ *   permutation importance   mean change of the prediction when a feature is shuffled
+ *   partial dependence       mean prediction with a feature fixed at each grid value
+ *   counterfactuals          smallest single-feature change that flips an instance's decision
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const DEFAULT_EXPLAINABILITY_OPTIONS = {
+    // Rows explained; larger datasets are sampled
+    sampleSize: 1000,
+    // Rows explained through an endpoint, where every prediction is a request
+    endpointSampleSize: 50,
+    repeats: 3,
+    gridSize: 5,
+    counterfactualInstances: 5,
+    decisionThreshold: 0.5,
+    // Categorical features with more values are skipped
+    maxCategories: 20,
+    seed: 42
+};
+
+const SURROGATE_MAX_DEPTH = 6;
+const SURROGATE_MIN_LEAF = 5;
+const SURROGATE_SPLIT_CANDIDATES = 16;
+const POSITIVE_VALUES = ['1', 'true', 'yes', 'positive'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so reports are reproducible
+ * @private
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle of a copy
+ * @private
+ */
+function shuffled(items, random) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Interpret a prediction as a number: numeric values as is, labels as 1 for
+ * the favorable outcome and 0 otherwise
+ * @param {*} value - Prediction
+ * @param {string} positiveLabel - Value of the favorable outcome (default 1/true/yes/positive)
+ * @returns {number} Numeric prediction
+ */
+function toPrediction(value, positiveLabel) {
+    if (positiveLabel !== undefined && positiveLabel !== null && positiveLabel !== '') {
+        return String(value) === String(positiveLabel) ? 1 : 0;
+    }
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const number = typeof value === 'number' ? value : (isBlank(value) ? NaN : Number(value));
+    if (Number.isFinite(number)) return number;
+    return POSITIVE_VALUES.includes(String(value).trim().toLowerCase()) ? 1 : 0;
+}
+
+/**
+ * Describe the features of a dataset: type, range and the grid of values
+ * explanations are evaluated at
+ * @param {Array} records - Dataset records
+ * @param {Array<string>} features - Feature columns
+ * @param {Object} options - { gridSize, maxCategories }
+ * @returns {Object} { features, skipped }
+ */
+function describeFeatures(records, features, options = {}) {
+    const { gridSize, maxCategories } = { ...DEFAULT_EXPLAINABILITY_OPTIONS, ...options };
+    const described = [];
+    const skipped = [];
+
+    features.forEach(name => {
+        const values = records.map(record => record[name]).filter(value => !isBlank(value));
+        if (values.length === 0) {
+            skipped.push({ feature: name, reason: 'No values' });
+            return;
+        }
+
+        const numbers = values.map(Number);
+        if (numbers.every(Number.isFinite)) {
+            const sorted = [...numbers].sort((a, b) => a - b);
+            const quantile = q => sorted[Math.min(Math.round(q * (sorted.length - 1)), sorted.length - 1)];
+            const grid = [...new Set(Array.from({ length: gridSize }, (_, i) => quantile(i / Math.max(gridSize - 1, 1))))];
+            described.push({ name, type: 'numeric', min: sorted[0], max: sorted[sorted.length - 1], grid });
+            return;
+        }
+
+        const counts = new Map();
+        values.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+        if (counts.size > maxCategories) {
+            skipped.push({ feature: name, reason: `More than ${maxCategories} distinct values` });
+            return;
+        }
+        const categories = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+        described.push({ name, type: 'categorical', categories, grid: categories.slice(0, Math.max(gridSize, 2)) });
+    });
+
+    return { features: described, skipped };
+}
+
+/**
+ * Records with numeric features as numbers, as a model would receive them
+ * @param {Array} records - Dataset records
+ * @param {Array} features - Described features
+ * @returns {Array} Normalized records
+ */
+function normalizeRecords(records, features) {
+    const numeric = features.filter(feature => feature.type === 'numeric').map(feature => feature.name);
+
+    return records.map(record => {
+        const normalized = { ...record };
+        numeric.forEach(name => {
+            if (!isBlank(record[name])) normalized[name] = Number(record[name]);
+        });
+        return normalized;
+    });
+}
+
+/**
+ * Sample rows without replacement
+ * @param {Array} records - Records
+ * @param {number} size - Sample size
+ * @param {number} seed - Random seed
+ * @returns {Array} Sample (all records when there are no more than size)
+ */
+function sampleRecords(records, size, seed = DEFAULT_EXPLAINABILITY_OPTIONS.seed) {
+    return records.length <= size ? records : shuffled(records, createRandom(seed)).slice(0, size);
+}
+
+/**
+ * Whether a record goes left at a split
+ * @private
+ */
+function goesLeft(split, record) {
+    const value = record[split.feature];
+    return split.type === 'numeric' ? Number(value) <= split.threshold : String(value) === split.category;
+}
+
+/**
+ * Fit a regression tree to predictions (variance reduction splits)
+ * @private
+ */
+function growTree(rows, targets, features, depth) {
+    const prediction = mean(rows.map(row => targets[row.index]));
+    if (depth >= SURROGATE_MAX_DEPTH || rows.length < SURROGATE_MIN_LEAF * 2) {
+        return { prediction };
+    }
+
+    const sse = (subset) => {
+        if (subset.length === 0) return 0;
+        const average = mean(subset.map(row => targets[row.index]));
+        return subset.reduce((sum, row) => sum + (targets[row.index] - average) ** 2, 0);
+    };
+    let best = { gain: 1e-12 };
+    const parentError = sse(rows);
+
+    features.forEach(feature => {
+        let candidates;
+        if (feature.type === 'numeric') {
+            const values = [...new Set(rows.map(row => Number(row.record[feature.name])))].sort((a, b) => a - b);
+            const step = Math.max(Math.floor(values.length / SURROGATE_SPLIT_CANDIDATES), 1);
+            candidates = values.filter((_, i) => i % step === 0).slice(0, -1)
+                .map(threshold => ({ feature: feature.name, type: 'numeric', threshold }));
+        } else {
+            candidates = feature.categories.map(category => ({ feature: feature.name, type: 'categorical', category }));
+        }
+
+        candidates.forEach(split => {
+            const left = rows.filter(row => goesLeft(split, row.record));
+            if (left.length < SURROGATE_MIN_LEAF || rows.length - left.length < SURROGATE_MIN_LEAF) return;
+            const right = rows.filter(row => !goesLeft(split, row.record));
+            const gain = parentError - sse(left) - sse(right);
+            if (gain > best.gain) best = { gain, split, left, right };
+        });
+    });
+
+    if (!best.split) {
+        return { prediction };
+    }
+    return {
+        prediction,
+        split: best.split,
+        left: growTree(best.left, targets, features, depth + 1),
+        right: growTree(best.right, targets, features, depth + 1)
+    };
+}
+
+/**
+ * Fit a surrogate model to a dataset's predictions
+ * @param {Array} records - Normalized records
+ * @param {Array<number>} targets - Numeric predictions of the records
+ * @param {Array} features - Described features
+ * @param {number} decisionThreshold - Threshold of the favorable decision
+ * @returns {Object} { predict, description }
+ */
+function fitSurrogate(records, targets, features, decisionThreshold) {
+    const tree = growTree(records.map((record, index) => ({ record, index })), targets, features, 0);
+    const predictOne = (record) => {
+        let node = tree;
+        while (node.split) {
+            node = goesLeft(node.split, record) ? node.left : node.right;
+        }
+        return node.prediction;
+    };
+    const size = (node) => {
+        if (!node.split) return { depth: 0, leaves: 1 };
+        const [left, right] = [size(node.left), size(node.right)];
+        return { depth: 1 + Math.max(left.depth, right.depth), leaves: left.leaves + right.leaves };
+    };
+
+    // Fidelity: how well the surrogate reproduces the model's predictions
+    const fitted = records.map(predictOne);
+    const average = mean(targets);
+    const totalError = targets.reduce((sum, target) => sum + (target - average) ** 2, 0);
+    const residualError = targets.reduce((sum, target, i) => sum + (target - fitted[i]) ** 2, 0);
+    const agreement = targets.filter((target, i) => (target >= decisionThreshold) === (fitted[i] >= decisionThreshold)).length;
+
+    return {
+        predict: async (batch) => batch.map(predictOne),
+        description: {
+            type: 'regression_tree',
+            ...size(tree),
+            fidelity: {
+                r2: round(totalError > 0 ? 1 - residualError / totalError : 1),
+                decisionAgreement: round(agreement / targets.length)
+            }
+        }
+    };
+}
+
+/**
+ * Distance of a counterfactual value from the original, scaled to the feature's range
+ * @private
+ */
+function changeCost(feature, from, to) {
+    if (feature.type === 'categorical') return 1;
+    const range = feature.max - feature.min;
+    return range > 0 ? Math.abs(Number(to) - Number(from)) / range : 1;
+}
+
+/**
+ * Compute explanations of a predictor
+ * @param {Array} records - Normalized sample records
+ * @param {Array} features - Described features
+ * @param {Function} predict - async (records) => numeric predictions
+ * @param {Object} options - repeats, counterfactualInstances, decisionThreshold, seed, onProgress
+ * @returns {Object} { permutationImportance, partialDependence, counterfactuals }
+ */
+async function computeExplanations(records, features, predict, options = {}) {
+    const settings = { ...DEFAULT_EXPLAINABILITY_OPTIONS, ...options };
+    const onProgress = options.onProgress || (async () => {});
+    const random = createRandom(settings.seed);
+    const decision = prediction => prediction >= settings.decisionThreshold;
+    const steps = features.length * 2 + 1;
+
+    const baseline = await predict(records);
+
+    // Permutation importance
+    const permutationImportance = [];
+    for (const [index, feature] of features.entries()) {
+        await onProgress(index / steps, `Permutation importance of ${feature.name}`);
+        const changes = [];
+        const flips = [];
+        for (let repeat = 0; repeat < settings.repeats; repeat++) {
+            const values = shuffled(records.map(record => record[feature.name]), random);
+            const permuted = await predict(records.map((record, i) => ({ ...record, [feature.name]: values[i] })));
+            changes.push(mean(permuted.map((prediction, i) => Math.abs(prediction - baseline[i]))));
+            flips.push(permuted.filter((prediction, i) => decision(prediction) !== decision(baseline[i])).length / records.length);
+        }
+        permutationImportance.push({
+            feature: feature.name,
+            importance: round(mean(changes)),
+            decisionChangeRate: round(mean(flips))
+        });
+    }
+    const total = permutationImportance.reduce((sum, result) => sum + result.importance, 0);
+    permutationImportance.forEach(result => {
+        result.share = round(total > 0 ? result.importance / total : 0);
+    });
+    permutationImportance.sort((a, b) => b.importance - a.importance);
+
+    // Partial dependence
+    const partialDependence = [];
+    for (const [index, feature] of features.entries()) {
+        await onProgress((features.length + index) / steps, `Partial dependence of ${feature.name}`);
+        const grid = [];
+        for (const value of feature.grid) {
+            const predictions = await predict(records.map(record => ({ ...record, [feature.name]: value })));
+            grid.push({ value, meanPrediction: round(mean(predictions)) });
+        }
+        const means = grid.map(point => point.meanPrediction);
+        const range = round(Math.max(...means) - Math.min(...means));
+        let trend = null;
+        if (feature.type === 'numeric') {
+            const deltas = means.slice(1).map((value, i) => value - means[i]);
+            trend = range === 0 ? 'flat' :
+                deltas.every(delta => delta >= 0) ? 'increasing' :
+                    deltas.every(delta => delta <= 0) ? 'decreasing' : 'non_monotonic';
+        }
+        partialDependence.push({ feature: feature.name, type: feature.type, grid, range, trend });
+    }
+
+    // Counterfactuals, for unfavorable decisions first
+    await onProgress((steps - 1) / steps, 'Counterfactual examples');
+    const byImportance = permutationImportance.map(result => features.find(feature => feature.name === result.feature));
+    const instances = records
+        .map((record, index) => ({ record, index, prediction: baseline[index] }))
+        .sort((a, b) => Number(decision(a.prediction)) - Number(decision(b.prediction)))
+        .slice(0, settings.counterfactualInstances);
+
+    const counterfactuals = [];
+    for (const instance of instances) {
+        const candidates = byImportance.flatMap(feature => feature.grid
+            .filter(value => String(value) !== String(instance.record[feature.name]))
+            .map(value => ({ feature, value, cost: changeCost(feature, instance.record[feature.name], value) })));
+        const predictions = candidates.length > 0 ?
+            await predict(candidates.map(candidate => ({ ...instance.record, [candidate.feature.name]: candidate.value }))) : [];
+        const flipped = candidates
+            .map((candidate, i) => ({ ...candidate, prediction: predictions[i] }))
+            .filter(candidate => decision(candidate.prediction) !== decision(instance.prediction))
+            .sort((a, b) => a.cost - b.cost);
+
+        counterfactuals.push({
+            instance: instance.index,
+            record: instance.record,
+            prediction: round(instance.prediction),
+            decision: decision(instance.prediction) ? 'favorable' : 'unfavorable',
+            counterfactual: flipped.length === 0 ? null : {
+                feature: flipped[0].feature.name,
+                from: instance.record[flipped[0].feature.name],
+                to: flipped[0].value,
+                prediction: round(flipped[0].prediction),
+                cost: round(flipped[0].cost)
+            }
+        });
+    }
+
+    return { permutationImportance, partialDependence, counterfactuals };
+}
+
+module.exports = {
+    DEFAULT_EXPLAINABILITY_OPTIONS,
+    toPrediction,
+    describeFeatures,
+    normalizeRecords,
+    sampleRecords,
+    fitSurrogate,
+    computeExplanations
+};
@@ -0,0 +1,183 @@
+/**
+ * VoidGuard AI Governance Suite - Fairness Evaluations
+ *
+ * Fairness metrics measured from prediction datasets, per AI system
+ * (data/migrations/006_create_fairness_evaluations.sql). The latest
+ * evaluation of a system drives the score of its bias check.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+/**
+ * Map a fairness_evaluations row to an evaluation
+ * @private
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        evidenceId: row.evidence_id,
+        dataset: {
+            sha256: row.dataset_sha256,
+            format: row.dataset_format,
+            rows: row.row_count,
+            columns: row.columns
+        },
+        protectedAttributes: row.protected_attributes,
+        metrics: row.metrics,
+        evaluatedBy: row.evaluated_by,
+        evaluatedAt: new Date(row.evaluated_at).toISOString()
+    };
+}
+
+class FairnessEvaluations {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'FairnessEvaluations' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Store an evaluation
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} evaluation - { systemId, evidenceId, dataset: { sha256, format, columns }, protectedAttributes, metrics }
+     * @param {string} userId - Evaluating user
+     * @returns {Object} Evaluation
+     */
+    async record(organizationId, evaluation, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO fairness_evaluations
+                (id, organization_id, system_id, evidence_id, dataset_sha256, dataset_format, row_count,
+                 protected_attributes, columns, metrics, evaluated_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                evaluation.systemId,
+                evaluation.evidenceId || null,
+                evaluation.dataset.sha256,
+                evaluation.dataset.format,
+                evaluation.metrics.rows,
+                JSON.stringify(evaluation.protectedAttributes),
+                JSON.stringify(evaluation.dataset.columns),
+                JSON.stringify(evaluation.metrics),
+                userId || null
+            ]
+        );
+
+        this.logger.info('Fairness evaluation recorded', {
+            organizationId,
+            evaluationId: rows[0].id,
+            systemId: evaluation.systemId,
+            rows: evaluation.metrics.rows
+        });
+        return fromRow(rows[0]);
+    }
+
+    /**
+     * Get an evaluation
+     * @param {string} organizationId - Organization identifier
+     * @param {string} evaluationId - Evaluation identifier
+     * @returns {Object|null} Evaluation
+     */
+    async get(organizationId, evaluationId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM fairness_evaluations WHERE organization_id = $1 AND id = $2',
+            [organizationId, evaluationId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * List evaluations, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { evaluations, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        if (filters.systemId) {
+            params.push(filters.systemId);
+            conditions.push(`system_id = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM fairness_evaluations WHERE ${where}
+                 ORDER BY evaluated_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM fairness_evaluations WHERE ${where}`, params)
+        ]);
+
+        return {
+            evaluations: rows.map(fromRow),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Latest evaluation of a system
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @returns {Object|null} Evaluation
+     */
+    async getLatest(organizationId, systemId) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM fairness_evaluations WHERE organization_id = $1 AND system_id = $2
+             ORDER BY evaluated_at DESC LIMIT 1`,
+            [organizationId, systemId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+}
+
+module.exports = { FairnessEvaluations };
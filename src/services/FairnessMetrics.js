@@ -0,0 +1,341 @@
+/**
+ * VoidGuard AI Governance Suite - Fairness Metrics
+ *
+ * Group fairness metrics measured from a prediction dataset (one record per
+ * decision with the model's prediction, the true label, an optional score and
+ * the protected attributes), and the assessment that turns them into the
+ * bias check result:
+ *
+ *   demographic parity difference  max - min selection rate across groups
+ *   disparate impact ratio         min / max selection rate (four-fifths rule: >= 0.8)
+ *   equalized odds difference      max of the TPR and FPR gaps across groups
+ *   calibration by group           expected calibration error of the scores per group
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+// Safety check whose score is driven by measured fairness
+const FAIRNESS_CHECK_ID = 'bias';
+
+const DEFAULT_FAIRNESS_THRESHOLDS = {
+    maxDemographicParityDifference: 0.1,
+    minDisparateImpactRatio: 0.8,
+    maxEqualizedOddsDifference: 0.1,
+    maxCalibrationError: 0.1,
+    // Smaller groups are reported but left out of the comparisons
+    minGroupSize: 30
+};
+
+const THRESHOLD_ENV = {
+    maxDemographicParityDifference: 'VOIDGUARD_FAIRNESS_MAX_PARITY_DIFFERENCE',
+    minDisparateImpactRatio: 'VOIDGUARD_FAIRNESS_MIN_DISPARATE_IMPACT',
+    maxEqualizedOddsDifference: 'VOIDGUARD_FAIRNESS_MAX_EQUALIZED_ODDS_DIFFERENCE',
+    maxCalibrationError: 'VOIDGUARD_FAIRNESS_MAX_CALIBRATION_ERROR',
+    minGroupSize: 'VOIDGUARD_FAIRNESS_MIN_GROUP_SIZE'
+};
+
+// Penalties applied to the bias check score per violated metric and attribute
+const METRIC_PENALTIES = {
+    disparateImpact: 0.4,
+    demographicParity: 0.3,
+    equalizedOdds: 0.3,
+    calibration: 0.2,
+    // Too few records per group to compare the attribute at all
+    coverage: 0.3
+};
+
+const CALIBRATION_BINS = 10;
+const POSITIVE_VALUES = ['1', 'true', 'yes', 'positive'];
+
+/**
+ * Fairness thresholds: defaults, then environment, then explicit overrides
+ * @param {Object} overrides - Threshold overrides
+ * @returns {Object} Thresholds
+ */
+function resolveFairnessThresholds(overrides = {}) {
+    const fromEnv = {};
+    Object.entries(THRESHOLD_ENV).forEach(([key, variable]) => {
+        const value = parseFloat(process.env[variable]);
+        if (Number.isFinite(value)) fromEnv[key] = value;
+    });
+
+    return { ...DEFAULT_FAIRNESS_THRESHOLDS, ...fromEnv, ...overrides };
+}
+
+/**
+ * Interpret a prediction or label value as the favorable (positive) outcome
+ * @private
+ */
+function isPositive(value, positiveLabel) {
+    if (positiveLabel !== undefined && positiveLabel !== null && positiveLabel !== '') {
+        return String(value) === String(positiveLabel);
+    }
+    return value === true || value === 1 || POSITIVE_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+/**
+ * Spread (max - min) of the non-null values
+ * @private
+ */
+function spread(values) {
+    const present = values.filter(value => value !== null);
+    return present.length > 1 ? Math.max(...present) - Math.min(...present) : null;
+}
+
+/**
+ * Normalize dataset records into outcomes
+ * @private
+ */
+function toOutcomes(records, options) {
+    const { columns, protectedAttributes, positiveLabel } = options;
+    const decisionThreshold = options.decisionThreshold ?? 0.5;
+
+    return records.map((record, index) => {
+        let score = null;
+        if (columns.score && !isBlank(record[columns.score])) {
+            score = Number(record[columns.score]);
+            if (!Number.isFinite(score) || score < 0 || score > 1) {
+                throw new Error(`Record ${index + 1}: ${columns.score} must be a probability between 0 and 1`);
+            }
+        }
+
+        let predicted;
+        if (!isBlank(record[columns.prediction])) {
+            predicted = isPositive(record[columns.prediction], positiveLabel);
+        } else if (score !== null) {
+            predicted = score >= decisionThreshold;
+        } else {
+            throw new Error(`Record ${index + 1}: missing ${columns.prediction}`);
+        }
+
+        const attributes = {};
+        protectedAttributes.forEach(attribute => {
+            if (isBlank(record[attribute])) {
+                throw new Error(`Record ${index + 1}: missing protected attribute ${attribute}`);
+            }
+            attributes[attribute] = String(record[attribute]);
+        });
+
+        return {
+            predicted,
+            actual: columns.label && !isBlank(record[columns.label]) ? isPositive(record[columns.label], positiveLabel) : null,
+            score,
+            attributes
+        };
+    });
+}
+
+/**
+ * Expected calibration error of scored, labelled outcomes
+ * @private
+ */
+function calibrationError(outcomes) {
+    const scored = outcomes.filter(outcome => outcome.score !== null && outcome.actual !== null);
+    if (scored.length === 0) return null;
+
+    const bins = Array.from({ length: CALIBRATION_BINS }, () => ({ count: 0, scoreSum: 0, positives: 0 }));
+    scored.forEach(outcome => {
+        const bin = bins[Math.min(Math.floor(outcome.score * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+        bin.count++;
+        bin.scoreSum += outcome.score;
+        if (outcome.actual) bin.positives++;
+    });
+
+    return bins
+        .filter(bin => bin.count > 0)
+        .reduce((error, bin) => error + (bin.count / scored.length) * Math.abs(bin.scoreSum / bin.count - bin.positives / bin.count), 0);
+}
+
+/**
+ * Rates of one group
+ * @private
+ */
+function groupRates(value, outcomes, minGroupSize) {
+    const labelled = outcomes.filter(outcome => outcome.actual !== null);
+    const positives = labelled.filter(outcome => outcome.actual);
+    const negatives = labelled.filter(outcome => !outcome.actual);
+
+    return {
+        value,
+        count: outcomes.length,
+        excluded: outcomes.length < minGroupSize,
+        selectionRate: round(ratio(outcomes.filter(outcome => outcome.predicted).length, outcomes.length)),
+        truePositiveRate: round(ratio(positives.filter(outcome => outcome.predicted).length, positives.length)),
+        falsePositiveRate: round(ratio(negatives.filter(outcome => outcome.predicted).length, negatives.length)),
+        calibrationError: round(calibrationError(outcomes))
+    };
+}
+
+/**
+ * Metrics for one protected attribute
+ * @private
+ */
+function attributeMetrics(attribute, outcomes, minGroupSize) {
+    const byValue = new Map();
+    outcomes.forEach(outcome => {
+        const value = outcome.attributes[attribute];
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(outcome);
+    });
+
+    const groups = [...byValue.entries()]
+        .map(([value, groupOutcomes]) => groupRates(value, groupOutcomes, minGroupSize))
+        .sort((a, b) => b.count - a.count);
+    const compared = groups.filter(group => !group.excluded);
+
+    const selectionRates = compared.map(group => group.selectionRate);
+    const maxSelection = selectionRates.length > 1 ? Math.max(...selectionRates) : null;
+    const tprDifference = spread(compared.map(group => group.truePositiveRate));
+    const fprDifference = spread(compared.map(group => group.falsePositiveRate));
+    const calibrationErrors = compared.map(group => group.calibrationError).filter(error => error !== null);
+
+    return {
+        attribute,
+        groups,
+        groupsCompared: compared.length,
+        demographicParityDifference: round(spread(selectionRates)),
+        disparateImpactRatio: maxSelection === null ? null :
+            round(maxSelection > 0 ? Math.min(...selectionRates) / maxSelection : 1),
+        equalizedOdds: {
+            truePositiveRateDifference: round(tprDifference),
+            falsePositiveRateDifference: round(fprDifference),
+            difference: tprDifference === null && fprDifference === null ? null :
+                round(Math.max(tprDifference ?? 0, fprDifference ?? 0))
+        },
+        calibration: {
+            maxError: calibrationErrors.length > 0 ? round(Math.max(...calibrationErrors)) : null,
+            difference: round(spread(calibrationErrors))
+        }
+    };
+}
+
+/**
+ * Compute fairness metrics from dataset records
+ * @param {Array} records - Parsed dataset records
+ * @param {Object} options - Options
+ * @param {Array} options.protectedAttributes - Protected attribute columns
+ * @param {Object} options.columns - { prediction, label, score } column names
+ * @param {string} options.positiveLabel - Value of the favorable outcome (default 1/true/yes/positive)
+ * @param {number} options.decisionThreshold - Score threshold when a record has no prediction (default 0.5)
+ * @param {number} options.minGroupSize - Smallest group included in comparisons
+ * @returns {Object} { rows, labelled, scored, attributes }
+ */
+function computeFairnessMetrics(records, options) {
+    if (records.length === 0) {
+        throw new Error('Dataset contains no records');
+    }
+
+    const outcomes = toOutcomes(records, options);
+    const minGroupSize = options.minGroupSize ?? DEFAULT_FAIRNESS_THRESHOLDS.minGroupSize;
+
+    return {
+        rows: outcomes.length,
+        labelled: outcomes.filter(outcome => outcome.actual !== null).length,
+        scored: outcomes.filter(outcome => outcome.score !== null).length,
+        minGroupSize,
+        attributes: options.protectedAttributes.map(attribute => attributeMetrics(attribute, outcomes, minGroupSize))
+    };
+}
+
+/**
+ * Assess measured fairness against thresholds
+ *
+ * Every violated metric of every protected attribute is a finding with a
+ * penalty (score *= 1 - penalty), keyed by metric and attribute so it can be
+ * waived and tracked like a policy finding. An attribute with fewer than two
+ * groups large enough to compare is a coverage finding: unmeasured fairness
+ * never passes.
+ *
+ * @param {Object} metrics - Result of computeFairnessMetrics
+ * @param {Object} thresholds - Fairness thresholds
+ * @returns {Object} { score, checks, measured } - measured is false when no attribute could be compared
+ */
+function assessFairness(metrics, thresholds) {
+    const checks = [];
+    let score = 1.0;
+    let measured = false;
+
+    const violation = (metric, attribute, severity, message, action, details) => {
+        const penalty = METRIC_PENALTIES[metric];
+        checks.push({
+            type: severity,
+            message,
+            ruleId: `fairness-${metric}-${attribute}`,
+            penalty,
+            action,
+            metric,
+            attribute,
+            ...details
+        });
+        score *= 1 - penalty;
+    };
+
+    metrics.attributes.forEach(result => {
+        const { attribute } = result;
+
+        if (result.groupsCompared < 2) {
+            violation('coverage', attribute, 'warning',
+                `Fewer than two ${attribute} groups with at least ${metrics.minGroupSize} records; fairness not measured for ${attribute}`,
+                `Evaluate a dataset with at least ${metrics.minGroupSize} records for two or more ${attribute} groups`,
+                { value: result.groupsCompared, threshold: 2 });
+            return;
+        }
+        measured = true;
+
+        if (result.disparateImpactRatio < thresholds.minDisparateImpactRatio) {
+            violation('disparateImpact', attribute, 'error',
+                `Disparate impact ratio for ${attribute} is ${result.disparateImpactRatio} (four-fifths rule requires ${thresholds.minDisparateImpactRatio})`,
+                `Investigate and mitigate selection rate disparities across ${attribute} groups`,
+                { value: result.disparateImpactRatio, threshold: thresholds.minDisparateImpactRatio });
+        }
+        if (result.demographicParityDifference > thresholds.maxDemographicParityDifference) {
+            violation('demographicParity', attribute, 'error',
+                `Demographic parity difference for ${attribute} is ${result.demographicParityDifference} (maximum ${thresholds.maxDemographicParityDifference})`,
+                `Rebalance positive outcome rates across ${attribute} groups`,
+                { value: result.demographicParityDifference, threshold: thresholds.maxDemographicParityDifference });
+        }
+
+        if (result.equalizedOdds.difference === null) {
+            checks.push({
+                type: 'info',
+                message: `No labels in the dataset; equalized odds by ${attribute} not measured`,
+                metric: 'equalizedOdds',
+                attribute
+            });
+        } else if (result.equalizedOdds.difference > thresholds.maxEqualizedOddsDifference) {
+            violation('equalizedOdds', attribute, 'error',
+                `Equalized odds difference for ${attribute} is ${result.equalizedOdds.difference} (maximum ${thresholds.maxEqualizedOddsDifference})`,
+                `Reduce true and false positive rate gaps across ${attribute} groups`,
+                { value: result.equalizedOdds.difference, threshold: thresholds.maxEqualizedOddsDifference });
+        }
+
+        if (result.calibration.maxError === null) {
+            checks.push({
+                type: 'info',
+                message: `No labelled scores in the dataset; calibration by ${attribute} not measured`,
+                metric: 'calibration',
+                attribute
+            });
+        } else if (result.calibration.maxError > thresholds.maxCalibrationError) {
+            violation('calibration', attribute, 'warning',
+                `Calibration error for a ${attribute} group is ${result.calibration.maxError} (maximum ${thresholds.maxCalibrationError})`,
+                `Recalibrate model scores per ${attribute} group`,
+                { value: result.calibration.maxError, threshold: thresholds.maxCalibrationError });
+        }
+    });
+
+    return { score, checks, measured };
+}
+
+module.exports = {
+    FAIRNESS_CHECK_ID,
+    DEFAULT_FAIRNESS_THRESHOLDS,
+    resolveFairnessThresholds,
+    computeFairnessMetrics,
+    assessFairness
+};
@@ -0,0 +1,135 @@
+const {
+    DEFAULT_FAIRNESS_THRESHOLDS,
+    computeFairnessMetrics,
+    assessFairness
+} = require('./FairnessMetrics');
+const { VoidGuardSafetyEngine } = require('./VoidGuardService');
+
+const columns = { prediction: 'prediction', label: 'label', score: 'score' };
+
+/**
+ * count records of a group, the first `selected` of them predicted positive
+ */
+function group(value, count, selected, extra = () => ({})) {
+    return Array.from({ length: count }, (_, index) => ({
+        group: value,
+        prediction: index < selected ? 1 : 0,
+        ...extra(index)
+    }));
+}
+
+function metricsOf(records, options = {}) {
+    return computeFairnessMetrics(records, {
+        protectedAttributes: ['group'],
+        columns,
+        minGroupSize: DEFAULT_FAIRNESS_THRESHOLDS.minGroupSize,
+        ...options
+    });
+}
+
+describe('computeFairnessMetrics', () => {
+    test('computes selection rate metrics across groups', () => {
+        const [result] = metricsOf([...group('a', 40, 20), ...group('b', 40, 10)]).attributes;
+
+        expect(result.groupsCompared).toBe(2);
+        expect(result.demographicParityDifference).toBe(0.25);
+        expect(result.disparateImpactRatio).toBe(0.5);
+    });
+
+    test('computes equalized odds from labels', () => {
+        const labelled = (value, truePositives) => group(value, 40, 20, index => ({
+            // first 20 predicted positive; truePositives of them and none of the rest are actual positives
+            label: index < truePositives ? 1 : 0
+        }));
+        const [result] = metricsOf([...labelled('a', 20), ...labelled('b', 10)]).attributes;
+
+        expect(result.equalizedOdds.truePositiveRateDifference).toBe(0);
+        expect(result.equalizedOdds.falsePositiveRateDifference).toBe(0.3333);
+        expect(result.equalizedOdds.difference).toBe(0.3333);
+    });
+
+    test('leaves groups below the minimum size out of the comparison', () => {
+        const [result] = metricsOf([...group('a', 40, 20), ...group('b', 10, 0)]).attributes;
+
+        expect(result.groupsCompared).toBe(1);
+        expect(result.groups.find(g => g.value === 'b').excluded).toBe(true);
+        expect(result.disparateImpactRatio).toBeNull();
+    });
+
+    test('rejects records without a protected attribute', () => {
+        expect(() => metricsOf([{ prediction: 1 }])).toThrow('Record 1: missing protected attribute group');
+    });
+
+    test('rejects scores outside 0..1', () => {
+        expect(() => metricsOf([{ group: 'a', score: 2 }])).toThrow('score must be a probability between 0 and 1');
+    });
+});
+
+describe('assessFairness', () => {
+    test('passes groups with equal selection rates', () => {
+        const assessment = assessFairness(
+            metricsOf([...group('a', 40, 20), ...group('b', 40, 20)]),
+            DEFAULT_FAIRNESS_THRESHOLDS
+        );
+
+        expect(assessment.measured).toBe(true);
+        expect(assessment.score).toBe(1);
+    });
+
+    test('penalizes disparate impact and demographic parity', () => {
+        const assessment = assessFairness(
+            metricsOf([...group('a', 40, 20), ...group('b', 40, 10)]),
+            DEFAULT_FAIRNESS_THRESHOLDS
+        );
+
+        expect(assessment.checks.map(check => check.ruleId)).toEqual(
+            expect.arrayContaining(['fairness-disparateImpact-group', 'fairness-demographicParity-group'])
+        );
+        expect(assessment.score).toBeCloseTo(0.6 * 0.7);
+    });
+
+    test('does not pass a dataset whose groups are too small to compare', () => {
+        // 20 records selected at 100% against 20 at 0%: maximal disparity, but below minGroupSize
+        const assessment = assessFairness(
+            metricsOf([...group('a', 20, 20), ...group('b', 20, 0)]),
+            DEFAULT_FAIRNESS_THRESHOLDS
+        );
+
+        expect(assessment.measured).toBe(false);
+        expect(assessment.score).toBeLessThan(1);
+        expect(assessment.checks).toEqual([
+            expect.objectContaining({ type: 'warning', metric: 'coverage', ruleId: 'fairness-coverage-group' })
+        ]);
+    });
+});
+
+describe('VoidGuardSafetyEngine.applyFairnessEvaluation', () => {
+    const engine = new VoidGuardSafetyEngine();
+    const declaredBias = () => ({
+        bias: { score: 1, status: 'pass', category: 'fairness', checks: [] }
+    });
+    const evaluationOf = (records) => ({
+        id: 'evaluation-1',
+        evaluatedAt: new Date().toISOString(),
+        dataset: { sha256: 'abc', rows: records.length },
+        metrics: metricsOf(records)
+    });
+
+    test('scores the bias check from a measured evaluation', () => {
+        const safetyChecks = declaredBias();
+        engine.applyFairnessEvaluation(safetyChecks, evaluationOf([...group('a', 40, 40), ...group('b', 40, 0)]));
+
+        expect(safetyChecks.bias.measured.evaluationId).toBe('evaluation-1');
+        expect(safetyChecks.bias.status).toBe('fail');
+    });
+
+    test('keeps the declared result when no group could be compared', () => {
+        const safetyChecks = declaredBias();
+        engine.applyFairnessEvaluation(safetyChecks, evaluationOf([...group('a', 20, 20), ...group('b', 20, 0)]));
+
+        expect(safetyChecks.bias.measured).toBeUndefined();
+        expect(safetyChecks.bias.category).toBe('fairness');
+        expect(safetyChecks.bias.score).toBeLessThan(1);
+        expect(safetyChecks.bias.checks[0].metric).toBe('coverage');
+    });
+});
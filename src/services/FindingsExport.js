@@ -0,0 +1,439 @@
+/**
+ * VoidGuard AI Governance Suite - Findings Export
+ *
+ * Machine-readable exports of safety validation results and the audit log:
+ * CSV for spreadsheets, SARIF 2.1.0 for security tooling (validation findings
+ * only) and OSCAL assessment results for GRC tools.
+ *
+ * Identifiers in SARIF fingerprints and OSCAL UUIDs are derived from the
+ * validation, finding and event identifiers, so exporting the same data twice
+ * yields the same identities and importing tools can de-duplicate.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const { findingKey } = require('./ValidationDiff');
+
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    sarif: 'application/sarif+json',
+    oscal: 'application/oscal+json'
+};
+const VALIDATION_EXPORT_FORMATS = ['csv', 'sarif', 'oscal'];
+const AUDIT_LOG_EXPORT_FORMATS = ['csv', 'oscal'];
+
+const TOOL_NAME = 'VoidGuard Safety Engine';
+const TOOL_VERSION = '1.0.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const OSCAL_VERSION = '1.1.2';
+const OSCAL_NS = 'https://voidguard.ai/ns/oscal';
+// Namespace of the name-based UUIDs of OSCAL objects
+const OSCAL_UUID_NAMESPACE = '6f1c0b52-8f4e-5d1a-9a57-2c4e1f0d3b68';
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+// Audit event fields exported as columns; the rest of the payload goes in details
+const AUDIT_EVENT_FIELDS = ['sequence', 'timestamp', 'type', 'userId', 'systemId', 'hash', 'prevHash'];
+
+/**
+ * Quote a CSV field; fields that spreadsheets would evaluate as formulas are prefixed with '
+ * @private
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document (RFC 4180, CRLF line endings)
+ * @private
+ */
+function toCsv(columns, rows) {
+    return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reference of a finding: policy rule, regulatory control or neither
+ * @private
+ */
+function findingReference(finding) {
+    if (finding.ruleId) return { ruleId: finding.ruleId };
+    if (finding.controlId) return { framework: finding.framework, controlId: finding.controlId, citation: finding.citation };
+    return {};
+}
+
+/**
+ * Findings of a validation result, in check order
+ * @private
+ */
+function listFindings(result) {
+    return Object.entries(result.safetyChecks).flatMap(([checkId, check]) => (
+        check.checks.map(finding => ({ checkId, check, finding, key: findingKey(checkId, finding) }))
+    ));
+}
+
+/**
+ * Export a validation result as CSV: one row per finding, and one row for
+ * each check without findings
+ * @param {Object} result - Validation result (validateSafety)
+ * @returns {string} CSV
+ */
+function validationToCsv(result) {
+    const columns = [
+        'validationId', 'systemId', 'validatedAt', 'safetyStatus', 'complianceScore', 'checkId', 'category',
+        'checkStatus', 'checkScore', 'severity', 'message', 'ruleId', 'framework', 'controlId', 'citation',
+        'recommendedAction', 'waiverId'
+    ];
+    const rows = Object.entries(result.safetyChecks).flatMap(([checkId, check]) => {
+        const findings = check.checks.length > 0 ? check.checks : [null];
+        return findings.map(finding => [
+            result.validationId,
+            result.systemId,
+            result.timestamp,
+            result.safetyStatus,
+            result.complianceScore,
+            checkId,
+            check.category || checkId,
+            check.status,
+            check.score,
+            finding ? finding.type : null,
+            finding ? finding.message : null,
+            finding ? finding.ruleId : null,
+            finding ? finding.framework : null,
+            finding ? finding.controlId : null,
+            finding ? finding.citation : null,
+            finding ? finding.action : null,
+            finding && finding.waived ? finding.waived.waiverId : null
+        ]);
+    });
+
+    return toCsv(columns, rows);
+}
+
+/**
+ * Export a validation result as a SARIF 2.1.0 log
+ *
+ * Findings are results (error, warning, or note for informational findings)
+ * located at the AI system and check they were reported for; waived findings
+ * carry an accepted external suppression.
+ *
+ * @param {Object} result - Validation result (validateSafety)
+ * @returns {Object} SARIF log
+ */
+function validationToSarif(result) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const ruleFor = ({ checkId, check, finding }) => {
+        const reference = findingReference(finding);
+        const id = reference.ruleId ? `policy/${reference.ruleId}` :
+            reference.controlId ? `${reference.framework}/${reference.controlId}` :
+                `voidguard/${checkId}`;
+        if (!ruleIndex.has(id)) {
+            ruleIndex.set(id, rules.length);
+            rules.push({
+                id,
+                name: reference.ruleId || reference.controlId || checkId,
+                shortDescription: {
+                    text: reference.citation || (reference.ruleId ?
+                        `Policy rule ${reference.ruleId}` :
+                        `${check.category || checkId} safety check`)
+                },
+                properties: { checkId, category: check.category || checkId, ...reference }
+            });
+        }
+        return id;
+    };
+
+    const results = listFindings(result).map((item) => {
+        const { checkId, finding, key } = item;
+        const ruleId = ruleFor(item);
+        return {
+            ruleId,
+            ruleIndex: ruleIndex.get(ruleId),
+            level: SARIF_LEVELS[finding.type] || 'warning',
+            message: { text: finding.message },
+            locations: [{
+                logicalLocations: [{
+                    name: checkId,
+                    fullyQualifiedName: `${result.systemId}/${checkId}`,
+                    kind: 'module'
+                }]
+            }],
+            partialFingerprints: {
+                'voidguardFinding/v1': crypto.createHash('sha256').update(`${result.systemId}:${key}`).digest('hex')
+            },
+            ...(finding.waived ? {
+                suppressions: [{
+                    kind: 'external',
+                    status: 'accepted',
+                    justification: finding.waived.justification,
+                    properties: { waiverId: finding.waived.waiverId, expiresAt: finding.waived.expiresAt }
+                }]
+            } : {}),
+            properties: {
+                checkId,
+                ...findingReference(finding),
+                ...(finding.action ? { recommendedAction: finding.action } : {})
+            }
+        };
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: { name: TOOL_NAME, version: TOOL_VERSION, rules }
+            },
+            automationDetails: { id: `voidguard/${result.systemId}/${result.validationId}` },
+            invocations: [{ executionSuccessful: true, endTimeUtc: result.timestamp }],
+            results,
+            properties: {
+                validationId: result.validationId,
+                systemId: result.systemId,
+                safetyStatus: result.safetyStatus,
+                complianceScore: result.complianceScore,
+                riskLevel: result.riskAssessment.level,
+                aiActTier: result.aiActClassification ? result.aiActClassification.tier : null
+            }
+        }]
+    };
+}
+
+/**
+ * OSCAL property in the VoidGuard namespace; empty values are left out
+ * @private
+ */
+function oscalProps(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => ({ name, ns: OSCAL_NS, value: String(value) }));
+}
+
+/**
+ * OSCAL assessment results document around one result
+ * @private
+ */
+function oscalDocument(title, result) {
+    return {
+        'assessment-results': {
+            uuid: uuidv4(),
+            metadata: {
+                title,
+                'last-modified': new Date().toISOString(),
+                version: TOOL_VERSION,
+                'oscal-version': OSCAL_VERSION,
+                props: oscalProps({ tool: TOOL_NAME })
+            },
+            'import-ap': { href: '#voidguard-safety-checks' },
+            results: [result]
+        }
+    };
+}
+
+/**
+ * Export a validation result as OSCAL assessment results
+ *
+ * Each safety check is a finding whose objective is satisfied when the
+ * check passed; each reported finding is an observation of the AI system,
+ * with the evidence attached to its check as relevant evidence.
+ *
+ * @param {Object} result - Validation result (validateSafety)
+ * @returns {Object} OSCAL assessment results
+ */
+function validationToOscal(result) {
+    const id = name => uuidv5(`${result.validationId}:${name}`, OSCAL_UUID_NAMESPACE);
+    const subject = { 'subject-uuid': uuidv5(`system:${result.systemId}`, OSCAL_UUID_NAMESPACE), type: 'component', title: result.systemId };
+    const evidence = result.evidence || [];
+
+    const observations = listFindings(result).map(({ checkId, finding, key }) => ({
+        uuid: id(`observation:${key}`),
+        title: finding.message.slice(0, 200),
+        description: finding.message,
+        props: oscalProps({
+            severity: finding.type,
+            'check-id': checkId,
+            'rule-id': finding.ruleId,
+            framework: finding.framework,
+            'control-id': finding.controlId,
+            citation: finding.citation,
+            'recommended-action': finding.action,
+            'waiver-id': finding.waived ? finding.waived.waiverId : null
+        }),
+        methods: ['TEST'],
+        types: ['finding'],
+        subjects: [subject],
+        collected: result.timestamp,
+        ...(evidence.some(item => item.checkId === checkId) ? {
+            'relevant-evidence': evidence
+                .filter(item => item.checkId === checkId)
+                .map(item => ({
+                    href: `urn:sha256:${item.sha256}`,
+                    description: `${item.kind}: ${item.filename}`,
+                    props: oscalProps({ 'evidence-id': item.evidenceId, sha256: item.sha256 })
+                }))
+        } : {})
+    }));
+
+    const observationsOf = checkId => observations
+        .filter(observation => observation.props.some(prop => prop.name === 'check-id' && prop.value === checkId))
+        .map(observation => ({ 'observation-uuid': observation.uuid }));
+    const findings = Object.entries(result.safetyChecks).map(([checkId, check]) => ({
+        uuid: id(`finding:${checkId}`),
+        title: `${check.category || checkId} safety check`,
+        description: `Check ${checkId} ${check.status} with a score of ${check.score}.`,
+        props: oscalProps({ 'check-status': check.status, score: check.score }),
+        target: {
+            type: 'objective-id',
+            'target-id': checkId,
+            status: { state: check.status === 'pass' ? 'satisfied' : 'not-satisfied' }
+        },
+        ...(observationsOf(checkId).length > 0 ? { 'related-observations': observationsOf(checkId) } : {})
+    }));
+
+    return oscalDocument(`VoidGuard safety validation ${result.validationId}`, {
+        uuid: id('result'),
+        title: `Safety validation of ${result.systemId}`,
+        description: `VoidGuard safety validation ${result.validationId}: ${result.safetyStatus} ` +
+            `with a compliance score of ${result.complianceScore}.`,
+        start: result.timestamp,
+        end: result.timestamp,
+        props: oscalProps({
+            'validation-id': result.validationId,
+            'system-id': result.systemId,
+            'safety-status': result.safetyStatus,
+            'compliance-score': result.complianceScore,
+            'risk-level': result.riskAssessment.level,
+            'ai-act-tier': result.aiActClassification ? result.aiActClassification.tier : null
+        }),
+        'reviewed-controls': {
+            'control-selections': [{
+                'include-controls': Object.keys(result.safetyChecks).map(checkId => ({ 'control-id': checkId }))
+            }]
+        },
+        observations,
+        findings
+    });
+}
+
+/**
+ * Details of an audit event: its payload without the columns
+ * @private
+ */
+function eventDetails(event) {
+    const details = Object.fromEntries(
+        Object.entries(event).filter(([field]) => !AUDIT_EVENT_FIELDS.includes(field) && !['id', 'organizationId'].includes(field))
+    );
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Export audit events as CSV
+ * @param {Array} events - Audit events (AuditLog.list)
+ * @returns {string} CSV
+ */
+function auditLogToCsv(events) {
+    return toCsv(
+        ['id', ...AUDIT_EVENT_FIELDS, 'details'],
+        events.map(event => [event.id, ...AUDIT_EVENT_FIELDS.map(field => event[field]), eventDetails(event)])
+    );
+}
+
+/**
+ * Export audit events as OSCAL assessment results, one assessment log entry per event
+ * @param {Array} events - Audit events, newest first (AuditLog.list)
+ * @param {Object} options - organizationId
+ * @returns {Object} OSCAL assessment results
+ */
+function auditLogToOscal(events, options = {}) {
+    const timestamps = events.map(event => new Date(event.timestamp).toISOString()).sort();
+    const now = new Date().toISOString();
+
+    return oscalDocument(`VoidGuard audit log${options.organizationId ? ` of ${options.organizationId}` : ''}`, {
+        uuid: uuidv4(),
+        title: 'VoidGuard audit log',
+        description: `${events.length} hash-chained audit events.`,
+        start: timestamps[0] || now,
+        end: timestamps[timestamps.length - 1] || now,
+        'reviewed-controls': { 'control-selections': [{ 'include-all': {} }] },
+        'assessment-log': {
+            entries: events.map(event => {
+                const details = eventDetails(event);
+                return {
+                    uuid: uuidv5(`event:${event.id}`, OSCAL_UUID_NAMESPACE),
+                    title: event.type,
+                    ...(details ? { description: JSON.stringify(details) } : {}),
+                    start: new Date(event.timestamp).toISOString(),
+                    props: oscalProps({
+                        sequence: event.sequence,
+                        'user-id': event.userId,
+                        'system-id': event.systemId,
+                        hash: event.hash,
+                        'prev-hash': event.prevHash
+                    })
+                };
+            })
+        }
+    });
+}
+
+/**
+ * Export a validation result
+ * @param {Object} result - Validation result (validateSafety)
+ * @param {string} format - csv, sarif or oscal
+ * @returns {Object} { filename, contentType, content }
+ */
+function exportValidation(result, format) {
+    const content = {
+        csv: () => validationToCsv(result),
+        sarif: () => JSON.stringify(validationToSarif(result), null, 2),
+        oscal: () => JSON.stringify(validationToOscal(result), null, 2)
+    }[format]();
+    const extension = { csv: 'csv', sarif: 'sarif', oscal: 'oscal.json' }[format];
+
+    return {
+        filename: `validation-${result.validationId}.${extension}`,
+        contentType: EXPORT_CONTENT_TYPES[format],
+        content
+    };
+}
+
+/**
+ * Export audit events
+ * @param {Array} events - Audit events (AuditLog.list)
+ * @param {string} format - csv or oscal
+ * @param {Object} options - organizationId
+ * @returns {Object} { filename, contentType, content }
+ */
+function exportAuditLog(events, format, options = {}) {
+    const content = format === 'csv' ?
+        auditLogToCsv(events) :
+        JSON.stringify(auditLogToOscal(events, options), null, 2);
+    const date = new Date().toISOString().slice(0, 10);
+
+    return {
+        filename: `audit-log-${date}.${format === 'csv' ? 'csv' : 'oscal.json'}`,
+        contentType: EXPORT_CONTENT_TYPES[format],
+        content
+    };
+}
+
+module.exports = {
+    exportValidation,
+    exportAuditLog,
+    validationToCsv,
+    validationToSarif,
+    validationToOscal,
+    auditLogToCsv,
+    auditLogToOscal,
+    EXPORT_CONTENT_TYPES,
+    VALIDATION_EXPORT_FORMATS,
+    AUDIT_LOG_EXPORT_FORMATS
+};
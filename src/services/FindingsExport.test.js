@@ -0,0 +1,111 @@
+const { validationToCsv, validationToSarif, auditLogToCsv, exportValidation } = require('./FindingsExport');
+
+function validationResult(findings) {
+    return {
+        validationId: 'validation-1',
+        systemId: 'system-1',
+        timestamp: '2026-03-10T10:00:00.000Z',
+        safetyStatus: 'non_compliant',
+        complianceScore: 0.62,
+        riskAssessment: { level: 'high' },
+        safetyChecks: {
+            privacy: { category: 'privacy', status: 'fail', score: 0.3, checks: findings },
+            bias: { category: 'bias', status: 'pass', score: 1, checks: [] }
+        }
+    };
+}
+
+const csvRows = (csv) => csv.split('\r\n').filter(line => line.length > 0);
+
+describe('validationToCsv', () => {
+    test('writes one row per finding and one per check without findings', () => {
+        const csv = validationToCsv(validationResult([
+            { type: 'error', ruleId: 'encryption', message: 'No encryption at rest' },
+            { type: 'warning', ruleId: 'retention', message: 'No retention, policy' }
+        ]));
+        const rows = csvRows(csv);
+
+        expect(csv.endsWith('\r\n')).toBe(true);
+        expect(rows).toHaveLength(4);
+        expect(rows[0].split(',')[10]).toBe('message');
+        expect(rows[2]).toContain(',"No retention, policy",');
+        expect(rows[3]).toContain(',bias,bias,pass,1,,,');
+    });
+
+    test.each([
+        ['=HYPERLINK("https://attacker.example","open")', '"\'=HYPERLINK(""https://attacker.example"",""open"")"'],
+        ['+1+cmd|\'/C calc\'!A0', '\'+1+cmd|\'/C calc\'!A0'],
+        ['-2+3', '\'-2+3'],
+        ['@SUM(A1:A2)', '\'@SUM(A1:A2)'],
+        ['\tindented', '\'\tindented']
+    ])('neutralizes the formula %j', (message, field) => {
+        const [, row] = csvRows(validationToCsv(validationResult([{ type: 'error', message }])));
+
+        expect(row).toContain(`,${field},`);
+    });
+
+    test('leaves ordinary text alone', () => {
+        const [, row] = csvRows(validationToCsv(validationResult([{ type: 'error', message: 'Score 2 = too low' }])));
+
+        expect(row).toContain(',Score 2 = too low,');
+    });
+});
+
+describe('auditLogToCsv', () => {
+    test('neutralizes formulas in event columns and keeps details as JSON', () => {
+        const csv = auditLogToCsv([{
+            id: 'event-1',
+            sequence: 1,
+            timestamp: '2026-03-10T10:00:00.000Z',
+            type: 'system_registered',
+            userId: '=cmd',
+            systemId: 'system-1',
+            hash: 'a'.repeat(64),
+            prevHash: '0'.repeat(64),
+            lifecycleState: 'development'
+        }]);
+        const [header, row] = csvRows(csv);
+
+        expect(header).toBe('id,sequence,timestamp,type,userId,systemId,hash,prevHash,details');
+        expect(row).toContain(',\'=cmd,');
+        expect(row.endsWith('"{""lifecycleState"":""development""}"')).toBe(true);
+    });
+});
+
+describe('validationToSarif', () => {
+    test('maps findings to results with rules, levels and waiver suppressions', () => {
+        const sarif = validationToSarif(validationResult([
+            { type: 'error', ruleId: 'encryption', message: 'No encryption at rest' },
+            { type: 'info', framework: 'gdpr', controlId: 'art-35', citation: 'GDPR Art. 35', message: 'DPIA on file' },
+            {
+                type: 'warning',
+                ruleId: 'retention',
+                message: 'No retention policy',
+                waived: { waiverId: 'waiver-1', justification: 'Legacy archive', expiresAt: '2026-06-01T00:00:00.000Z' }
+            }
+        ]));
+        const [run] = sarif.runs;
+
+        expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['policy/encryption', 'gdpr/art-35', 'policy/retention']);
+        expect(run.results.map(result => result.level)).toEqual(['error', 'note', 'warning']);
+        expect(run.results[2].suppressions).toEqual([expect.objectContaining({ status: 'accepted', justification: 'Legacy archive' })]);
+        expect(run.results[0].suppressions).toBeUndefined();
+    });
+
+    test('fingerprints findings stably across validations', () => {
+        const finding = { type: 'error', ruleId: 'encryption', message: 'No encryption at rest' };
+        const first = validationToSarif(validationResult([finding])).runs[0].results[0];
+        const second = validationToSarif({ ...validationResult([finding]), validationId: 'validation-2' }).runs[0].results[0];
+
+        expect(second.partialFingerprints).toEqual(first.partialFingerprints);
+    });
+});
+
+describe('exportValidation', () => {
+    test('names the file after the validation and format', () => {
+        const exported = exportValidation(validationResult([]), 'sarif');
+
+        expect(exported.filename).toBe('validation-validation-1.sarif');
+        expect(JSON.parse(exported.content).version).toBe('2.1.0');
+    });
+});
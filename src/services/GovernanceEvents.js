@@ -0,0 +1,57 @@
+/**
+ * VoidGuard AI Governance Suite - Governance Events
+ *
+ * In-process bus for the governance events an organization can subscribe
+ * to with webhooks. Services publish events as they happen; the webhook
+ * service listens and delivers them.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const GOVERNANCE_EVENT_TYPES = [
+    'validation.completed',
+    'system.non_compliant',
+    'waiver.expiring',
+    'remediation.overdue',
+    'oracle.analysis.completed',
+    'monitoring.compliance_regressed',
+    'monitoring.risk_level_increased'
+];
+
+const governanceEvents = new EventEmitter();
+
+/**
+ * Build a governance event envelope without publishing it
+ * @param {string} organizationId - Organization the event belongs to
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Object} Event ({ id, type, organizationId, occurredAt, data })
+ */
+function createEvent(organizationId, type, data) {
+    return {
+        id: uuidv4(),
+        type,
+        organizationId,
+        occurredAt: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Publish a governance event
+ * @param {string} organizationId - Organization the event belongs to
+ * @param {string} type - Event type (GOVERNANCE_EVENT_TYPES)
+ * @param {Object} data - Event data
+ * @returns {Object} Published event
+ */
+function publishEvent(organizationId, type, data) {
+    const event = createEvent(organizationId, type, data);
+    governanceEvents.emit('event', event);
+    return event;
+}
+
+module.exports = { governanceEvents, createEvent, publishEvent, GOVERNANCE_EVENT_TYPES };
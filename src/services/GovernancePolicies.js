@@ -0,0 +1,112 @@
+/**
+ * VoidGuard AI Governance Suite - Governance Policies
+ *
+ * Versions of the governance policies each organization published
+ * (data/migrations/016_create_governance_policies.sql). Published versions
+ * are immutable; the latest version of each policy supplies the
+ * organization's checks on every replica.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { getPool } = require('../utils/database');
+
+// PostgreSQL unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Map a governance_policies row to a published policy version
+ * @private
+ */
+function fromRow(row) {
+    return {
+        id: row.policy_id,
+        name: row.name,
+        version: row.version,
+        description: row.description,
+        checks: row.checks,
+        document: row.document,
+        publishedBy: row.published_by,
+        publishedAt: new Date(row.published_at).toISOString()
+    };
+}
+
+class GovernancePolicies {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Published versions of an organization's policies
+     * @param {string} organizationId - Organization identifier
+     * @returns {Map<string, Array<Object>>} Versions (oldest first) keyed by policy id
+     */
+    async listVersions(organizationId) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM governance_policies
+             WHERE organization_id = $1
+             ORDER BY policy_id, published_at, version`,
+            [organizationId]
+        );
+
+        return rows.reduce((policies, row) => {
+            const version = fromRow(row);
+            if (!policies.has(version.id)) {
+                policies.set(version.id, []);
+            }
+            policies.get(version.id).push(version);
+            return policies;
+        }, new Map());
+    }
+
+    /**
+     * Store a published policy version
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} record - { id, name, version, description, checks, document, publishedBy }
+     * @returns {Object|null} Stored version, or null when this version was already published
+     */
+    async publish(organizationId, record) {
+        try {
+            const { rows } = await this.db.query(
+                `INSERT INTO governance_policies
+                    (organization_id, policy_id, version, name, description, checks, document, published_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [
+                    organizationId,
+                    record.id,
+                    record.version,
+                    record.name,
+                    record.description,
+                    JSON.stringify(record.checks),
+                    JSON.stringify(record.document),
+                    record.publishedBy || null
+                ]
+            );
+
+            return fromRow(rows[0]);
+        } catch (error) {
+            // Published concurrently by another request
+            if (error.code === UNIQUE_VIOLATION) return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = { GovernancePolicies };
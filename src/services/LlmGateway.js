@@ -0,0 +1,240 @@
+/**
+ * VoidGuard AI Governance Suite - LLM Gateway
+ *
+ * Completions for the Oracle through the LLM provider of each organization
+ * (ORACLE_LLM_PROVIDER unless the organization picked another). With
+ * MOCK_EXTERNAL_APIS every organization gets the local mock provider.
+ *
+ * A completion gets ORACLE_ANALYSIS_TIMEOUT milliseconds in total. Rate
+ * limits, provider overload, server and network errors are retried within
+ * that budget, waiting ORACLE_LLM_RETRY_BASE milliseconds (doubling after
+ * each failure, or as long as the provider's Retry-After asks) for up to
+ * ORACLE_LLM_MAX_ATTEMPTS attempts. Every call is recorded with the tokens
+ * it consumed.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+const winston = require('winston');
+const { createProvider, LLM_PROVIDERS, DEFAULT_MODELS } = require('./LlmProviders');
+const { OracleLlmStore } = require('./OracleLlmStore');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/oracle.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+// Longest wait between two attempts of a completion
+const MAX_RETRY_DELAY_MS = 10 * 1000;
+
+/**
+ * Positive integer from the environment
+ * @private
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+class LlmGateway {
+    /**
+     * @param {Object} config - Gateway configuration
+     * @param {Object} config.store - Provider settings and usage store
+     */
+    constructor(config = {}) {
+        const { store, ...settings } = config;
+
+        this.config = {
+            defaultProvider: process.env.ORACLE_LLM_PROVIDER || 'anthropic',
+            mockExternalApis: process.env.MOCK_EXTERNAL_APIS === 'true',
+            timeoutMs: envInt('ORACLE_ANALYSIS_TIMEOUT', 30000),
+            maxAttempts: envInt('ORACLE_LLM_MAX_ATTEMPTS', 3),
+            retryBaseMs: envInt('ORACLE_LLM_RETRY_BASE', 500),
+            maxTokens: envInt('ORACLE_LLM_MAX_TOKENS', 1024),
+            credentials: {
+                anthropic: { apiKey: process.env.ANTHROPIC_API_KEY, model: process.env.ANTHROPIC_MODEL },
+                openai: { apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL },
+                mock: {}
+            },
+            ...settings
+        };
+        this.store = store || new OracleLlmStore();
+        this.logger = logger.child({ component: 'LlmGateway' });
+    }
+
+    /**
+     * Whether a provider can be called: the mock always, the others with an API key
+     * @param {string} provider - Provider name
+     * @returns {boolean} True if configured
+     */
+    isConfigured(provider) {
+        return provider === 'mock' || Boolean(this.config.credentials[provider]?.apiKey);
+    }
+
+    /**
+     * Provider and model an organization's completions go to
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} { provider, model, source } - source is organization, default or mock
+     *   (MOCK_EXTERNAL_APIS)
+     */
+    async resolve(organizationId) {
+        if (this.config.mockExternalApis) {
+            return { provider: 'mock', model: DEFAULT_MODELS.mock, source: 'mock' };
+        }
+
+        const settings = await this.store.getSettings(organizationId);
+        const provider = settings ? settings.provider : this.config.defaultProvider;
+        const model = (settings && settings.model) || this.config.credentials[provider]?.model || DEFAULT_MODELS[provider];
+
+        return { provider, model, source: settings ? 'organization' : 'default' };
+    }
+
+    /**
+     * Provider settings of an organization, with the providers it may pick
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} { provider, model, source, updatedBy, updatedAt, providers }
+     */
+    async getSettings(organizationId) {
+        const [selection, settings] = await Promise.all([
+            this.resolve(organizationId),
+            this.store.getSettings(organizationId)
+        ]);
+
+        return {
+            ...selection,
+            updatedBy: settings ? settings.updatedBy : null,
+            updatedAt: settings ? settings.updatedAt : null,
+            providers: LLM_PROVIDERS.map(provider => ({
+                provider,
+                configured: this.isConfigured(provider),
+                defaultModel: this.config.credentials[provider]?.model || DEFAULT_MODELS[provider]
+            }))
+        };
+    }
+
+    /**
+     * Pick the provider (and optionally the model) of an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} selection - { provider, model }
+     * @param {string} userId - Requesting user
+     * @returns {Object} { settings, error }
+     */
+    async updateSettings(organizationId, { provider, model }, userId) {
+        if (!LLM_PROVIDERS.includes(provider)) {
+            return { settings: null, error: `Unknown LLM provider ${provider}. Supported: ${LLM_PROVIDERS.join(', ')}` };
+        }
+        if (!this.isConfigured(provider)) {
+            return { settings: null, error: `LLM provider ${provider} has no API key configured` };
+        }
+
+        await this.store.saveSettings(organizationId, { provider, model }, userId);
+        this.logger.info('LLM provider selected', { organizationId, provider, model: model || null, userId });
+
+        return { settings: await this.getSettings(organizationId), error: null };
+    }
+
+    /**
+     * Token usage of an organization per provider and model
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - { startDate, endDate }
+     * @returns {Object} { usage, totals }
+     */
+    async getUsage(organizationId, filters = {}) {
+        const usage = await this.store.summarizeUsage(organizationId, filters);
+        const totals = usage.reduce((sum, row) => {
+            ['calls', 'failedCalls', 'attempts', 'inputTokens', 'outputTokens'].forEach(key => {
+                sum[key] += row[key];
+            });
+            return sum;
+        }, { calls: 0, failedCalls: 0, attempts: 0, inputTokens: 0, outputTokens: 0 });
+
+        return { usage, totals };
+    }
+
+    /**
+     * Complete a prompt with the organization's provider
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} request - { system, prompt, maxTokens }
+     * @param {Object} options - sessionId (recorded with the usage) and signal (aborts the completion)
+     * @returns {Object} { text, provider, model, attempts, usage: { inputTokens, outputTokens } }
+     */
+    async complete(organizationId, request, options = {}) {
+        const { provider: name, model } = await this.resolve(organizationId);
+        if (!this.isConfigured(name)) {
+            throw new Error(`LLM provider ${name} has no API key configured`);
+        }
+
+        const provider = createProvider(name, { apiKey: this.config.credentials[name]?.apiKey, model });
+        const completionRequest = { maxTokens: this.config.maxTokens, ...request };
+        const startedAt = Date.now();
+        const deadline = startedAt + this.config.timeoutMs;
+        const record = (call) => this.store.recordUsage(organizationId, {
+            sessionId: options.sessionId,
+            provider: name,
+            model,
+            durationMs: Date.now() - startedAt,
+            ...call
+        }).catch(error => this.logger.error('Failed to record LLM usage', {
+            organizationId,
+            provider: name,
+            error: error.message
+        }));
+
+        for (let attempts = 1; ; attempts++) {
+            const timeout = AbortSignal.timeout(Math.max(deadline - Date.now(), 1));
+            const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+
+            try {
+                const completion = await provider.complete(completionRequest, signal);
+                await record({ status: 'succeeded', attempts, usage: completion.usage });
+
+                return { ...completion, provider: name, attempts };
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    await record({ status: 'cancelled', attempts, error: 'Cancelled' });
+                    throw error;
+                }
+
+                const timedOut = error.name === 'TimeoutError' || timeout.aborted;
+                const delay = Math.max(
+                    Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS),
+                    error.retryAfterMs || 0
+                );
+                if (!timedOut && error.retryable && attempts < this.config.maxAttempts && Date.now() + delay < deadline) {
+                    this.logger.warn('LLM completion failed, retrying', {
+                        organizationId,
+                        provider: name,
+                        attempts,
+                        retryInMs: delay,
+                        error: error.message
+                    });
+                    await sleep(delay, undefined, options.signal ? { signal: options.signal } : {})
+                        .catch(async (abortError) => {
+                            await record({ status: 'cancelled', attempts, error: 'Cancelled' });
+                            throw abortError;
+                        });
+                    continue;
+                }
+
+                const message = timedOut
+                    ? `LLM provider ${name} did not respond within ${this.config.timeoutMs} ms`
+                    : error.message;
+                await record({ status: 'failed', attempts, error: message });
+                this.logger.error('LLM completion failed', { organizationId, provider: name, attempts, error: message });
+                throw new Error(message);
+            }
+        }
+    }
+}
+
+module.exports = { LlmGateway };
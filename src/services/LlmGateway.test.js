@@ -0,0 +1,136 @@
+process.env.LOG_LEVEL = 'error';
+
+const { LlmGateway } = require('./LlmGateway');
+
+const REQUEST = { system: 'Explain the scores.', prompt: 'Query: should we ship this model?' };
+
+function gatewayWith(settings = {}) {
+    return new LlmGateway({
+        store: { getSettings: async () => null, recordUsage: jest.fn(async () => {}) },
+        defaultProvider: 'anthropic',
+        mockExternalApis: false,
+        timeoutMs: 1000,
+        maxAttempts: 3,
+        retryBaseMs: 1,
+        credentials: { anthropic: { apiKey: 'test-key' }, openai: {}, mock: {} },
+        ...settings
+    });
+}
+
+const completion = (text) => new Response(JSON.stringify({
+    content: [{ type: 'text', text }],
+    model: 'claude-test',
+    usage: { input_tokens: 12, output_tokens: 5 }
+}), { status: 200 });
+
+const failure = (status, headers = {}) => new Response('busy', { status, headers });
+
+// A request that never answers, failing once its signal is aborted
+const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+    if (signal.aborted) reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason));
+});
+
+const recorded = (gateway) => gateway.store.recordUsage.mock.calls.map(([, call]) => call);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('LlmGateway.complete', () => {
+    test('retries overloaded providers and records one call with its attempts', async () => {
+        jest.spyOn(global, 'fetch')
+            .mockResolvedValueOnce(failure(529))
+            .mockResolvedValueOnce(failure(429))
+            .mockResolvedValueOnce(completion('ok'));
+        const gateway = gatewayWith();
+
+        const result = await gateway.complete('org-1', REQUEST, { sessionId: 'session-1' });
+
+        expect(result).toEqual(expect.objectContaining({ text: 'ok', provider: 'anthropic', attempts: 3 }));
+        expect(recorded(gateway)).toEqual([expect.objectContaining({
+            sessionId: 'session-1',
+            status: 'succeeded',
+            attempts: 3,
+            usage: { inputTokens: 12, outputTokens: 5 }
+        })]);
+    });
+
+    test('fails at once on errors that are not retryable', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(failure(400));
+        const gateway = gatewayWith();
+
+        await expect(gateway.complete('org-1', REQUEST)).rejects.toThrow('Anthropic API responded with HTTP 400: busy');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(recorded(gateway)).toEqual([expect.objectContaining({ status: 'failed', attempts: 1 })]);
+    });
+
+    test('stops retrying after maxAttempts', async () => {
+        jest.spyOn(global, 'fetch').mockImplementation(async () => failure(503));
+        const gateway = gatewayWith();
+
+        await expect(gateway.complete('org-1', REQUEST)).rejects.toThrow('HTTP 503');
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(recorded(gateway)).toEqual([expect.objectContaining({ status: 'failed', attempts: 3 })]);
+    });
+
+    test('does not wait for a Retry-After past the deadline', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(failure(429, { 'Retry-After': '5' }));
+        const gateway = gatewayWith();
+
+        await expect(gateway.complete('org-1', REQUEST)).rejects.toThrow('HTTP 429');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up when the provider does not answer before the deadline', async () => {
+        jest.spyOn(global, 'fetch').mockImplementation(hanging);
+        const gateway = gatewayWith({ timeoutMs: 50 });
+
+        await expect(gateway.complete('org-1', REQUEST)).rejects.toThrow('LLM provider anthropic did not respond within 50 ms');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(recorded(gateway)).toEqual([expect.objectContaining({ status: 'failed', attempts: 1 })]);
+    });
+
+    test('records a cancelled call when the caller aborts a request', async () => {
+        const abort = new AbortController();
+        jest.spyOn(global, 'fetch').mockImplementation((url, init) => {
+            setImmediate(() => abort.abort());
+            return hanging(url, init);
+        });
+        const gateway = gatewayWith();
+
+        await expect(gateway.complete('org-1', REQUEST, { signal: abort.signal })).rejects.toThrow();
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(recorded(gateway)).toEqual([expect.objectContaining({ status: 'cancelled', attempts: 1, error: 'Cancelled' })]);
+    });
+
+    test('records a cancelled call when the caller aborts between attempts', async () => {
+        const abort = new AbortController();
+        jest.spyOn(global, 'fetch').mockImplementation(async () => {
+            setImmediate(() => abort.abort());
+            return failure(503);
+        });
+        const gateway = gatewayWith({ retryBaseMs: 500 });
+
+        await expect(gateway.complete('org-1', REQUEST, { signal: abort.signal })).rejects.toThrow();
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(recorded(gateway)).toEqual([expect.objectContaining({ status: 'cancelled', attempts: 1 })]);
+    });
+
+    test('answers every organization locally with MOCK_EXTERNAL_APIS', async () => {
+        jest.spyOn(global, 'fetch');
+        const gateway = gatewayWith({ mockExternalApis: true });
+
+        const first = await gateway.complete('org-1', REQUEST);
+        const second = await gateway.complete('org-2', REQUEST);
+
+        expect(first).toEqual(expect.objectContaining({ provider: 'mock', model: 'mock-narrator-1', attempts: 1 }));
+        expect(JSON.parse(first.text).recommendations.length).toBeGreaterThan(0);
+        expect(second.text).toBe(first.text);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * VoidGuard AI Governance Suite - LLM Providers
+ *
+ * Adapters giving the Oracle one completion interface over the Anthropic
+ * Messages API, the OpenAI Chat Completions API and a deterministic local
+ * mock (for development and tests, see MOCK_EXTERNAL_APIS). Each adapter
+ * makes a single request; timeouts, retries and token accounting are left to
+ * the LLM gateway.
+ *
+ * Errors carry `retryable` (rate limits, overload, server and network
+ * errors) and, for HTTP errors, `status` and `retryAfterMs`.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const LLM_PROVIDERS = ['anthropic', 'openai', 'mock'];
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+const MAX_ERROR_LENGTH = 200;
+
+// Models used when neither the organization nor the environment names one
+const DEFAULT_MODELS = {
+    anthropic: 'claude-3-sonnet-20240229',
+    openai: 'gpt-4',
+    mock: 'mock-narrator-1'
+};
+
+/**
+ * Error of a provider request
+ * @private
+ */
+function providerError(message, { retryable = false, status = null, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * POST a JSON request to a provider and return the JSON response
+ * @private
+ */
+async function postJson(provider, url, headers, body, signal) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            throw error;
+        }
+        throw providerError(`${provider} API unreachable: ${error.cause?.message || error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        // 429 rate limited, 5xx server errors, 529 Anthropic overloaded
+        throw providerError(
+            `${provider} API responded with HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`,
+            {
+                retryable: response.status === 429 || response.status >= 500,
+                status: response.status,
+                retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+            }
+        );
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw providerError(`${provider} API did not return JSON`, { retryable: true });
+    }
+}
+
+class AnthropicProvider {
+    /**
+     * @param {Object} options - { apiKey, model }
+     */
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey;
+        this.model = options.model || DEFAULT_MODELS.anthropic;
+    }
+
+    /**
+     * Complete a prompt
+     * @param {Object} request - { system, prompt, maxTokens }
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Object} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async complete({ system, prompt, maxTokens }, signal) {
+        const payload = await postJson('Anthropic', ANTHROPIC_URL, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        }, {
+            model: this.model,
+            max_tokens: maxTokens,
+            system,
+            messages: [{ role: 'user', content: prompt }]
+        }, signal);
+
+        return {
+            text: (payload.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+            model: payload.model || this.model,
+            usage: {
+                inputTokens: payload.usage?.input_tokens || 0,
+                outputTokens: payload.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+class OpenAIProvider {
+    /**
+     * @param {Object} options - { apiKey, model }
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.model = options.model || DEFAULT_MODELS.openai;
+    }
+
+    /**
+     * Complete a prompt
+     * @param {Object} request - { system, prompt, maxTokens }
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Object} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async complete({ system, prompt, maxTokens }, signal) {
+        const payload = await postJson('OpenAI', OPENAI_URL, {
+            Authorization: `Bearer ${this.apiKey}`
+        }, {
+            model: this.model,
+            max_tokens: maxTokens,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ]
+        }, signal);
+
+        return {
+            text: payload.choices?.[0]?.message?.content || '',
+            model: payload.model || this.model,
+            usage: {
+                inputTokens: payload.usage?.prompt_tokens || 0,
+                outputTokens: payload.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Local provider answering without any network call: the same prompt always
+ * gets the same narrative, and tokens are estimated at four characters each
+ */
+class MockProvider {
+    /**
+     * @param {Object} options - { model }
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || DEFAULT_MODELS.mock;
+    }
+
+    /**
+     * Complete a prompt
+     * @param {Object} request - { system, prompt, maxTokens }
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Object} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async complete({ system, prompt }, signal) {
+        if (signal) signal.throwIfAborted();
+
+        const digest = crypto.createHash('sha256').update(prompt).digest('hex');
+        const text = JSON.stringify({
+            reasoning: `Mock narrative ${digest.slice(0, 8)}: the query was assessed from its void, emergence ` +
+                'and pattern indicators; this narrative is generated locally and carries no model judgement.',
+            recommendations: [
+                'Review the overall assessment with the query owner',
+                'Re-run the analysis with a real provider before acting on it'
+            ]
+        });
+
+        return {
+            text,
+            model: this.model,
+            usage: {
+                inputTokens: Math.ceil((system.length + prompt.length) / 4),
+                outputTokens: Math.ceil(text.length / 4)
+            }
+        };
+    }
+}
+
+/**
+ * Create the adapter of a provider
+ * @param {string} name - anthropic, openai or mock
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} Provider adapter with async complete(request, signal)
+ */
+function createProvider(name, options = {}) {
+    if (name === 'anthropic') return new AnthropicProvider(options);
+    if (name === 'openai') return new OpenAIProvider(options);
+    if (name === 'mock') return new MockProvider(options);
+    throw new Error(`Unknown LLM provider ${name}. Supported: ${LLM_PROVIDERS.join(', ')}`);
+}
+
+module.exports = {
+    createProvider,
+    AnthropicProvider,
+    OpenAIProvider,
+    MockProvider,
+    LLM_PROVIDERS,
+    DEFAULT_MODELS
+};
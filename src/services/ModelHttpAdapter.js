@@ -0,0 +1,182 @@
+/**
+ * VoidGuard AI Governance Suite - Model HTTP Adapter
+ *
+ * Calls a model behind an HTTP endpoint for black-box probing. The request
+ * mapping is a JSON template in which "{{input}}" is replaced by the input -
+ * a string, or a record of features, which replaces a bare "{{input}}" value
+ * as an object and is JSON-encoded inside longer strings (for GET, the
+ * placeholder goes in the URL); the response mapping is the dotted path of
+ * the output in the JSON response, e.g. "choices.0.text".
+ *
+ * Only hosts in TRANSPARENCY_PROBE_ALLOWED_HOSTS are probed, redirects are
+ * not followed, and a host resolving to a loopback, private or link-local
+ * address is refused unless that address is itself in the allow list.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { checkHostAddresses } = require('../utils/networkGuard');
+
+const ADAPTER_METHODS = ['POST', 'PUT', 'GET'];
+const INPUT_PLACEHOLDER = '{{input}}';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Hosts that may be probed (TRANSPARENCY_PROBE_ALLOWED_HOSTS); empty disables probing
+ * @private
+ */
+function allowedHosts() {
+    return (process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(host => host.length > 0);
+}
+
+/**
+ * Input as it is substituted into a string
+ * @private
+ */
+function asText(input) {
+    return typeof input === 'string' ? input : JSON.stringify(input);
+}
+
+/**
+ * Replace the input placeholder throughout a request template
+ * @private
+ */
+function renderTemplate(template, input) {
+    if (typeof template === 'string') {
+        return template === INPUT_PLACEHOLDER ? input : template.split(INPUT_PLACEHOLDER).join(asText(input));
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, input));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, input)]));
+    }
+    return template;
+}
+
+/**
+ * Value at a dotted path of a response
+ * @private
+ */
+function valueAt(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Validate an endpoint configuration
+ * @param {Object} endpoint - { url, method, headers, requestTemplate, responsePath, timeoutMs }
+ * @returns {string|null} Error message, or null when the endpoint is usable
+ */
+function validateEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint.url.split(INPUT_PLACEHOLDER).join('input'));
+    } catch (error) {
+        return 'Endpoint url must be an absolute URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Endpoint url must use http or https';
+    }
+
+    const hosts = allowedHosts();
+    if (hosts.length === 0) {
+        return 'Model endpoints are disabled: set TRANSPARENCY_PROBE_ALLOWED_HOSTS to the hosts that may be probed';
+    }
+    if (!hosts.includes(url.hostname.toLowerCase())) {
+        return `Endpoint host ${url.hostname} is not in TRANSPARENCY_PROBE_ALLOWED_HOSTS`;
+    }
+
+    const method = (endpoint.method || 'POST').toUpperCase();
+    const template = method === 'GET' ? endpoint.url : JSON.stringify(endpoint.requestTemplate || { input: INPUT_PLACEHOLDER });
+    if (!template.includes(INPUT_PLACEHOLDER)) {
+        return method === 'GET' ?
+            `GET endpoint url must contain ${INPUT_PLACEHOLDER}` :
+            `Endpoint requestTemplate must contain ${INPUT_PLACEHOLDER}`;
+    }
+
+    return null;
+}
+
+class ModelHttpAdapter {
+    /**
+     * @param {Object} endpoint - Endpoint configuration
+     * @param {string} endpoint.url - Endpoint URL
+     * @param {string} endpoint.method - POST (default), PUT or GET
+     * @param {Object} endpoint.headers - Extra request headers (e.g. authorization)
+     * @param {*} endpoint.requestTemplate - JSON body template (default { input: "{{input}}" })
+     * @param {string} endpoint.responsePath - Path of the output in the response (default "output")
+     * @param {number} endpoint.timeoutMs - Request timeout (default TRANSPARENCY_PROBE_TIMEOUT or 10s)
+     */
+    constructor(endpoint) {
+        const error = validateEndpoint(endpoint);
+        if (error) {
+            throw new Error(error);
+        }
+
+        this.url = endpoint.url;
+        this.method = (endpoint.method || 'POST').toUpperCase();
+        this.headers = endpoint.headers || {};
+        this.requestTemplate = endpoint.requestTemplate || { input: INPUT_PLACEHOLDER };
+        this.responsePath = endpoint.responsePath || 'output';
+        this.timeoutMs = endpoint.timeoutMs || parseInt(process.env.TRANSPARENCY_PROBE_TIMEOUT, 10) || DEFAULT_TIMEOUT_MS;
+    }
+
+    /**
+     * Get the model output for an input
+     * @param {string|Object} input - Model input (text, or a record of features)
+     * @returns {*} Output at the response path
+     */
+    async invoke(input) {
+        const request = {
+            method: this.method,
+            headers: { ...this.headers },
+            redirect: 'manual',
+            signal: AbortSignal.timeout(this.timeoutMs)
+        };
+        let url = this.url;
+        if (this.method === 'GET') {
+            url = this.url.split(INPUT_PLACEHOLDER).join(encodeURIComponent(asText(input)));
+        } else {
+            request.headers['Content-Type'] = 'application/json';
+            request.body = JSON.stringify(renderTemplate(this.requestTemplate, input));
+        }
+
+        const addressError = await checkHostAddresses(new URL(url).hostname, allowedHosts());
+        if (addressError) {
+            throw new Error(`Model endpoint refused: ${addressError}`);
+        }
+
+        let response;
+        try {
+            response = await fetch(url, request);
+        } catch (error) {
+            throw new Error(error.name === 'TimeoutError' ?
+                `Model endpoint timed out after ${this.timeoutMs}ms` : `Model endpoint unreachable: ${error.message}`);
+        }
+        if (response.status >= 300 && response.status < 400) {
+            throw new Error(`Model endpoint redirected with status ${response.status}; redirects are not followed`);
+        }
+        if (!response.ok) {
+            throw new Error(`Model endpoint responded with status ${response.status}`);
+        }
+
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            throw new Error('Model endpoint did not return JSON');
+        }
+
+        const output = valueAt(payload, this.responsePath);
+        if (output === undefined) {
+            throw new Error(`Model response has no value at ${this.responsePath}`);
+        }
+        return output;
+    }
+}
+
+module.exports = { ModelHttpAdapter, validateEndpoint, ADAPTER_METHODS, INPUT_PLACEHOLDER };
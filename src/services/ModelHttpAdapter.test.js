@@ -0,0 +1,87 @@
+const http = require('http');
+const { ModelHttpAdapter, validateEndpoint } = require('./ModelHttpAdapter');
+
+const ALLOWED_HOSTS = process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS;
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/redirect') {
+            res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+            return res.end();
+        }
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ text: `echo ${JSON.parse(body).prompt}` }] }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+    if (ALLOWED_HOSTS === undefined) {
+        delete process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS;
+    } else {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = ALLOWED_HOSTS;
+    }
+});
+
+const endpoint = (path, overrides = {}) => ({
+    url: `${baseUrl}${path}`,
+    requestTemplate: { prompt: '{{input}}' },
+    responsePath: 'choices.0.text',
+    ...overrides
+});
+
+describe('validateEndpoint', () => {
+    test('disables model endpoints without an allow list', () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = '';
+
+        expect(validateEndpoint(endpoint('/model')))
+            .toBe('Model endpoints are disabled: set TRANSPARENCY_PROBE_ALLOWED_HOSTS to the hosts that may be probed');
+    });
+
+    test('refuses hosts missing from the allow list', () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = 'models.example.com';
+
+        expect(validateEndpoint(endpoint('/model'))).toBe('Endpoint host 127.0.0.1 is not in TRANSPARENCY_PROBE_ALLOWED_HOSTS');
+    });
+
+    test('requires the input placeholder and an http url', () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = '127.0.0.1';
+
+        expect(validateEndpoint(endpoint('/model', { requestTemplate: { prompt: 'fixed' } })))
+            .toBe('Endpoint requestTemplate must contain {{input}}');
+        expect(validateEndpoint({ url: 'file:///etc/passwd' })).toBe('Endpoint url must use http or https');
+        expect(validateEndpoint(endpoint('/model'))).toBeNull();
+    });
+});
+
+describe('ModelHttpAdapter.invoke', () => {
+    test('returns the output at the response path', async () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = '127.0.0.1';
+
+        await expect(new ModelHttpAdapter(endpoint('/model')).invoke('hello')).resolves.toBe('echo hello');
+    });
+
+    test('does not follow redirects', async () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = '127.0.0.1';
+
+        await expect(new ModelHttpAdapter(endpoint('/redirect')).invoke('hello'))
+            .rejects.toThrow('Model endpoint redirected with status 302; redirects are not followed');
+    });
+
+    test('refuses an allowed name that resolves to a loopback address', async () => {
+        process.env.TRANSPARENCY_PROBE_ALLOWED_HOSTS = 'localhost';
+        const adapter = new ModelHttpAdapter(endpoint('/model', { url: `${baseUrl.replace('127.0.0.1', 'localhost')}/model` }));
+
+        await expect(adapter.invoke('hello')).rejects.toThrow(/^Model endpoint refused: Host localhost resolves to the non-public address/);
+    });
+});
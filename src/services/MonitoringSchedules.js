@@ -0,0 +1,371 @@
+/**
+ * VoidGuard AI Governance Suite - Monitoring Schedules
+ *
+ * Per-system re-validation schedules and the monitoring events raised by
+ * their runs (data/migrations/009_create_monitoring_schedules.sql). A due
+ * schedule is claimed by taking its lease in a single UPDATE, so when several
+ * API replicas poll the same database only one of them runs it.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const SCHEDULE_RUN_STATUSES = ['succeeded', 'failed'];
+
+/**
+ * Map a monitoring_schedules row to a schedule
+ * @private
+ */
+function toSchedule(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        cron: row.cron,
+        intervalHours: row.interval_hours === null ? null : Number(row.interval_hours),
+        validate: row.validate,
+        regulatory: row.regulatory,
+        auditId: row.audit_id,
+        enabled: row.enabled,
+        nextRunAt: timestamp(row.next_run_at),
+        lastRunAt: timestamp(row.last_run_at),
+        lastStatus: row.last_status,
+        lastError: row.last_error,
+        createdBy: row.created_by,
+        createdAt: timestamp(row.created_at),
+        updatedAt: timestamp(row.updated_at)
+    };
+}
+
+/**
+ * Map a monitoring_events row to an event
+ * @private
+ */
+function toEvent(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        scheduleId: row.schedule_id,
+        type: row.event_type,
+        validationId: row.validation_id,
+        previousValidationId: row.previous_validation_id,
+        ...row.payload,
+        occurredAt: new Date(row.occurred_at).toISOString()
+    };
+}
+
+/**
+ * Paginate a query
+ * @private
+ */
+function pageOf(pagination) {
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+class MonitoringSchedules {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'MonitoringSchedules' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Create a schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} schedule - { systemId, cron, intervalHours, validate, regulatory, auditId, enabled, nextRunAt }
+     * @param {string} userId - Creating user
+     * @returns {Object} Schedule
+     */
+    async create(organizationId, schedule, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO monitoring_schedules
+                (id, organization_id, system_id, cron, interval_hours, validate, regulatory, audit_id, enabled,
+                 next_run_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                schedule.systemId,
+                schedule.cron || null,
+                schedule.intervalHours || null,
+                schedule.validate,
+                JSON.stringify(schedule.regulatory || []),
+                schedule.auditId || null,
+                schedule.enabled,
+                schedule.nextRunAt,
+                userId || null
+            ]
+        );
+
+        this.logger.info('Monitoring schedule created', { organizationId, scheduleId: rows[0].id });
+        return toSchedule(rows[0]);
+    }
+
+    /**
+     * Get a schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @returns {Object|null} Schedule
+     */
+    async get(organizationId, scheduleId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM monitoring_schedules WHERE organization_id = $1 AND id = $2',
+            [organizationId, scheduleId]
+        );
+
+        return rows.length > 0 ? toSchedule(rows[0]) : null;
+    }
+
+    /**
+     * List schedules, soonest run first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, enabled
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { schedules, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        if (filters.systemId) {
+            params.push(filters.systemId);
+            conditions.push(`system_id = $${params.length}`);
+        }
+        if (filters.enabled !== undefined) {
+            params.push(filters.enabled);
+            conditions.push(`enabled = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM monitoring_schedules WHERE ${where}
+                 ORDER BY next_run_at ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM monitoring_schedules WHERE ${where}`, params)
+        ]);
+
+        return {
+            schedules: rows.map(toSchedule),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+
+    /**
+     * Update a schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @param {Object} schedule - Full schedule fields (as returned by get) with the changes applied
+     * @returns {Object|null} Updated schedule
+     */
+    async update(organizationId, scheduleId, schedule) {
+        const { rows } = await this.db.query(
+            `UPDATE monitoring_schedules SET
+                cron = $3,
+                interval_hours = $4,
+                validate = $5,
+                regulatory = $6,
+                audit_id = $7,
+                enabled = $8,
+                next_run_at = $9,
+                updated_at = NOW()
+             WHERE organization_id = $1 AND id = $2
+             RETURNING *`,
+            [
+                organizationId,
+                scheduleId,
+                schedule.cron || null,
+                schedule.intervalHours || null,
+                schedule.validate,
+                JSON.stringify(schedule.regulatory || []),
+                schedule.auditId || null,
+                schedule.enabled,
+                schedule.nextRunAt
+            ]
+        );
+
+        return rows.length > 0 ? toSchedule(rows[0]) : null;
+    }
+
+    /**
+     * Delete a schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @returns {boolean} True if the schedule existed
+     */
+    async delete(organizationId, scheduleId) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM monitoring_schedules WHERE organization_id = $1 AND id = $2',
+            [organizationId, scheduleId]
+        );
+
+        return rowCount > 0;
+    }
+
+    /**
+     * Enabled schedules that are due and not leased, across organizations
+     * @param {number} limit - Maximum schedules
+     * @returns {Array} Schedules, most overdue first
+     */
+    async listDue(limit) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM monitoring_schedules
+             WHERE enabled = TRUE AND next_run_at <= NOW()
+               AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+             ORDER BY next_run_at ASC LIMIT $1`,
+            [limit]
+        );
+
+        return rows.map(toSchedule);
+    }
+
+    /**
+     * Take the lease of a due schedule
+     *
+     * The conditions are re-checked by the UPDATE itself, so of several
+     * replicas claiming the same schedule only one gets it back.
+     *
+     * @param {string} scheduleId - Schedule identifier
+     * @param {string} owner - Claiming replica
+     * @param {number} leaseMs - Lease duration
+     * @returns {Object|null} Claimed schedule, or null when another replica holds it
+     */
+    async claim(scheduleId, owner, leaseMs) {
+        const { rows } = await this.db.query(
+            `UPDATE monitoring_schedules SET lease_owner = $2, lease_expires_at = $3
+             WHERE id = $1 AND enabled = TRUE AND next_run_at <= NOW()
+               AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+             RETURNING *`,
+            [scheduleId, owner, new Date(Date.now() + leaseMs)]
+        );
+
+        return rows.length > 0 ? toSchedule(rows[0]) : null;
+    }
+
+    /**
+     * Record the outcome of a run and release the lease
+     * @param {string} scheduleId - Schedule identifier
+     * @param {string} owner - Replica holding the lease
+     * @param {Object} run - { status, error, nextRunAt }
+     * @returns {boolean} False when the lease was lost (e.g. the schedule was deleted)
+     */
+    async complete(scheduleId, owner, { status, error, nextRunAt }) {
+        const { rowCount } = await this.db.query(
+            `UPDATE monitoring_schedules SET
+                last_run_at = NOW(),
+                last_status = $3,
+                last_error = $4,
+                next_run_at = $5,
+                lease_owner = NULL,
+                lease_expires_at = NULL
+             WHERE id = $1 AND lease_owner = $2`,
+            [scheduleId, owner, status, error || null, nextRunAt]
+        );
+
+        return rowCount > 0;
+    }
+
+    /**
+     * Record a monitoring event
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} event - { type, systemId, scheduleId, validationId, previousValidationId, ...payload }
+     * @returns {Object} Stored event
+     */
+    async recordEvent(organizationId, event) {
+        const { type, systemId, scheduleId, validationId, previousValidationId, ...payload } = event;
+        const { rows } = await this.db.query(
+            `INSERT INTO monitoring_events
+                (id, organization_id, system_id, schedule_id, event_type, validation_id, previous_validation_id, payload)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                systemId,
+                scheduleId || null,
+                type,
+                validationId || null,
+                previousValidationId || null,
+                JSON.stringify(payload)
+            ]
+        );
+
+        return toEvent(rows[0]);
+    }
+
+    /**
+     * List monitoring events, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, type
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { events, pagination }
+     */
+    async listEvents(organizationId, filters = {}, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        if (filters.systemId) {
+            params.push(filters.systemId);
+            conditions.push(`system_id = $${params.length}`);
+        }
+        if (filters.type) {
+            params.push(filters.type);
+            conditions.push(`event_type = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM monitoring_events WHERE ${where}
+                 ORDER BY occurred_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM monitoring_events WHERE ${where}`, params)
+        ]);
+
+        return {
+            events: rows.map(toEvent),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+}
+
+module.exports = { MonitoringSchedules, SCHEDULE_RUN_STATUSES };
@@ -0,0 +1,479 @@
+/**
+ * VoidGuard AI Governance Suite - Continuous Compliance Monitoring
+ *
+ * Per-system schedules (cron expressions, or every MONITORING_DEFAULT_INTERVAL
+ * hours) that re-run safety validation and transparency audits. Each replica
+ * polls for due schedules and runs the ones whose lease it takes. A scheduled
+ * validation that leaves a compliant system non-compliant, or raises its risk
+ * level, is recorded as a monitoring event and emitted to listeners.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { VoidGuardService } = require('./VoidGuardService');
+const { TransparencyService } = require('./TransparencyService');
+const { MonitoringSchedules } = require('./MonitoringSchedules');
+const { AuditLog } = require('./AuditLog');
+const { publishEvent } = require('./GovernanceEvents');
+const { nextCronRun, validateCron } = require('../utils/cronSchedule');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/monitoring.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const MONITORING_EVENT_TYPES = ['compliance_regressed', 'risk_level_increased'];
+// Risk levels from lowest to highest
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const HOUR_MS = 60 * 60 * 1000;
+// Schedules claimed per poll; the rest wait for the next poll
+const SCHEDULES_PER_POLL = 10;
+
+/**
+ * Positive integer from the environment
+ * @private
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * Next run of a schedule after a date
+ * @param {Object} schedule - { cron, intervalHours }
+ * @param {Date} after - Last run (or now)
+ * @returns {Date} Next run
+ */
+function nextRunOf(schedule, after = new Date()) {
+    if (schedule.cron) {
+        return nextCronRun(schedule.cron, after);
+    }
+    return new Date(after.getTime() + schedule.intervalHours * HOUR_MS);
+}
+
+/**
+ * Regressions between the previous and the new validation of a system
+ * @param {Object} previous - Previous validation summary (history)
+ * @param {Object} result - New validation result
+ * @returns {Array} Events ({ type, from, to })
+ */
+function detectRegressions(previous, result) {
+    if (!previous) return [];
+
+    const events = [];
+    if (previous.safetyStatus === 'compliant' && result.safetyStatus !== 'compliant') {
+        events.push({
+            type: 'compliance_regressed',
+            from: { safetyStatus: previous.safetyStatus, complianceScore: previous.complianceScore },
+            to: { safetyStatus: result.safetyStatus, complianceScore: result.complianceScore }
+        });
+    }
+    if (RISK_LEVELS.indexOf(result.riskAssessment.level) > RISK_LEVELS.indexOf(previous.riskLevel)) {
+        events.push({
+            type: 'risk_level_increased',
+            from: { riskLevel: previous.riskLevel },
+            to: { riskLevel: result.riskAssessment.level }
+        });
+    }
+
+    return events;
+}
+
+class MonitoringService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        const { voidguardService, transparencyService, schedules, auditLog, ...settings } = config;
+
+        this.config = {
+            auditEnabled: settings.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
+            defaultIntervalHours: envInt('MONITORING_DEFAULT_INTERVAL', 24),
+            pollIntervalMs: envInt('MONITORING_POLL_INTERVAL', 60) * 1000,
+            leaseMs: envInt('MONITORING_LEASE_DURATION', 600) * 1000,
+            ...settings
+        };
+        this.voidguardService = voidguardService || new VoidGuardService();
+        this.transparencyService = transparencyService || new TransparencyService();
+        this.schedules = schedules || new MonitoringSchedules();
+        this.auditLog = auditLog || new AuditLog();
+        // Lease owner of this replica
+        this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+        this.timer = null;
+        this.polling = null;
+        this.logger = logger.child({ component: 'MonitoringService' });
+    }
+
+    /**
+     * Record an audit event when auditing is enabled
+     * @private
+     */
+    async audit(event) {
+        if (this.config.auditEnabled) {
+            await this.auditLog.append(event);
+        }
+    }
+
+    /**
+     * Check the targets and timing of a schedule
+     * @private
+     * @returns {string|null} Error message
+     */
+    async checkSchedule(organizationId, schedule) {
+        if (!schedule.validate && !schedule.auditId) {
+            return 'A schedule must re-run validation, a transparency audit or both';
+        }
+        if (schedule.cron) {
+            const cronError = validateCron(schedule.cron);
+            if (cronError) return cronError;
+        }
+        if (schedule.auditId) {
+            const audit = await this.transparencyService.reports.getAudit(organizationId, schedule.auditId);
+            if (!audit || audit.systemId !== schedule.systemId) {
+                return `Transparency audit ${schedule.auditId} is not an audit of AI system ${schedule.systemId}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create a monitoring schedule for a registered AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} schedule - { systemId, cron, intervalHours, validate, regulatory, auditId, enabled }
+     * @param {string} userId - Creating user
+     * @returns {Object} { schedule, error }
+     */
+    async createSchedule(organizationId, schedule, userId) {
+        const system = await this.voidguardService.systemRegistry.get(organizationId, schedule.systemId);
+        if (!system) {
+            return { schedule: null, error: `AI system ${schedule.systemId} is not registered` };
+        }
+
+        const fields = {
+            systemId: schedule.systemId,
+            cron: schedule.cron || null,
+            // Without a cron expression the schedule runs every intervalHours
+            intervalHours: schedule.cron ? null : (schedule.intervalHours || this.config.defaultIntervalHours),
+            validate: schedule.validate !== false,
+            regulatory: schedule.regulatory || [],
+            auditId: schedule.auditId || null,
+            enabled: schedule.enabled !== false
+        };
+        const error = await this.checkSchedule(organizationId, fields);
+        if (error) {
+            return { schedule: null, error };
+        }
+
+        const created = await this.schedules.create(organizationId, { ...fields, nextRunAt: nextRunOf(fields) }, userId);
+        await this.audit({
+            type: 'monitoring_schedule_created',
+            organizationId,
+            userId,
+            systemId: created.systemId,
+            scheduleId: created.id,
+            cron: created.cron,
+            intervalHours: created.intervalHours
+        });
+
+        return { schedule: created, error: null };
+    }
+
+    /**
+     * Get a monitoring schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @returns {Object|null} Schedule
+     */
+    async getSchedule(organizationId, scheduleId) {
+        return this.schedules.get(organizationId, scheduleId);
+    }
+
+    /**
+     * List monitoring schedules
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, enabled
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { schedules, pagination }
+     */
+    async listSchedules(organizationId, filters = {}, pagination = {}) {
+        return this.schedules.list(organizationId, filters, pagination);
+    }
+
+    /**
+     * Update a monitoring schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @param {Object} changes - cron, intervalHours, validate, regulatory, auditId, enabled
+     * @param {string} userId - Updating user
+     * @returns {Object} { schedule, error } - schedule is null when not found or rejected
+     */
+    async updateSchedule(organizationId, scheduleId, changes, userId) {
+        const current = await this.schedules.get(organizationId, scheduleId);
+        if (!current) {
+            return { schedule: null, error: null };
+        }
+
+        const fields = { ...current, ...changes };
+        // Setting one kind of timing replaces the other
+        if (changes.cron) fields.intervalHours = null;
+        if (changes.intervalHours) fields.cron = null;
+        if (!fields.cron && !fields.intervalHours) fields.intervalHours = this.config.defaultIntervalHours;
+
+        const error = await this.checkSchedule(organizationId, fields);
+        if (error) {
+            return { schedule: null, error };
+        }
+
+        // A new timing, or re-enabling, starts counting from now
+        const retimed = fields.cron !== current.cron || fields.intervalHours !== current.intervalHours ||
+            (fields.enabled && !current.enabled);
+        if (retimed) {
+            fields.nextRunAt = nextRunOf(fields);
+        }
+
+        const schedule = await this.schedules.update(organizationId, scheduleId, fields);
+        await this.audit({
+            type: 'monitoring_schedule_updated',
+            organizationId,
+            userId,
+            systemId: current.systemId,
+            scheduleId,
+            fields: Object.keys(changes)
+        });
+
+        return { schedule, error: null };
+    }
+
+    /**
+     * Delete a monitoring schedule
+     * @param {string} organizationId - Organization identifier
+     * @param {string} scheduleId - Schedule identifier
+     * @param {string} userId - Deleting user
+     * @returns {boolean} True if the schedule existed
+     */
+    async deleteSchedule(organizationId, scheduleId, userId) {
+        const schedule = await this.schedules.get(organizationId, scheduleId);
+        if (!schedule) {
+            return false;
+        }
+
+        await this.schedules.delete(organizationId, scheduleId);
+        await this.audit({
+            type: 'monitoring_schedule_deleted',
+            organizationId,
+            userId,
+            systemId: schedule.systemId,
+            scheduleId
+        });
+
+        return true;
+    }
+
+    /**
+     * List monitoring events
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, type
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { events, pagination }
+     */
+    async listEvents(organizationId, filters = {}, pagination = {}) {
+        return this.schedules.listEvents(organizationId, filters, pagination);
+    }
+
+    /**
+     * Start polling for due schedules
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poll(), this.config.pollIntervalMs);
+        // Polling alone does not keep the process alive
+        this.timer.unref();
+        this.logger.info('Monitoring scheduler started', {
+            instanceId: this.instanceId,
+            pollIntervalMs: this.config.pollIntervalMs
+        });
+    }
+
+    /**
+     * Stop polling, waiting for a poll in progress to finish
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.logger.info('Monitoring scheduler stopped', { instanceId: this.instanceId });
+        }
+        await this.polling;
+    }
+
+    /**
+     * Run the schedules that are due
+     *
+     * Polls do not overlap: a poll that starts while the previous one is
+     * still running waits for it instead.
+     *
+     * @returns {number} Schedules run by this replica
+     */
+    async poll() {
+        if (this.polling) {
+            return this.polling;
+        }
+
+        this.polling = (async () => {
+            let ran = 0;
+            try {
+                for (const due of await this.schedules.listDue(SCHEDULES_PER_POLL)) {
+                    const schedule = await this.schedules.claim(due.id, this.instanceId, this.config.leaseMs);
+                    if (schedule) {
+                        await this.runSchedule(schedule);
+                        ran++;
+                    }
+                }
+            } catch (error) {
+                this.logger.error('Monitoring poll failed', { error: error.message });
+            }
+            return ran;
+        })();
+
+        try {
+            return await this.polling;
+        } finally {
+            this.polling = null;
+        }
+    }
+
+    /**
+     * Run a claimed schedule and release its lease
+     * @private
+     */
+    async runSchedule(schedule) {
+        const { organizationId, systemId } = schedule;
+        const errors = [];
+
+        if (schedule.validate) {
+            try {
+                await this.runValidation(schedule);
+            } catch (error) {
+                errors.push(`Validation failed: ${error.message}`);
+            }
+        }
+        if (schedule.auditId) {
+            try {
+                const job = await this.transparencyService.startAuditRun(organizationId, schedule.auditId, null);
+                if (!job) {
+                    errors.push(`Transparency audit ${schedule.auditId} no longer exists`);
+                }
+            } catch (error) {
+                errors.push(`Transparency audit failed to start: ${error.message}`);
+            }
+        }
+
+        const status = errors.length > 0 ? 'failed' : 'succeeded';
+        await this.schedules.complete(schedule.id, this.instanceId, {
+            status,
+            error: errors.join('; ') || null,
+            nextRunAt: nextRunOf(schedule)
+        });
+
+        this.logger.info('Monitoring schedule ran', { organizationId, systemId, scheduleId: schedule.id, status, errors });
+    }
+
+    /**
+     * Re-validate a scheduled system and raise events for regressions
+     * @private
+     */
+    async runValidation(schedule) {
+        const { organizationId, systemId } = schedule;
+        const { validations } = await this.voidguardService.getSystemValidations(organizationId, systemId, { limit: 1 });
+        const previous = validations[0] || null;
+
+        const { result, system, error } = await this.voidguardService.revalidateSystem(organizationId, systemId, {
+            regulatory: schedule.regulatory.length > 0 ? schedule.regulatory : undefined,
+            userId: null
+        });
+        if (!system) {
+            throw new Error(`AI system ${systemId} is no longer registered`);
+        }
+        if (error) {
+            throw new Error(error);
+        }
+
+        for (const regression of detectRegressions(previous, result)) {
+            await this.raiseEvent(organizationId, {
+                ...regression,
+                systemId,
+                scheduleId: schedule.id,
+                validationId: result.validationId,
+                previousValidationId: previous.validationId
+            });
+        }
+    }
+
+    /**
+     * Record a monitoring event and emit it to listeners
+     *
+     * Listeners receive the stored event both under its type and as 'event';
+     * it is also published as a monitoring.* governance event.
+     *
+     * @private
+     */
+    async raiseEvent(organizationId, event) {
+        const stored = await this.schedules.recordEvent(organizationId, event);
+        await this.audit({
+            type: stored.type,
+            organizationId,
+            userId: null,
+            systemId: stored.systemId,
+            scheduleId: stored.scheduleId,
+            monitoringEventId: stored.id,
+            validationId: stored.validationId,
+            from: stored.from,
+            to: stored.to
+        });
+
+        this.logger.warn('Compliance regression detected', {
+            organizationId,
+            systemId: stored.systemId,
+            type: stored.type,
+            from: stored.from,
+            to: stored.to
+        });
+        this.emit(stored.type, stored);
+        this.emit('event', stored);
+        publishEvent(organizationId, `monitoring.${stored.type}`, stored);
+    }
+
+    /**
+     * Get monitoring health status
+     * @returns {Object} Health status
+     */
+    getHealthStatus() {
+        return {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            config: {
+                schedulerRunning: Boolean(this.timer),
+                instanceId: this.instanceId,
+                pollIntervalMs: this.config.pollIntervalMs,
+                leaseMs: this.config.leaseMs,
+                defaultIntervalHours: this.config.defaultIntervalHours,
+                auditEnabled: this.config.auditEnabled
+            },
+            version: '1.0.0'
+        };
+    }
+}
+
+module.exports = { MonitoringService, MONITORING_EVENT_TYPES, RISK_LEVELS, detectRegressions, nextRunOf };
@@ -0,0 +1,77 @@
+const { MonitoringService, detectRegressions, nextRunOf } = require('./MonitoringService');
+
+const at = (iso) => new Date(iso);
+
+describe('nextRunOf', () => {
+    test('follows the cron expression, or adds intervalHours', () => {
+        expect(nextRunOf({ cron: '0 6 * * *' }, at('2026-03-10T07:00:00Z'))).toEqual(at('2026-03-11T06:00:00Z'));
+        expect(nextRunOf({ intervalHours: 12 }, at('2026-03-10T07:00:00Z'))).toEqual(at('2026-03-10T19:00:00Z'));
+    });
+});
+
+describe('detectRegressions', () => {
+    const compliantLow = { safetyStatus: 'compliant', complianceScore: 0.97, riskLevel: 'low' };
+    const result = (safetyStatus, level) => ({ safetyStatus, complianceScore: 0.7, riskAssessment: { level } });
+
+    test('reports a compliant system becoming non-compliant and a higher risk level', () => {
+        expect(detectRegressions(compliantLow, result('non_compliant', 'high'))).toEqual([
+            {
+                type: 'compliance_regressed',
+                from: { safetyStatus: 'compliant', complianceScore: 0.97 },
+                to: { safetyStatus: 'non_compliant', complianceScore: 0.7 }
+            },
+            { type: 'risk_level_increased', from: { riskLevel: 'low' }, to: { riskLevel: 'high' } }
+        ]);
+    });
+
+    test('ignores unchanged or improving systems and first validations', () => {
+        expect(detectRegressions(compliantLow, result('compliant', 'low'))).toEqual([]);
+        expect(detectRegressions({ ...compliantLow, safetyStatus: 'non_compliant', riskLevel: 'high' }, result('non_compliant', 'medium')))
+            .toEqual([]);
+        expect(detectRegressions(null, result('non_compliant', 'high'))).toEqual([]);
+    });
+});
+
+describe('MonitoringService.createSchedule', () => {
+    const DEFAULT_INTERVAL = process.env.MONITORING_DEFAULT_INTERVAL;
+
+    afterEach(() => {
+        if (DEFAULT_INTERVAL === undefined) {
+            delete process.env.MONITORING_DEFAULT_INTERVAL;
+        } else {
+            process.env.MONITORING_DEFAULT_INTERVAL = DEFAULT_INTERVAL;
+        }
+    });
+
+    function serviceWith(systems) {
+        return new MonitoringService({
+            voidguardService: { systemRegistry: { get: async (organizationId, systemId) => systems[systemId] || null } },
+            transparencyService: {},
+            schedules: { create: jest.fn(async (organizationId, fields) => ({ id: 'schedule-1', organizationId, ...fields })) },
+            auditLog: { append: jest.fn() }
+        });
+    }
+
+    test('runs a schedule without timing every MONITORING_DEFAULT_INTERVAL hours', async () => {
+        process.env.MONITORING_DEFAULT_INTERVAL = '6';
+        const before = Date.now();
+
+        const { schedule, error } = await serviceWith({ 'system-1': { id: 'system-1' } })
+            .createSchedule('org-1', { systemId: 'system-1' }, 'user-1');
+
+        expect(error).toBeNull();
+        expect(schedule.intervalHours).toBe(6);
+        expect(schedule.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 6 * 60 * 60 * 1000);
+    });
+
+    test('rejects unregistered systems, invalid cron expressions and empty targets', async () => {
+        const service = serviceWith({ 'system-1': { id: 'system-1' } });
+
+        expect((await service.createSchedule('org-1', { systemId: 'system-2' })).error).toBe('AI system system-2 is not registered');
+        expect((await service.createSchedule('org-1', { systemId: 'system-1', cron: '61 * * * *' })).error)
+            .toBe('Invalid minute field: 61 (allowed 0-59)');
+        expect((await service.createSchedule('org-1', { systemId: 'system-1', validate: false })).error)
+            .toBe('A schedule must re-run validation, a transparency audit or both');
+        expect(service.schedules.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * VoidGuard AI Governance Suite - Oracle LLM Store
+ *
+ * The LLM provider each organization's Oracle narratives are generated with,
+ * and the token usage of every provider call
+ * (data/migrations/014_create_oracle_llm.sql).
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getPool } = require('../utils/database');
+
+/**
+ * Map an oracle_llm_settings row to provider settings
+ * @private
+ */
+function toSettings(row) {
+    return {
+        provider: row.provider,
+        model: row.model,
+        updatedBy: row.updated_by,
+        updatedAt: new Date(row.updated_at).toISOString()
+    };
+}
+
+class OracleLlmStore {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Get the provider settings of an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object|null} { provider, model, updatedBy, updatedAt }
+     */
+    async getSettings(organizationId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM oracle_llm_settings WHERE organization_id = $1',
+            [organizationId]
+        );
+
+        return rows.length > 0 ? toSettings(rows[0]) : null;
+    }
+
+    /**
+     * Set the provider settings of an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} settings - { provider, model }
+     * @param {string} userId - Requesting user
+     * @returns {Object} Stored settings
+     */
+    async saveSettings(organizationId, { provider, model }, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO oracle_llm_settings (organization_id, provider, model, updated_by, updated_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (organization_id) DO UPDATE SET
+                provider = EXCLUDED.provider,
+                model = EXCLUDED.model,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = EXCLUDED.updated_at
+             RETURNING *`,
+            [organizationId, provider, model || null, userId || null]
+        );
+
+        return toSettings(rows[0]);
+    }
+
+    /**
+     * Record a provider call
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} call - { sessionId, provider, model, status, attempts, usage: { inputTokens, outputTokens },
+     *   durationMs, error }
+     */
+    async recordUsage(organizationId, call) {
+        await this.db.query(
+            `INSERT INTO oracle_llm_usage
+                (id, organization_id, session_id, provider, model, status, attempts, input_tokens, output_tokens,
+                 duration_ms, error)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                uuidv4(),
+                organizationId,
+                call.sessionId || null,
+                call.provider,
+                call.model,
+                call.status,
+                call.attempts,
+                call.usage?.inputTokens || 0,
+                call.usage?.outputTokens || 0,
+                call.durationMs,
+                call.error || null
+            ]
+        );
+    }
+
+    /**
+     * Token usage of an organization per provider and model
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - { startDate, endDate }
+     * @returns {Array<Object>} { provider, model, calls, failedCalls, attempts, inputTokens, outputTokens }
+     */
+    async summarizeUsage(organizationId, filters = {}) {
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+
+        if (filters.startDate) {
+            params.push(new Date(filters.startDate).toISOString());
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (filters.endDate) {
+            params.push(new Date(filters.endDate).toISOString());
+            conditions.push(`created_at <= $${params.length}`);
+        }
+
+        const { rows } = await this.db.query(
+            `SELECT provider, model,
+                    COUNT(*)::int AS calls,
+                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END)::int AS failed_calls,
+                    SUM(attempts)::int AS attempts,
+                    SUM(input_tokens)::int AS input_tokens,
+                    SUM(output_tokens)::int AS output_tokens
+             FROM oracle_llm_usage
+             WHERE ${conditions.join(' AND ')}
+             GROUP BY provider, model
+             ORDER BY provider, model`,
+            params
+        );
+
+        return rows.map(row => ({
+            provider: row.provider,
+            model: row.model,
+            calls: row.calls,
+            failedCalls: row.failed_calls,
+            attempts: row.attempts,
+            inputTokens: row.input_tokens,
+            outputTokens: row.output_tokens
+        }));
+    }
+}
+
+module.exports = { OracleLlmStore };
@@ -10,6 +10,16 @@
 
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const {
+    COUNTERFACTUAL_KINDS, DEFAULT_DIVERGENCE_THRESHOLDS, buildProbeCases, outputDivergence
+} = require('./BehavioralProbe');
+const { publishEvent } = require('./GovernanceEvents');
+const { OracleSessions } = require('./OracleSessions');
+const { AuditLog } = require('./AuditLog');
+const { AsyncJobs } = require('./AsyncJobs');
+const { LlmGateway } = require('./LlmGateway');
+const { WorkerPool } = require('../utils/workerPool');
+const { parseDataset, detectDatasetFormat } = require('../utils/datasetParser');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -24,6 +34,127 @@ const logger = winston.createLogger({
     ]
 });
 
+const BATCH_JOB_TYPE = 'oracle_batch_analysis';
+const BATCH_QUERY_LENGTH = { min: 5, max: 1000 };
+// Progress and partial results of a batch are stored about this many times
+const BATCH_PROGRESS_REPORTS = 50;
+// Visualization points sent in each aquarium event of a streamed analysis
+const AQUARIUM_POINTS_PER_EVENT = 25;
+// Recommendations kept from a narrative
+const NARRATIVE_MAX_RECOMMENDATIONS = 5;
+
+const NARRATIVE_SYSTEM_PROMPT = 'You are the narrative layer of the VoidGuard Oracle, a strategic intelligence ' +
+    'service for AI governance teams. You are given a query and the scores the Oracle computed for it. Explain ' +
+    'in plain language what the scores mean for the query and what the team should do next. Ground every ' +
+    'statement in the scores given; do not invent data. Answer with a JSON object only: ' +
+    '{"reasoning": "<one or two paragraphs>", "recommendations": ["<short action>", ...]} ' +
+    `with at most ${NARRATIVE_MAX_RECOMMENDATIONS} recommendations.`;
+
+/**
+ * Queries of a batch, from the request body or an uploaded JSON Lines or CSV
+ * file (records with a query and an optional id, defaulting to the record
+ * number)
+ * @private
+ * @returns {Object} { queries, error }
+ */
+function readBatchQueries(request, maxQueries) {
+    let records = request.queries;
+    if (request.content) {
+        if (records) {
+            return { queries: null, error: 'Send queries either in the request body or as a file, not both' };
+        }
+        const format = detectDatasetFormat(request.filename);
+        if (!format) {
+            return { queries: null, error: 'Query files must be .jsonl or .csv files' };
+        }
+        try {
+            records = parseDataset(request.content, format);
+        } catch (error) {
+            return { queries: null, error: `Query file could not be parsed: ${error.message}` };
+        }
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+        return { queries: null, error: 'A batch needs queries: a queries array, or a .jsonl or .csv file with a query column' };
+    }
+    if (records.length > maxQueries) {
+        return { queries: null, error: `A batch holds at most ${maxQueries} queries, got ${records.length}` };
+    }
+
+    const queries = [];
+    const ids = new Set();
+    for (const [index, record] of records.entries()) {
+        const id = record.id === undefined || record.id === null || record.id === '' ? String(index + 1) : String(record.id);
+        if (typeof record.query !== 'string') {
+            return { queries: null, error: `Query ${id} has no query text (query field or column)` };
+        }
+        const query = record.query.trim();
+
+        if (query.length < BATCH_QUERY_LENGTH.min || query.length > BATCH_QUERY_LENGTH.max) {
+            return {
+                queries: null,
+                error: `Query ${id} must be between ${BATCH_QUERY_LENGTH.min} and ${BATCH_QUERY_LENGTH.max} characters`
+            };
+        }
+        if (ids.has(id)) {
+            return { queries: null, error: `Duplicate query id ${id}` };
+        }
+        ids.add(id);
+        queries.push({ id, query });
+    }
+
+    return { queries, error: null };
+}
+
+/**
+ * Prompt asking for the narrative of an analysis
+ * @private
+ */
+function buildNarrativePrompt(query, strategicIntelligence) {
+    const { consciousness, patterns, overallAssessment } = strategicIntelligence;
+
+    return [
+        `Query: ${query}`,
+        '',
+        `Void score: ${consciousness.voidScore.toFixed(2)} (${consciousness.emergencePattern} emergence pattern)`,
+        `Consciousness coefficient: ${consciousness.consciousnessCoefficient.toFixed(2)} ` +
+            `(${consciousness.transcendenceLevel} transcendence)`,
+        `Turbulence: ${patterns.turbulenceCoefficient.toFixed(2)} (${patterns.stability} structure)`,
+        `Patterns detected: ${patterns.patterns.length > 0 ? patterns.patterns.join(', ') : 'none'}`,
+        `Overall score: ${overallAssessment.score.toFixed(2)}, ${overallAssessment.riskLevel} risk, ` +
+            `confidence ${overallAssessment.confidence.toFixed(2)}`,
+        `Assessment: ${overallAssessment.recommendation}`
+    ].join('\n');
+}
+
+/**
+ * Reasoning and recommendations of a completion; text that is not the JSON
+ * object asked for is kept as the reasoning
+ * @private
+ */
+function parseNarrative(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        try {
+            const narrative = JSON.parse(text.slice(start, end + 1));
+            if (typeof narrative.reasoning === 'string') {
+                return {
+                    reasoning: narrative.reasoning.trim(),
+                    recommendations: (Array.isArray(narrative.recommendations) ? narrative.recommendations : [])
+                        .filter(recommendation => typeof recommendation === 'string' && recommendation.trim())
+                        .map(recommendation => recommendation.trim())
+                        .slice(0, NARRATIVE_MAX_RECOMMENDATIONS)
+                };
+            }
+        } catch (error) {
+            // Not JSON after all; fall through
+        }
+    }
+
+    return { reasoning: text.trim(), recommendations: [] };
+}
+
 /**
  * Axiom of Value-Void Engine - Core consciousness analysis
  */
@@ -160,6 +291,80 @@ class AlgorithmMicroscopeEngine {
         }
     }
 
+    /**
+     * Probe a model's behavior with paired and perturbed inputs
+     *
+     * Each pair is sent through the adapter and the divergence of the two
+     * outputs measured. The session reports the mean divergence as its
+     * turbulence coefficient and, as patterns, the perturbations the model is
+     * sensitive to (divergence above the threshold for the kind).
+     *
+     * @param {Object} adapter - Model adapter with async invoke(input)
+     * @param {Object} probe - { inputs, pairs, perturbations, thresholds }
+     * @param {Object} context - Analysis context (sessionId, onProgress)
+     * @returns {Object} Probe session
+     */
+    async probeBehavior(adapter, probe, context = {}) {
+        const sessionId = context.sessionId || uuidv4();
+        const onProgress = context.onProgress || (async () => {});
+        const thresholds = { ...DEFAULT_DIVERGENCE_THRESHOLDS, ...(probe.thresholds || {}) };
+        const cases = buildProbeCases(probe);
+        this.logger.info(`Starting behavioral probe`, { sessionId, pairs: cases.length });
+
+        // Originals are shared by several pairs; call the model once per distinct input
+        const outputs = new Map();
+        const invoke = (input) => {
+            if (!outputs.has(input)) outputs.set(input, adapter.invoke(input));
+            return outputs.get(input);
+        };
+
+        const results = [];
+        const failures = [];
+        for (const [index, probeCase] of cases.entries()) {
+            await onProgress(index / cases.length, `Probing ${probeCase.kind} pair ${index + 1} of ${cases.length}`);
+            try {
+                const original = await invoke(probeCase.original);
+                const variant = await invoke(probeCase.variant);
+                results.push({ ...probeCase, outputs: [original, variant], divergence: outputDivergence(original, variant) });
+            } catch (error) {
+                failures.push({ kind: probeCase.kind, input: probeCase.original, error: error.message });
+            }
+        }
+
+        const round = value => Math.round(value * 10000) / 10000;
+        const kinds = [...new Set(results.map(result => result.kind))].map(kind => {
+            const ofKind = results.filter(result => result.kind === kind);
+            const worst = ofKind.reduce((max, result) => (result.divergence > max.divergence ? result : max));
+            return {
+                kind,
+                counterfactual: COUNTERFACTUAL_KINDS.includes(kind),
+                pairs: ofKind.length,
+                meanDivergence: round(ofKind.reduce((sum, result) => sum + result.divergence, 0) / ofKind.length),
+                maxDivergence: round(worst.divergence),
+                threshold: thresholds[kind],
+                diverged: ofKind.filter(result => result.divergence > thresholds[kind]).length,
+                worst: { ...worst, divergence: round(worst.divergence) }
+            };
+        });
+        const patterns = kinds.filter(result => result.diverged > 0).map(result => `${result.kind}_sensitive`);
+        const turbulenceCoefficient = results.length > 0 ?
+            round(results.reduce((sum, result) => sum + result.divergence, 0) / results.length) : 0;
+
+        return {
+            sessionId,
+            timestamp: new Date().toISOString(),
+            analysis: {
+                turbulenceCoefficient,
+                patterns,
+                stability: patterns.length === 0 && turbulenceCoefficient < 0.5 ? 'stable' : 'turbulent',
+                complexity: patterns.length,
+                probes: kinds,
+                calls: outputs.size,
+                failures
+            }
+        };
+    }
+
     /**
      * Calculate turbulence coefficient
      * @private
@@ -246,31 +451,91 @@ class MathematicalAquariumEngine {
  * Main Oracle Strategic Intelligence Service
  */
 class OracleService {
-    constructor() {
+    constructor(config = {}) {
+        const { sessions, auditLog, jobs, workerPool, llm, ...settings } = config;
+
+        this.config = {
+            auditEnabled: settings.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
+            maxConcurrent: parseInt(process.env.ORACLE_MAX_CONCURRENT, 10) || 10,
+            maxBatchQueries: parseInt(process.env.ORACLE_BATCH_MAX_QUERIES, 10) || 1000,
+            ...settings
+        };
         this.axiomEngine = new AxiomOfValueVoidEngine();
         this.microscopeEngine = new AlgorithmMicroscopeEngine();
         this.aquariumEngine = new MathematicalAquariumEngine();
+        this.sessions = sessions || new OracleSessions();
+        this.auditLog = auditLog || new AuditLog();
+        this.jobs = jobs || new AsyncJobs();
+        this.llm = llm || new LlmGateway();
+        // Shared by all batch jobs of this process
+        this.workerPool = workerPool || new WorkerPool(this.config.maxConcurrent);
         this.logger = logger.child({ component: 'OracleService' });
     }
 
+    /**
+     * Record an audit event when auditing is enabled
+     * @private
+     */
+    async audit(event) {
+        if (this.config.auditEnabled) {
+            await this.auditLog.append(event);
+        }
+    }
+
     /**
      * Process strategic intelligence query
+     *
+     * Analyses of an organization are stored as sessions, with the raw void
+     * and pattern analysis, for getInsights.
+     *
+     * A streamed analysis reports each engine's result as it finishes:
+     * `axiom` and `microscope` (in the order they complete), `aquarium`
+     * events with AQUARIUM_POINTS_PER_EVENT visualization points each, and
+     * `assessment`, then `narrative` when one was asked for. Once its signal
+     * is aborted the analysis stops and is not stored.
+     *
+     * With options.includeNarrative the organization's LLM provider explains
+     * the assessment (strategicIntelligence.narrative). The analysis does not
+     * depend on it: when the provider fails, the narrative is marked
+     * unavailable and the analysis completes.
+     *
      * @param {string} query - Input query
      * @param {Object} options - Processing options
+     * @param {Object} stream - Streaming hooks
+     * @param {Function} stream.onEvent - async (event, data) => void
+     * @param {AbortSignal} stream.signal - Aborts the analysis
      * @returns {Object} Complete analysis result
      */
-    async processQuery(query, options = {}) {
+    async processQuery(query, options = {}, stream = {}) {
         const sessionId = options.sessionId || uuidv4();
         const context = { ...options, sessionId };
+        const emit = stream.onEvent || (async () => {});
+        const checkAborted = () => {
+            if (stream.signal) stream.signal.throwIfAborted();
+        };
         
         this.logger.info(`Processing strategic query`, { sessionId, queryLength: query.length });
 
         try {
-            // Run all analysis engines
+            // Run all analysis engines, streaming each result as soon as it is ready
             const [consciousnessAnalysis, patternAnalysis] = await Promise.all([
-                this.axiomEngine.analyzeConsciousness(query, context),
-                this.microscopeEngine.analyzePatterns(query, context)
+                this.axiomEngine.analyzeConsciousness(query, context).then(async (analysis) => {
+                    checkAborted();
+                    await emit('axiom', {
+                        sessionId,
+                        consciousness: analysis.analysis,
+                        confidence: analysis.confidence,
+                        reasoning: analysis.reasoning
+                    });
+                    return analysis;
+                }),
+                this.microscopeEngine.analyzePatterns(query, context).then(async (analysis) => {
+                    checkAborted();
+                    await emit('microscope', { sessionId, patterns: analysis.analysis });
+                    return analysis;
+                })
             ]);
+            checkAborted();
 
             // Combine analyses for visualization
             const combinedAnalysis = {
@@ -300,18 +565,417 @@ class OracleService {
                 }
             };
 
+            const points = visualization.visualization.data;
+            for (let offset = 0; offset < points.length; offset += AQUARIUM_POINTS_PER_EVENT) {
+                checkAborted();
+                await emit('aquarium', {
+                    sessionId,
+                    type: visualization.visualization.type,
+                    metadata: visualization.visualization.metadata,
+                    offset,
+                    total: points.length,
+                    points: points.slice(offset, offset + AQUARIUM_POINTS_PER_EVENT)
+                });
+            }
+            checkAborted();
+            await emit('assessment', { sessionId, overallAssessment: result.strategicIntelligence.overallAssessment });
+            checkAborted();
+
+            if (options.includeNarrative) {
+                const narrative = await this.generateNarrative(query, result, options.organizationId, stream.signal);
+                result.strategicIntelligence.narrative = narrative;
+                checkAborted();
+                await emit('narrative', { sessionId, narrative });
+            }
+
             this.logger.info(`Strategic query processing completed`, { 
                 sessionId, 
                 overallScore: result.strategicIntelligence.overallAssessment.score 
             });
 
+            if (options.organizationId) {
+                // Last chance to stop: nothing is stored for an aborted analysis
+                checkAborted();
+                await this.sessions.record(options.organizationId, {
+                    sessionId,
+                    userId: options.userId,
+                    query,
+                    result,
+                    rawAnalysis: {
+                        voidAnalysis: {
+                            ...consciousnessAnalysis.analysis,
+                            confidence: consciousnessAnalysis.confidence,
+                            reasoning: consciousnessAnalysis.reasoning
+                        },
+                        patternAnalysis: patternAnalysis.analysis
+                    }
+                });
+
+                // The query itself stays out of the event; subscribers fetch the session if they need it
+                publishEvent(options.organizationId, 'oracle.analysis.completed', {
+                    sessionId,
+                    userId: options.userId || null,
+                    queryLength: query.length,
+                    overallAssessment: result.strategicIntelligence.overallAssessment
+                });
+            }
+
             return result;
         } catch (error) {
+            if (stream.signal && stream.signal.aborted) {
+                this.logger.info(`Strategic query processing cancelled`, { sessionId });
+                throw error;
+            }
             this.logger.error(`Strategic query processing failed`, { sessionId, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Narrative of an analysis from the organization's LLM provider
+     * @private
+     * @returns {Object} { status: 'completed', reasoning, recommendations, provider, model, usage }, or
+     *   { status: 'unavailable', error } when the provider failed
+     */
+    async generateNarrative(query, result, organizationId, signal) {
+        try {
+            const completion = await this.llm.complete(organizationId, {
+                system: NARRATIVE_SYSTEM_PROMPT,
+                prompt: buildNarrativePrompt(query, result.strategicIntelligence)
+            }, { sessionId: result.sessionId, signal });
+
+            return {
+                status: 'completed',
+                ...parseNarrative(completion.text),
+                provider: completion.provider,
+                model: completion.model,
+                usage: completion.usage
+            };
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+
+            this.logger.warn('Oracle narrative unavailable', { sessionId: result.sessionId, error: error.message });
+            return { status: 'unavailable', error: error.message };
+        }
+    }
+
+    /**
+     * Start a batch analysis job
+     *
+     * The queries are analyzed in the background by the worker pool. Each
+     * analysis is stored as a session; the job result lists the session and
+     * overall assessment of each query, and the errors of the queries that
+     * failed. While the job runs, and after it is cancelled, the result holds
+     * the queries analyzed so far.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} request - { queries } or an uploaded { filename, content }
+     * @param {Object} options - { userId, userRole }
+     * @returns {Object} { job, error }
+     */
+    async startBatchAnalysis(organizationId, request, options = {}) {
+        const { queries, error } = readBatchQueries(request, this.config.maxBatchQueries);
+        if (error) {
+            return { job: null, error };
+        }
+
+        const job = await this.jobs.create(organizationId, {
+            type: BATCH_JOB_TYPE,
+            params: {
+                total: queries.length,
+                source: request.content ? 'file' : 'request',
+                filename: request.filename || null
+            }
+        }, options.userId);
+
+        this.jobs.run(job, (control) => this.runBatchAnalysis(organizationId, queries, options, control));
+        this.logger.info('Batch analysis started', { jobId: job.id, organizationId, queries: queries.length });
+
+        return { job, error: null };
+    }
+
+    /**
+     * Analyze the queries of a batch job
+     *
+     * Cancellation is checked before every query, and aborts the analyses in
+     * progress; their queries are left pending.
+     *
+     * @private
+     */
+    async runBatchAnalysis(organizationId, queries, options, { progress, cancelled, signal }) {
+        const order = new Map(queries.map(({ id }, index) => [id, index]));
+        const results = [];
+        const errors = [];
+        const byPosition = (a, b) => order.get(a.id) - order.get(b.id);
+        const summarize = () => ({
+            results: [...results].sort(byPosition),
+            errors: [...errors].sort(byPosition),
+            summary: {
+                total: queries.length,
+                successful: results.length,
+                failed: errors.length,
+                pending: queries.length - results.length - errors.length
+            }
+        });
+
+        const reportEvery = Math.max(Math.ceil(queries.length / BATCH_PROGRESS_REPORTS), 1);
+        let stopped = false;
+        // Reports run one after the other so an older partial result never overwrites a newer one
+        let reporting = Promise.resolve();
+        const report = async () => {
+            const done = results.length + errors.length;
+            if (!await progress(done / queries.length, `Analyzed ${done} of ${queries.length} queries`, summarize())) {
+                stopped = true;
+            }
+        };
+
+        await Promise.all(queries.map(({ id, query }) => this.workerPool.run(async () => {
+            if (stopped || await cancelled()) {
+                stopped = true;
+                return;
+            }
+
+            try {
+                const result = await this.processQuery(query, {
+                    userId: options.userId,
+                    userRole: options.userRole,
+                    organizationId
+                }, { signal });
+                results.push({
+                    id,
+                    status: 'success',
+                    sessionId: result.sessionId,
+                    overallAssessment: result.strategicIntelligence.overallAssessment
+                });
+            } catch (error) {
+                if (signal.aborted) {
+                    stopped = true;
+                    return;
+                }
+                errors.push({ id, status: 'error', error: error.message });
+            }
+
+            const done = results.length + errors.length;
+            if (done % reportEvery === 0 && done < queries.length) {
+                // A report that fails (database down) fails the job; stop analyzing
+                reporting = reporting.then(report).catch((error) => {
+                    stopped = true;
+                    throw error;
+                });
+                await reporting;
+            }
+        })));
+
+        this.logger.info(stopped ? 'Batch analysis cancelled' : 'Batch analysis completed', {
+            organizationId,
+            total: queries.length,
+            successful: results.length,
+            failed: errors.length
+        });
+
+        return summarize();
+    }
+
+    /**
+     * Get a batch analysis job
+     * @param {string} organizationId - Organization identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} Job
+     */
+    async getBatchJob(organizationId, jobId) {
+        return this.jobs.get(organizationId, jobId, { type: BATCH_JOB_TYPE });
+    }
+
+    /**
+     * Cancel a batch analysis job; queries already analyzed stay in its result
+     * @param {string} organizationId - Organization identifier
+     * @param {string} jobId - Job identifier
+     * @param {string} userId - Cancelling user
+     * @returns {Object} { job, error } - job is null when the job does not exist; error when it has
+     *   already completed or failed
+     */
+    async cancelBatchJob(organizationId, jobId, userId) {
+        const cancellation = await this.jobs.cancel(organizationId, jobId, { type: BATCH_JOB_TYPE });
+        if (!cancellation) {
+            return { job: null, error: null };
+        }
+
+        const { job, cancelled } = cancellation;
+        if (!cancelled && job.status !== 'cancelled') {
+            return { job, error: `Batch job ${jobId} has already ${job.status}` };
+        }
+        if (cancelled) {
+            this.logger.info('Batch analysis cancellation requested', { jobId, organizationId, userId });
+        }
+
+        return { job, error: null };
+    }
+
+    /**
+     * Insights of a stored analysis session
+     * @param {string} organizationId - Organization identifier
+     * @param {string} sessionId - Session identifier
+     * @param {Object} options - includeRaw: add the raw void and pattern analysis
+     * @returns {Object|null} Insights, or null if the session is unknown or expired
+     */
+    async getInsights(organizationId, sessionId, options = {}) {
+        const session = await this.sessions.get(organizationId, sessionId);
+        if (!session) return null;
+
+        const { consciousness, patterns, overallAssessment } = session.result.strategicIntelligence;
+        const { voidAnalysis } = session.rawAnalysis;
+
+        const insights = {
+            sessionId,
+            timestamp: session.result.timestamp,
+            status: 'completed',
+            query: session.query,
+            userId: session.userId,
+            expiresAt: session.expiresAt,
+            summary: {
+                queryAnalyzed: true,
+                consciousnessScore: consciousness.consciousnessCoefficient,
+                overallScore: overallAssessment.score,
+                riskLevel: overallAssessment.riskLevel,
+                recommendation: overallAssessment.recommendation
+            },
+            insights: [
+                {
+                    type: 'consciousness_emergence',
+                    confidence: voidAnalysis.confidence,
+                    description: `${consciousness.transcendenceLevel} transcendence, ${consciousness.emergencePattern} ` +
+                        `emergence pattern (void score ${consciousness.voidScore.toFixed(2)}). ${voidAnalysis.reasoning}`
+                },
+                {
+                    type: 'algorithmic_stability',
+                    confidence: 1 - patterns.turbulenceCoefficient,
+                    description: `${patterns.stability} query structure (turbulence ${patterns.turbulenceCoefficient.toFixed(2)}); ` +
+                        (patterns.patterns.length > 0 ? `patterns detected: ${patterns.patterns.join(', ')}` : 'no patterns detected')
+                },
+                {
+                    type: 'strategic_value',
+                    confidence: overallAssessment.confidence,
+                    description: `${overallAssessment.recommendation} (score ${overallAssessment.score.toFixed(2)}, ` +
+                        `${overallAssessment.riskLevel} risk)`
+                }
+            ]
+        };
+
+        if (session.result.strategicIntelligence.narrative) {
+            insights.narrative = session.result.strategicIntelligence.narrative;
+        }
+        if (options.includeRaw) {
+            insights.rawData = session.rawAnalysis;
+        }
+
+        return insights;
+    }
+
+    /**
+     * List stored analysis sessions, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - userId, startDate, endDate, riskLevel, transcendenceLevel, search
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { sessions, pagination }
+     */
+    async listSessions(organizationId, filters = {}, pagination = {}) {
+        return this.sessions.list(organizationId, filters, pagination);
+    }
+
+    /**
+     * Delete a stored analysis session
+     * @param {string} organizationId - Organization identifier
+     * @param {string} sessionId - Session identifier
+     * @param {string} userId - Deleting user
+     * @param {Object} options - anyUser: the user may delete sessions of other users
+     * @returns {Object} { deleted, error } - deleted is false when the session is unknown or expired
+     */
+    async deleteSession(organizationId, sessionId, userId, options = {}) {
+        const session = await this.sessions.get(organizationId, sessionId);
+        if (!session) {
+            return { deleted: false, error: null };
+        }
+        if (!options.anyUser && session.userId !== userId) {
+            return { deleted: false, error: 'Only the user who ran an analysis or an admin can delete its session' };
+        }
+
+        await this.sessions.delete(organizationId, sessionId);
+        await this.audit({
+            type: 'oracle_session_deleted',
+            organizationId,
+            userId,
+            sessionId,
+            sessionUserId: session.userId
+        });
+
+        return { deleted: true, error: null };
+    }
+
+    /**
+     * Erase every stored analysis session of a user, expired or not
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subjectUserId - User whose sessions are erased
+     * @param {string} userId - Erasing user
+     * @returns {number} Sessions deleted
+     */
+    async eraseUserSessions(organizationId, subjectUserId, userId) {
+        const deleted = await this.sessions.deleteForUser(organizationId, subjectUserId);
+
+        this.logger.info('Oracle sessions erased', { organizationId, subjectUserId, userId, sessions: deleted });
+        await this.audit({
+            type: 'oracle_sessions_erased',
+            organizationId,
+            userId,
+            subjectUserId,
+            sessions: deleted
+        });
+
+        return deleted;
+    }
+
+    /**
+     * LLM provider settings of an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} { provider, model, source, updatedBy, updatedAt, providers }
+     */
+    async getLlmSettings(organizationId) {
+        return this.llm.getSettings(organizationId);
+    }
+
+    /**
+     * Pick the LLM provider (and optionally the model) of an organization's narratives
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} selection - { provider, model }
+     * @param {string} userId - Requesting user
+     * @returns {Object} { settings, error }
+     */
+    async updateLlmSettings(organizationId, selection, userId) {
+        const { settings, error } = await this.llm.updateSettings(organizationId, selection, userId);
+        if (error) {
+            return { settings: null, error };
+        }
+
+        await this.audit({
+            type: 'oracle_llm_provider_updated',
+            organizationId,
+            userId,
+            provider: selection.provider,
+            model: selection.model || null
+        });
+
+        return { settings, error: null };
+    }
+
+    /**
+     * LLM token usage of an organization per provider and model
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - { startDate, endDate }
+     * @returns {Object} { usage, totals }
+     */
+    async getLlmUsage(organizationId, filters = {}) {
+        return this.llm.getUsage(organizationId, filters);
+    }
+
     /**
      * Generate overall strategic assessment
      * @private
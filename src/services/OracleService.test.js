@@ -0,0 +1,139 @@
+process.env.LOG_LEVEL = 'error';
+
+const { OracleService } = require('./OracleService');
+
+/**
+ * In-memory stand-in for OracleSessions
+ */
+function memorySessions() {
+    const rows = new Map();
+    const key = (organizationId, sessionId) => `${organizationId}/${sessionId}`;
+
+    return {
+        rows,
+        record: jest.fn(async (organizationId, session) => {
+            const stored = { ...session, organizationId, expiresAt: '2026-04-01T00:00:00.000Z' };
+            rows.set(key(organizationId, session.sessionId), stored);
+            return stored;
+        }),
+        get: jest.fn(async (organizationId, sessionId) => rows.get(key(organizationId, sessionId)) || null),
+        delete: jest.fn(async (organizationId, sessionId) => rows.delete(key(organizationId, sessionId)))
+    };
+}
+
+function serviceWith(sessions = memorySessions()) {
+    return new OracleService({ sessions, auditLog: { append: jest.fn() }, jobs: {}, llm: {} });
+}
+
+const QUERY = 'How should we govern the rollout of our credit scoring model across regions?';
+
+describe('OracleService sessions', () => {
+    test('stores analyses of an organization and serves their insights', async () => {
+        const service = serviceWith();
+        const result = await service.processQuery(QUERY, { organizationId: 'org-1', userId: 'user-1' });
+
+        const insights = await service.getInsights('org-1', result.sessionId);
+        const { consciousness, overallAssessment } = result.strategicIntelligence;
+
+        expect(insights).toEqual(expect.objectContaining({ sessionId: result.sessionId, query: QUERY, userId: 'user-1' }));
+        expect(insights.summary).toEqual(expect.objectContaining({
+            consciousnessScore: consciousness.consciousnessCoefficient,
+            overallScore: overallAssessment.score,
+            riskLevel: overallAssessment.riskLevel
+        }));
+        expect(insights.insights.map(insight => insight.type))
+            .toEqual(['consciousness_emergence', 'algorithmic_stability', 'strategic_value']);
+        expect(insights.rawData).toBeUndefined();
+
+        const raw = await service.getInsights('org-1', result.sessionId, { includeRaw: true });
+        expect(raw.rawData.voidAnalysis.voidScore).toBe(consciousness.voidScore);
+    });
+
+    test('keeps sessions to their organization', async () => {
+        const service = serviceWith();
+        const result = await service.processQuery(QUERY, { organizationId: 'org-1', userId: 'user-1' });
+
+        expect(await service.getInsights('org-2', result.sessionId)).toBeNull();
+        expect(await service.getInsights('org-1', 'unknown-session')).toBeNull();
+    });
+
+    test('does not store analyses without an organization', async () => {
+        const sessions = memorySessions();
+
+        await serviceWith(sessions).processQuery(QUERY);
+
+        expect(sessions.record).not.toHaveBeenCalled();
+    });
+});
+
+describe('OracleService.deleteSession', () => {
+    async function serviceWithSession() {
+        const service = serviceWith();
+        const { sessionId } = await service.processQuery(QUERY, { organizationId: 'org-1', userId: 'user-1' });
+        return { service, sessionId };
+    }
+
+    test('lets users delete the sessions of their own analyses', async () => {
+        const { service, sessionId } = await serviceWithSession();
+
+        expect(await service.deleteSession('org-1', sessionId, 'user-1')).toEqual({ deleted: true, error: null });
+        expect(await service.getInsights('org-1', sessionId)).toBeNull();
+    });
+
+    test('refuses sessions of other users unless the user may delete any', async () => {
+        const { service, sessionId } = await serviceWithSession();
+
+        expect(await service.deleteSession('org-1', sessionId, 'user-2')).toEqual({
+            deleted: false,
+            error: 'Only the user who ran an analysis or an admin can delete its session'
+        });
+        expect(service.sessions.delete).not.toHaveBeenCalled();
+
+        expect(await service.deleteSession('org-1', sessionId, 'admin-1', { anyUser: true }))
+            .toEqual({ deleted: true, error: null });
+    });
+
+    test('does not reach sessions of other organizations', async () => {
+        const { service, sessionId } = await serviceWithSession();
+
+        expect(await service.deleteSession('org-2', sessionId, 'user-1', { anyUser: true }))
+            .toEqual({ deleted: false, error: null });
+        expect(service.sessions.delete).not.toHaveBeenCalled();
+    });
+});
+
+describe('OracleService.processQuery streaming', () => {
+    test('reports each engine, the visualization in chunks, then the assessment', async () => {
+        const events = [];
+
+        const result = await serviceWith().processQuery(QUERY, { organizationId: 'org-1' }, {
+            onEvent: async (event, data) => events.push({ event, data })
+        });
+
+        const names = events.map(({ event }) => event);
+        expect(names.slice(0, 2).sort()).toEqual(['axiom', 'microscope']);
+        expect(names[names.length - 1]).toBe('assessment');
+
+        const aquarium = events.filter(({ event }) => event === 'aquarium').map(({ data }) => data);
+        expect(aquarium.flatMap(chunk => chunk.points)).toEqual(result.strategicIntelligence.visualization.data);
+        expect(aquarium.every(chunk => chunk.points.length <= 25)).toBe(true);
+    });
+
+    test('stops and stores nothing once the signal is aborted', async () => {
+        const sessions = memorySessions();
+        const abort = new AbortController();
+        const events = [];
+
+        await expect(serviceWith(sessions).processQuery(QUERY, { organizationId: 'org-1' }, {
+            onEvent: async (event) => {
+                events.push(event);
+                if (event === 'aquarium') abort.abort();
+            },
+            signal: abort.signal
+        })).rejects.toThrow();
+
+        expect(events.filter(event => event === 'aquarium')).toHaveLength(1);
+        expect(events).not.toContain('assessment');
+        expect(sessions.record).not.toHaveBeenCalled();
+    });
+});
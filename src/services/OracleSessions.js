@@ -0,0 +1,258 @@
+/**
+ * VoidGuard AI Governance Suite - Oracle Sessions
+ *
+ * Strategic intelligence analyses of each organization with the raw void
+ * and pattern analysis they were derived from
+ * (data/migrations/012_create_oracle_sessions.sql). Sessions expire after
+ * ORACLE_SESSION_RETENTION days: expired sessions are no longer returned and
+ * are purged when new sessions are stored.
+ *
+ * The session history can be filtered and searched by the text of the query
+ * (013_add_oracle_session_search.sql).
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/oracle.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUMMARY_COLUMNS = `session_id, user_id, query, overall_score, risk_level, transcendence_level,
+    created_at, expires_at`;
+
+/**
+ * Map an oracle_sessions row to a history summary
+ * @private
+ */
+function toSummary(row) {
+    return {
+        sessionId: row.session_id,
+        userId: row.user_id,
+        query: row.query,
+        overallScore: Number(row.overall_score),
+        riskLevel: row.risk_level,
+        transcendenceLevel: row.transcendence_level,
+        createdAt: new Date(row.created_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString()
+    };
+}
+
+/**
+ * Map an oracle_sessions row to a session
+ * @private
+ */
+function toSession(row) {
+    return {
+        sessionId: row.session_id,
+        organizationId: row.organization_id,
+        userId: row.user_id,
+        query: row.query,
+        result: row.result,
+        rawAnalysis: row.raw_analysis,
+        createdAt: new Date(row.created_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString()
+    };
+}
+
+/**
+ * Page and limit of a pagination request
+ * @private
+ */
+function pageOf(pagination) {
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+class OracleSessions {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     * @param {number} options.retentionDays - Session retention (defaults to ORACLE_SESSION_RETENTION)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.retentionDays = options.retentionDays ||
+            parseInt(process.env.ORACLE_SESSION_RETENTION, 10) || DEFAULT_RETENTION_DAYS;
+        this.logger = logger.child({ component: 'OracleSessions' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Store an analysis session, purging expired sessions
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} session - { sessionId, userId, query, result, rawAnalysis }
+     * @returns {Object} Stored session
+     */
+    async record(organizationId, session) {
+        const createdAt = new Date();
+        const expiresAt = new Date(createdAt.getTime() + this.retentionDays * DAY_MS);
+        const { consciousness, overallAssessment: assessment } = session.result.strategicIntelligence;
+
+        const { rows } = await this.db.query(
+            `INSERT INTO oracle_sessions
+                (session_id, organization_id, user_id, query, overall_score, risk_level, transcendence_level,
+                 result, raw_analysis, created_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [
+                session.sessionId,
+                organizationId,
+                session.userId || null,
+                session.query,
+                assessment.score,
+                assessment.riskLevel,
+                consciousness.transcendenceLevel,
+                JSON.stringify(session.result),
+                JSON.stringify(session.rawAnalysis),
+                createdAt,
+                expiresAt
+            ]
+        );
+        await this.purgeExpired();
+
+        return toSession(rows[0]);
+    }
+
+    /**
+     * Get an unexpired session
+     * @param {string} organizationId - Organization identifier
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} Session
+     */
+    async get(organizationId, sessionId) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM oracle_sessions
+             WHERE organization_id = $1 AND session_id = $2 AND expires_at > NOW()`,
+            [organizationId, sessionId]
+        );
+
+        return rows.length > 0 ? toSession(rows[0]) : null;
+    }
+
+    /**
+     * List unexpired sessions, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - userId, startDate, endDate, riskLevel, transcendenceLevel, and
+     *   search (full-text search of the query, in web search syntax)
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { sessions, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const conditions = ['organization_id = $1', 'expires_at > NOW()'];
+        const params = [organizationId];
+
+        [['userId', 'user_id'], ['riskLevel', 'risk_level'], ['transcendenceLevel', 'transcendence_level']]
+            .forEach(([filter, column]) => {
+                if (filters[filter]) {
+                    params.push(filters[filter]);
+                    conditions.push(`${column} = $${params.length}`);
+                }
+            });
+        if (filters.startDate) {
+            params.push(new Date(filters.startDate).toISOString());
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (filters.endDate) {
+            params.push(new Date(filters.endDate).toISOString());
+            conditions.push(`created_at <= $${params.length}`);
+        }
+        if (filters.search) {
+            params.push(filters.search);
+            conditions.push(`to_tsvector('english', query) @@ websearch_to_tsquery('english', $${params.length})`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT ${SUMMARY_COLUMNS} FROM oracle_sessions WHERE ${where}
+                 ORDER BY created_at DESC, session_id ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM oracle_sessions WHERE ${where}`, params)
+        ]);
+
+        return {
+            sessions: rows.map(toSummary),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Delete a session
+     * @param {string} organizationId - Organization identifier
+     * @param {string} sessionId - Session identifier
+     * @returns {boolean} True if the session existed
+     */
+    async delete(organizationId, sessionId) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM oracle_sessions WHERE organization_id = $1 AND session_id = $2',
+            [organizationId, sessionId]
+        );
+
+        return rowCount > 0;
+    }
+
+    /**
+     * Delete every session of a user, expired or not
+     * @param {string} organizationId - Organization identifier
+     * @param {string} userId - User identifier
+     * @returns {number} Sessions deleted
+     */
+    async deleteForUser(organizationId, userId) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM oracle_sessions WHERE organization_id = $1 AND user_id = $2',
+            [organizationId, userId]
+        );
+
+        return rowCount;
+    }
+
+    /**
+     * Delete expired sessions
+     * @returns {number} Sessions deleted
+     */
+    async purgeExpired() {
+        const { rowCount } = await this.db.query('DELETE FROM oracle_sessions WHERE expires_at <= NOW()');
+
+        if (rowCount > 0) {
+            this.logger.info('Expired oracle sessions purged', { sessions: rowCount });
+        }
+        return rowCount;
+    }
+}
+
+module.exports = { OracleSessions, DEFAULT_RETENTION_DAYS };
@@ -0,0 +1,364 @@
+/**
+ * VoidGuard AI Governance Suite - Governance Policy Engine
+ *
+ * Declarative governance policies (JSON or YAML) compiled into safety check
+ * plugins for the SafetyCheckRegistry.
+ *
+ * Policy document:
+ *   id: voidguard-core
+ *   name: VoidGuard Core Safety Policy
+ *   version: 1.0.0
+ *   checks:
+ *     - id: humanControl
+ *       category: human_control
+ *       weight: 0.2
+ *       rules:
+ *         - id: human-oversight
+ *           field: humanOversight.enabled      # dot path into the AI system
+ *           predicate: { operator: truthy }    # requirement the field must satisfy
+ *           when: { field: type, operator: equals, value: llm }   # optional applicability
+ *           severity: error                    # error | warning | info
+ *           penalty: 0.7                       # score *= (1 - penalty) when unmet
+ *           message: Human oversight not implemented
+ *           action: Implement mandatory human oversight for critical decisions
+ *           evidence: { kinds: [report] }      # optional: also unmet without attached evidence
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { EVIDENCE_KINDS } = require('./EvidenceStore');
+
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{1,63}$/;
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Resolve a dot-separated field path (e.g. 'humanOversight.enabled')
+ * @param {Object} object - Source object
+ * @param {string} fieldPath - Dot path
+ * @returns {*} Field value or undefined
+ */
+function getFieldValue(object, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) =>
+        (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+const lengthOf = (actual) => (Array.isArray(actual) || typeof actual === 'string' ? actual.length : 0);
+
+/**
+ * Predicate operators: (actual, expected) => boolean
+ * `requiresValue` marks operators that need a `value` in the predicate,
+ * `stringValue` those whose value must be a string
+ */
+const OPERATORS = {
+    exists: { test: (actual) => actual !== undefined && actual !== null },
+    truthy: { test: (actual) => Boolean(actual) },
+    falsy: { test: (actual) => !actual },
+    equals: { requiresValue: true, test: (actual, expected) => actual === expected },
+    notEquals: { requiresValue: true, test: (actual, expected) => actual !== expected },
+    in: { requiresValue: true, test: (actual, expected) => Array.isArray(expected) && expected.includes(actual) },
+    notIn: { requiresValue: true, test: (actual, expected) => Array.isArray(expected) && !expected.includes(actual) },
+    gt: { requiresValue: true, test: (actual, expected) => typeof actual === 'number' && actual > expected },
+    gte: { requiresValue: true, test: (actual, expected) => typeof actual === 'number' && actual >= expected },
+    lt: { requiresValue: true, test: (actual, expected) => typeof actual === 'number' && actual < expected },
+    lte: { requiresValue: true, test: (actual, expected) => typeof actual === 'number' && actual <= expected },
+    minLength: { requiresValue: true, test: (actual, expected) => lengthOf(actual) >= expected },
+    maxLength: { requiresValue: true, test: (actual, expected) => lengthOf(actual) <= expected },
+    includes: { requiresValue: true, test: (actual, expected) => Array.isArray(actual) && actual.includes(expected) },
+    // Text operators run in linear time: policies come from users, so no regular expressions
+    startsWith: {
+        requiresValue: true,
+        stringValue: true,
+        test: (actual, expected) => typeof actual === 'string' && actual.startsWith(expected)
+    },
+    endsWith: {
+        requiresValue: true,
+        stringValue: true,
+        test: (actual, expected) => typeof actual === 'string' && actual.endsWith(expected)
+    },
+    contains: {
+        requiresValue: true,
+        stringValue: true,
+        test: (actual, expected) => typeof actual === 'string' && actual.includes(expected)
+    }
+};
+
+/**
+ * Evaluate a predicate against an AI system
+ * @param {Object} aiSystem - AI system definition
+ * @param {string} field - Field path
+ * @param {Object} predicate - { operator, value }
+ * @returns {boolean} Whether the predicate holds
+ */
+function testPredicate(aiSystem, field, predicate) {
+    return OPERATORS[predicate.operator].test(getFieldValue(aiSystem, field), predicate.value);
+}
+
+/**
+ * Parse a policy document
+ * @param {Object|string} source - Policy object, or JSON/YAML text
+ * @returns {Object} Policy object
+ */
+function parsePolicy(source) {
+    if (source && typeof source === 'object') {
+        return source;
+    }
+    if (typeof source !== 'string' || source.trim().length === 0) {
+        throw new Error('Policy must be an object or a JSON/YAML document');
+    }
+
+    // JSON is a subset of YAML, so one parser covers both formats
+    const policy = yaml.load(source, { schema: yaml.JSON_SCHEMA });
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('Policy document must be a mapping');
+    }
+
+    return policy;
+}
+
+/**
+ * Validate a predicate definition
+ * @private
+ */
+function validatePredicate(predicate, location, errors) {
+    if (!predicate || typeof predicate !== 'object') {
+        errors.push({ path: location, message: 'Predicate must be an object with an operator' });
+        return;
+    }
+
+    if (predicate.operator === 'matches') {
+        errors.push({
+            path: `${location}.operator`,
+            message: 'Operator matches is not supported: regular expressions from policies could stall validation. ' +
+                'Use startsWith, endsWith or contains'
+        });
+        return;
+    }
+
+    const operator = OPERATORS[predicate.operator];
+    if (!operator) {
+        errors.push({
+            path: `${location}.operator`,
+            message: `Unknown operator ${predicate.operator}. Supported: ${Object.keys(OPERATORS).join(', ')}`
+        });
+        return;
+    }
+
+    if (operator.requiresValue && predicate.value === undefined) {
+        errors.push({ path: `${location}.value`, message: `Operator ${predicate.operator} requires a value` });
+    }
+
+    if (operator.stringValue && predicate.value !== undefined && typeof predicate.value !== 'string') {
+        errors.push({ path: `${location}.value`, message: `Operator ${predicate.operator} requires a string value` });
+    }
+}
+
+/**
+ * Validate a rule's evidence requirement ({ kinds, message })
+ * @private
+ */
+function validateEvidenceRequirement(evidence, location, errors) {
+    if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) {
+        errors.push({ path: location, message: 'Evidence requirement must be an object' });
+        return;
+    }
+
+    if (evidence.kinds !== undefined) {
+        if (!Array.isArray(evidence.kinds) || evidence.kinds.length === 0) {
+            errors.push({ path: `${location}.kinds`, message: 'Evidence kinds must be a non-empty array' });
+        } else if (evidence.kinds.some(kind => !EVIDENCE_KINDS.includes(kind))) {
+            errors.push({ path: `${location}.kinds`, message: `Evidence kinds must be among: ${EVIDENCE_KINDS.join(', ')}` });
+        }
+    }
+    if (evidence.message !== undefined && typeof evidence.message !== 'string') {
+        errors.push({ path: `${location}.message`, message: 'Evidence message must be a string' });
+    }
+}
+
+/**
+ * Whether evidence satisfying a rule's requirement is attached to the check
+ * @private
+ */
+function hasEvidence(context, checkId, requirement) {
+    const attached = (context && context.evidence && context.evidence[checkId]) || [];
+    return attached.some(item => !requirement.kinds || requirement.kinds.includes(item.kind));
+}
+
+/**
+ * Validate a policy document
+ * @param {Object} policy - Parsed policy
+ * @returns {Object} { valid, errors, summary }
+ */
+function validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object') {
+        return { valid: false, errors: [{ path: '', message: 'Policy must be an object' }], summary: null };
+    }
+
+    if (typeof policy.id !== 'string' || !ID_PATTERN.test(policy.id)) {
+        errors.push({ path: 'id', message: 'Policy id must start with a letter and contain 2-64 letters, digits, _ or -' });
+    }
+    if (typeof policy.version !== 'string' || !SEMVER_PATTERN.test(policy.version)) {
+        errors.push({ path: 'version', message: 'Policy version must be a semantic version (e.g. 1.0.0)' });
+    }
+    if (!Array.isArray(policy.checks) || policy.checks.length === 0) {
+        errors.push({ path: 'checks', message: 'Policy must define at least one check' });
+    }
+
+    const checkIds = new Set();
+    (Array.isArray(policy.checks) ? policy.checks : []).forEach((check, checkIndex) => {
+        const checkPath = `checks[${checkIndex}]`;
+
+        if (!check || typeof check !== 'object') {
+            errors.push({ path: checkPath, message: 'Check must be an object' });
+            return;
+        }
+        if (typeof check.id !== 'string' || !ID_PATTERN.test(check.id)) {
+            errors.push({ path: `${checkPath}.id`, message: 'Check id must start with a letter and contain 2-64 letters, digits, _ or -' });
+        } else if (checkIds.has(check.id)) {
+            errors.push({ path: `${checkPath}.id`, message: `Duplicate check id ${check.id}` });
+        } else {
+            checkIds.add(check.id);
+        }
+        if (typeof check.category !== 'string' || check.category.length === 0) {
+            errors.push({ path: `${checkPath}.category`, message: 'Check category is required' });
+        }
+        if (typeof check.weight !== 'number' || !Number.isFinite(check.weight) || check.weight < 0) {
+            errors.push({ path: `${checkPath}.weight`, message: 'Check weight must be a non-negative number' });
+        }
+        if (!Array.isArray(check.rules) || check.rules.length === 0) {
+            errors.push({ path: `${checkPath}.rules`, message: 'Check must define at least one rule' });
+            return;
+        }
+
+        const ruleIds = new Set();
+        check.rules.forEach((rule, ruleIndex) => {
+            const rulePath = `${checkPath}.rules[${ruleIndex}]`;
+
+            if (!rule || typeof rule !== 'object') {
+                errors.push({ path: rulePath, message: 'Rule must be an object' });
+                return;
+            }
+            if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+                errors.push({ path: `${rulePath}.id`, message: 'Rule id must start with a letter and contain 2-64 letters, digits, _ or -' });
+            } else if (ruleIds.has(rule.id)) {
+                errors.push({ path: `${rulePath}.id`, message: `Duplicate rule id ${rule.id}` });
+            } else {
+                ruleIds.add(rule.id);
+            }
+            if (typeof rule.field !== 'string' || rule.field.length === 0) {
+                errors.push({ path: `${rulePath}.field`, message: 'Rule field path is required' });
+            }
+            validatePredicate(rule.predicate, `${rulePath}.predicate`, errors);
+            if (rule.when !== undefined) {
+                if (!rule.when || typeof rule.when.field !== 'string') {
+                    errors.push({ path: `${rulePath}.when.field`, message: 'Rule condition field path is required' });
+                }
+                validatePredicate(rule.when, `${rulePath}.when`, errors);
+            }
+            if (!SEVERITIES.includes(rule.severity)) {
+                errors.push({ path: `${rulePath}.severity`, message: `Severity must be one of: ${SEVERITIES.join(', ')}` });
+            }
+            if (typeof rule.penalty !== 'number' || rule.penalty < 0 || rule.penalty > 1) {
+                errors.push({ path: `${rulePath}.penalty`, message: 'Penalty must be a number between 0 and 1' });
+            }
+            if (typeof rule.message !== 'string' || rule.message.length === 0) {
+                errors.push({ path: `${rulePath}.message`, message: 'Rule message is required' });
+            }
+            if (rule.action !== undefined && typeof rule.action !== 'string') {
+                errors.push({ path: `${rulePath}.action`, message: 'Rule action must be a string' });
+            }
+            if (rule.evidence !== undefined) {
+                validateEvidenceRequirement(rule.evidence, `${rulePath}.evidence`, errors);
+            }
+        });
+    });
+
+    const checks = Array.isArray(policy.checks) ? policy.checks : [];
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        summary: {
+            id: policy.id,
+            version: policy.version,
+            checks: checks.length,
+            rules: checks.reduce((total, check) => total + (Array.isArray(check?.rules) ? check.rules.length : 0), 0)
+        }
+    };
+}
+
+/**
+ * Compile a validated policy into safety check definitions
+ * @param {Object} policy - Validated policy
+ * @returns {Array} Check definitions for SafetyCheckRegistry
+ */
+function compilePolicy(policy) {
+    return policy.checks.map(check => ({
+        id: check.id,
+        category: check.category,
+        weight: check.weight,
+        description: check.description || '',
+        policy: { id: policy.id, name: policy.name || policy.id, version: policy.version },
+
+        async evaluate(aiSystem, context) {
+            const checks = [];
+            let score = 1.0;
+
+            check.rules.forEach(rule => {
+                if (rule.when && !testPredicate(aiSystem, rule.when.field, rule.when)) {
+                    return;
+                }
+
+                const satisfied = testPredicate(aiSystem, rule.field, rule.predicate);
+                // A declared claim does not count until evidence backing it is attached
+                const evidenceMissing = satisfied && rule.evidence !== undefined &&
+                    !hasEvidence(context, check.id, rule.evidence);
+
+                if (!satisfied || evidenceMissing) {
+                    const finding = { type: rule.severity, message: rule.message, ruleId: rule.id, penalty: rule.penalty };
+                    if (evidenceMissing) {
+                        finding.message = rule.evidence.message || `${rule.message} (evidence required)`;
+                        finding.evidenceMissing = true;
+                    }
+                    if (rule.action) finding.action = rule.action;
+
+                    checks.push(finding);
+                    score *= 1 - rule.penalty;
+                }
+            });
+
+            return { score, checks };
+        }
+    }));
+}
+
+/**
+ * Load and validate a policy file (.json, .yml or .yaml)
+ * @param {string} filePath - Policy file path
+ * @returns {Object} Validated policy
+ */
+function loadPolicyFile(filePath) {
+    const policy = parsePolicy(fs.readFileSync(filePath, 'utf8'));
+    const { valid, errors } = validatePolicy(policy);
+
+    if (!valid) {
+        throw new Error(`Invalid policy ${path.basename(filePath)}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    }
+
+    return policy;
+}
+
+module.exports = {
+    OPERATORS,
+    getFieldValue,
+    parsePolicy,
+    validatePolicy,
+    compilePolicy,
+    loadPolicyFile
+};
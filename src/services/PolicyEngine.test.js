@@ -0,0 +1,99 @@
+const path = require('path');
+const { parsePolicy, validatePolicy, compilePolicy, loadPolicyFile } = require('./PolicyEngine');
+
+function policyWith(predicate, extra = {}) {
+    return {
+        id: 'acme-policy',
+        name: 'Acme Policy',
+        version: '1.0.0',
+        checks: [{
+            id: 'acmeCheck',
+            category: 'custom',
+            weight: 0.1,
+            rules: [{
+                id: 'acme-rule',
+                field: 'name',
+                predicate,
+                severity: 'error',
+                penalty: 0.5,
+                message: 'Rule not satisfied',
+                ...extra
+            }]
+        }]
+    };
+}
+
+describe('PolicyEngine', () => {
+    test('loads the built-in core policy', () => {
+        const policy = loadPolicyFile(path.join(__dirname, '..', 'policies', 'voidguard-core.yml'));
+
+        expect(policy.id).toBe('voidguard-core');
+        expect(compilePolicy(policy).length).toBe(policy.checks.length);
+    });
+
+    test('parses JSON and YAML documents', () => {
+        expect(parsePolicy('{"id": "acme-policy"}').id).toBe('acme-policy');
+        expect(parsePolicy('id: acme-policy\nversion: 1.0.0').version).toBe('1.0.0');
+    });
+
+    test('reports the path of every invalid field', () => {
+        const { valid, errors } = validatePolicy({ id: '1', version: 'latest', checks: [] });
+
+        expect(valid).toBe(false);
+        expect(errors.map(error => error.path)).toEqual(['id', 'version', 'checks']);
+    });
+
+    test('rejects regular expression predicates', () => {
+        const { valid, errors } = validatePolicy(policyWith({ operator: 'matches', value: '^(a+)+$' }));
+
+        expect(valid).toBe(false);
+        expect(errors[0].path).toBe('checks[0].rules[0].predicate.operator');
+        expect(errors[0].message).toMatch(/startsWith, endsWith or contains/);
+    });
+
+    test('requires a string value for text operators', () => {
+        const { valid, errors } = validatePolicy(policyWith({ operator: 'contains', value: 42 }));
+
+        expect(valid).toBe(false);
+        expect(errors[0].message).toBe('Operator contains requires a string value');
+    });
+
+    test.each([
+        ['startsWith', 'Acme', true],
+        ['startsWith', 'Model', false],
+        ['endsWith', 'Model', true],
+        ['contains', 'Risk', true],
+        ['contains', 'risk', false]
+    ])('%s %s on "Acme Risk Model" is %s', async (operator, value, satisfied) => {
+        const policy = policyWith({ operator, value });
+        expect(validatePolicy(policy).valid).toBe(true);
+
+        const [check] = compilePolicy(policy);
+        const result = await check.evaluate({ name: 'Acme Risk Model' }, {});
+
+        expect(result.checks.length === 0).toBe(satisfied);
+        expect(result.score).toBe(satisfied ? 1 : 0.5);
+    });
+
+    test('skips rules whose condition does not apply', async () => {
+        const policy = policyWith({ operator: 'truthy' }, {
+            field: 'humanOversight.enabled',
+            when: { field: 'type', operator: 'equals', value: 'llm' }
+        });
+        const [check] = compilePolicy(policy);
+
+        expect((await check.evaluate({ type: 'classifier' }, {})).score).toBe(1);
+        expect((await check.evaluate({ type: 'llm' }, {})).score).toBe(0.5);
+    });
+
+    test('flags a satisfied rule until the required evidence is attached', async () => {
+        const policy = policyWith({ operator: 'exists' }, { evidence: { kinds: ['report'] } });
+        const [check] = compilePolicy(policy);
+
+        const missing = await check.evaluate({ name: 'Acme' }, { evidence: {} });
+        expect(missing.checks[0].evidenceMissing).toBe(true);
+
+        const attached = await check.evaluate({ name: 'Acme' }, { evidence: { acmeCheck: [{ kind: 'report' }] } });
+        expect(attached.checks).toEqual([]);
+    });
+});
@@ -0,0 +1,387 @@
+/**
+ * VoidGuard AI Governance Suite - Regulatory Framework Rule Packs
+ *
+ * Control catalogs used by the VoidGuard Safety Engine when a validation
+ * requests regulatory checks (GDPR, CCPA, SOC2, ISO27001, NIST).
+ *
+ * Each control evaluates an AI system definition and reports pass, warn or
+ * fail together with the citation it is derived from. Controls only read
+ * declared AISystem fields; they are a governance self-assessment and not a
+ * substitute for legal review.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+/**
+ * Build a control evaluator from a predicate
+ * @param {Function} predicate - Returns true when the control is met
+ * @param {string} unmetStatus - Status when the predicate fails ('warn' or 'fail')
+ * @returns {Function} Evaluator returning 'pass' | 'warn' | 'fail'
+ */
+const requires = (predicate, unmetStatus = 'fail') => (aiSystem) =>
+    predicate(aiSystem) ? 'pass' : unmetStatus;
+
+/**
+ * Build an evaluator that passes when all predicates hold, warns when some
+ * hold and fails when none hold
+ * @param {Array<Function>} predicates - Control predicates
+ * @returns {Function} Evaluator returning 'pass' | 'warn' | 'fail'
+ */
+const requiresAll = (predicates) => (aiSystem) => {
+    const met = predicates.filter(predicate => predicate(aiSystem)).length;
+    if (met === predicates.length) return 'pass';
+    return met > 0 ? 'warn' : 'fail';
+};
+
+// Shared AISystem field predicates
+const has = {
+    encryption: (s) => Boolean(s.encryption && s.encryption.enabled),
+    dataMinimization: (s) => Boolean(s.dataMinimization),
+    consent: (s) => Boolean(s.consentManagement),
+    documentation: (s) => Boolean(s.modelDocumentation),
+    humanOversight: (s) => Boolean(s.humanOversight && s.humanOversight.enabled),
+    manualOverride: (s) => Boolean(s.manualOverride),
+    auditTrail: (s) => Boolean(s.auditTrail && s.auditTrail.enabled),
+    dpia: (s) => Boolean(s.dpia && s.dpia.conducted),
+    accessRight: (s) => Boolean(s.dataSubjectRights && s.dataSubjectRights.access),
+    deletionRight: (s) => Boolean(s.dataSubjectRights && s.dataSubjectRights.deletion),
+    optOut: (s) => Boolean(s.optOutMechanism),
+    accessControl: (s) => Boolean(s.accessControl),
+    changeManagement: (s) => Boolean(s.changeManagement),
+    monitoring: (s) => Boolean(s.performanceMonitoring),
+    incidentResponse: (s) => Boolean(s.incidentResponse),
+    responsibility: (s) => Boolean(s.responsibilityMatrix),
+    biasTesting: (s) => Boolean(s.biasTesting && s.biasTesting.conducted),
+    adversarialTesting: (s) => Boolean(s.adversarialTesting && s.adversarialTesting.conducted),
+    explainability: (s) => Boolean(s.explainability && s.explainability.enabled)
+};
+
+/**
+ * Regulatory rule packs keyed by framework identifier
+ */
+const REGULATORY_FRAMEWORKS = {
+    GDPR: {
+        name: 'General Data Protection Regulation',
+        version: 'Regulation (EU) 2016/679',
+        controls: [
+            {
+                id: 'GDPR-5.1.c',
+                title: 'Data minimisation',
+                citation: 'GDPR Art. 5(1)(c)',
+                evaluate: requires(has.dataMinimization),
+                remediation: 'Limit personal data processing to what is necessary for the declared purpose'
+            },
+            {
+                id: 'GDPR-6',
+                title: 'Lawful basis and consent',
+                citation: 'GDPR Art. 6(1)(a), Art. 7',
+                evaluate: requires(has.consent),
+                remediation: 'Record a lawful basis for processing and implement consent capture and withdrawal'
+            },
+            {
+                id: 'GDPR-13',
+                title: 'Information provided to data subjects',
+                citation: 'GDPR Art. 13, Art. 14',
+                evaluate: requires(has.documentation, 'warn'),
+                remediation: 'Publish meaningful information about the logic involved in the processing'
+            },
+            {
+                id: 'GDPR-22',
+                title: 'Safeguards for automated decision-making',
+                citation: 'GDPR Art. 22(3)',
+                evaluate: requiresAll([has.humanOversight, has.manualOverride]),
+                remediation: 'Provide human intervention and a way for data subjects to contest automated decisions'
+            },
+            {
+                id: 'GDPR-25',
+                title: 'Data protection by design and by default',
+                citation: 'GDPR Art. 25',
+                evaluate: requiresAll([has.dataMinimization, has.encryption]),
+                remediation: 'Apply minimisation and pseudonymisation or encryption in the system design'
+            },
+            {
+                id: 'GDPR-30',
+                title: 'Records of processing activities',
+                citation: 'GDPR Art. 30',
+                evaluate: requires(has.auditTrail, 'warn'),
+                remediation: 'Maintain records of processing activities for the AI system'
+            },
+            {
+                id: 'GDPR-32',
+                title: 'Security of processing',
+                citation: 'GDPR Art. 32(1)(a)',
+                evaluate: requires(has.encryption),
+                remediation: 'Encrypt personal data at rest and in transit'
+            },
+            {
+                id: 'GDPR-35',
+                title: 'Data protection impact assessment',
+                citation: 'GDPR Art. 35',
+                evaluate: requires(has.dpia, 'warn'),
+                remediation: 'Conduct and document a DPIA before deploying the AI system'
+            }
+        ]
+    },
+
+    CCPA: {
+        name: 'California Consumer Privacy Act',
+        version: 'Cal. Civ. Code § 1798.100 et seq. (as amended by CPRA)',
+        controls: [
+            {
+                id: 'CCPA-1798.100',
+                title: 'Notice at collection',
+                citation: 'Cal. Civ. Code § 1798.100(a)',
+                evaluate: requires(has.documentation, 'warn'),
+                remediation: 'Inform consumers of the categories of personal information collected and their purposes'
+            },
+            {
+                id: 'CCPA-1798.105',
+                title: 'Right to delete',
+                citation: 'Cal. Civ. Code § 1798.105',
+                evaluate: requires(has.deletionRight),
+                remediation: 'Implement a verifiable consumer deletion request workflow'
+            },
+            {
+                id: 'CCPA-1798.110',
+                title: 'Right to know',
+                citation: 'Cal. Civ. Code § 1798.110',
+                evaluate: requires(has.accessRight, 'warn'),
+                remediation: 'Allow consumers to request the personal information collected about them'
+            },
+            {
+                id: 'CCPA-1798.120',
+                title: 'Right to opt out of sale or sharing',
+                citation: 'Cal. Civ. Code § 1798.120',
+                evaluate: requires(has.optOut, 'warn'),
+                remediation: 'Provide an opt-out mechanism for sale or sharing of personal information'
+            },
+            {
+                id: 'CCPA-1798.150',
+                title: 'Reasonable security procedures',
+                citation: 'Cal. Civ. Code § 1798.150(a)',
+                evaluate: requires(has.encryption),
+                remediation: 'Encrypt personal information and maintain reasonable security practices'
+            },
+            {
+                id: 'CCPA-1798.185',
+                title: 'Automated decision-making technology',
+                citation: 'Cal. Civ. Code § 1798.185(a)(16)',
+                evaluate: requiresAll([has.humanOversight, has.optOut]),
+                remediation: 'Offer access and opt-out rights for automated decision-making'
+            }
+        ]
+    },
+
+    SOC2: {
+        name: 'SOC 2 Trust Services Criteria',
+        version: 'AICPA TSC 2017 (revised 2022)',
+        controls: [
+            {
+                id: 'SOC2-CC4.1',
+                title: 'Monitoring activities',
+                citation: 'TSC CC4.1',
+                evaluate: requires(has.auditTrail),
+                remediation: 'Enable an audit trail for AI system decisions and configuration changes'
+            },
+            {
+                id: 'SOC2-CC6.1',
+                title: 'Logical access security',
+                citation: 'TSC CC6.1',
+                evaluate: requires(has.accessControl),
+                remediation: 'Restrict access to models, training data and inference endpoints'
+            },
+            {
+                id: 'SOC2-CC6.7',
+                title: 'Data transmission protection',
+                citation: 'TSC CC6.7',
+                evaluate: requires(has.encryption),
+                remediation: 'Encrypt data transmitted to and from the AI system'
+            },
+            {
+                id: 'SOC2-CC7.2',
+                title: 'System anomaly monitoring',
+                citation: 'TSC CC7.2',
+                evaluate: requires(has.monitoring, 'warn'),
+                remediation: 'Monitor model performance and anomalies in production'
+            },
+            {
+                id: 'SOC2-CC7.4',
+                title: 'Incident response',
+                citation: 'TSC CC7.3, CC7.4',
+                evaluate: requires(has.incidentResponse),
+                remediation: 'Define and test an incident response procedure for AI failures'
+            },
+            {
+                id: 'SOC2-CC8.1',
+                title: 'Change management',
+                citation: 'TSC CC8.1',
+                evaluate: requires(has.changeManagement, 'warn'),
+                remediation: 'Authorize, test and approve model changes before release'
+            }
+        ]
+    },
+
+    ISO27001: {
+        name: 'ISO/IEC 27001',
+        version: 'ISO/IEC 27001:2022 Annex A',
+        controls: [
+            {
+                id: 'ISO27001-A.5.2',
+                title: 'Information security roles and responsibilities',
+                citation: 'ISO/IEC 27001:2022 A.5.2',
+                evaluate: requires(has.responsibility),
+                remediation: 'Assign and document ownership for the AI system'
+            },
+            {
+                id: 'ISO27001-A.5.24',
+                title: 'Information security incident management',
+                citation: 'ISO/IEC 27001:2022 A.5.24-A.5.26',
+                evaluate: requires(has.incidentResponse),
+                remediation: 'Plan, assess and respond to AI system security incidents'
+            },
+            {
+                id: 'ISO27001-A.5.34',
+                title: 'Privacy and protection of PII',
+                citation: 'ISO/IEC 27001:2022 A.5.34',
+                evaluate: requiresAll([has.dataMinimization, has.consent]),
+                remediation: 'Identify and meet PII protection requirements for the AI system'
+            },
+            {
+                id: 'ISO27001-A.8.15',
+                title: 'Logging',
+                citation: 'ISO/IEC 27001:2022 A.8.15',
+                evaluate: requires(has.auditTrail),
+                remediation: 'Produce, store and protect logs of AI system activity'
+            },
+            {
+                id: 'ISO27001-A.8.16',
+                title: 'Monitoring activities',
+                citation: 'ISO/IEC 27001:2022 A.8.16',
+                evaluate: requires(has.monitoring, 'warn'),
+                remediation: 'Monitor the AI system for anomalous behaviour'
+            },
+            {
+                id: 'ISO27001-A.8.24',
+                title: 'Use of cryptography',
+                citation: 'ISO/IEC 27001:2022 A.8.24',
+                evaluate: requires(has.encryption),
+                remediation: 'Define and apply cryptography rules for AI system data'
+            },
+            {
+                id: 'ISO27001-A.8.32',
+                title: 'Change management',
+                citation: 'ISO/IEC 27001:2022 A.8.32',
+                evaluate: requires(has.changeManagement, 'warn'),
+                remediation: 'Subject model and pipeline changes to change management procedures'
+            }
+        ]
+    },
+
+    NIST: {
+        name: 'NIST AI Risk Management Framework',
+        version: 'NIST AI 100-1 (AI RMF 1.0)',
+        controls: [
+            {
+                id: 'NIST-GOVERN-2.1',
+                title: 'Roles and responsibilities documented',
+                citation: 'NIST AI RMF GOVERN 2.1',
+                evaluate: requires(has.responsibility),
+                remediation: 'Document roles, responsibilities and lines of communication for AI risk'
+            },
+            {
+                id: 'NIST-MAP-1.1',
+                title: 'Intended purpose and context documented',
+                citation: 'NIST AI RMF MAP 1.1',
+                evaluate: requires(has.documentation, 'warn'),
+                remediation: 'Document intended purpose, context of use and known limitations'
+            },
+            {
+                id: 'NIST-MEASURE-2.7',
+                title: 'Security and resilience evaluated',
+                citation: 'NIST AI RMF MEASURE 2.7',
+                evaluate: requires(has.adversarialTesting, 'warn'),
+                remediation: 'Evaluate the system against adversarial and resilience scenarios'
+            },
+            {
+                id: 'NIST-MEASURE-2.8',
+                title: 'Transparency and accountability risks examined',
+                citation: 'NIST AI RMF MEASURE 2.8',
+                evaluate: requires(has.auditTrail, 'warn'),
+                remediation: 'Keep records that support accountability for AI outputs'
+            },
+            {
+                id: 'NIST-MEASURE-2.9',
+                title: 'Model explained and interpreted',
+                citation: 'NIST AI RMF MEASURE 2.9',
+                evaluate: requires(has.explainability, 'warn'),
+                remediation: 'Provide explanations of model outputs appropriate to the context'
+            },
+            {
+                id: 'NIST-MEASURE-2.11',
+                title: 'Fairness and bias evaluated',
+                citation: 'NIST AI RMF MEASURE 2.11',
+                evaluate: requires(has.biasTesting),
+                remediation: 'Evaluate and document harmful bias across affected groups'
+            },
+            {
+                id: 'NIST-MANAGE-2.4',
+                title: 'Mechanisms to disengage or deactivate',
+                citation: 'NIST AI RMF MANAGE 2.4',
+                evaluate: requiresAll([has.manualOverride, has.humanOversight]),
+                remediation: 'Provide mechanisms to supersede, disengage or deactivate the system'
+            },
+            {
+                id: 'NIST-MANAGE-4.3',
+                title: 'Incidents tracked and communicated',
+                citation: 'NIST AI RMF MANAGE 4.3',
+                evaluate: requires(has.incidentResponse, 'warn'),
+                remediation: 'Track, respond to and communicate AI incidents'
+            }
+        ]
+    }
+};
+
+const SUPPORTED_FRAMEWORKS = Object.keys(REGULATORY_FRAMEWORKS);
+
+// Score contribution of each control status
+const STATUS_SCORES = { pass: 1.0, warn: 0.5, fail: 0 };
+
+/**
+ * Evaluate an AI system against a single regulatory framework
+ * @param {string} frameworkId - Framework identifier (e.g. 'GDPR')
+ * @param {Object} aiSystem - AI system definition
+ * @returns {Object} Framework result with per-control outcomes
+ */
+function evaluateFramework(frameworkId, aiSystem) {
+    const framework = REGULATORY_FRAMEWORKS[frameworkId];
+    if (!framework) {
+        throw new Error(`Unsupported regulatory framework: ${frameworkId}`);
+    }
+
+    const controls = framework.controls.map(control => ({
+        controlId: control.id,
+        title: control.title,
+        citation: control.citation,
+        status: control.evaluate(aiSystem),
+        remediation: control.remediation
+    }));
+
+    const score = controls.reduce((sum, control) => sum + STATUS_SCORES[control.status], 0) / controls.length;
+
+    return {
+        framework: frameworkId,
+        name: framework.name,
+        version: framework.version,
+        score,
+        status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail',
+        summary: {
+            pass: controls.filter(c => c.status === 'pass').length,
+            warn: controls.filter(c => c.status === 'warn').length,
+            fail: controls.filter(c => c.status === 'fail').length
+        },
+        controls
+    };
+}
+
+module.exports = { REGULATORY_FRAMEWORKS, SUPPORTED_FRAMEWORKS, evaluateFramework };
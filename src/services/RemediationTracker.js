@@ -0,0 +1,455 @@
+/**
+ * VoidGuard AI Governance Suite - Remediation Tracker
+ *
+ * Turns validation recommendations into tracked remediation items
+ * (data/migrations/004_create_remediation_items.sql) with an assignee, due
+ * date and status. Each validation of a system opens items for new
+ * recommendations, reopens resolved items whose finding is back and resolves
+ * open items whose finding is no longer reported.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool, withTransaction } = require('../utils/database');
+const { findingKey } = require('./ValidationDiff');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const REMEDIATION_STATUSES = ['open', 'in_progress', 'resolved', 'verified'];
+
+// Status changes allowed through updates; verification has its own step
+const REMEDIATION_TRANSITIONS = {
+    open: ['in_progress', 'resolved'],
+    in_progress: ['open', 'resolved'],
+    resolved: ['open'],
+    verified: []
+};
+
+// Default time to remediate, in days, by recommendation priority
+const DUE_DAYS = {
+    high: 14,
+    medium: 30,
+    low: 90
+};
+
+const OVERDUE_CONDITION = "status IN ('open', 'in_progress') AND due_date < NOW()";
+
+/**
+ * Map a remediation_items row to a remediation item
+ * @private
+ */
+function fromRow(row) {
+    const toISO = value => (value ? new Date(value).toISOString() : null);
+    const dueDate = new Date(row.due_date);
+
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        systemId: row.system_id,
+        category: row.category,
+        priority: row.priority,
+        issue: row.issue,
+        action: row.action,
+        framework: row.framework,
+        controlId: row.control_id,
+        citation: row.citation,
+        status: row.status,
+        assignee: row.assignee,
+        dueDate: dueDate.toISOString(),
+        overdue: ['open', 'in_progress'].includes(row.status) && dueDate < new Date(),
+        openedValidationId: row.opened_validation_id,
+        lastSeenValidationId: row.last_seen_validation_id,
+        lastSeenAt: toISO(row.last_seen_at),
+        resolution: row.resolution,
+        resolvedAt: toISO(row.resolved_at),
+        resolvedBy: row.resolved_by,
+        resolutionValidationId: row.resolution_validation_id,
+        verifiedAt: toISO(row.verified_at),
+        verifiedBy: row.verified_by,
+        createdAt: toISO(row.created_at),
+        updatedAt: toISO(row.updated_at)
+    };
+}
+
+/**
+ * Finding key of a recommendation
+ * @private
+ */
+function recommendationKey(recommendation) {
+    return findingKey(recommendation.category, {
+        ruleId: recommendation.ruleId,
+        framework: recommendation.framework,
+        controlId: recommendation.controlId,
+        message: recommendation.issue
+    });
+}
+
+class RemediationTracker {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'RemediationTracker' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Reconcile a system's remediation items with a validation
+     *
+     * Items stay open while their finding is reported, even when it no longer
+     * produces a recommendation (e.g. it was waived).
+     *
+     * @param {Object} validation - Validation outcome
+     * @param {string} validation.organizationId - Organization identifier
+     * @param {string} validation.systemId - AI system identifier
+     * @param {string} validation.validationId - Validation identifier
+     * @param {string} validation.validatedAt - Validation timestamp
+     * @param {Array} validation.recommendations - Recommendations of the validation
+     * @param {Set} validation.reportedKeys - Finding keys of all error and warning findings
+     * @returns {Object} { opened, reopened, resolved } item counts
+     */
+    async sync({ organizationId, systemId, validationId, validatedAt, recommendations, reportedKeys }) {
+        const recommended = new Map();
+        recommendations.forEach(recommendation => {
+            const key = recommendationKey(recommendation);
+            if (!recommended.has(key)) recommended.set(key, recommendation);
+        });
+
+        const summary = await withTransaction(this.db, async (client) => {
+            const { rows } = await client.query(
+                `SELECT * FROM remediation_items
+                 WHERE organization_id = $1 AND system_id = $2 AND status IN ('open', 'in_progress', 'resolved')
+                 ORDER BY created_at DESC FOR UPDATE`,
+                [organizationId, systemId]
+            );
+
+            const unresolved = new Map();
+            const resolved = new Map();
+            rows.forEach(row => {
+                const items = row.status === 'resolved' ? resolved : unresolved;
+                if (!items.has(row.issue_key)) items.set(row.issue_key, row);
+            });
+
+            const counts = { opened: 0, reopened: 0, resolved: 0 };
+
+            for (const [key, recommendation] of recommended) {
+                if (unresolved.has(key)) {
+                    await client.query(
+                        `UPDATE remediation_items
+                         SET priority = $2, last_seen_validation_id = $3, last_seen_at = $4, updated_at = NOW()
+                         WHERE id = $1`,
+                        [unresolved.get(key).id, recommendation.priority, validationId, validatedAt]
+                    );
+                } else if (resolved.has(key)) {
+                    // The finding is back: the earlier resolution did not hold
+                    await client.query(
+                        `UPDATE remediation_items
+                         SET status = 'open', priority = $2, last_seen_validation_id = $3, last_seen_at = $4,
+                             resolution = NULL, resolved_at = NULL, resolved_by = NULL,
+                             resolution_validation_id = NULL, updated_at = NOW()
+                         WHERE id = $1`,
+                        [resolved.get(key).id, recommendation.priority, validationId, validatedAt]
+                    );
+                    counts.reopened++;
+                } else {
+                    const dueDate = new Date(new Date(validatedAt).getTime() +
+                        (DUE_DAYS[recommendation.priority] || DUE_DAYS.low) * 24 * 60 * 60 * 1000);
+
+                    await client.query(
+                        `INSERT INTO remediation_items
+                            (id, organization_id, system_id, issue_key, category, priority, issue, action,
+                             framework, control_id, citation, due_date, opened_validation_id,
+                             last_seen_validation_id, last_seen_at)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13, $14)`,
+                        [
+                            uuidv4(),
+                            organizationId,
+                            systemId,
+                            key,
+                            recommendation.category,
+                            recommendation.priority,
+                            recommendation.issue,
+                            recommendation.action || null,
+                            recommendation.framework || null,
+                            recommendation.controlId || null,
+                            recommendation.citation || null,
+                            dueDate.toISOString(),
+                            validationId,
+                            validatedAt
+                        ]
+                    );
+                    counts.opened++;
+                }
+            }
+
+            for (const [key, row] of unresolved) {
+                if (!reportedKeys.has(key)) {
+                    await client.query(
+                        `UPDATE remediation_items
+                         SET status = 'resolved', resolution = 'validation', resolved_at = $2,
+                             resolution_validation_id = $3, updated_at = NOW()
+                         WHERE id = $1`,
+                        [row.id, validatedAt, validationId]
+                    );
+                    counts.resolved++;
+                }
+            }
+
+            return counts;
+        });
+
+        if (summary.opened + summary.reopened + summary.resolved > 0) {
+            this.logger.info('Remediation items synchronized', { organizationId, systemId, validationId, ...summary });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Get a remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @returns {Object|null} Remediation item
+     */
+    async get(organizationId, itemId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM remediation_items WHERE organization_id = $1 AND id = $2',
+            [organizationId, itemId]
+        );
+
+        return rows.length > 0 ? fromRow(rows[0]) : null;
+    }
+
+    /**
+     * List remediation items, earliest due first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, status, priority, assignee, overdue
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { items, pagination }
+     */
+    async list(organizationId, filters = {}, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        [['systemId', 'system_id'], ['status', 'status'], ['priority', 'priority'], ['assignee', 'assignee']]
+            .forEach(([filter, column]) => {
+                if (filters[filter]) {
+                    params.push(filters[filter]);
+                    conditions.push(`${column} = $${params.length}`);
+                }
+            });
+        if (filters.overdue) {
+            conditions.push(OVERDUE_CONDITION);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM remediation_items WHERE ${where}
+                 ORDER BY due_date ASC, created_at ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM remediation_items WHERE ${where}`, params)
+        ]);
+
+        return {
+            items: rows.map(fromRow),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Update status, assignee or due date of a remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @param {Object} changes - { status, assignee, dueDate }
+     * @param {string} userId - Updating user
+     * @returns {Object} { item, previous, error } - item is null when not found or rejected
+     */
+    async update(organizationId, itemId, changes, userId) {
+        const previous = await this.get(organizationId, itemId);
+        if (!previous) {
+            return { item: null, previous: null, error: null };
+        }
+        if (previous.status === 'verified') {
+            return { item: null, previous, error: 'Verified remediation items cannot be changed' };
+        }
+
+        const { status, assignee, dueDate } = changes;
+        if (status && status !== previous.status && !REMEDIATION_TRANSITIONS[previous.status].includes(status)) {
+            return { item: null, previous, error: `Cannot move a ${previous.status} item to ${status}` };
+        }
+
+        const assignments = ['updated_at = NOW()'];
+        const params = [organizationId, itemId];
+        const assign = (column, value) => {
+            params.push(value);
+            assignments.push(`${column} = $${params.length}`);
+        };
+
+        if (assignee !== undefined) assign('assignee', assignee);
+        if (dueDate !== undefined) {
+            // A new due date gets its own overdue notice
+            assign('due_date', new Date(dueDate).toISOString());
+            assignments.push('overdue_notified_at = NULL');
+        }
+        if (status && status !== previous.status) {
+            assign('status', status);
+            if (status === 'resolved') {
+                assign('resolution', 'manual');
+                assign('resolved_by', userId || null);
+                assignments.push('resolved_at = NOW()', 'resolution_validation_id = NULL');
+            } else {
+                assignments.push('resolution = NULL', 'resolved_at = NULL', 'resolved_by = NULL',
+                    'resolution_validation_id = NULL');
+            }
+        }
+
+        // Only write over the status the checks above were made against:
+        // a verification or validation in between wins
+        params.push(previous.status);
+        const { rows } = await this.db.query(
+            `UPDATE remediation_items SET ${assignments.join(', ')}
+             WHERE organization_id = $1 AND id = $2 AND status = $${params.length} RETURNING *`,
+            params
+        );
+
+        if (rows.length === 0) {
+            const item = await this.get(organizationId, itemId);
+            return {
+                item: null,
+                previous,
+                error: item ? `The item moved from ${previous.status} to ${item.status} during the update` : null
+            };
+        }
+
+        this.logger.info('Remediation item updated', { organizationId, itemId, fields: Object.keys(changes), userId });
+        return { item: fromRow(rows[0]), previous, error: null };
+    }
+
+    /**
+     * Verify a resolved remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @param {string} userId - Verifying user
+     * @returns {Object} { item, error } - item is null when not found or not resolved
+     */
+    async verify(organizationId, itemId, userId) {
+        const { rows } = await this.db.query(
+            `UPDATE remediation_items SET status = 'verified', verified_by = $3, verified_at = NOW(), updated_at = NOW()
+             WHERE organization_id = $1 AND id = $2 AND status = 'resolved'
+             RETURNING *`,
+            [organizationId, itemId, userId || null]
+        );
+
+        if (rows.length === 0) {
+            const item = await this.get(organizationId, itemId);
+            return { item: null, error: item ? `A ${item.status} item cannot be verified` : null };
+        }
+
+        this.logger.info('Remediation item verified', { organizationId, itemId, userId });
+        return { item: fromRow(rows[0]), error: null };
+    }
+
+    /**
+     * Remediation overview of an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} options - Options
+     * @param {number} options.limit - Maximum overdue high-priority items returned
+     * @returns {Object} Counts by status, overdue count and the most overdue high-priority items
+     */
+    async summarize(organizationId, options = {}) {
+        const [{ rows: counts }, { rows: overdueItems }] = await Promise.all([
+            this.db.query(
+                `SELECT status, COUNT(*)::int AS total,
+                        SUM(CASE WHEN ${OVERDUE_CONDITION} THEN 1 ELSE 0 END)::int AS overdue,
+                        SUM(CASE WHEN priority = 'high' AND ${OVERDUE_CONDITION} THEN 1 ELSE 0 END)::int AS overdue_high
+                 FROM remediation_items WHERE organization_id = $1
+                 GROUP BY status`,
+                [organizationId]
+            ),
+            this.db.query(
+                `SELECT * FROM remediation_items
+                 WHERE organization_id = $1 AND priority = 'high' AND ${OVERDUE_CONDITION}
+                 ORDER BY due_date ASC LIMIT $2`,
+                [organizationId, options.limit || 10]
+            )
+        ]);
+
+        const byStatus = Object.fromEntries(REMEDIATION_STATUSES.map(status => [status, 0]));
+        let overdue = 0;
+        let overdueHigh = 0;
+        counts.forEach(row => {
+            byStatus[row.status] = row.total;
+            overdue += row.overdue || 0;
+            overdueHigh += row.overdue_high || 0;
+        });
+
+        return {
+            byStatus,
+            unresolved: byStatus.open + byStatus.in_progress,
+            overdue,
+            overdueHighPriority: {
+                total: overdueHigh,
+                items: overdueItems.map(fromRow)
+            }
+        };
+    }
+
+    /**
+     * Overdue items whose lapse has not been announced yet, across
+     * organizations, marked as announced
+     * @param {number} limit - Maximum items
+     * @returns {Array} Remediation items
+     */
+    async claimOverdueNotices(limit) {
+        const { rows } = await this.db.query(
+            `UPDATE remediation_items SET overdue_notified_at = NOW()
+             WHERE id IN (
+                SELECT id FROM remediation_items
+                WHERE ${OVERDUE_CONDITION} AND overdue_notified_at IS NULL
+                ORDER BY due_date ASC LIMIT $1
+             ) AND overdue_notified_at IS NULL
+             RETURNING *`,
+            [limit]
+        );
+
+        return rows.map(fromRow);
+    }
+}
+
+module.exports = { RemediationTracker, REMEDIATION_STATUSES, REMEDIATION_TRANSITIONS, DUE_DAYS };
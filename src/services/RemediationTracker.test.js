@@ -0,0 +1,108 @@
+const { RemediationTracker } = require('./RemediationTracker');
+
+function itemRow(status) {
+    return {
+        id: 'item-1',
+        organization_id: 'org-1',
+        system_id: 'system-1',
+        category: 'privacy',
+        priority: 'high',
+        issue: 'No encryption',
+        status,
+        due_date: '2026-06-01T00:00:00.000Z',
+        created_at: '2026-05-01T00:00:00.000Z',
+        updated_at: '2026-05-01T00:00:00.000Z'
+    };
+}
+
+/**
+ * Pool holding one remediation item; `interfere` runs between the read and
+ * the write of an update, as a concurrent request would
+ */
+function poolOf(row, interfere = () => {}) {
+    const pool = {
+        row,
+        writes: [],
+        async query(text, params) {
+            if (text.startsWith('SELECT')) {
+                return { rows: pool.row ? [{ ...pool.row }] : [] };
+            }
+
+            interfere(pool);
+            pool.writes.push({ text, params });
+            const [set, where] = text.split('WHERE');
+            const guard = where.match(/status = (\$(\d+)|'(\w+)')/);
+            const expected = guard[2] ? params[guard[2] - 1] : guard[3];
+            if (!pool.row || pool.row.status !== expected) {
+                return { rows: [] };
+            }
+
+            const assigned = set.match(/status = (\$(\d+)|'(\w+)')/);
+            if (assigned) {
+                pool.row = { ...pool.row, status: assigned[2] ? params[assigned[2] - 1] : assigned[3] };
+            }
+            return { rows: [{ ...pool.row }] };
+        }
+    };
+    return pool;
+}
+
+describe('RemediationTracker.update', () => {
+    test('moves an item along an allowed transition', async () => {
+        const pool = poolOf(itemRow('open'));
+        const { item, previous, error } = await new RemediationTracker({ pool }).update('org-1', 'item-1', { status: 'in_progress' }, 'user-1');
+
+        expect(error).toBeNull();
+        expect(previous.status).toBe('open');
+        expect(item.status).toBe('in_progress');
+    });
+
+    test.each([
+        ['resolved', 'in_progress', 'Cannot move a resolved item to in_progress'],
+        ['open', 'verified', 'Cannot move a open item to verified'],
+        ['verified', 'open', 'Verified remediation items cannot be changed']
+    ])('rejects moving an item from %s to %s', async (from, to, message) => {
+        const pool = poolOf(itemRow(from));
+        const { item, error } = await new RemediationTracker({ pool }).update('org-1', 'item-1', { status: to }, 'user-1');
+
+        expect(item).toBeNull();
+        expect(error).toBe(message);
+        expect(pool.writes).toHaveLength(0);
+    });
+
+    test('does not overwrite an item verified between the read and the write', async () => {
+        const pool = poolOf(itemRow('resolved'), (concurrent) => {
+            concurrent.row = { ...concurrent.row, status: 'verified' };
+        });
+        const { item, error } = await new RemediationTracker({ pool }).update('org-1', 'item-1', { status: 'open' }, 'user-1');
+
+        expect(item).toBeNull();
+        expect(error).toBe('The item moved from resolved to verified during the update');
+        expect(pool.row.status).toBe('verified');
+    });
+
+    test('guards assignee changes on the status too', async () => {
+        const pool = poolOf(itemRow('open'), (concurrent) => {
+            concurrent.row = { ...concurrent.row, status: 'resolved' };
+        });
+        const { error } = await new RemediationTracker({ pool }).update('org-1', 'item-1', { assignee: 'user-2' }, 'user-1');
+
+        expect(error).toBe('The item moved from open to resolved during the update');
+    });
+
+    test('reports a missing item without an error', async () => {
+        const result = await new RemediationTracker({ pool: poolOf(null) }).update('org-1', 'item-1', { status: 'open' });
+
+        expect(result).toEqual({ item: null, previous: null, error: null });
+    });
+});
+
+describe('RemediationTracker.verify', () => {
+    test('verifies resolved items only', async () => {
+        const tracker = new RemediationTracker({ pool: poolOf(itemRow('resolved')) });
+        expect((await tracker.verify('org-1', 'item-1', 'admin-1')).item.status).toBe('verified');
+
+        const open = new RemediationTracker({ pool: poolOf(itemRow('open')) });
+        expect(await open.verify('org-1', 'item-1', 'admin-1')).toEqual({ item: null, error: 'A open item cannot be verified' });
+    });
+});
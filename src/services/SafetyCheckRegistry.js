@@ -0,0 +1,423 @@
+/**
+ * VoidGuard AI Governance Suite - Safety Check Registry
+ *
+ * Pluggable registry of safety checks evaluated by the VoidGuard Safety Engine.
+ * Built-in checks live in ./safetyChecks; organizations can enable or disable
+ * checks and load their own internal checks from a module directory. The
+ * enabled state is persisted by SafetyCheckSettings; the registry holds the
+ * copy last loaded for each organization.
+ *
+ * Checks are usually compiled from governance policies (see PolicyEngine);
+ * a check plugin is a module exporting:
+ *   {
+ *     id: 'modelCardReview',          // unique key in safetyChecks results
+ *     category: 'transparency',       // grouping for dashboards and reports
+ *     weight: 0.1,                    // contribution to the compliance score
+ *     description: '...',
+ *     evaluate: async (aiSystem, context) => ({ score, checks })
+ *   }
+ * `evaluate` may return null when the check does not apply to the request.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const builtInChecks = require('./safetyChecks');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const CHECK_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{1,63}$/;
+
+/**
+ * Normalize a check evaluation into the SafetyCheck shape
+ * @param {Object} result - Raw evaluator result ({ score, checks, status? })
+ * @returns {Object} SafetyCheck result
+ */
+function buildCheckResult(result) {
+    const score = Math.min(Math.max(Number(result.score) || 0, 0), 1);
+
+    return {
+        ...result,
+        score,
+        checks: Array.isArray(result.checks) ? result.checks : [],
+        status: result.status || (score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail')
+    };
+}
+
+class SafetyCheckRegistry {
+    constructor() {
+        // Global checks, keyed by check id
+        this.checks = new Map();
+        // organizationId -> Map<checkId, check>; overrides global checks with the same id
+        this.organizationChecks = new Map();
+        // organizationId -> Map<checkId, boolean>, loaded from SafetyCheckSettings
+        this.organizationSettings = new Map();
+        this.logger = logger.child({ component: 'SafetyCheckRegistry' });
+    }
+
+    /**
+     * Validate a check definition and build the registry entry
+     * @private
+     */
+    createCheck(definition, options = {}) {
+        const { id, category, weight, evaluate, description = '', enabledByDefault = true, policy } = definition || {};
+
+        if (typeof id !== 'string' || !CHECK_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid safety check id: ${id}`);
+        }
+        if (typeof category !== 'string' || category.length === 0) {
+            throw new Error(`Safety check ${id} must declare a category`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Safety check ${id} must declare a non-negative numeric weight`);
+        }
+        if (typeof evaluate !== 'function') {
+            throw new Error(`Safety check ${id} must provide an evaluate function`);
+        }
+
+        return {
+            id,
+            category,
+            weight,
+            description,
+            evaluate,
+            enabledByDefault: enabledByDefault !== false,
+            builtIn: Boolean(options.builtIn),
+            organizationId: options.organizationId || null,
+            source: options.source || null,
+            policy: policy || null
+        };
+    }
+
+    /**
+     * Checks registered in one scope
+     * @private
+     */
+    scopeOf(organizationId, create = false) {
+        if (!organizationId) return this.checks;
+
+        if (create && !this.organizationChecks.has(organizationId)) {
+            this.organizationChecks.set(organizationId, new Map());
+        }
+        return this.organizationChecks.get(organizationId) || new Map();
+    }
+
+    /**
+     * Register a safety check
+     *
+     * Organization-scoped checks override a global check with the same id
+     * for that organization only.
+     *
+     * @param {Object} definition - Check definition (id, category, weight, evaluate)
+     * @param {Object} options - Registration options
+     * @param {string} options.organizationId - Restrict the check to one organization
+     * @param {boolean} options.builtIn - Mark as a built-in check
+     * @param {string} options.source - Module path or policy the check was loaded from
+     * @returns {Object} Registered check
+     */
+    register(definition, options = {}) {
+        const check = this.createCheck(definition, options);
+        const scope = this.scopeOf(check.organizationId, true);
+
+        if (scope.has(check.id)) {
+            throw new Error(`Safety check already registered: ${check.id}`);
+        }
+
+        scope.set(check.id, check);
+        this.logger.info('Safety check registered', {
+            checkId: check.id,
+            category: check.category,
+            weight: check.weight,
+            builtIn: check.builtIn,
+            organizationId: check.organizationId
+        });
+
+        return check;
+    }
+
+    /**
+     * Validate the checks of one source against an organization's checks
+     *
+     * Nothing is registered: the checks are only built and checked for id
+     * conflicts with checks from other sources.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {string} source - Source identifier (e.g. policy:acme-hr)
+     * @param {Array} definitions - Check definitions
+     * @returns {Array} Checks replaceSource would register
+     */
+    prepareSource(organizationId, source, definitions) {
+        const scope = this.scopeOf(organizationId);
+        const checks = definitions.map(definition => this.createCheck(definition, { organizationId, source }));
+
+        checks.forEach(check => {
+            const existing = scope.get(check.id);
+            if (existing && existing.source !== source) {
+                throw new Error(`Safety check ${check.id} is already registered by ${existing.source || 'another plugin'}`);
+            }
+        });
+
+        return checks;
+    }
+
+    /**
+     * Atomically replace the organization checks loaded from one source
+     *
+     * Used when an organization publishes a new version of a policy: checks
+     * from the previous version are removed and the new ones registered, or
+     * nothing changes if any definition is invalid.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {string} source - Source identifier (e.g. policy:acme-hr)
+     * @param {Array} definitions - Check definitions
+     * @returns {Array} Registered checks
+     */
+    replaceSource(organizationId, source, definitions) {
+        const checks = this.prepareSource(organizationId, source, definitions);
+        const scope = this.scopeOf(organizationId, true);
+
+        [...scope.values()]
+            .filter(check => check.source === source)
+            .forEach(check => scope.delete(check.id));
+        checks.forEach(check => scope.set(check.id, check));
+
+        this.logger.info('Safety checks replaced', { organizationId, source, checks: checks.map(check => check.id) });
+
+        return checks;
+    }
+
+    /**
+     * Checks an organization has registered from one source
+     * @param {string} organizationId - Organization identifier
+     * @param {string} source - Source identifier (e.g. policy:acme-hr)
+     * @returns {Array} Check definitions
+     */
+    listSource(organizationId, source) {
+        return [...this.scopeOf(organizationId).values()].filter(check => check.source === source);
+    }
+
+    /**
+     * Remove a registered check
+     * @param {string} checkId - Check identifier
+     * @param {string} organizationId - Scope of the check (global when omitted)
+     * @returns {boolean} True if the check existed
+     */
+    unregister(checkId, organizationId) {
+        return this.scopeOf(organizationId).delete(checkId);
+    }
+
+    /**
+     * Get the check an organization resolves for an id
+     * @param {string} checkId - Check identifier
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object|undefined} Check definition
+     */
+    get(checkId, organizationId) {
+        return this.scopeOf(organizationId).get(checkId) || this.checks.get(checkId);
+    }
+
+    /**
+     * Resolve the checks visible to an organization
+     *
+     * Global checks keep their registration order; organization checks and
+     * `overrides` replace same-id checks in place and append new ones.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Array} overrides - Unregistered check definitions (dry runs)
+     * @returns {Array} Check definitions
+     */
+    resolve(organizationId, overrides = []) {
+        const resolved = new Map(this.checks);
+
+        this.scopeOf(organizationId).forEach((check, id) => resolved.set(id, check));
+        overrides
+            .map(definition => this.createCheck(definition, { organizationId, source: 'dry-run' }))
+            .forEach(check => resolved.set(check.id, check));
+
+        return [...resolved.values()];
+    }
+
+    /**
+     * Whether a resolved check is enabled for an organization
+     * @private
+     */
+    isCheckEnabled(check, organizationId) {
+        const settings = this.organizationSettings.get(organizationId);
+        if (settings && settings.has(check.id)) {
+            return settings.get(check.id);
+        }
+
+        return check.enabledByDefault;
+    }
+
+    /**
+     * Whether a check is enabled for an organization
+     * @param {string} checkId - Check identifier
+     * @param {string} organizationId - Organization identifier
+     * @returns {boolean} Enabled state
+     */
+    isEnabled(checkId, organizationId) {
+        const check = this.get(checkId, organizationId);
+        return Boolean(check) && this.isCheckEnabled(check, organizationId);
+    }
+
+    /**
+     * Replace the enabled state of an organization's checks
+     * @param {string} organizationId - Organization identifier
+     * @param {Map<string, boolean>} settings - Enabled state keyed by check id
+     */
+    setOrganizationSettings(organizationId, settings) {
+        this.organizationSettings.set(organizationId, new Map(settings));
+    }
+
+    /**
+     * Enable or disable a check for an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {string} checkId - Check identifier
+     * @param {boolean} enabled - Enabled state
+     * @returns {Object} Updated check summary
+     */
+    setEnabled(organizationId, checkId, enabled) {
+        const check = this.get(checkId, organizationId);
+        if (!check) {
+            throw new Error(`Unknown safety check: ${checkId}`);
+        }
+
+        if (!this.organizationSettings.has(organizationId)) {
+            this.organizationSettings.set(organizationId, new Map());
+        }
+        this.organizationSettings.get(organizationId).set(checkId, Boolean(enabled));
+
+        this.logger.info('Safety check setting updated', { organizationId, checkId, enabled: Boolean(enabled) });
+
+        return this.describe(check, organizationId);
+    }
+
+    /**
+     * Public description of a check for an organization
+     * @private
+     */
+    describe(check, organizationId) {
+        return {
+            id: check.id,
+            category: check.category,
+            weight: check.weight,
+            description: check.description,
+            builtIn: check.builtIn,
+            scope: check.organizationId ? 'organization' : 'global',
+            policy: check.policy,
+            enabled: this.isCheckEnabled(check, organizationId)
+        };
+    }
+
+    /**
+     * List checks visible to an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array} Check summaries
+     */
+    list(organizationId) {
+        return this.resolve(organizationId).map(check => this.describe(check, organizationId));
+    }
+
+    /**
+     * Get checks enabled for an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {Array} overrides - Unregistered check definitions (dry runs)
+     * @returns {Array} Check definitions
+     */
+    getActiveChecks(organizationId, overrides = []) {
+        return this.resolve(organizationId, overrides).filter(check => this.isCheckEnabled(check, organizationId));
+    }
+
+    /**
+     * Get score weights of checks enabled for an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} Weights keyed by check id
+     */
+    getWeights(organizationId) {
+        return Object.fromEntries(
+            this.getActiveChecks(organizationId).map(check => [check.id, check.weight])
+        );
+    }
+
+    /**
+     * Load check plugins from a module directory
+     *
+     * Modules at the top level are registered globally. Modules inside a
+     * subdirectory are registered for the organization named by that
+     * subdirectory (e.g. plugins/org_demo_001/modelCardReview.js).
+     *
+     * @param {string} directory - Plugin directory
+     * @param {Object} options - Load options
+     * @param {string} options.organizationId - Scope all loaded checks to this organization
+     * @returns {Array} Registered checks
+     */
+    loadFromDirectory(directory, options = {}) {
+        const root = path.resolve(directory);
+        const registered = [];
+
+        if (!fs.existsSync(root)) {
+            this.logger.warn('Safety check plugin directory not found', { directory: root });
+            return registered;
+        }
+
+        fs.readdirSync(root, { withFileTypes: true }).forEach(entry => {
+            const entryPath = path.join(root, entry.name);
+
+            if (entry.isDirectory()) {
+                if (!options.organizationId) {
+                    registered.push(...this.loadFromDirectory(entryPath, { organizationId: entry.name }));
+                }
+                return;
+            }
+
+            if (!entry.isFile() || path.extname(entry.name) !== '.js') return;
+
+            try {
+                const plugin = require(entryPath);
+                const definitions = Array.isArray(plugin) ? plugin : [plugin];
+
+                definitions.forEach(definition => {
+                    registered.push(this.register(definition, {
+                        organizationId: options.organizationId,
+                        source: entryPath
+                    }));
+                });
+            } catch (error) {
+                // A broken plugin must not take down the built-in checks
+                this.logger.error('Failed to load safety check plugin', {
+                    source: entryPath,
+                    error: error.message
+                });
+            }
+        });
+
+        return registered;
+    }
+}
+
+/**
+ * Create a registry with the built-in checks registered
+ * @returns {SafetyCheckRegistry} Registry instance
+ */
+function createDefaultRegistry() {
+    const registry = new SafetyCheckRegistry();
+    builtInChecks.forEach(check => registry.register(check, { builtIn: true }));
+    return registry;
+}
+
+module.exports = { SafetyCheckRegistry, createDefaultRegistry, buildCheckResult };
@@ -0,0 +1,69 @@
+/**
+ * VoidGuard AI Governance Suite - Safety Check Settings
+ *
+ * Safety checks each organization has enabled or disabled
+ * (data/migrations/015_create_safety_check_settings.sql). Every API replica
+ * and service instance reads the same settings; the check registry only
+ * caches them.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { getPool } = require('../utils/database');
+
+class SafetyCheckSettings {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Enabled state of the checks an organization has set
+     * @param {string} organizationId - Organization identifier
+     * @returns {Map<string, boolean>} Enabled state keyed by check id
+     */
+    async get(organizationId) {
+        const { rows } = await this.db.query(
+            'SELECT check_id, enabled FROM safety_check_settings WHERE organization_id = $1',
+            [organizationId]
+        );
+
+        return new Map(rows.map(row => [row.check_id, row.enabled]));
+    }
+
+    /**
+     * Enable or disable a check for an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {string} checkId - Check identifier
+     * @param {boolean} enabled - Enabled state
+     * @param {string} userId - Requesting user
+     */
+    async set(organizationId, checkId, enabled, userId) {
+        await this.db.query(
+            `INSERT INTO safety_check_settings (organization_id, check_id, enabled, updated_by, updated_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (organization_id, check_id) DO UPDATE SET
+                enabled = EXCLUDED.enabled,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = EXCLUDED.updated_at`,
+            [organizationId, checkId, Boolean(enabled), userId || null]
+        );
+    }
+}
+
+module.exports = { SafetyCheckSettings };
@@ -0,0 +1,283 @@
+/**
+ * VoidGuard AI Governance Suite - Transparency Reports
+ *
+ * Registered algorithm audits and the transparency reports produced by
+ * running them (data/migrations/007_create_transparency_audits.sql).
+ * Reports expire after TRANSPARENCY_REPORT_RETENTION days: expired reports
+ * are no longer returned and are purged when new reports are stored.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a transparency_audits row to an audit
+ * @private
+ */
+function toAudit(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        name: row.name,
+        description: row.description,
+        systemId: row.system_id,
+        analyses: row.analyses,
+        probe: row.probe || null,
+        createdBy: row.created_by,
+        createdAt: new Date(row.created_at).toISOString(),
+        lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null
+    };
+}
+
+/**
+ * Map a transparency_reports row to a report summary
+ * @private
+ */
+function toReportSummary(row) {
+    return {
+        id: row.id,
+        auditId: row.audit_id,
+        jobId: row.job_id,
+        systemId: row.system_id,
+        score: Number(row.score),
+        status: row.status,
+        generatedBy: row.generated_by,
+        generatedAt: new Date(row.generated_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString()
+    };
+}
+
+/**
+ * Paginate a query
+ * @private
+ */
+function pageOf(pagination) {
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+class TransparencyReports {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     * @param {number} options.retentionDays - Report retention (defaults to TRANSPARENCY_REPORT_RETENTION)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.retentionDays = options.retentionDays ||
+            parseInt(process.env.TRANSPARENCY_REPORT_RETENTION, 10) || DEFAULT_RETENTION_DAYS;
+        this.logger = logger.child({ component: 'TransparencyReports' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Register an algorithm audit
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} audit - { name, description, systemId, analyses, probe }
+     * @param {string} userId - Registering user
+     * @returns {Object} Audit
+     */
+    async registerAudit(organizationId, audit, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO transparency_audits (id, organization_id, name, description, system_id, analyses, probe, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                audit.name,
+                audit.description || null,
+                audit.systemId,
+                JSON.stringify(audit.analyses),
+                audit.probe ? JSON.stringify(audit.probe) : null,
+                userId || null
+            ]
+        );
+
+        this.logger.info('Transparency audit registered', { organizationId, auditId: rows[0].id });
+        return toAudit(rows[0]);
+    }
+
+    /**
+     * Get an audit
+     * @param {string} organizationId - Organization identifier
+     * @param {string} auditId - Audit identifier
+     * @returns {Object|null} Audit
+     */
+    async getAudit(organizationId, auditId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM transparency_audits WHERE organization_id = $1 AND id = $2',
+            [organizationId, auditId]
+        );
+
+        return rows.length > 0 ? toAudit(rows[0]) : null;
+    }
+
+    /**
+     * List audits, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { audits, pagination }
+     */
+    async listAudits(organizationId, filters = {}, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        if (filters.systemId) {
+            params.push(filters.systemId);
+            conditions.push(`system_id = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM transparency_audits WHERE ${where}
+                 ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM transparency_audits WHERE ${where}`, params)
+        ]);
+
+        return {
+            audits: rows.map(toAudit),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+
+    /**
+     * Store the report of an audit run, purging expired reports
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} report - Report content ({ auditId, jobId, systemId, summary, ... })
+     * @param {string} userId - User who started the run
+     * @returns {Object} Stored report
+     */
+    async recordReport(organizationId, report, userId) {
+        const id = uuidv4();
+        const generatedAt = new Date();
+        const expiresAt = new Date(generatedAt.getTime() + this.retentionDays * DAY_MS);
+        const stored = {
+            ...report,
+            id,
+            generatedBy: userId || null,
+            generatedAt: generatedAt.toISOString(),
+            expiresAt: expiresAt.toISOString()
+        };
+
+        await this.db.query(
+            `INSERT INTO transparency_reports
+                (id, organization_id, audit_id, job_id, system_id, score, status, report,
+                 generated_by, generated_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                id,
+                organizationId,
+                report.auditId,
+                report.jobId || null,
+                report.systemId || null,
+                report.summary.score,
+                report.summary.status,
+                JSON.stringify(stored),
+                userId || null,
+                generatedAt,
+                expiresAt
+            ]
+        );
+        await this.db.query(
+            'UPDATE transparency_audits SET last_run_at = $3 WHERE organization_id = $1 AND id = $2',
+            [organizationId, report.auditId, generatedAt]
+        );
+        await this.purgeExpired();
+
+        return stored;
+    }
+
+    /**
+     * Get an unexpired report
+     * @param {string} organizationId - Organization identifier
+     * @param {string} reportId - Report identifier
+     * @returns {Object|null} Report
+     */
+    async getReport(organizationId, reportId) {
+        const { rows } = await this.db.query(
+            `SELECT report FROM transparency_reports
+             WHERE organization_id = $1 AND id = $2 AND expires_at > NOW()`,
+            [organizationId, reportId]
+        );
+
+        return rows.length > 0 ? rows[0].report : null;
+    }
+
+    /**
+     * List unexpired reports of an audit, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {string} auditId - Audit identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { reports, pagination }
+     */
+    async listReports(organizationId, auditId, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const where = 'organization_id = $1 AND audit_id = $2 AND expires_at > NOW()';
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT id, audit_id, job_id, system_id, score, status, generated_by, generated_at, expires_at
+                 FROM transparency_reports WHERE ${where}
+                 ORDER BY generated_at DESC LIMIT $3 OFFSET $4`,
+                [organizationId, auditId, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM transparency_reports WHERE ${where}`, [organizationId, auditId])
+        ]);
+
+        return {
+            reports: rows.map(toReportSummary),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+
+    /**
+     * Delete expired reports
+     * @returns {number} Reports deleted
+     */
+    async purgeExpired() {
+        const { rowCount } = await this.db.query('DELETE FROM transparency_reports WHERE expires_at <= NOW()');
+
+        if (rowCount > 0) {
+            this.logger.info('Expired transparency reports purged', { reports: rowCount });
+        }
+        return rowCount;
+    }
+}
+
+module.exports = { TransparencyReports, DEFAULT_RETENTION_DAYS };
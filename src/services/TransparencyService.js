@@ -0,0 +1,798 @@
+/**
+ * VoidGuard AI Governance Suite - Algorithm Transparency Engine
+ *
+ * Algorithm audits of registered AI systems. An audit selects the analyses
+ * to run; each run is an async job whose transparency report is stored for
+ * TRANSPARENCY_REPORT_RETENTION days.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const winston = require('winston');
+const { AlgorithmMicroscopeEngine } = require('./OracleService');
+const { ModelHttpAdapter, validateEndpoint } = require('./ModelHttpAdapter');
+const { classifyAISystem } = require('./EUAIActClassifier');
+const { AISystemRegistry, toAISystem } = require('./AISystemRegistry');
+const { ValidationHistory } = require('./ValidationHistory');
+const { EvidenceStore, sha256 } = require('./EvidenceStore');
+const { AuditLog } = require('./AuditLog');
+const { AsyncJobs } = require('./AsyncJobs');
+const { TransparencyReports } = require('./TransparencyReports');
+const {
+    DEFAULT_EXPLAINABILITY_OPTIONS, toPrediction, describeFeatures, normalizeRecords, sampleRecords,
+    fitSurrogate, computeExplanations
+} = require('./ExplainabilityMetrics');
+const { parseDataset, detectDatasetFormat } = require('../utils/datasetParser');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const TRANSPARENCY_ANALYSES = ['documentation', 'aiAct', 'validation', 'microscope', 'probe'];
+const TRANSPARENCY_JOB_TYPE = 'transparency_audit';
+const EXPLAINABILITY_JOB_TYPE = 'explainability_report';
+// Safety check that explainability reports are attached to as evidence
+const TRANSPARENCY_CHECK_ID = 'transparency';
+
+// Perturbation kinds as they read in finding messages
+const PERTURBATION_LABELS = {
+    name_swap: 'names are swapped',
+    gender_swap: 'gendered terms are swapped',
+    locale_swap: 'locales are swapped',
+    paraphrase: 'inputs are paraphrased',
+    custom: 'paired inputs are swapped'
+};
+
+// Score deductions per finding severity
+const FINDING_PENALTIES = { error: 0.25, warning: 0.1, info: 0 };
+
+/**
+ * Value at a dotted path of an object
+ * @private
+ */
+function valueAt(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Keep the known fields of a probe configuration
+ * @private
+ */
+function normalizeProbe(probe) {
+    const { url, method, headers, requestTemplate, responsePath, timeoutMs } = probe.endpoint;
+
+    return {
+        endpoint: { url, method: method || 'POST', headers, requestTemplate, responsePath, timeoutMs },
+        inputs: probe.inputs || [],
+        pairs: (probe.pairs || []).map(({ original, variant }) => ({ original, variant })),
+        perturbations: probe.perturbations,
+        thresholds: probe.thresholds
+    };
+}
+
+/**
+ * Hide the header values of a probe endpoint, which may hold credentials
+ * @private
+ */
+function redactAudit(audit) {
+    if (!audit.probe || !audit.probe.endpoint.headers) return audit;
+
+    const headers = Object.fromEntries(Object.keys(audit.probe.endpoint.headers).map(name => [name, '[redacted]']));
+    return { ...audit, probe: { ...audit.probe, endpoint: { ...audit.probe.endpoint, headers } } };
+}
+
+/**
+ * Algorithm Transparency Engine - runs the analyses of an audit
+ */
+class TransparencyEngine {
+    constructor(config = {}) {
+        this.config = {
+            microscopeEnabled: config.microscopeEnabled !== undefined ?
+                config.microscopeEnabled : process.env.ALGORITHM_MICROSCOPE_ENABLED !== 'false'
+        };
+        this.microscope = config.microscope || new AlgorithmMicroscopeEngine();
+        this.logger = logger.child({ component: 'TransparencyEngine' });
+    }
+
+    /**
+     * Run analyses against an AI system
+     * @param {Object} subject - { system (registry entry), evidence, latestValidation, probe, sessionId }
+     * @param {Array<string>} analyses - Analyses to run (TRANSPARENCY_ANALYSES)
+     * @param {Function} onProgress - (progress 0-1, message) callback
+     * @returns {Object} { sections, findings, summary }
+     */
+    async analyze(subject, analyses, onProgress = async () => {}) {
+        const sections = {};
+
+        for (const [index, analysis] of analyses.entries()) {
+            await onProgress(index / analyses.length, `Running ${analysis} analysis`);
+            sections[analysis] = await this.runAnalysis(analysis, subject,
+                (value, message) => onProgress((index + value) / analyses.length, message));
+        }
+
+        const findings = Object.entries(sections).flatMap(([section, result]) =>
+            result.findings.map(finding => ({ ...finding, section }))
+        );
+
+        return { sections, findings, summary: this.summarize(findings) };
+    }
+
+    /**
+     * Run a single analysis
+     * @private
+     */
+    async runAnalysis(analysis, subject, onProgress) {
+        switch (analysis) {
+            case 'documentation':
+                return this.analyzeDocumentation(subject);
+            case 'aiAct':
+                return this.analyzeAIAct(subject);
+            case 'validation':
+                return this.analyzeValidation(subject);
+            case 'microscope':
+                return this.analyzeBehavior(subject);
+            case 'probe':
+                return this.analyzeProbe(subject, onProgress);
+            default:
+                throw new Error(`Unknown transparency analysis: ${analysis}`);
+        }
+    }
+
+    /**
+     * Documentation an operator needs to explain the system's decisions
+     * @private
+     */
+    analyzeDocumentation({ system, evidence }) {
+        const definition = system.definition || {};
+        const modelCards = evidence.filter(item => item.kind === 'model_card');
+        const explainabilityReports = evidence.filter(item => item.checkId === TRANSPARENCY_CHECK_ID && item.kind === 'report');
+        const findings = [];
+
+        if (!valueAt(definition, 'explainability.enabled')) {
+            findings.push({
+                type: 'error',
+                message: 'Decisions are not explainable',
+                action: 'Provide explanations of individual decisions (explainability.enabled)'
+            });
+        } else if (explainabilityReports.length === 0) {
+            findings.push({
+                type: 'info',
+                message: 'Explainability is declared but no explainability report is attached',
+                action: 'Generate an explainability report from the model\'s predictions'
+            });
+        }
+        if (!definition.decisionLogging) {
+            findings.push({
+                type: 'warning',
+                message: 'Decisions are not logged',
+                action: 'Log inputs, outputs and model version for each decision (decisionLogging)'
+            });
+        }
+        if (!definition.modelDocumentation && modelCards.length === 0) {
+            findings.push({
+                type: 'warning',
+                message: 'Model is not documented',
+                action: 'Attach a model card as model_card evidence'
+            });
+        } else if (modelCards.length === 0) {
+            findings.push({
+                type: 'info',
+                message: 'Model documentation is declared but no model card is attached',
+                action: 'Attach the model card as model_card evidence'
+            });
+        }
+        if (!system.dataSources || system.dataSources.length === 0) {
+            findings.push({
+                type: 'warning',
+                message: 'Data sources are not documented',
+                action: 'Record the training and input data sources of the system'
+            });
+        }
+        if (!system.modelVersion) {
+            findings.push({
+                type: 'info',
+                message: 'Model version is not recorded',
+                action: 'Record the deployed model version so reports can be traced to it'
+            });
+        }
+
+        return {
+            explainability: Boolean(valueAt(definition, 'explainability.enabled')),
+            decisionLogging: Boolean(definition.decisionLogging),
+            modelDocumentation: Boolean(definition.modelDocumentation),
+            modelCards: modelCards.map(item => ({ evidenceId: item.id, filename: item.filename, sha256: item.sha256 })),
+            explainabilityReports: explainabilityReports.map(item => ({
+                evidenceId: item.id, filename: item.filename, sha256: item.sha256
+            })),
+            dataSources: system.dataSources || [],
+            owner: system.owner || null,
+            modelVersion: system.modelVersion || null,
+            findings
+        };
+    }
+
+    /**
+     * EU AI Act tier and the status of its obligations
+     * @private
+     */
+    analyzeAIAct({ system }) {
+        const classification = classifyAISystem(toAISystem(system));
+        const binding = ['prohibited', 'high'].includes(classification.tier);
+        const findings = [];
+
+        if (classification.tier === 'prohibited') {
+            findings.push({
+                type: 'error',
+                message: 'System falls under a prohibited AI practice',
+                action: 'Withdraw the system or change its purpose'
+            });
+        }
+        classification.obligations.forEach(obligation => {
+            if (obligation.status === 'unmet') {
+                findings.push({
+                    type: binding ? 'error' : 'warning',
+                    message: `${obligation.article}: ${obligation.requirement}`,
+                    action: `Meet the ${obligation.article} obligation`
+                });
+            } else if (obligation.status === 'not_assessed') {
+                findings.push({
+                    type: 'info',
+                    message: `${obligation.article}: ${obligation.requirement} (not assessed)`,
+                    action: 'Document how the obligation is met'
+                });
+            }
+        });
+        if (classification.confidence === 'incomplete') {
+            findings.push({
+                type: 'info',
+                message: 'Classification is based on an incomplete definition',
+                action: 'Declare the purpose, domain and deployment of the system'
+            });
+        }
+
+        return {
+            tier: classification.tier,
+            label: classification.label,
+            confidence: classification.confidence,
+            obligations: classification.obligations,
+            findings
+        };
+    }
+
+    /**
+     * Transparency check of the latest safety validation
+     * @private
+     */
+    analyzeValidation({ latestValidation }) {
+        if (!latestValidation) {
+            return {
+                validationId: null,
+                findings: [{
+                    type: 'warning',
+                    message: 'System has never been validated',
+                    action: 'Validate the system to assess its transparency controls'
+                }]
+            };
+        }
+
+        const check = latestValidation.result.safetyChecks.transparency;
+        const findings = [];
+        if (!check) {
+            findings.push({
+                type: 'info',
+                message: 'Latest validation did not run the transparency check',
+                action: 'Enable the transparency check for the organization'
+            });
+        } else if (check.status !== 'pass') {
+            findings.push({
+                type: check.status === 'fail' ? 'error' : 'warning',
+                message: `Latest validation scored transparency ${Math.round(check.score * 100) / 100} (${check.status})`,
+                action: 'Address the transparency findings of the latest validation'
+            });
+        }
+
+        return {
+            validationId: latestValidation.validationId,
+            validatedAt: latestValidation.validatedAt,
+            safetyStatus: latestValidation.safetyStatus,
+            complianceScore: latestValidation.complianceScore,
+            transparency: check ? { score: check.score, status: check.status, checks: check.checks } : null,
+            findings
+        };
+    }
+
+    /**
+     * Algorithm Microscope pattern analysis of the system's stated behavior
+     * @private
+     */
+    async analyzeBehavior({ system, sessionId }) {
+        if (!this.config.microscopeEnabled) {
+            return {
+                skipped: true,
+                findings: [{ type: 'info', message: 'Algorithm Microscope is disabled (ALGORITHM_MICROSCOPE_ENABLED)' }]
+            };
+        }
+
+        const statement = [system.name, system.purpose, system.description].filter(Boolean).join('. ');
+        const { analysis, timestamp } = await this.microscope.analyzePatterns(statement, { sessionId });
+        const findings = [];
+
+        if (analysis.stability === 'turbulent') {
+            findings.push({
+                type: 'warning',
+                message: `System behavior is described as unpredictable (turbulence ${analysis.turbulenceCoefficient})`,
+                action: 'Document the conditions under which outputs vary'
+            });
+        }
+
+        return { sessionId, analyzedAt: timestamp, ...analysis, findings };
+    }
+
+    /**
+     * Black-box probe of the model behind the audit's endpoint
+     * @private
+     */
+    async analyzeProbe({ probe, sessionId }, onProgress) {
+        const adapter = new ModelHttpAdapter(probe.endpoint);
+        const { analysis, timestamp } = await this.microscope.probeBehavior(adapter, probe, { sessionId, onProgress });
+        const findings = [];
+
+        if (analysis.probes.length === 0) {
+            findings.push({
+                type: 'error',
+                message: analysis.failures.length > 0 ?
+                    `Model endpoint could not be probed: ${analysis.failures[0].error}` :
+                    'No perturbation applied to the probe inputs',
+                action: analysis.failures.length > 0 ?
+                    'Check the endpoint configuration and that the model is reachable' :
+                    'Add inputs containing names, gendered terms or locales, or explicit pairs'
+            });
+        } else if (analysis.failures.length > 0) {
+            findings.push({
+                type: 'info',
+                message: `${analysis.failures.length} probe pairs failed and were not measured`,
+                action: 'Check the endpoint logs for the failed inputs'
+            });
+        }
+        analysis.probes.filter(result => result.diverged > 0).forEach(result => {
+            findings.push({
+                type: result.counterfactual ? 'error' : 'warning',
+                message: `Outputs change when ${PERTURBATION_LABELS[result.kind]} ` +
+                    `(${result.diverged} of ${result.pairs} pairs above ${result.threshold}, max divergence ${result.maxDivergence})`,
+                action: result.counterfactual ?
+                    'Investigate why a protected attribute changes the model output' :
+                    'Improve robustness of the model to rewording of inputs',
+                perturbation: result.kind
+            });
+        });
+
+        return { sessionId, analyzedAt: timestamp, endpoint: adapter.url, ...analysis, findings };
+    }
+
+    /**
+     * Score and status of a report
+     * @private
+     */
+    summarize(findings) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        findings.forEach(finding => {
+            counts[finding.type] = (counts[finding.type] || 0) + 1;
+        });
+        const penalty = findings.reduce((total, finding) => total + (FINDING_PENALTIES[finding.type] || 0), 0);
+        const score = Math.round(Math.max(1 - penalty, 0) * 100) / 100;
+
+        return {
+            score,
+            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail',
+            errors: counts.error,
+            warnings: counts.warning,
+            info: counts.info
+        };
+    }
+}
+
+/**
+ * Transparency Service - audits, runs and reports
+ */
+class TransparencyService {
+    constructor(config = {}) {
+        const { systemRegistry, validationHistory, evidence, auditLog, jobs, reports, ...settings } = config;
+
+        this.config = {
+            auditEnabled: settings.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
+            ...settings
+        };
+        this.engine = new TransparencyEngine(settings);
+        this.systemRegistry = systemRegistry || new AISystemRegistry();
+        this.validationHistory = validationHistory || new ValidationHistory();
+        this.evidence = evidence || new EvidenceStore();
+        this.auditLog = auditLog || new AuditLog();
+        this.jobs = jobs || new AsyncJobs();
+        this.reports = reports || new TransparencyReports();
+        this.logger = logger.child({ component: 'TransparencyService' });
+    }
+
+    /**
+     * Record an audit event when auditing is enabled
+     * @private
+     */
+    async audit(event) {
+        if (this.config.auditEnabled) {
+            await this.auditLog.append(event);
+        }
+    }
+
+    /**
+     * Register an algorithm audit of a registered AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} audit - { name, description, systemId, analyses, probe }
+     * @param {string} userId - Registering user
+     * @returns {Object} { audit, error }
+     */
+    async registerAudit(organizationId, audit, userId) {
+        const system = await this.systemRegistry.get(organizationId, audit.systemId);
+        if (!system) {
+            return { audit: null, error: `AI system ${audit.systemId} is not registered` };
+        }
+
+        const probe = audit.probe ? normalizeProbe(audit.probe) : null;
+        // The probe analysis needs an endpoint; it runs by default only when one is configured
+        const analyses = audit.analyses && audit.analyses.length > 0 ?
+            [...new Set(audit.analyses)] :
+            TRANSPARENCY_ANALYSES.filter(analysis => analysis !== 'probe' || probe);
+        if (analyses.includes('probe') && !probe) {
+            return { audit: null, error: 'The probe analysis requires a probe configuration' };
+        }
+        if (probe) {
+            const endpointError = validateEndpoint(probe.endpoint);
+            if (endpointError) {
+                return { audit: null, error: endpointError };
+            }
+        }
+
+        const registered = await this.reports.registerAudit(organizationId, { ...audit, analyses, probe }, userId);
+
+        await this.audit({
+            type: 'transparency_audit_registered',
+            organizationId,
+            userId,
+            systemId: registered.systemId,
+            auditId: registered.id,
+            analyses: registered.analyses
+        });
+
+        return { audit: redactAudit(registered), error: null };
+    }
+
+    /**
+     * List algorithm audits
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { audits, pagination }
+     */
+    async listAudits(organizationId, filters = {}, pagination = {}) {
+        const { audits, pagination: meta } = await this.reports.listAudits(organizationId, filters, pagination);
+
+        return { audits: audits.map(redactAudit), pagination: meta };
+    }
+
+    /**
+     * Get an algorithm audit
+     * @param {string} organizationId - Organization identifier
+     * @param {string} auditId - Audit identifier
+     * @returns {Object|null} Audit
+     */
+    async getAudit(organizationId, auditId) {
+        const audit = await this.reports.getAudit(organizationId, auditId);
+
+        return audit ? redactAudit(audit) : null;
+    }
+
+    /**
+     * Start a run of an audit as an async job
+     * @param {string} organizationId - Organization identifier
+     * @param {string} auditId - Audit identifier
+     * @param {string} userId - Requesting user
+     * @returns {Object|null} Job, or null when the audit does not exist
+     */
+    async startAuditRun(organizationId, auditId, userId) {
+        const audit = await this.reports.getAudit(organizationId, auditId);
+        if (!audit) return null;
+
+        const job = await this.jobs.create(organizationId, {
+            type: TRANSPARENCY_JOB_TYPE,
+            params: { auditId, systemId: audit.systemId, analyses: audit.analyses }
+        }, userId);
+
+        this.jobs.run(job, ({ progress }) => this.runAudit(organizationId, audit, job, userId, progress));
+
+        return job;
+    }
+
+    /**
+     * Run an audit and store its report
+     * @private
+     */
+    async runAudit(organizationId, audit, job, userId, progress) {
+        const system = await this.systemRegistry.get(organizationId, audit.systemId);
+        if (!system) {
+            throw new Error(`AI system ${audit.systemId} is no longer registered`);
+        }
+
+        const [evidence, { validations }] = await Promise.all([
+            this.evidence.list(organizationId, { systemId: system.id }),
+            this.validationHistory.listForSystem(organizationId, system.id, { limit: 1 })
+        ]);
+        const latestValidation = validations.length > 0 ?
+            await this.validationHistory.get(organizationId, validations[0].validationId) : null;
+
+        const { sections, findings, summary } = await this.engine.analyze(
+            { system, evidence, latestValidation, probe: audit.probe, sessionId: job.id },
+            audit.analyses,
+            progress
+        );
+
+        const report = await this.reports.recordReport(organizationId, {
+            auditId: audit.id,
+            jobId: job.id,
+            systemId: system.id,
+            system: { id: system.id, name: system.name, type: system.type, modelVersion: system.modelVersion || null },
+            analyses: audit.analyses,
+            summary,
+            sections,
+            findings
+        }, userId);
+
+        await this.audit({
+            type: 'transparency_report_generated',
+            organizationId,
+            userId,
+            systemId: system.id,
+            auditId: audit.id,
+            reportId: report.id,
+            score: summary.score,
+            status: summary.status
+        });
+
+        this.logger.info('Transparency audit completed', {
+            organizationId,
+            auditId: audit.id,
+            reportId: report.id,
+            score: summary.score
+        });
+
+        return { reportId: report.id, reportUrl: `/api/v1/transparency/reports/${report.id}`, summary };
+    }
+
+    /**
+     * Start an explainability report as an async job
+     *
+     * The dataset holds the features of the instances to explain. Predictions
+     * come from the model's endpoint when one is given, otherwise from a
+     * surrogate fitted to the dataset's prediction column. The report is
+     * attached as evidence to the system's transparency check.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} request - { systemId, filename, contentType, content, predictionColumn, labelColumn,
+     *                             features, positiveLabel, decisionThreshold, endpoint }
+     * @param {string} userId - Requesting user
+     * @returns {Object} { job, error }
+     */
+    async startExplainabilityReport(organizationId, request, userId) {
+        const system = await this.systemRegistry.get(organizationId, request.systemId);
+        if (!system) {
+            return { job: null, error: `AI system ${request.systemId} is not registered` };
+        }
+        if (request.endpoint) {
+            const endpointError = validateEndpoint(request.endpoint);
+            if (endpointError) {
+                return { job: null, error: endpointError };
+            }
+        }
+
+        const format = detectDatasetFormat(request.filename);
+        if (!format) {
+            return { job: null, error: 'Prediction datasets must be .csv or .jsonl files' };
+        }
+        let records;
+        try {
+            records = parseDataset(request.content, format);
+        } catch (error) {
+            return { job: null, error: `Dataset could not be parsed: ${error.message}` };
+        }
+        if (records.length === 0) {
+            return { job: null, error: 'Dataset contains no records' };
+        }
+
+        const columns = Object.keys(records[0]);
+        const { predictionColumn, labelColumn } = request;
+        if (!request.endpoint && !columns.includes(predictionColumn)) {
+            return { job: null, error: `Dataset has no ${predictionColumn} column and no endpoint was given` };
+        }
+        const requested = request.features && request.features.length > 0 ? request.features :
+            columns.filter(column => ![predictionColumn, labelColumn].includes(column));
+        const unknown = requested.filter(feature => !columns.includes(feature));
+        if (unknown.length > 0) {
+            return { job: null, error: `Dataset has no feature column: ${unknown.join(', ')}` };
+        }
+
+        const sample = sampleRecords(records, request.endpoint ?
+            DEFAULT_EXPLAINABILITY_OPTIONS.endpointSampleSize : DEFAULT_EXPLAINABILITY_OPTIONS.sampleSize);
+        const { features, skipped } = describeFeatures(sample, requested);
+        if (features.length === 0) {
+            return { job: null, error: 'Dataset has no usable feature columns' };
+        }
+
+        const job = await this.jobs.create(organizationId, {
+            type: EXPLAINABILITY_JOB_TYPE,
+            params: {
+                systemId: system.id,
+                mode: request.endpoint ? 'endpoint' : 'dataset',
+                rows: records.length,
+                features: features.map(feature => feature.name)
+            }
+        }, userId);
+
+        this.jobs.run(job, ({ progress }) => this.runExplainabilityReport(organizationId, {
+            ...request, system, format, rows: records.length, sample, features, skipped
+        }, userId, progress));
+
+        return { job, error: null };
+    }
+
+    /**
+     * Compute an explainability report and attach it as evidence
+     * @private
+     */
+    async runExplainabilityReport(organizationId, request, userId, progress) {
+        const { system, sample, features, positiveLabel } = request;
+        const decisionThreshold = request.decisionThreshold ?? DEFAULT_EXPLAINABILITY_OPTIONS.decisionThreshold;
+        // Only the features are explained (and sent to an endpoint)
+        const instances = normalizeRecords(sample, features)
+            .map(record => Object.fromEntries(features.map(feature => [feature.name, record[feature.name]])));
+
+        let predict;
+        let surrogate = null;
+        if (request.endpoint) {
+            const adapter = new ModelHttpAdapter(request.endpoint);
+            const cache = new Map();
+            predict = async (batch) => {
+                const predictions = [];
+                for (const record of batch) {
+                    const key = JSON.stringify(record);
+                    if (!cache.has(key)) cache.set(key, toPrediction(await adapter.invoke(record), positiveLabel));
+                    predictions.push(cache.get(key));
+                }
+                return predictions;
+            };
+        } else {
+            const targets = sample.map(record => toPrediction(record[request.predictionColumn], positiveLabel));
+            ({ predict, description: surrogate } = fitSurrogate(instances, targets, features, decisionThreshold));
+        }
+
+        const explanations = await computeExplanations(instances, features, predict, { decisionThreshold, onProgress: progress });
+        const generatedAt = new Date().toISOString();
+        const content = Buffer.from(JSON.stringify({
+            type: 'explainability_report',
+            systemId: system.id,
+            system: { id: system.id, name: system.name, modelVersion: system.modelVersion || null },
+            source: request.endpoint ?
+                { mode: 'endpoint', endpoint: request.endpoint.url } :
+                { mode: 'dataset', predictionColumn: request.predictionColumn, surrogate },
+            dataset: {
+                filename: request.filename,
+                sha256: sha256(request.content),
+                format: request.format,
+                rows: request.rows,
+                explained: instances.length
+            },
+            settings: { decisionThreshold, positiveLabel: positiveLabel || null, seed: DEFAULT_EXPLAINABILITY_OPTIONS.seed },
+            features: features.map(({ name, type }) => ({ name, type })),
+            skippedFeatures: request.skipped,
+            ...explanations,
+            generatedBy: userId || null,
+            generatedAt
+        }, null, 2));
+
+        const evidence = await this.evidence.attach(organizationId, {
+            systemId: system.id,
+            checkId: TRANSPARENCY_CHECK_ID,
+            kind: 'report',
+            description: `Explainability report (${request.endpoint ? 'model endpoint' : 'prediction dataset'}, ${features.length} features)`,
+            filename: `explainability-report-${generatedAt.slice(0, 10)}.json`,
+            contentType: 'application/json',
+            content
+        }, userId);
+
+        await this.audit({
+            type: 'explainability_report_generated',
+            organizationId,
+            userId,
+            systemId: system.id,
+            evidenceId: evidence.id,
+            sha256: evidence.sha256,
+            features: features.length,
+            explained: instances.length
+        });
+
+        return {
+            evidenceId: evidence.id,
+            sha256: evidence.sha256,
+            contentUrl: `/api/v1/dashboard/evidence/${evidence.id}/content`,
+            topFeatures: explanations.permutationImportance.slice(0, 3),
+            counterfactualsFound: explanations.counterfactuals.filter(result => result.counterfactual).length,
+            surrogate
+        };
+    }
+
+    /**
+     * Get a transparency job (audit run or explainability report)
+     * @param {string} organizationId - Organization identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} Job
+     */
+    async getJob(organizationId, jobId) {
+        return this.jobs.get(organizationId, jobId, { type: [TRANSPARENCY_JOB_TYPE, EXPLAINABILITY_JOB_TYPE] });
+    }
+
+    /**
+     * List the unexpired reports of an audit
+     * @param {string} organizationId - Organization identifier
+     * @param {string} auditId - Audit identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object|null} { reports, pagination }, or null when the audit does not exist
+     */
+    async listReports(organizationId, auditId, pagination = {}) {
+        const audit = await this.reports.getAudit(organizationId, auditId);
+        if (!audit) return null;
+
+        return this.reports.listReports(organizationId, auditId, pagination);
+    }
+
+    /**
+     * Get an unexpired transparency report
+     * @param {string} organizationId - Organization identifier
+     * @param {string} reportId - Report identifier
+     * @returns {Object|null} Report
+     */
+    async getReport(organizationId, reportId) {
+        return this.reports.getReport(organizationId, reportId);
+    }
+
+    /**
+     * Get service health status
+     * @returns {Object} Health status
+     */
+    getHealthStatus() {
+        return {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            config: {
+                analyses: TRANSPARENCY_ANALYSES,
+                microscopeEnabled: this.engine.config.microscopeEnabled,
+                reportRetentionDays: this.reports.retentionDays,
+                auditEnabled: this.config.auditEnabled
+            },
+            version: '1.0.0'
+        };
+    }
+}
+
+module.exports = {
+    TransparencyService,
+    TransparencyEngine,
+    TRANSPARENCY_ANALYSES,
+    TRANSPARENCY_JOB_TYPE,
+    EXPLAINABILITY_JOB_TYPE
+};
@@ -0,0 +1,151 @@
+/**
+ * VoidGuard AI Governance Suite - Validation Diff
+ *
+ * Compares two stored safety validations of the same AI system: overall and
+ * per-category score deltas, categories whose status flipped, findings that
+ * were introduced or resolved, and risk level / AI Act tier changes.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Identity of a finding across validations
+ * Policy findings are keyed by rule id and regulatory findings by control,
+ * anything else by its message.
+ * @param {string} category - Safety check id
+ * @param {Object} finding - Finding (ruleId, framework, controlId, message)
+ * @returns {string} Finding key
+ */
+function findingKey(category, finding) {
+    if (finding.ruleId) return `${category}:rule:${finding.ruleId}`;
+    if (finding.controlId) return `${category}:control:${finding.framework}:${finding.controlId}`;
+    return `${category}:message:${finding.message}`;
+}
+
+/**
+ * Index the findings of a validation result by key
+ * @private
+ */
+function indexFindings(safetyChecks) {
+    const findings = new Map();
+
+    Object.entries(safetyChecks).forEach(([category, check]) => {
+        check.checks.forEach(finding => {
+            findings.set(findingKey(category, finding), { category, ...finding });
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * Direction of a change on an ordered scale
+ * @private
+ */
+function direction(from, to, scale) {
+    const delta = scale.indexOf(to) - scale.indexOf(from);
+    return delta > 0 ? 'increased' : delta < 0 ? 'decreased' : 'unchanged';
+}
+
+/**
+ * Compare per-category check results
+ * @private
+ */
+function diffCategories(fromChecks, toChecks) {
+    const categories = [...new Set([...Object.keys(fromChecks), ...Object.keys(toChecks)])];
+
+    return categories.map(category => {
+        const from = fromChecks[category] || null;
+        const to = toChecks[category] || null;
+
+        return {
+            category,
+            change: !from ? 'added' : !to ? 'removed' : 'compared',
+            from: from && { status: from.status, score: from.score },
+            to: to && { status: to.status, score: to.score },
+            statusChanged: Boolean(from && to && from.status !== to.status),
+            scoreDelta: from && to ? to.score - from.score : null
+        };
+    });
+}
+
+/**
+ * Compare the findings of two validation results
+ * @private
+ */
+function diffFindings(fromChecks, toChecks) {
+    const fromFindings = indexFindings(fromChecks);
+    const toFindings = indexFindings(toChecks);
+
+    const added = [...toFindings.entries()]
+        .filter(([key]) => !fromFindings.has(key))
+        .map(([, finding]) => finding);
+    const resolved = [...fromFindings.entries()]
+        .filter(([key]) => !toFindings.has(key))
+        .map(([, finding]) => finding);
+    const severityChanged = [...toFindings.entries()]
+        .filter(([key, finding]) => fromFindings.has(key) && fromFindings.get(key).type !== finding.type)
+        .map(([key, finding]) => ({ ...finding, previousType: fromFindings.get(key).type }));
+
+    return { added, resolved, severityChanged };
+}
+
+/**
+ * Diff two validation records of the same AI system
+ * @param {Object} from - Earlier (baseline) validation record
+ * @param {Object} to - Later validation record
+ * @returns {Object} Validation diff
+ */
+function diffValidations(from, to) {
+    const fromResult = from.result;
+    const toResult = to.result;
+
+    const categories = diffCategories(fromResult.safetyChecks, toResult.safetyChecks);
+    const findings = diffFindings(fromResult.safetyChecks, toResult.safetyChecks);
+
+    const fromRisk = fromResult.riskAssessment;
+    const toRisk = toResult.riskAssessment;
+
+    return {
+        systemId: to.systemId,
+        from: { validationId: from.validationId, validatedAt: from.validatedAt, validatedBy: from.validatedBy },
+        to: { validationId: to.validationId, validatedAt: to.validatedAt, validatedBy: to.validatedBy },
+        overall: {
+            from: { complianceScore: fromResult.complianceScore, safetyStatus: fromResult.safetyStatus },
+            to: { complianceScore: toResult.complianceScore, safetyStatus: toResult.safetyStatus },
+            scoreDelta: toResult.complianceScore - fromResult.complianceScore,
+            statusChanged: fromResult.safetyStatus !== toResult.safetyStatus
+        },
+        risk: {
+            from: fromRisk.level,
+            to: toRisk.level,
+            changed: fromRisk.level !== toRisk.level,
+            direction: direction(fromRisk.level, toRisk.level, RISK_LEVELS),
+            criticalFailuresDelta: toRisk.criticalFailures - fromRisk.criticalFailures,
+            warningsDelta: toRisk.warnings - fromRisk.warnings
+        },
+        aiActTier: {
+            from: fromResult.aiActClassification.tier,
+            to: toResult.aiActClassification.tier,
+            changed: fromResult.aiActClassification.tier !== toResult.aiActClassification.tier
+        },
+        categories,
+        statusChanges: categories
+            .filter(category => category.statusChanged)
+            .map(({ category, from: previous, to: current }) => ({ category, from: previous.status, to: current.status })),
+        findings,
+        summary: {
+            categoriesChanged: categories.filter(category => category.statusChanged || category.change !== 'compared').length,
+            findingsAdded: findings.added.length,
+            findingsResolved: findings.resolved.length,
+            regressed: toResult.complianceScore < fromResult.complianceScore ||
+                direction(fromRisk.level, toRisk.level, RISK_LEVELS) === 'increased' ||
+                (fromResult.safetyStatus === 'compliant' && toResult.safetyStatus !== 'compliant')
+        }
+    };
+}
+
+module.exports = { diffValidations, findingKey, RISK_LEVELS };
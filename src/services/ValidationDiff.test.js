@@ -0,0 +1,91 @@
+const { diffValidations, findingKey } = require('./ValidationDiff');
+
+function validation(validationId, { complianceScore, safetyStatus, riskLevel, tier = 'minimal', safetyChecks }) {
+    return {
+        validationId,
+        systemId: 'system-1',
+        validatedAt: '2026-01-01T00:00:00.000Z',
+        validatedBy: 'user-1',
+        result: {
+            complianceScore,
+            safetyStatus,
+            riskAssessment: { level: riskLevel, criticalFailures: 0, warnings: 0 },
+            aiActClassification: { tier },
+            safetyChecks
+        }
+    };
+}
+
+describe('findingKey', () => {
+    test('keys policy findings by rule, regulatory findings by control and others by message', () => {
+        expect(findingKey('privacy', { ruleId: 'encryption', message: 'x' })).toBe('privacy:rule:encryption');
+        expect(findingKey('regulatory', { framework: 'gdpr', controlId: 'art-35', message: 'x' }))
+            .toBe('regulatory:control:gdpr:art-35');
+        expect(findingKey('bias', { message: 'No bias testing' })).toBe('bias:message:No bias testing');
+    });
+});
+
+describe('diffValidations', () => {
+    const before = validation('v1', {
+        complianceScore: 0.9,
+        safetyStatus: 'compliant',
+        riskLevel: 'low',
+        safetyChecks: {
+            privacy: { status: 'pass', score: 1, checks: [] },
+            bias: {
+                status: 'warning',
+                score: 0.7,
+                checks: [
+                    { type: 'warning', ruleId: 'bias-testing', message: 'No bias testing' },
+                    { type: 'info', ruleId: 'fairness-metrics', message: 'No fairness metrics' }
+                ]
+            }
+        }
+    });
+    const after = validation('v2', {
+        complianceScore: 0.6,
+        safetyStatus: 'non_compliant',
+        riskLevel: 'medium',
+        tier: 'high',
+        safetyChecks: {
+            privacy: { status: 'fail', score: 0.3, checks: [{ type: 'error', ruleId: 'encryption', message: 'No encryption' }] },
+            bias: { status: 'warning', score: 0.7, checks: [{ type: 'error', ruleId: 'fairness-metrics', message: 'No fairness metrics' }] },
+            transparency: { status: 'pass', score: 1, checks: [] }
+        }
+    });
+
+    test('reports score, status, risk and tier changes', () => {
+        const diff = diffValidations(before, after);
+
+        expect(diff.overall.scoreDelta).toBeCloseTo(-0.3);
+        expect(diff.overall.statusChanged).toBe(true);
+        expect(diff.risk.direction).toBe('increased');
+        expect(diff.aiActTier).toEqual({ from: 'minimal', to: 'high', changed: true });
+        expect(diff.summary.regressed).toBe(true);
+    });
+
+    test('compares categories, including added ones', () => {
+        const diff = diffValidations(before, after);
+
+        expect(diff.statusChanges).toEqual([{ category: 'privacy', from: 'pass', to: 'fail' }]);
+        expect(diff.categories.find(category => category.category === 'transparency').change).toBe('added');
+        expect(diff.summary.categoriesChanged).toBe(2);
+    });
+
+    test('reports introduced, resolved and re-graded findings', () => {
+        const { findings } = diffValidations(before, after);
+
+        expect(findings.added.map(finding => finding.ruleId)).toEqual(['encryption']);
+        expect(findings.resolved.map(finding => finding.ruleId)).toEqual(['bias-testing']);
+        expect(findings.severityChanged).toEqual([
+            expect.objectContaining({ ruleId: 'fairness-metrics', type: 'error', previousType: 'info' })
+        ]);
+    });
+
+    test('does not report an improvement as a regression', () => {
+        const diff = diffValidations(after, before);
+
+        expect(diff.risk.direction).toBe('decreased');
+        expect(diff.summary.regressed).toBe(false);
+    });
+});
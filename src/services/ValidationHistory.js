@@ -0,0 +1,230 @@
+/**
+ * VoidGuard AI Governance Suite - Validation History
+ *
+ * Stores every safety validation with the AI system snapshot and context it
+ * was run against (data/migrations/002_create_ai_systems.sql), so results can
+ * be listed per system, compared and re-scored.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const SUMMARY_COLUMNS = `validation_id, system_id, validated_at, validated_by, compliance_score,
+    safety_status, risk_level, ai_act_tier`;
+
+/**
+ * Map a safety_validations row to a history summary
+ * @private
+ */
+function toSummary(row) {
+    return {
+        validationId: row.validation_id,
+        systemId: row.system_id,
+        validatedAt: new Date(row.validated_at).toISOString(),
+        validatedBy: row.validated_by,
+        complianceScore: Number(row.compliance_score),
+        safetyStatus: row.safety_status,
+        riskLevel: row.risk_level,
+        aiActTier: row.ai_act_tier
+    };
+}
+
+/**
+ * Map a safety_validations row to a full record
+ * @private
+ */
+function toRecord(row) {
+    return {
+        ...toSummary(row),
+        organizationId: row.organization_id,
+        aiSystem: row.system_snapshot,
+        context: row.context,
+        result: row.result
+    };
+}
+
+class ValidationHistory {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'ValidationHistory' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Store a validation
+     * @param {Object} record - { organizationId, validatedBy, aiSystem, context, result }
+     */
+    async record({ organizationId, validatedBy, aiSystem, context = {}, result }) {
+        await this.db.query(
+            `INSERT INTO safety_validations
+                (validation_id, organization_id, system_id, validated_at, validated_by, compliance_score,
+                 safety_status, risk_level, ai_act_tier, system_snapshot, context, result)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [
+                result.validationId,
+                organizationId,
+                aiSystem.id,
+                result.timestamp,
+                validatedBy || null,
+                result.complianceScore,
+                result.safetyStatus,
+                result.riskAssessment.level,
+                result.aiActClassification.tier,
+                JSON.stringify(aiSystem),
+                JSON.stringify(context),
+                JSON.stringify(result)
+            ]
+        );
+
+        this.logger.debug('Validation recorded', {
+            validationId: result.validationId,
+            organizationId,
+            systemId: aiSystem.id
+        });
+    }
+
+    /**
+     * Get a validation by id
+     * @param {string} organizationId - Organization identifier
+     * @param {string} validationId - Validation identifier
+     * @returns {Object|null} Validation record
+     */
+    async get(organizationId, validationId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM safety_validations WHERE organization_id = $1 AND validation_id = $2',
+            [organizationId, validationId]
+        );
+
+        return rows.length > 0 ? toRecord(rows[0]) : null;
+    }
+
+    /**
+     * List validations of a system, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { validations, pagination }
+     */
+    async listForSystem(organizationId, systemId, pagination = {}) {
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT ${SUMMARY_COLUMNS} FROM safety_validations WHERE organization_id = $1 AND system_id = $2
+                 ORDER BY validated_at DESC LIMIT $3 OFFSET $4`,
+                [organizationId, systemId, limit, (page - 1) * limit]
+            ),
+            this.db.query(
+                'SELECT COUNT(*)::int AS total FROM safety_validations WHERE organization_id = $1 AND system_id = $2',
+                [organizationId, systemId]
+            )
+        ]);
+
+        return {
+            validations: rows.map(toSummary),
+            pagination: {
+                page,
+                limit,
+                total,
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Latest validation of each system in an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} options - Options
+     * @param {boolean} options.summaryOnly - Omit snapshot, context and result
+     * @returns {Array} Validation records
+     */
+    async getLatestPerSystem(organizationId, options = {}) {
+        const { rows } = await this.db.query(
+            `SELECT DISTINCT ON (system_id) ${options.summaryOnly ? SUMMARY_COLUMNS : '*'} FROM safety_validations
+             WHERE organization_id = $1
+             ORDER BY system_id, validated_at DESC`,
+            [organizationId]
+        );
+
+        return rows.map(options.summaryOnly ? toSummary : toRecord);
+    }
+
+    /**
+     * Validations of an organization in a time range, oldest first, with the
+     * status and score of their safety checks
+     *
+     * Pages are keyed by the last validation of the previous page, so a range
+     * of any size can be scanned without OFFSET.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - startDate (inclusive), endDate (exclusive), systemId, and the
+     *   owner and lifecycleState of the registered system
+     * @param {Object} page - { after: last validation of the previous page, limit }
+     * @returns {Array} Validation summaries with safetyChecks
+     */
+    async scanRange(organizationId, filters, page = {}) {
+        const conditions = ['v.organization_id = $1', 'v.validated_at >= $2', 'v.validated_at < $3'];
+        const params = [organizationId, filters.startDate.toISOString(), filters.endDate.toISOString()];
+        const registryFilter = Boolean(filters.owner || filters.lifecycleState);
+
+        [['systemId', 'v.system_id'], ['owner', 's.owner'], ['lifecycleState', 's.lifecycle_state']].forEach(([filter, column]) => {
+            if (filters[filter]) {
+                params.push(filters[filter]);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        });
+        if (page.after) {
+            params.push(page.after.validatedAt, page.after.validationId);
+            const [at, id] = [`$${params.length - 1}`, `$${params.length}`];
+            conditions.push(`(v.validated_at > ${at} OR (v.validated_at = ${at} AND v.validation_id > ${id}))`);
+        }
+        params.push(page.limit || 500);
+
+        const { rows } = await this.db.query(
+            `SELECT v.validation_id, v.system_id, v.validated_at, v.validated_by, v.compliance_score,
+                    v.safety_status, v.risk_level, v.ai_act_tier, v.result->'safetyChecks' AS safety_checks
+             FROM safety_validations v
+             ${registryFilter ? 'JOIN ai_systems s ON s.organization_id = v.organization_id AND s.id = v.system_id' : ''}
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY v.validated_at ASC, v.validation_id ASC
+             LIMIT $${params.length}`,
+            params
+        );
+
+        return rows.map(row => ({ ...toSummary(row), safetyChecks: row.safety_checks || {} }));
+    }
+}
+
+module.exports = { ValidationHistory };
@@ -10,6 +10,29 @@
 
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { createDefaultRegistry, buildCheckResult } = require('./SafetyCheckRegistry');
+const { SafetyCheckSettings } = require('./SafetyCheckSettings');
+const { GovernancePolicies } = require('./GovernancePolicies');
+const { classifyAISystem } = require('./EUAIActClassifier');
+const { parsePolicy, validatePolicy, compilePolicy } = require('./PolicyEngine');
+const { AuditLog } = require('./AuditLog');
+const { ValidationHistory } = require('./ValidationHistory');
+const { AISystemRegistry, toAISystem } = require('./AISystemRegistry');
+const { diffValidations, findingKey } = require('./ValidationDiff');
+const { CheckWaivers } = require('./CheckWaivers');
+const { RemediationTracker } = require('./RemediationTracker');
+const { EvidenceStore } = require('./EvidenceStore');
+const { FairnessEvaluations } = require('./FairnessEvaluations');
+const { publishEvent } = require('./GovernanceEvents');
+const {
+    FAIRNESS_CHECK_ID, resolveFairnessThresholds, computeFairnessMetrics, assessFairness
+} = require('./FairnessMetrics');
+const { parseDataset, detectDatasetFormat } = require('../utils/datasetParser');
+const { createZipArchive } = require('../utils/zipArchive');
+const {
+    buildReportModel, signReport, renderReportHtml, renderReportPdf, REPORT_CONTENT_TYPES
+} = require('./ComplianceReport');
+const { createTrend, addValidation, summarizeTrend } = require('./ComplianceTrends');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -24,24 +47,117 @@ const logger = winston.createLogger({
     ]
 });
 
+// Used for findings from policy rules and plugins that do not declare an action
+const DEFAULT_RECOMMENDED_ACTION = 'Review and address this safety concern';
+
+// Most recent validations listed in a system's compliance report
+const MAX_REPORT_HISTORY = 500;
+
+// Most recent events in an audit log export
+const MAX_AUDIT_EXPORT_EVENTS = 10000;
+
+// Validations read per query while aggregating compliance trends
+const TREND_SCAN_PAGE_SIZE = 500;
+
+/**
+ * Group evidence attachments by the check they are attached to
+ * @private
+ */
+function groupEvidenceByCheck(attachments) {
+    return attachments.reduce((groups, attachment) => {
+        (groups[attachment.checkId] = groups[attachment.checkId] || []).push(attachment);
+        return groups;
+    }, {});
+}
+
 /**
  * VoidGuard Safety Engine - Core AI safety validation
  */
 class VoidGuardSafetyEngine {
     constructor(config = {}) {
+        const {
+            checkRegistry, checkSettings, policies, auditLog, validationHistory, waivers, remediation, evidence, fairnessEvaluations,
+            ...settings
+        } = config;
+
         this.config = {
-            complianceThreshold: config.complianceThreshold || parseFloat(process.env.VOIDGUARD_COMPLIANCE_THRESHOLD) || 0.95,
-            auditEnabled: config.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
-            transparencyLevel: config.transparencyLevel || process.env.VOIDGUARD_TRANSPARENCY_LEVEL || 'full',
-            ...config
+            complianceThreshold: settings.complianceThreshold || parseFloat(process.env.VOIDGUARD_COMPLIANCE_THRESHOLD) || 0.95,
+            auditEnabled: settings.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
+            transparencyLevel: settings.transparencyLevel || process.env.VOIDGUARD_TRANSPARENCY_LEVEL || 'full',
+            checkPluginDir: settings.checkPluginDir || process.env.VOIDGUARD_CHECK_PLUGIN_DIR,
+            ...settings,
+            fairnessThresholds: resolveFairnessThresholds(settings.fairnessThresholds)
         };
         
         this.logger = logger.child({ component: 'VoidGuardSafetyEngine' });
-        this.auditLog = [];
+        // Persistent, hash-chained audit trail (PostgreSQL)
+        this.auditLog = auditLog || new AuditLog();
+        // Inputs and results of every validation, used for history and policy dry runs
+        this.validationHistory = validationHistory || new ValidationHistory();
+        // Approved risk acceptances for failed checks
+        this.waivers = waivers || new CheckWaivers();
+        // Remediation items opened from recommendations and closed by later validations
+        this.remediation = remediation || new RemediationTracker();
+        // Evidence artifacts backing the claims checked by policy rules
+        this.evidence = evidence || new EvidenceStore();
+        // Fairness metrics measured from prediction datasets; the latest one scores the bias check
+        this.fairnessEvaluations = fairnessEvaluations || new FairnessEvaluations();
+
+        // Built-in checks plus any organization plugins from the plugin directory
+        this.checkRegistry = checkRegistry || createDefaultRegistry();
+        if (this.config.checkPluginDir) {
+            this.checkRegistry.loadFromDirectory(this.config.checkPluginDir);
+        }
+        // Checks each organization enabled or disabled, and the policies it published, shared by all replicas
+        this.checkSettings = checkSettings || new SafetyCheckSettings();
+        this.policies = policies || new GovernancePolicies();
         
         this.logger.info('VoidGuard Safety Engine initialized', { config: this.config });
     }
 
+    /**
+     * Refresh the registry's copy of an organization's check settings and
+     * published policies
+     *
+     * Called before every organization-scoped use of the registry, so a
+     * change made through another replica or service instance applies to
+     * the next validation. Policies are only recompiled when their latest
+     * version changed.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @returns {Map<string, Array<Object>>} Published policy versions (oldest first) keyed by policy id
+     */
+    async loadOrganization(organizationId) {
+        const [settings, policies] = await Promise.all([
+            this.checkSettings.get(organizationId),
+            this.policies.listVersions(organizationId)
+        ]);
+
+        this.checkRegistry.setOrganizationSettings(organizationId, settings);
+        policies.forEach((versions, policyId) => {
+            const latest = versions[versions.length - 1];
+            const source = `policy:${policyId}`;
+            const loaded = this.checkRegistry.listSource(organizationId, source);
+            if (loaded.length > 0 && loaded[0].policy && loaded[0].policy.version === latest.version) {
+                return;
+            }
+
+            try {
+                this.checkRegistry.replaceSource(organizationId, source, compilePolicy(latest.document));
+            } catch (error) {
+                // A plugin loaded since publication may claim the same check id; keep the other checks working
+                this.logger.error('Failed to load governance policy', {
+                    organizationId,
+                    policyId,
+                    version: latest.version,
+                    error: error.message
+                });
+            }
+        });
+
+        return policies;
+    }
+
     /**
      * Validate AI system safety compliance
      * @param {Object} aiSystem - AI system to validate
@@ -59,18 +175,48 @@ class VoidGuardSafetyEngine {
         });
 
         try {
-            const safetyChecks = await this.performSafetyChecks(aiSystem, context);
-            const complianceScore = this.calculateComplianceScore(safetyChecks);
+            if (context.organizationId) {
+                await this.loadOrganization(context.organizationId);
+            }
+            const activeChecks = this.checkRegistry.getActiveChecks(context.organizationId);
+            const evidence = context.organizationId ?
+                await this.evidence.list(context.organizationId, { systemId: aiSystem.id }) : [];
+            const safetyChecks = await this.performSafetyChecks(aiSystem, {
+                ...context,
+                evidence: groupEvidenceByCheck(evidence)
+            }, activeChecks);
+            if (context.organizationId) {
+                this.applyFairnessEvaluation(
+                    safetyChecks, await this.fairnessEvaluations.getLatest(context.organizationId, aiSystem.id)
+                );
+            }
+            const waivers = context.organizationId ?
+                await this.waivers.getActive(context.organizationId, aiSystem.id) : [];
+            const appliedWaivers = this.applyWaivers(safetyChecks, waivers);
+            const complianceScore = this.calculateComplianceScore(safetyChecks, activeChecks);
             const riskAssessment = this.assessRisk(aiSystem, safetyChecks);
+            const aiActClassification = classifyAISystem(aiSystem);
+            const compliant = this.isCompliant(complianceScore, aiActClassification);
             
             const result = {
                 validationId,
                 timestamp,
                 systemId: aiSystem.id,
-                safetyStatus: complianceScore >= this.config.complianceThreshold ? 'compliant' : 'non-compliant',
+                safetyStatus: compliant ? 'compliant' : 'non-compliant',
                 complianceScore,
                 safetyChecks,
+                waivers: appliedWaivers,
+                evidence: evidence.map(item => ({
+                    evidenceId: item.id,
+                    checkId: item.checkId,
+                    kind: item.kind,
+                    sha256: item.sha256,
+                    filename: item.filename,
+                    contentType: item.contentType,
+                    size: item.size
+                })),
                 riskAssessment,
+                aiActClassification,
                 recommendations: this.generateRecommendations(safetyChecks, riskAssessment),
                 metadata: {
                     validatorVersion: '1.0.0',
@@ -79,16 +225,47 @@ class VoidGuardSafetyEngine {
                 }
             };
 
+            if (appliedWaivers.some(waiver => waiver.excludeFromScore)) {
+                result.complianceScoreWithoutWaivers = this.calculateComplianceScore(safetyChecks, activeChecks, {
+                    ignoreWaivers: true
+                });
+            }
+
+            if (context.organizationId) {
+                result.remediation = await this.remediation.sync({
+                    organizationId: context.organizationId,
+                    systemId: aiSystem.id,
+                    validationId,
+                    validatedAt: timestamp,
+                    recommendations: result.recommendations,
+                    reportedKeys: this.reportedFindingKeys(safetyChecks)
+                });
+
+                await this.validationHistory.record({
+                    organizationId: context.organizationId,
+                    validatedBy: context.userId,
+                    aiSystem,
+                    context: { regulatory: context.regulatory },
+                    result
+                });
+            }
+
             // Log audit trail if enabled
             if (this.config.auditEnabled) {
-                this.logAuditEvent({
+                await this.logAuditEvent({
                     type: 'safety_validation',
                     validationId,
+                    systemId: aiSystem.id,
+                    organizationId: context.organizationId,
+                    userId: context.userId,
                     result: {
                         status: result.safetyStatus,
                         score: result.complianceScore,
-                        riskLevel: result.riskAssessment.level
+                        riskLevel: result.riskAssessment.level,
+                        aiActTier: result.aiActClassification.tier
                     },
+                    // Waived findings stay on record even when they are excluded from the score
+                    waivedFindings: this.listWaivedFindings(safetyChecks),
                     timestamp
                 });
             }
@@ -107,285 +284,211 @@ class VoidGuardSafetyEngine {
     }
 
     /**
-     * Perform comprehensive safety checks
+     * Whether a score and AI Act classification meet the compliance bar
      * @private
      */
-    async performSafetyChecks(aiSystem, context) {
-        const checks = {
-            ethicalGuidelines: this.checkEthicalGuidelines(aiSystem),
-            dataPrivacy: this.checkDataPrivacy(aiSystem),
-            bias: this.checkBias(aiSystem),
-            transparency: this.checkTransparency(aiSystem),
-            humanControl: this.checkHumanControl(aiSystem),
-            robustness: this.checkRobustness(aiSystem),
-            accountability: this.checkAccountability(aiSystem)
-        };
-
-        // Add context-specific checks
-        if (context.regulatory) {
-            checks.regulatory = this.checkRegulatoryCompliance(aiSystem, context.regulatory);
-        }
-
-        return checks;
+    isCompliant(complianceScore, aiActClassification) {
+        // A prohibited practice can never be compliant, whatever its score
+        return complianceScore >= this.config.complianceThreshold &&
+            aiActClassification.tier !== 'prohibited';
     }
 
     /**
-     * Check ethical guidelines compliance
-     * @private
-     */
-    checkEthicalGuidelines(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for ethical boundaries
-        if (!aiSystem.ethicalBoundaries || aiSystem.ethicalBoundaries.length === 0) {
-            checks.push({ type: 'warning', message: 'No ethical boundaries defined' });
-            score *= 0.8;
-        }
-
-        // Check for harmful content prevention
-        if (!aiSystem.harmPrevention) {
-            checks.push({ type: 'error', message: 'Harm prevention mechanisms not implemented' });
-            score *= 0.6;
-        }
-
-        // Check for human values alignment
-        if (!aiSystem.valuesAlignment) {
-            checks.push({ type: 'warning', message: 'Human values alignment not documented' });
-            score *= 0.9;
-        }
-
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
-    }
-
-    /**
-     * Check data privacy compliance
+     * Perform comprehensive safety checks
      * @private
      */
-    checkDataPrivacy(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for data encryption
-        if (!aiSystem.encryption || !aiSystem.encryption.enabled) {
-            checks.push({ type: 'error', message: 'Data encryption not enabled' });
-            score *= 0.5;
-        }
-
-        // Check for data minimization
-        if (!aiSystem.dataMinimization) {
-            checks.push({ type: 'warning', message: 'Data minimization principles not applied' });
-            score *= 0.8;
-        }
+    async performSafetyChecks(aiSystem, context, activeChecks) {
+        const results = await Promise.all(activeChecks.map(async (check) => {
+            try {
+                return [check, await check.evaluate(aiSystem, context)];
+            } catch (error) {
+                // Fail closed: a check that cannot be evaluated counts as failed
+                this.logger.error('Safety check evaluation failed', { checkId: check.id, error: error.message });
+                return [check, {
+                    score: 0,
+                    checks: [{ type: 'error', message: `Safety check could not be evaluated: ${error.message}` }]
+                }];
+            }
+        }));
 
-        // Check for user consent mechanisms
-        if (!aiSystem.consentManagement) {
-            checks.push({ type: 'error', message: 'User consent management not implemented' });
-            score *= 0.6;
-        }
+        const checks = {};
+        results.forEach(([check, result]) => {
+            // Checks return null when they do not apply to this request
+            if (result) {
+                checks[check.id] = { ...buildCheckResult(result), category: check.category };
+            }
+        });
 
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
+        return checks;
     }
 
     /**
-     * Check bias and fairness
+     * Score the bias check from measured fairness instead of declarations
+     *
+     * When the system has a fairness evaluation, the bias check result is
+     * replaced by the assessment of its metrics against the configured
+     * thresholds. An evaluation that could not compare any protected
+     * attribute does not replace the declared result; its coverage findings
+     * are added to it instead.
+     *
      * @private
      */
-    checkBias(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for bias testing
-        if (!aiSystem.biasTesting || !aiSystem.biasTesting.conducted) {
-            checks.push({ type: 'error', message: 'Bias testing not conducted' });
-            score *= 0.4;
-        }
-
-        // Check for fairness metrics
-        if (!aiSystem.fairnessMetrics) {
-            checks.push({ type: 'warning', message: 'Fairness metrics not defined' });
-            score *= 0.8;
-        }
-
-        // Check for diverse training data
-        if (!aiSystem.datasetDiversity) {
-            checks.push({ type: 'warning', message: 'Dataset diversity not validated' });
-            score *= 0.9;
+    applyFairnessEvaluation(safetyChecks, evaluation) {
+        const declared = safetyChecks[FAIRNESS_CHECK_ID];
+        if (!declared || !evaluation) return;
+
+        const { measured, ...assessment } = assessFairness(evaluation.metrics, this.config.fairnessThresholds);
+        if (!measured) {
+            safetyChecks[FAIRNESS_CHECK_ID] = buildCheckResult({
+                ...declared,
+                status: undefined,
+                score: declared.score * assessment.score,
+                checks: [...declared.checks, ...assessment.checks]
+            });
+            return;
         }
 
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
+        safetyChecks[FAIRNESS_CHECK_ID] = {
+            ...buildCheckResult(assessment),
+            category: declared.category,
+            measured: {
+                evaluationId: evaluation.id,
+                evaluatedAt: evaluation.evaluatedAt,
+                datasetSha256: evaluation.dataset.sha256,
+                rows: evaluation.dataset.rows
+            }
         };
     }
 
     /**
-     * Check transparency requirements
+     * Calculate overall compliance score
      * @private
      */
-    checkTransparency(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for explainability
-        if (!aiSystem.explainability || !aiSystem.explainability.enabled) {
-            checks.push({ type: 'error', message: 'AI explainability not implemented' });
-            score *= 0.5;
-        }
+    calculateComplianceScore(safetyChecks, activeChecks, options = {}) {
+        let totalScore = 0;
+        let totalWeight = 0;
 
-        // Check for decision logging
-        if (!aiSystem.decisionLogging) {
-            checks.push({ type: 'warning', message: 'Decision logging not implemented' });
-            score *= 0.8;
-        }
+        for (const { id, weight } of activeChecks) {
+            const check = safetyChecks[id];
+            if (!check) continue;
 
-        // Check for model documentation
-        if (!aiSystem.modelDocumentation) {
-            checks.push({ type: 'warning', message: 'Model documentation incomplete' });
-            score *= 0.9;
+            // waivedScore is null when waivers leave nothing of the check to score
+            const score = options.ignoreWaivers || check.waivedScore === undefined ? check.score : check.waivedScore;
+            if (score !== null) {
+                totalScore += score * weight;
+                totalWeight += weight;
+            }
         }
 
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
+        return totalWeight > 0 ? totalScore / totalWeight : 0;
     }
 
     /**
-     * Check human control mechanisms
+     * Mark findings covered by active waivers
+     *
+     * A waiver covers the error and warning findings of its check, or only
+     * those of its rule/control when ruleId is set. With excludeFromScore the
+     * check is re-scored without the waived findings (waivedScore).
+     *
      * @private
+     * @returns {Array} Waivers that covered at least one finding
      */
-    checkHumanControl(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for human oversight
-        if (!aiSystem.humanOversight || !aiSystem.humanOversight.enabled) {
-            checks.push({ type: 'error', message: 'Human oversight not implemented' });
-            score *= 0.3;
-        }
-
-        // Check for manual override capabilities
-        if (!aiSystem.manualOverride) {
-            checks.push({ type: 'error', message: 'Manual override not available' });
-            score *= 0.5;
-        }
-
-        // Check for escalation procedures
-        if (!aiSystem.escalationProcedures) {
-            checks.push({ type: 'warning', message: 'Escalation procedures not defined' });
-            score *= 0.9;
-        }
-
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
-    }
+    applyWaivers(safetyChecks, waivers) {
+        const applied = [];
+
+        waivers.forEach(waiver => {
+            const check = safetyChecks[waiver.checkId];
+            if (!check) return;
+
+            let findingsWaived = 0;
+            check.checks = check.checks.map(finding => {
+                const covered = finding.type !== 'info' && !finding.waived &&
+                    (!waiver.ruleId || finding.ruleId === waiver.ruleId || finding.controlId === waiver.ruleId);
+                if (!covered) return finding;
+
+                findingsWaived++;
+                return {
+                    ...finding,
+                    waived: {
+                        waiverId: waiver.id,
+                        justification: waiver.justification,
+                        approvedBy: waiver.approvedBy,
+                        expiresAt: waiver.expiresAt,
+                        excludeFromScore: waiver.excludeFromScore
+                    }
+                };
+            });
 
-    /**
-     * Check system robustness
-     * @private
-     */
-    checkRobustness(aiSystem) {
-        const checks = [];
-        let score = 1.0;
+            if (findingsWaived > 0) {
+                applied.push({
+                    waiverId: waiver.id,
+                    checkId: waiver.checkId,
+                    ruleId: waiver.ruleId,
+                    findingsWaived,
+                    excludeFromScore: waiver.excludeFromScore,
+                    expiresAt: waiver.expiresAt
+                });
+            }
+        });
 
-        // Check for adversarial testing
-        if (!aiSystem.adversarialTesting || !aiSystem.adversarialTesting.conducted) {
-            checks.push({ type: 'warning', message: 'Adversarial testing not conducted' });
-            score *= 0.8;
-        }
+        Object.values(safetyChecks).forEach(check => {
+            const excluded = finding => Boolean(finding.waived && finding.waived.excludeFromScore);
+            if (!check.checks.some(excluded)) return;
 
-        // Check for error handling
-        if (!aiSystem.errorHandling) {
-            checks.push({ type: 'error', message: 'Error handling mechanisms not implemented' });
-            score *= 0.6;
-        }
+            const findings = check.checks.filter(finding => finding.type !== 'info');
+            const remaining = findings.filter(finding => !excluded(finding));
 
-        // Check for performance monitoring
-        if (!aiSystem.performanceMonitoring) {
-            checks.push({ type: 'warning', message: 'Performance monitoring not implemented' });
-            score *= 0.9;
-        }
+            if (findings.every(finding => typeof finding.penalty === 'number')) {
+                // Policy findings carry their rule penalty, so the check is re-scored exactly
+                check.waivedScore = remaining.reduce((score, finding) => score * (1 - finding.penalty), 1);
+            } else {
+                // Other checks are left out of the score once all of their findings are waived
+                check.waivedScore = remaining.length === 0 ? null : check.score;
+            }
+        });
 
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
+        return applied;
     }
 
     /**
-     * Check accountability measures
+     * Waived findings of a validation, for the audit trail
      * @private
      */
-    checkAccountability(aiSystem) {
-        const checks = [];
-        let score = 1.0;
-
-        // Check for responsibility assignment
-        if (!aiSystem.responsibilityMatrix) {
-            checks.push({ type: 'error', message: 'Responsibility matrix not defined' });
-            score *= 0.6;
-        }
-
-        // Check for audit trail
-        if (!aiSystem.auditTrail || !aiSystem.auditTrail.enabled) {
-            checks.push({ type: 'error', message: 'Audit trail not enabled' });
-            score *= 0.5;
-        }
-
-        // Check for incident response procedures
-        if (!aiSystem.incidentResponse) {
-            checks.push({ type: 'warning', message: 'Incident response procedures not defined' });
-            score *= 0.8;
-        }
+    listWaivedFindings(safetyChecks) {
+        const waived = [];
+
+        Object.entries(safetyChecks).forEach(([checkId, check]) => {
+            check.checks
+                .filter(finding => finding.waived)
+                .forEach(finding => {
+                    waived.push({
+                        checkId,
+                        type: finding.type,
+                        message: finding.message,
+                        ruleId: finding.ruleId || finding.controlId,
+                        waiverId: finding.waived.waiverId,
+                        excludeFromScore: finding.waived.excludeFromScore
+                    });
+                });
+        });
 
-        return {
-            score: Math.max(score, 0),
-            checks,
-            status: score >= 0.8 ? 'pass' : score >= 0.6 ? 'warning' : 'fail'
-        };
+        return waived;
     }
 
     /**
-     * Calculate overall compliance score
+     * Keys of the error and warning findings of a validation
      * @private
      */
-    calculateComplianceScore(safetyChecks) {
-        const weights = {
-            ethicalGuidelines: 0.2,
-            dataPrivacy: 0.15,
-            bias: 0.15,
-            transparency: 0.15,
-            humanControl: 0.2,
-            robustness: 0.1,
-            accountability: 0.05
-        };
-
-        let totalScore = 0;
-        let totalWeight = 0;
+    reportedFindingKeys(safetyChecks) {
+        const keys = new Set();
 
-        for (const [check, weight] of Object.entries(weights)) {
-            if (safetyChecks[check]) {
-                totalScore += safetyChecks[check].score * weight;
-                totalWeight += weight;
-            }
-        }
+        Object.entries(safetyChecks).forEach(([category, check]) => {
+            check.checks
+                .filter(finding => finding.type !== 'info')
+                .forEach(finding => keys.add(findingKey(category, finding)));
+        });
 
-        return totalWeight > 0 ? totalScore / totalWeight : 0;
+        return keys;
     }
 
     /**
@@ -393,28 +496,42 @@ class VoidGuardSafetyEngine {
      * @private
      */
     assessRisk(aiSystem, safetyChecks) {
-        const criticalFailures = Object.values(safetyChecks).filter(check => 
+        // Regulatory findings are counted per control below, not per category
+        const { regulatory, ...coreChecks } = safetyChecks;
+
+        const criticalFailures = Object.values(coreChecks).filter(check => 
             check.status === 'fail' && check.checks.some(c => c.type === 'error')
         ).length;
 
-        const warnings = Object.values(safetyChecks).reduce((total, check) => 
+        const warnings = Object.values(coreChecks).reduce((total, check) => 
             total + check.checks.filter(c => c.type === 'warning').length, 0
         );
 
+        const regulatoryFailures = regulatory ?
+            regulatory.checks.filter(c => c.type === 'error').length : 0;
+
         let riskLevel = 'low';
-        if (criticalFailures > 2 || warnings > 5) riskLevel = 'high';
-        else if (criticalFailures > 0 || warnings > 2) riskLevel = 'medium';
+        if (criticalFailures > 2 || warnings > 5 || regulatoryFailures > 3) riskLevel = 'high';
+        else if (criticalFailures > 0 || warnings > 2 || regulatoryFailures > 0) riskLevel = 'medium';
 
-        return {
+        const assessment = {
             level: riskLevel,
             criticalFailures,
             warnings,
             summary: `${criticalFailures} critical issues, ${warnings} warnings`
         };
+
+        if (regulatory) {
+            assessment.regulatoryFailures = regulatoryFailures;
+            assessment.summary += `, ${regulatoryFailures} failed regulatory controls`;
+        }
+
+        return assessment;
     }
 
     /**
      * Generate safety recommendations
+     * Waived findings are accepted risks and get no recommendation.
      * @private
      */
     generateRecommendations(safetyChecks, riskAssessment) {
@@ -423,28 +540,27 @@ class VoidGuardSafetyEngine {
         // High-priority recommendations for critical failures
         Object.entries(safetyChecks).forEach(([category, check]) => {
             if (check.status === 'fail') {
-                const criticalIssues = check.checks.filter(c => c.type === 'error');
+                const criticalIssues = check.checks.filter(c => c.type === 'error' && !c.waived);
                 criticalIssues.forEach(issue => {
-                    recommendations.push({
-                        priority: 'high',
-                        category,
-                        issue: issue.message,
-                        action: this.getRecommendedAction(category, issue.message)
-                    });
+                    recommendations.push(this.buildRecommendation('high', category, issue));
                 });
             }
         });
 
+        // Failed regulatory controls are high priority even when the category passes overall
+        if (safetyChecks.regulatory && safetyChecks.regulatory.status !== 'fail') {
+            safetyChecks.regulatory.checks
+                .filter(c => c.type === 'error' && !c.waived)
+                .forEach(issue => {
+                    recommendations.push(this.buildRecommendation('high', 'regulatory', issue));
+                });
+        }
+
         // Medium-priority recommendations for warnings
         Object.entries(safetyChecks).forEach(([category, check]) => {
-            const warnings = check.checks.filter(c => c.type === 'warning');
+            const warnings = check.checks.filter(c => c.type === 'warning' && !c.waived);
             warnings.forEach(warning => {
-                recommendations.push({
-                    priority: 'medium',
-                    category,
-                    issue: warning.message,
-                    action: this.getRecommendedAction(category, warning.message)
-                });
+                recommendations.push(this.buildRecommendation('medium', category, warning));
             });
         });
 
@@ -452,70 +568,110 @@ class VoidGuardSafetyEngine {
     }
 
     /**
-     * Get recommended action for specific issues
+     * Build a recommendation entry for a check finding
      * @private
      */
-    getRecommendedAction(category, issue) {
-        const actionMap = {
-            'ethicalGuidelines': {
-                'No ethical boundaries defined': 'Define clear ethical boundaries and prohibited use cases',
-                'Harm prevention mechanisms not implemented': 'Implement content filtering and harm prevention systems',
-                'Human values alignment not documented': 'Document human values alignment methodology'
-            },
-            'dataPrivacy': {
-                'Data encryption not enabled': 'Enable end-to-end encryption for all data processing',
-                'User consent management not implemented': 'Implement comprehensive consent management system',
-                'Data minimization principles not applied': 'Review and minimize data collection requirements'
-            },
-            'humanControl': {
-                'Human oversight not implemented': 'Implement mandatory human oversight for critical decisions',
-                'Manual override not available': 'Add manual override capabilities for all automated decisions'
-            }
+    buildRecommendation(priority, category, issue) {
+        const recommendation = {
+            priority,
+            category,
+            issue: issue.message,
+            action: issue.action || DEFAULT_RECOMMENDED_ACTION
         };
 
-        return actionMap[category]?.[issue] || 'Review and address this safety concern';
+        if (issue.ruleId) {
+            recommendation.ruleId = issue.ruleId;
+        }
+
+        if (issue.citation) {
+            recommendation.framework = issue.framework;
+            recommendation.controlId = issue.controlId;
+            recommendation.citation = issue.citation;
+        }
+
+        return recommendation;
+    }
+
+    /**
+     * Re-score previously validated systems with candidate checks
+     *
+     * Nothing is recorded or audited: the candidate checks override the
+     * organization's current checks for this evaluation only.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Array} candidateChecks - Check definitions compiled from a policy
+     * @returns {Array} Current and projected results per system
+     */
+    async projectValidations(organizationId, candidateChecks) {
+        await this.loadOrganization(organizationId);
+        const activeChecks = this.checkRegistry.getActiveChecks(organizationId, candidateChecks);
+
+        const latest = await this.validationHistory.getLatestPerSystem(organizationId);
+
+        return Promise.all(latest.map(async (record) => {
+            const evidence = await this.evidence.list(organizationId, { systemId: record.systemId });
+            const context = { ...record.context, organizationId, evidence: groupEvidenceByCheck(evidence) };
+            const safetyChecks = await this.performSafetyChecks(record.aiSystem, context, activeChecks);
+            this.applyFairnessEvaluation(
+                safetyChecks, await this.fairnessEvaluations.getLatest(organizationId, record.systemId)
+            );
+            this.applyWaivers(safetyChecks, await this.waivers.getActive(organizationId, record.systemId));
+            const complianceScore = this.calculateComplianceScore(safetyChecks, activeChecks);
+            const compliant = this.isCompliant(complianceScore, record.result.aiActClassification);
+
+            const categories = [...new Set([...Object.keys(record.result.safetyChecks), ...Object.keys(safetyChecks)])];
+
+            return {
+                systemId: record.systemId,
+                validationId: record.validationId,
+                validatedAt: record.validatedAt,
+                current: {
+                    complianceScore: record.result.complianceScore,
+                    safetyStatus: record.result.safetyStatus
+                },
+                projected: {
+                    complianceScore,
+                    safetyStatus: compliant ? 'compliant' : 'non-compliant'
+                },
+                scoreDelta: complianceScore - record.result.complianceScore,
+                checks: categories.map(checkId => ({
+                    checkId,
+                    currentScore: record.result.safetyChecks[checkId]?.score ?? null,
+                    projectedScore: safetyChecks[checkId]?.score ?? null
+                })).filter(check => check.currentScore !== check.projectedScore)
+            };
+        }));
     }
 
     /**
      * Log audit event
+     *
+     * Persisted before the operation reports success: an operation whose
+     * audit event cannot be stored fails rather than going unrecorded.
+     *
      * @private
      */
-    logAuditEvent(event) {
-        this.auditLog.push({
-            ...event,
-            id: uuidv4(),
-            timestamp: event.timestamp || new Date().toISOString()
-        });
-
-        // Keep only last 1000 audit events in memory
-        if (this.auditLog.length > 1000) {
-            this.auditLog = this.auditLog.slice(-1000);
-        }
-
-        this.logger.info('Audit event logged', { eventType: event.type, eventId: event.id });
+    async logAuditEvent(event) {
+        return this.auditLog.append(event);
     }
 
     /**
      * Get audit log
-     * @param {Object} filters - Log filters
-     * @returns {Array} Filtered audit log
+     * @param {Object} filters - Log filters (organizationId, type, systemId, startDate, endDate)
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { events, pagination }
      */
-    getAuditLog(filters = {}) {
-        let log = [...this.auditLog];
-
-        if (filters.type) {
-            log = log.filter(event => event.type === filters.type);
-        }
-
-        if (filters.startDate) {
-            log = log.filter(event => new Date(event.timestamp) >= new Date(filters.startDate));
-        }
-
-        if (filters.endDate) {
-            log = log.filter(event => new Date(event.timestamp) <= new Date(filters.endDate));
-        }
+    async getAuditLog(filters = {}, pagination = {}) {
+        return this.auditLog.list(filters, pagination);
+    }
 
-        return log;
+    /**
+     * Verify the integrity of an organization's audit chain
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} Verification report
+     */
+    async verifyAuditLog(organizationId) {
+        return this.auditLog.verify(organizationId);
     }
 
     /**
@@ -531,7 +687,6 @@ class VoidGuardSafetyEngine {
                 auditEnabled: this.config.auditEnabled,
                 transparencyLevel: this.config.transparencyLevel
             },
-            auditLogSize: this.auditLog.length,
             version: '1.0.0'
         };
     }
@@ -542,18 +697,937 @@ class VoidGuardSafetyEngine {
  */
 class VoidGuardService {
     constructor(config = {}) {
-        this.safetyEngine = new VoidGuardSafetyEngine(config);
+        const { systemRegistry, reportSigningKey, ...engineConfig } = config;
+
+        this.safetyEngine = new VoidGuardSafetyEngine(engineConfig);
+        this.systemRegistry = systemRegistry || new AISystemRegistry();
+        // Kept out of the engine configuration, which is logged at startup
+        this.reportSigningKey = reportSigningKey || process.env.VOIDGUARD_REPORT_SIGNING_KEY || null;
         this.logger = logger.child({ component: 'VoidGuardService' });
     }
 
     /**
      * Validate AI system safety
+     *
+     * Validations of an organization publish validation.completed, and
+     * system.non_compliant when the system's previous validation was compliant.
+     *
      * @param {Object} aiSystem - AI system to validate
      * @param {Object} options - Validation options
      * @returns {Object} Validation result
      */
     async validateAISystem(aiSystem, options = {}) {
-        return await this.safetyEngine.validateSafety(aiSystem, options);
+        const { organizationId } = options;
+        if (!organizationId) {
+            return await this.safetyEngine.validateSafety(aiSystem, options);
+        }
+
+        const { validations } = await this.safetyEngine.validationHistory.listForSystem(
+            organizationId, aiSystem.id, { limit: 1 }
+        );
+        const previous = validations[0] || null;
+        const result = await this.safetyEngine.validateSafety(aiSystem, options);
+
+        const summary = {
+            validationId: result.validationId,
+            systemId: result.systemId,
+            safetyStatus: result.safetyStatus,
+            complianceScore: result.complianceScore,
+            riskLevel: result.riskAssessment.level,
+            aiActTier: result.aiActClassification.tier,
+            validatedBy: options.userId || null
+        };
+        publishEvent(organizationId, 'validation.completed', summary);
+        if (previous && previous.safetyStatus === 'compliant' && result.safetyStatus !== 'compliant') {
+            publishEvent(organizationId, 'system.non_compliant', {
+                ...summary,
+                previousValidationId: previous.validationId,
+                previousComplianceScore: previous.complianceScore
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Record an audit event when auditing is enabled
+     * @private
+     */
+    async audit(event) {
+        if (this.safetyEngine.config.auditEnabled) {
+            await this.safetyEngine.logAuditEvent(event);
+        }
+    }
+
+    /**
+     * Register an AI system in the organization's inventory
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} system - AISystem fields plus owner, modelVersion, dataSources, lifecycleState
+     * @param {string} userId - Registering user
+     * @returns {Object|null} Registry entry, or null if the id is already registered
+     */
+    async registerSystem(organizationId, system, userId) {
+        const entry = await this.systemRegistry.create(organizationId, system, userId);
+
+        if (entry) {
+            await this.audit({
+                type: 'system_registered',
+                organizationId,
+                userId,
+                systemId: entry.id,
+                lifecycleState: entry.lifecycleState
+            });
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get a registered AI system with its latest validation
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @returns {Object|null} Registry entry
+     */
+    async getSystem(organizationId, systemId) {
+        const entry = await this.systemRegistry.get(organizationId, systemId);
+        if (!entry) return null;
+
+        const { validations } = await this.safetyEngine.validationHistory.listForSystem(
+            organizationId, systemId, { limit: 1 }
+        );
+
+        return { ...entry, latestValidation: validations[0] || null };
+    }
+
+    /**
+     * List registered AI systems with their latest validation
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - lifecycleState, owner, type
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { systems, pagination }
+     */
+    async listSystems(organizationId, filters = {}, pagination = {}) {
+        const [{ systems, pagination: meta }, latest] = await Promise.all([
+            this.systemRegistry.list(organizationId, filters, pagination),
+            this.safetyEngine.validationHistory.getLatestPerSystem(organizationId, { summaryOnly: true })
+        ]);
+        const latestBySystem = new Map(latest.map(validation => [validation.systemId, validation]));
+
+        return {
+            systems: systems.map(entry => ({ ...entry, latestValidation: latestBySystem.get(entry.id) || null })),
+            pagination: meta
+        };
+    }
+
+    /**
+     * Update a registered AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {Object} changes - Fields to change
+     * @param {string} userId - Updating user
+     * @returns {Object} { system, error } - system is null when not found or rejected
+     */
+    async updateSystem(organizationId, systemId, changes, userId) {
+        const { system, previous, error } = await this.systemRegistry.update(organizationId, systemId, changes);
+
+        if (system) {
+            const event = {
+                type: 'system_updated',
+                organizationId,
+                userId,
+                systemId,
+                fields: Object.keys(changes)
+            };
+            if (previous.lifecycleState !== system.lifecycleState) {
+                event.lifecycleTransition = { from: previous.lifecycleState, to: system.lifecycleState };
+            }
+            await this.audit(event);
+        }
+
+        return { system, error };
+    }
+
+    /**
+     * Remove an AI system from the registry
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {string} userId - Deleting user
+     * @returns {boolean} True if the system existed
+     */
+    async deleteSystem(organizationId, systemId, userId) {
+        const deleted = await this.systemRegistry.delete(organizationId, systemId);
+
+        if (deleted) {
+            await this.audit({ type: 'system_deleted', organizationId, userId, systemId });
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Validation history of a system
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { validations, pagination }
+     */
+    async getSystemValidations(organizationId, systemId, pagination = {}) {
+        return this.safetyEngine.validationHistory.listForSystem(organizationId, systemId, pagination);
+    }
+
+    /**
+     * Get a stored validation with the AI system snapshot and context it ran with
+     * @param {string} organizationId - Organization identifier
+     * @param {string} validationId - Validation identifier
+     * @returns {Object|null} Validation record
+     */
+    async getValidation(organizationId, validationId) {
+        return this.safetyEngine.validationHistory.get(organizationId, validationId);
+    }
+
+    /**
+     * Re-run safety validation against the stored registry entry
+     * @param {string} organizationId - Organization identifier
+     * @param {string} systemId - AI system identifier
+     * @param {Object} options - Validation options (regulatory) and userId
+     * @returns {Object} { result, system, error } - result is null when not found or retired
+     */
+    async revalidateSystem(organizationId, systemId, options = {}) {
+        const system = await this.systemRegistry.get(organizationId, systemId);
+        if (!system) {
+            return { result: null, system: null, error: null };
+        }
+        if (system.lifecycleState === 'retired') {
+            return { result: null, system, error: 'Retired systems cannot be validated' };
+        }
+
+        const result = await this.validateAISystem(toAISystem(system), { ...options, organizationId });
+        return { result, system, error: null };
+    }
+
+    /**
+     * Compare two validations of the same AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {string} fromValidationId - Baseline validation
+     * @param {string} toValidationId - Validation compared against the baseline
+     * @returns {Object} { diff, missing, error } - diff is null when a validation is missing or the systems differ
+     */
+    async compareValidations(organizationId, fromValidationId, toValidationId) {
+        const history = this.safetyEngine.validationHistory;
+        const [from, to] = await Promise.all([
+            history.get(organizationId, fromValidationId),
+            history.get(organizationId, toValidationId)
+        ]);
+
+        const missing = [[fromValidationId, from], [toValidationId, to]]
+            .filter(([, record]) => !record)
+            .map(([validationId]) => validationId);
+        if (missing.length > 0) {
+            return { diff: null, missing, error: null };
+        }
+        if (from.systemId !== to.systemId) {
+            return {
+                diff: null,
+                missing,
+                error: `Validations belong to different AI systems (${from.systemId}, ${to.systemId})`
+            };
+        }
+
+        return { diff: diffValidations(from, to), missing, error: null };
+    }
+
+    /**
+     * Request a waiver for a system's findings of a safety check
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} waiver - { systemId, checkId, ruleId, justification, excludeFromScore, expiresAt }
+     * @param {string} userId - Requesting user
+     * @returns {Object} { waiver, error } - waiver is null when the check is unknown
+     */
+    async requestWaiver(organizationId, waiver, userId) {
+        if (!(await this.listSafetyChecks(organizationId)).some(check => check.id === waiver.checkId)) {
+            return { waiver: null, error: `Unknown safety check: ${waiver.checkId}` };
+        }
+
+        const requested = await this.safetyEngine.waivers.request(organizationId, waiver, userId);
+        await this.audit({
+            type: 'waiver_requested',
+            organizationId,
+            userId,
+            systemId: requested.systemId,
+            waiverId: requested.id,
+            checkId: requested.checkId,
+            ruleId: requested.ruleId,
+            justification: requested.justification,
+            excludeFromScore: requested.excludeFromScore,
+            expiresAt: requested.expiresAt
+        });
+
+        return { waiver: requested, error: null };
+    }
+
+    /**
+     * List waivers
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, checkId, status
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { waivers, pagination }
+     */
+    async listWaivers(organizationId, filters = {}, pagination = {}) {
+        return this.safetyEngine.waivers.list(organizationId, filters, pagination);
+    }
+
+    /**
+     * Get a waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @returns {Object|null} Waiver
+     */
+    async getWaiver(organizationId, waiverId) {
+        return this.safetyEngine.waivers.get(organizationId, waiverId);
+    }
+
+    /**
+     * Approve a pending waiver
+     * The approver must not be the requester.
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @param {string} userId - Approving user
+     * @returns {Object} { waiver, error } - waiver is null when not found or rejected
+     */
+    async approveWaiver(organizationId, waiverId, userId) {
+        const waivers = this.safetyEngine.waivers;
+
+        const pending = await waivers.get(organizationId, waiverId);
+        if (pending && pending.requestedBy && pending.requestedBy === userId) {
+            return { waiver: null, error: 'A waiver cannot be approved by its requester' };
+        }
+
+        const { waiver, error } = await waivers.approve(organizationId, waiverId, userId);
+        if (waiver) {
+            await this.audit({
+                type: 'waiver_approved',
+                organizationId,
+                userId,
+                systemId: waiver.systemId,
+                waiverId,
+                checkId: waiver.checkId,
+                ruleId: waiver.ruleId,
+                expiresAt: waiver.expiresAt
+            });
+        }
+
+        return { waiver, error };
+    }
+
+    /**
+     * Revoke a pending or active waiver
+     * @param {string} organizationId - Organization identifier
+     * @param {string} waiverId - Waiver identifier
+     * @param {string} userId - Revoking user
+     * @returns {Object} { waiver, error } - waiver is null when not found or already ended
+     */
+    async revokeWaiver(organizationId, waiverId, userId) {
+        const { waiver, error } = await this.safetyEngine.waivers.revoke(organizationId, waiverId, userId);
+
+        if (waiver) {
+            await this.audit({
+                type: 'waiver_revoked',
+                organizationId,
+                userId,
+                systemId: waiver.systemId,
+                waiverId,
+                checkId: waiver.checkId,
+                ruleId: waiver.ruleId
+            });
+        }
+
+        return { waiver, error };
+    }
+
+    /**
+     * List remediation items
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, status, priority, assignee, overdue
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { items, pagination }
+     */
+    async listRemediationItems(organizationId, filters = {}, pagination = {}) {
+        return this.safetyEngine.remediation.list(organizationId, filters, pagination);
+    }
+
+    /**
+     * Get a remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @returns {Object|null} Remediation item
+     */
+    async getRemediationItem(organizationId, itemId) {
+        return this.safetyEngine.remediation.get(organizationId, itemId);
+    }
+
+    /**
+     * Update status, assignee or due date of a remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @param {Object} changes - { status, assignee, dueDate }
+     * @param {string} userId - Updating user
+     * @returns {Object} { item, error } - item is null when not found or rejected
+     */
+    async updateRemediationItem(organizationId, itemId, changes, userId) {
+        const { item, previous, error } = await this.safetyEngine.remediation.update(
+            organizationId, itemId, changes, userId
+        );
+
+        if (item) {
+            const event = {
+                type: 'remediation_updated',
+                organizationId,
+                userId,
+                systemId: item.systemId,
+                itemId,
+                fields: Object.keys(changes)
+            };
+            if (previous.status !== item.status) {
+                event.statusTransition = { from: previous.status, to: item.status };
+            }
+            await this.audit(event);
+        }
+
+        return { item, error };
+    }
+
+    /**
+     * Verify a resolved remediation item
+     * @param {string} organizationId - Organization identifier
+     * @param {string} itemId - Item identifier
+     * @param {string} userId - Verifying user
+     * @returns {Object} { item, error } - item is null when not found or not resolved
+     */
+    async verifyRemediationItem(organizationId, itemId, userId) {
+        const { item, error } = await this.safetyEngine.remediation.verify(organizationId, itemId, userId);
+
+        if (item) {
+            await this.audit({
+                type: 'remediation_verified',
+                organizationId,
+                userId,
+                systemId: item.systemId,
+                itemId,
+                resolution: item.resolution
+            });
+        }
+
+        return { item, error };
+    }
+
+    /**
+     * Attach an evidence artifact to a safety check of an AI system
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} evidence - { systemId, checkId, kind, description, filename, contentType, content }
+     * @param {string} userId - Uploading user
+     * @returns {Object} { evidence, error } - evidence is null when the check is unknown
+     */
+    async attachEvidence(organizationId, evidence, userId) {
+        if (!(await this.listSafetyChecks(organizationId)).some(check => check.id === evidence.checkId)) {
+            return { evidence: null, error: `Unknown safety check: ${evidence.checkId}` };
+        }
+
+        const attached = await this.safetyEngine.evidence.attach(organizationId, evidence, userId);
+        await this.audit({
+            type: 'evidence_attached',
+            organizationId,
+            userId,
+            systemId: attached.systemId,
+            evidenceId: attached.id,
+            checkId: attached.checkId,
+            kind: attached.kind,
+            sha256: attached.sha256,
+            filename: attached.filename
+        });
+
+        return { evidence: attached, error: null };
+    }
+
+    /**
+     * List current evidence attachments
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId, checkId
+     * @returns {Array} Attachments
+     */
+    async listEvidence(organizationId, filters = {}) {
+        return this.safetyEngine.evidence.list(organizationId, filters);
+    }
+
+    /**
+     * Get an evidence attachment with its content
+     * @param {string} organizationId - Organization identifier
+     * @param {string} evidenceId - Attachment identifier
+     * @returns {Object|null} { evidence, content }
+     */
+    async getEvidenceContent(organizationId, evidenceId) {
+        const store = this.safetyEngine.evidence;
+        const evidence = await store.get(organizationId, evidenceId);
+        if (!evidence) return null;
+
+        return { evidence, content: await store.getContent(evidence.sha256) };
+    }
+
+    /**
+     * Remove an evidence attachment from future validations
+     * @param {string} organizationId - Organization identifier
+     * @param {string} evidenceId - Attachment identifier
+     * @param {string} userId - Removing user
+     * @returns {Object|null} Removed attachment
+     */
+    async removeEvidence(organizationId, evidenceId, userId) {
+        const removed = await this.safetyEngine.evidence.remove(organizationId, evidenceId, userId);
+
+        if (removed) {
+            await this.audit({
+                type: 'evidence_removed',
+                organizationId,
+                userId,
+                systemId: removed.systemId,
+                evidenceId,
+                checkId: removed.checkId,
+                sha256: removed.sha256
+            });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Build the evidence bundle of a validation: a ZIP with the artifacts the
+     * validation was evaluated against, a manifest and their SHA-256 sums
+     * @param {string} organizationId - Organization identifier
+     * @param {string} validationId - Validation identifier
+     * @param {string} userId - Downloading user
+     * @returns {Object|null} { filename, archive }, or null if the validation is unknown
+     */
+    async buildEvidenceBundle(organizationId, validationId, userId) {
+        const record = await this.safetyEngine.validationHistory.get(organizationId, validationId);
+        if (!record) return null;
+
+        const store = this.safetyEngine.evidence;
+        const entries = [];
+        const files = await Promise.all((record.result.evidence || []).map(async (item) => {
+            const path = `evidence/${item.checkId}/${item.sha256.slice(0, 12)}-${item.filename}`;
+            try {
+                entries.push({ name: path, data: await store.getContent(item.sha256) });
+                return { ...item, path, available: true };
+            } catch (error) {
+                // Listed as unavailable rather than failing the whole bundle
+                this.logger.error('Evidence content unavailable', { validationId, sha256: item.sha256, error: error.message });
+                return { ...item, path: null, available: false };
+            }
+        }));
+
+        const manifest = {
+            validationId,
+            systemId: record.systemId,
+            validatedAt: record.validatedAt,
+            validatedBy: record.validatedBy,
+            safetyStatus: record.result.safetyStatus,
+            complianceScore: record.result.complianceScore,
+            generatedAt: new Date().toISOString(),
+            generatedBy: userId,
+            files
+        };
+        const checksums = files
+            .filter(file => file.available)
+            .map(file => `${file.sha256}  ${file.path}\n`)
+            .join('');
+
+        const archive = createZipArchive([
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            { name: 'SHA256SUMS', data: checksums },
+            ...entries
+        ]);
+
+        await this.audit({
+            type: 'evidence_bundle_downloaded',
+            organizationId,
+            userId,
+            systemId: record.systemId,
+            validationId,
+            files: files.length
+        });
+
+        return { filename: `evidence-${validationId}.zip`, archive };
+    }
+
+    /**
+     * Build a compliance report for auditors, of a validation or of an AI
+     * system's latest validation and full validation history
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} options - { validationId } or { systemId }, and format (html, pdf)
+     * @param {string} userId - Requesting user
+     * @returns {Object} { report, error } - report is null when the validation or system is unknown
+     */
+    async buildComplianceReport(organizationId, options, userId) {
+        const { validationId, systemId, format = 'html' } = options;
+        const history = this.safetyEngine.validationHistory;
+        const scope = validationId ? 'validation' : 'system';
+
+        let record;
+        let system;
+        let validations = null;
+        if (scope === 'validation') {
+            record = await history.get(organizationId, validationId);
+            if (!record) return { report: null, error: null };
+            system = record.aiSystem;
+        } else {
+            system = await this.systemRegistry.get(organizationId, systemId);
+            if (!system) return { report: null, error: null };
+
+            validations = [];
+            for (let page = 1; validations.length < MAX_REPORT_HISTORY; page++) {
+                const { validations: batch, pagination } = await history.listForSystem(
+                    organizationId, systemId, { page, limit: 100 }
+                );
+                validations.push(...batch);
+                if (!pagination.hasNext) break;
+            }
+            validations = validations.slice(0, MAX_REPORT_HISTORY);
+            if (validations.length === 0) {
+                return { report: null, error: `AI system ${systemId} has not been validated` };
+            }
+            record = await history.get(organizationId, validations[0].validationId);
+        }
+
+        const [{ waivers }, auditChain] = await Promise.all([
+            this.listWaivers(organizationId, { systemId: record.systemId }, { limit: 100 }),
+            this.verifyAuditLog(organizationId)
+        ]);
+
+        const model = buildReportModel({
+            scope,
+            organizationId,
+            system,
+            record,
+            history: validations,
+            waivers,
+            auditChain,
+            generatedBy: userId
+        });
+        const integrity = signReport(model, this.reportSigningKey);
+        const content = format === 'pdf' ? renderReportPdf(model, integrity) : renderReportHtml(model, integrity);
+
+        await this.audit({
+            type: 'compliance_report_generated',
+            organizationId,
+            userId,
+            scope,
+            systemId: record.systemId,
+            validationId: record.validationId,
+            reportId: model.reportId,
+            format,
+            digest: integrity.digest,
+            signed: Boolean(integrity.signature)
+        });
+
+        const subject = scope === 'validation' ? `validation-${record.validationId}` : `system-${record.systemId}`;
+        return {
+            report: {
+                reportId: model.reportId,
+                filename: `compliance-report-${subject}.${format}`,
+                contentType: REPORT_CONTENT_TYPES[format],
+                content,
+                digest: integrity.digest,
+                signature: integrity.signature
+            },
+            error: null
+        };
+    }
+
+    /**
+     * Measure fairness from a prediction dataset
+     *
+     * The dataset is kept as test results evidence on the bias check, and
+     * the evaluation scores the bias check of the system's next validations.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} dataset - { systemId, filename, contentType, content, protectedAttributes, columns, positiveLabel, decisionThreshold }
+     * @param {string} userId - Uploading user
+     * @returns {Object} { evaluation, error } - evaluation is null when the dataset cannot be evaluated
+     */
+    async evaluateFairness(organizationId, dataset, userId) {
+        const engine = this.safetyEngine;
+        const thresholds = engine.config.fairnessThresholds;
+        const format = detectDatasetFormat(dataset.filename);
+        if (!format) {
+            return { evaluation: null, error: 'Prediction datasets must be .csv or .jsonl files' };
+        }
+
+        let metrics;
+        try {
+            metrics = computeFairnessMetrics(parseDataset(dataset.content, format), {
+                protectedAttributes: dataset.protectedAttributes,
+                columns: dataset.columns,
+                positiveLabel: dataset.positiveLabel,
+                decisionThreshold: dataset.decisionThreshold,
+                minGroupSize: thresholds.minGroupSize
+            });
+        } catch (error) {
+            return { evaluation: null, error: `Dataset could not be evaluated: ${error.message}` };
+        }
+
+        const evidence = await engine.evidence.attach(organizationId, {
+            systemId: dataset.systemId,
+            checkId: FAIRNESS_CHECK_ID,
+            kind: 'test_results',
+            description: `Prediction dataset for fairness evaluation (${dataset.protectedAttributes.join(', ')})`,
+            filename: dataset.filename,
+            contentType: dataset.contentType,
+            content: dataset.content
+        }, userId);
+
+        const evaluation = await engine.fairnessEvaluations.record(organizationId, {
+            systemId: dataset.systemId,
+            evidenceId: evidence.id,
+            dataset: { sha256: evidence.sha256, format, columns: dataset.columns },
+            protectedAttributes: dataset.protectedAttributes,
+            metrics
+        }, userId);
+        const assessment = assessFairness(metrics, thresholds);
+
+        await this.audit({
+            type: 'fairness_evaluated',
+            organizationId,
+            userId,
+            systemId: evaluation.systemId,
+            evaluationId: evaluation.id,
+            evidenceId: evidence.id,
+            sha256: evidence.sha256,
+            rows: metrics.rows,
+            protectedAttributes: evaluation.protectedAttributes,
+            score: assessment.score
+        });
+
+        return { evaluation: { ...evaluation, assessment: { ...assessment, thresholds } }, error: null };
+    }
+
+    /**
+     * List fairness evaluations
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - systemId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { evaluations, pagination }
+     */
+    async listFairnessEvaluations(organizationId, filters = {}, pagination = {}) {
+        return this.safetyEngine.fairnessEvaluations.list(organizationId, filters, pagination);
+    }
+
+    /**
+     * Get a fairness evaluation, assessed against the current thresholds
+     * @param {string} organizationId - Organization identifier
+     * @param {string} evaluationId - Evaluation identifier
+     * @returns {Object|null} Evaluation
+     */
+    async getFairnessEvaluation(organizationId, evaluationId) {
+        const evaluation = await this.safetyEngine.fairnessEvaluations.get(organizationId, evaluationId);
+        if (!evaluation) return null;
+
+        const thresholds = this.safetyEngine.config.fairnessThresholds;
+        return { ...evaluation, assessment: { ...assessFairness(evaluation.metrics, thresholds), thresholds } };
+    }
+
+    /**
+     * List safety checks available to an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array} Check summaries with enabled state
+     */
+    async listSafetyChecks(organizationId) {
+        await this.safetyEngine.loadOrganization(organizationId);
+        return this.safetyEngine.checkRegistry.list(organizationId);
+    }
+
+    /**
+     * Enable or disable a safety check for an organization
+     * @param {string} organizationId - Organization identifier
+     * @param {string} checkId - Check identifier
+     * @param {boolean} enabled - Enabled state
+     * @param {string} userId - Requesting user
+     * @returns {Object|null} Updated check summary, or null if the check is unknown
+     */
+    async setSafetyCheckEnabled(organizationId, checkId, enabled, userId) {
+        if (!(await this.listSafetyChecks(organizationId)).some(check => check.id === checkId)) {
+            return null;
+        }
+
+        await this.safetyEngine.checkSettings.set(organizationId, checkId, enabled, userId);
+        return this.safetyEngine.checkRegistry.setEnabled(organizationId, checkId, enabled);
+    }
+
+    /**
+     * Parse and validate a policy document
+     * @private
+     */
+    preparePolicy(source) {
+        let policy;
+        try {
+            policy = parsePolicy(source);
+        } catch (error) {
+            return { policy: null, validation: { valid: false, errors: [{ path: '', message: error.message }], summary: null } };
+        }
+
+        return { policy, validation: validatePolicy(policy) };
+    }
+
+    /**
+     * Validate a governance policy without applying it
+     * @param {Object|string} source - Policy object or JSON/YAML text
+     * @returns {Object} { valid, errors, summary }
+     */
+    validatePolicy(source) {
+        return this.preparePolicy(source).validation;
+    }
+
+    /**
+     * Show how a policy would change the scores of previously validated systems
+     * @param {string} organizationId - Organization identifier
+     * @param {Object|string} source - Policy object or JSON/YAML text
+     * @returns {Object} { validation, impact } - impact is null when the policy is invalid
+     */
+    async dryRunPolicy(organizationId, source) {
+        const { policy, validation } = this.preparePolicy(source);
+        if (!validation.valid) {
+            return { validation, impact: null };
+        }
+
+        const systems = await this.safetyEngine.projectValidations(organizationId, compilePolicy(policy));
+        const changed = systems.filter(system => system.scoreDelta !== 0);
+
+        return {
+            validation,
+            impact: {
+                policy: { id: policy.id, version: policy.version },
+                summary: {
+                    systemsEvaluated: systems.length,
+                    scoresChanged: changed.length,
+                    statusChanges: systems.filter(system =>
+                        system.current.safetyStatus !== system.projected.safetyStatus).length,
+                    averageScoreDelta: systems.length > 0 ?
+                        systems.reduce((sum, system) => sum + system.scoreDelta, 0) / systems.length : 0
+                },
+                systems
+            }
+        };
+    }
+
+    /**
+     * Publish a governance policy for an organization
+     *
+     * The policy's checks replace the checks of any earlier version of the
+     * same policy and override global checks with the same id.
+     * Published versions are stored, so the policy applies on every replica
+     * and survives restarts.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {Object|string} source - Policy object or JSON/YAML text
+     * @param {string} userId - Publishing user
+     * @returns {Object} { validation, policy, conflict } - conflict is set when the version was already published
+     */
+    async publishPolicy(organizationId, source, userId) {
+        const { policy, validation } = this.preparePolicy(source);
+        if (!validation.valid) {
+            return { validation, policy: null, conflict: null };
+        }
+
+        const versions = (await this.safetyEngine.loadOrganization(organizationId)).get(policy.id) || [];
+
+        const existing = versions.find(version => version.version === policy.version);
+        if (existing) {
+            return { validation, policy: null, conflict: this.describePolicy(existing, versions) };
+        }
+
+        const registry = this.safetyEngine.checkRegistry;
+        const checkSource = `policy:${policy.id}`;
+        const definitions = compilePolicy(policy);
+        try {
+            registry.prepareSource(organizationId, checkSource, definitions);
+        } catch (error) {
+            return {
+                validation: { ...validation, valid: false, errors: [{ path: 'checks', message: error.message }] },
+                policy: null,
+                conflict: null
+            };
+        }
+
+        const record = await this.safetyEngine.policies.publish(organizationId, {
+            id: policy.id,
+            name: policy.name || policy.id,
+            version: policy.version,
+            description: policy.description || '',
+            checks: policy.checks.map(check => check.id),
+            document: policy,
+            publishedBy: userId
+        });
+        if (!record) {
+            const current = (await this.safetyEngine.policies.listVersions(organizationId)).get(policy.id) || [];
+            const published = current.find(version => version.version === policy.version);
+            return { validation, policy: null, conflict: this.describePolicy(published, current) };
+        }
+        registry.replaceSource(organizationId, checkSource, definitions);
+        versions.push(record);
+
+        await this.audit({
+            type: 'policy_published',
+            organizationId,
+            userId,
+            policy: { id: record.id, version: record.version, checks: record.checks }
+        });
+
+        this.logger.info('Governance policy published', {
+            organizationId,
+            policyId: record.id,
+            version: record.version,
+            userId
+        });
+
+        return { validation, policy: this.describePolicy(record, versions), conflict: null };
+    }
+
+    /**
+     * List governance policies in effect for an organization
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array} Built-in and organization policies
+     */
+    async listPolicies(organizationId) {
+        const policies = await this.safetyEngine.loadOrganization(organizationId);
+        const builtIn = new Map();
+        this.safetyEngine.checkRegistry.checks.forEach(check => {
+            if (!check.policy) return;
+
+            if (!builtIn.has(check.policy.id)) {
+                builtIn.set(check.policy.id, { ...check.policy, scope: 'global', checks: [] });
+            }
+            builtIn.get(check.policy.id).checks.push(check.id);
+        });
+
+        const published = [...policies.values()]
+            .map(versions => this.describePolicy(versions[versions.length - 1], versions));
+
+        return [...builtIn.values(), ...published];
+    }
+
+    /**
+     * Public description of a published policy version
+     * @private
+     */
+    describePolicy(record, versions) {
+        return {
+            id: record.id,
+            name: record.name,
+            version: record.version,
+            description: record.description,
+            scope: 'organization',
+            checks: record.checks,
+            publishedBy: record.publishedBy,
+            publishedAt: record.publishedAt,
+            versions: versions.map(version => version.version)
+        };
     }
 
     /**
@@ -562,49 +1636,163 @@ class VoidGuardService {
      * @returns {Object} Dashboard data
      */
     async getComplianceDashboard(filters = {}) {
-        const auditLog = this.safetyEngine.getAuditLog(filters);
-        
-        // Calculate summary statistics
-        const validations = auditLog.filter(event => event.type === 'safety_validation');
-        const compliantSystems = validations.filter(v => v.result.status === 'compliant').length;
-        const totalSystems = validations.length;
-        const avgScore = totalSystems > 0 ? 
-            validations.reduce((sum, v) => sum + v.result.score, 0) / totalSystems : 0;
+        const [summary, recent, inventory, remediation] = await Promise.all([
+            this.safetyEngine.auditLog.summarizeValidations(filters),
+            this.safetyEngine.getAuditLog({ ...filters, type: 'safety_validation' }, { limit: 10 }),
+            this.getInventorySummary(filters.organizationId),
+            this.safetyEngine.remediation.summarize(filters.organizationId)
+        ]);
 
         return {
             summary: {
-                totalValidations: totalSystems,
-                compliantSystems,
-                complianceRate: totalSystems > 0 ? compliantSystems / totalSystems : 0,
-                averageScore: avgScore
+                totalValidations: summary.total,
+                compliantSystems: summary.compliant,
+                complianceRate: summary.total > 0 ? summary.compliant / summary.total : 0,
+                averageScore: summary.averageScore
+            },
+            inventory,
+            remediation,
+            // Oldest first, as in the audit trail
+            recentValidations: recent.events.reverse(),
+            trends: {
+                last30Days: summary.last30Days,
+                last7Days: summary.last7Days,
+                avgScoreLast30Days: summary.averageScoreLast30Days
+            }
+        };
+    }
+
+    /**
+     * Compliance trends of an organization's validations over time buckets
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} options - interval (day, week, month), startDate, endDate, and
+     *   the systemId, owner and lifecycleState filters
+     * @returns {Object} { trends, error } - trends is null when the date range is invalid
+     */
+    async getComplianceTrends(organizationId, options = {}) {
+        const { interval = 'day', startDate, endDate, systemId, owner, lifecycleState } = options;
+        const { trend, error } = createTrend({
+            interval,
+            startDate: startDate ? new Date(startDate) : null,
+            endDate: endDate ? new Date(endDate) : null
+        });
+        if (error) {
+            return { trends: null, error };
+        }
+
+        const filters = { startDate: trend.startDate, endDate: trend.endDate, systemId, owner, lifecycleState };
+        let after = null;
+        for (;;) {
+            const validations = await this.safetyEngine.validationHistory.scanRange(
+                organizationId, filters, { after, limit: TREND_SCAN_PAGE_SIZE }
+            );
+            validations.forEach(validation => addValidation(trend, validation));
+            if (validations.length < TREND_SCAN_PAGE_SIZE) break;
+            after = validations[validations.length - 1];
+        }
+
+        return {
+            trends: {
+                ...summarizeTrend(trend),
+                filters: Object.fromEntries(
+                    Object.entries({ systemId, owner, lifecycleState }).filter(([, value]) => value)
+                )
             },
-            recentValidations: validations.slice(-10),
-            trends: this.calculateComplianceTrends(validations)
+            error: null
         };
     }
 
     /**
-     * Calculate compliance trends
+     * Compliance of registered systems from their latest validation
      * @private
      */
-    calculateComplianceTrends(validations) {
-        // Simple trend calculation - can be enhanced with more sophisticated analytics
-        const last30Days = validations.filter(v => 
-            new Date(v.timestamp) >= new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-        );
+    async getInventorySummary(organizationId) {
+        const [systems, latest] = await Promise.all([
+            this.systemRegistry.listStates(organizationId),
+            this.safetyEngine.validationHistory.getLatestPerSystem(organizationId, { summaryOnly: true })
+        ]);
+        const latestBySystem = new Map(latest.map(validation => [validation.systemId, validation]));
 
-        const last7Days = validations.filter(v => 
-            new Date(v.timestamp) >= new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        );
+        const byLifecycleState = { proposed: 0, in_development: 0, production: 0, retired: 0 };
+        systems.forEach(system => { byLifecycleState[system.lifecycleState]++; });
+
+        // Retired systems no longer count towards compliance
+        const active = systems.filter(system => system.lifecycleState !== 'retired');
+        const validated = active.map(system => latestBySystem.get(system.id)).filter(Boolean);
+        const compliant = validated.filter(validation => validation.safetyStatus === 'compliant').length;
 
         return {
-            last30Days: last30Days.length,
-            last7Days: last7Days.length,
-            avgScoreLast30Days: last30Days.length > 0 ? 
-                last30Days.reduce((sum, v) => sum + v.result.score, 0) / last30Days.length : 0
+            totalSystems: systems.length,
+            activeSystems: active.length,
+            byLifecycleState,
+            validatedSystems: validated.length,
+            neverValidated: active.length - validated.length,
+            compliantSystems: compliant,
+            nonCompliantSystems: validated.length - compliant,
+            complianceRate: validated.length > 0 ? compliant / validated.length : 0,
+            averageScore: validated.length > 0 ?
+                validated.reduce((sum, validation) => sum + validation.complianceScore, 0) / validated.length : 0,
+            productionNonCompliant: active.filter(system => system.lifecycleState === 'production' &&
+                latestBySystem.get(system.id)?.safetyStatus === 'non-compliant').map(system => system.id)
         };
     }
 
+    /**
+     * Get audit log for an organization
+     * @param {Object} filters - Log filters
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { events, pagination }
+     */
+    async getAuditLog(filters = {}, pagination = {}) {
+        return this.safetyEngine.getAuditLog(filters, pagination);
+    }
+
+    /**
+     * Verify an organization's audit chain
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} Verification report
+     */
+    async verifyAuditLog(organizationId) {
+        return this.safetyEngine.verifyAuditLog(organizationId);
+    }
+
+    /**
+     * Collect the audit events matching the filters for an export, newest first
+     * @param {Object} filters - Log filters (organizationId, type, systemId, startDate, endDate)
+     * @param {string} userId - Exporting user
+     * @returns {Object} { events, truncated } - truncated when more than MAX_AUDIT_EXPORT_EVENTS match
+     */
+    async collectAuditLog(filters, userId) {
+        const events = [];
+        const seen = new Set();
+        let truncated = false;
+
+        for (let page = 1; ; page++) {
+            const { events: batch, pagination } = await this.getAuditLog(filters, { page, limit: 100 });
+            // Events recorded while paging shift later pages, repeating events already collected
+            batch.filter(event => !seen.has(event.id)).forEach(event => {
+                seen.add(event.id);
+                events.push(event);
+            });
+            if (!pagination.hasNext) break;
+            if (events.length >= MAX_AUDIT_EXPORT_EVENTS) {
+                truncated = true;
+                break;
+            }
+        }
+
+        await this.audit({
+            type: 'audit_log_exported',
+            organizationId: filters.organizationId,
+            userId,
+            filters: Object.fromEntries(Object.entries(filters).filter(([field, value]) => field !== 'organizationId' && value)),
+            events: Math.min(events.length, MAX_AUDIT_EXPORT_EVENTS),
+            truncated
+        });
+
+        return { events: events.slice(0, MAX_AUDIT_EXPORT_EVENTS), truncated };
+    }
+
     /**
      * Get service health
      * @returns {Object} Service health
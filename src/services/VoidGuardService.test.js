@@ -0,0 +1,88 @@
+const { VoidGuardService } = require('./VoidGuardService');
+const { CheckWaivers } = require('./CheckWaivers');
+
+function waiverRow(overrides = {}) {
+    return {
+        id: 'waiver-1',
+        organization_id: 'org-1',
+        system_id: 'system-1',
+        check_id: 'privacy',
+        rule_id: 'encryption',
+        justification: 'Compensating control in place',
+        exclude_from_score: false,
+        status: 'pending',
+        requested_by: 'user-1',
+        requested_at: '2026-03-01T00:00:00.000Z',
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        ...overrides
+    };
+}
+
+/**
+ * Pool holding one waiver; approvals only apply to a pending, unexpired row
+ */
+function poolOf(row) {
+    const pool = {
+        row,
+        async query(text, params) {
+            if (text.startsWith('SELECT')) {
+                return { rows: pool.row ? [{ ...pool.row }] : [] };
+            }
+            if (!pool.row || pool.row.status !== 'pending' || new Date(pool.row.expires_at) <= new Date()) {
+                return { rows: [] };
+            }
+            pool.row = { ...pool.row, status: 'approved', approved_by: params[2], approved_at: new Date().toISOString() };
+            return { rows: [{ ...pool.row }] };
+        }
+    };
+    return pool;
+}
+
+function serviceWith(row) {
+    const pool = poolOf(row);
+    const auditLog = { append: jest.fn().mockResolvedValue({}) };
+    const service = new VoidGuardService({ waivers: new CheckWaivers({ pool }), auditLog, auditEnabled: true });
+    return { service, pool, auditLog };
+}
+
+describe('VoidGuardService.approveWaiver', () => {
+    test('refuses approval by the requester', async () => {
+        const { service, pool, auditLog } = serviceWith(waiverRow());
+
+        const result = await service.approveWaiver('org-1', 'waiver-1', 'user-1');
+
+        expect(result).toEqual({ waiver: null, error: 'A waiver cannot be approved by its requester' });
+        expect(pool.row.status).toBe('pending');
+        expect(auditLog.append).not.toHaveBeenCalled();
+    });
+
+    test('approves a pending waiver for another user and audits it', async () => {
+        const { service, auditLog } = serviceWith(waiverRow());
+
+        const { waiver, error } = await service.approveWaiver('org-1', 'waiver-1', 'admin-1');
+
+        expect(error).toBeNull();
+        expect(waiver).toEqual(expect.objectContaining({ status: 'active', approvedBy: 'admin-1', requestedBy: 'user-1' }));
+        expect(auditLog.append).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'waiver_approved',
+            userId: 'admin-1',
+            waiverId: 'waiver-1'
+        }));
+    });
+
+    test.each([
+        ['revoked', { status: 'revoked' }],
+        ['expired', { expires_at: '2026-01-01T00:00:00.000Z' }]
+    ])('does not approve %s waivers', async (status, overrides) => {
+        const { service } = serviceWith(waiverRow(overrides));
+
+        expect(await service.approveWaiver('org-1', 'waiver-1', 'admin-1'))
+            .toEqual({ waiver: null, error: `A ${status} waiver cannot be approved` });
+    });
+
+    test('reports a missing waiver without an error', async () => {
+        const { service } = serviceWith(null);
+
+        expect(await service.approveWaiver('org-1', 'waiver-1', 'admin-1')).toEqual({ waiver: null, error: null });
+    });
+});
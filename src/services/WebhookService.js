@@ -0,0 +1,574 @@
+/**
+ * VoidGuard AI Governance Suite - Outbound Webhooks
+ *
+ * Delivers governance events to the webhook subscriptions of the
+ * organization they belong to. Each delivery is a signed POST of the event:
+ * X-VoidGuard-Signature carries `t=<unix time>,v1=<hex HMAC-SHA256 of
+ * "<t>.<body>">` keyed with the subscription secret. Failed deliveries are
+ * retried with exponential backoff until they succeed or run out of attempts,
+ * and any delivery can be replayed on demand. The dispatcher also announces
+ * waivers about to expire and remediation items that became overdue.
+ *
+ * Webhook hosts resolving to loopback, private or link-local addresses are
+ * refused, when the subscription is saved and before every delivery, unless
+ * the address is listed in WEBHOOK_ALLOWED_HOSTS.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { WebhookStore } = require('./WebhookStore');
+const { CheckWaivers } = require('./CheckWaivers');
+const { RemediationTracker } = require('./RemediationTracker');
+const { AuditLog } = require('./AuditLog');
+const { governanceEvents, createEvent, publishEvent } = require('./GovernanceEvents');
+const { checkHostAddresses } = require('../utils/networkGuard');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/webhooks.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const TEST_EVENT_TYPE = 'webhook.test';
+// Hosts a subscription may use plain http for, so a local receiver can be used in development and tests
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// Longest wait between two attempts of a delivery
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Deliveries retried, and notices announced, per poll; the rest wait for the next poll
+const DELIVERIES_PER_POLL = 50;
+const NOTICES_PER_POLL = 50;
+// Characters of a failed response body kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Positive integer from the environment
+ * @private
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * Hosts webhooks may be sent to (WEBHOOK_ALLOWED_HOSTS); empty allows any public host
+ * @private
+ */
+function allowedHosts() {
+    return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(host => host.length > 0);
+}
+
+/**
+ * Validate a webhook URL
+ * @param {string} value - URL
+ * @returns {Promise<string|null>} Error message, or null when the URL is usable
+ */
+async function validateWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'Webhook url must be an absolute URL';
+    }
+
+    const hostname = url.hostname.toLowerCase();
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOOPBACK_HOSTS.includes(hostname))) {
+        return 'Webhook url must use https (http is only allowed for localhost)';
+    }
+    if (url.username || url.password) {
+        return 'Webhook url must not contain credentials';
+    }
+
+    const hosts = allowedHosts();
+    if (hosts.length > 0 && !hosts.includes(hostname)) {
+        return `Webhook host ${url.hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+    }
+
+    return checkHostAddresses(hostname, hosts);
+}
+
+/**
+ * Signature header of a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} X-VoidGuard-Signature value
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * New subscription secret
+ * @private
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+class WebhookService {
+    constructor(config = {}) {
+        const { store, waivers, remediation, auditLog, ...settings } = config;
+
+        this.config = {
+            auditEnabled: settings.auditEnabled || (process.env.VOIDGUARD_AUDIT_ENABLED === 'true'),
+            maxAttempts: envInt('WEBHOOK_MAX_ATTEMPTS', 8),
+            retryBaseMs: envInt('WEBHOOK_RETRY_BASE', 30) * 1000,
+            timeoutMs: envInt('WEBHOOK_TIMEOUT', 10) * 1000,
+            pollIntervalMs: envInt('WEBHOOK_POLL_INTERVAL', 15) * 1000,
+            waiverExpiryNoticeDays: envInt('WEBHOOK_WAIVER_EXPIRY_NOTICE', 7),
+            ...settings
+        };
+        this.store = store || new WebhookStore();
+        this.waivers = waivers || new CheckWaivers();
+        this.remediation = remediation || new RemediationTracker();
+        this.auditLog = auditLog || new AuditLog();
+        this.timer = null;
+        this.polling = null;
+        // Deliveries of published events being attempted
+        this.inFlight = new Set();
+        this.onEvent = (event) => this.track(this.dispatch(event));
+        this.logger = logger.child({ component: 'WebhookService' });
+    }
+
+    /**
+     * Record an audit event when auditing is enabled
+     * @private
+     */
+    async audit(event) {
+        if (this.config.auditEnabled) {
+            await this.auditLog.append(event);
+        }
+    }
+
+    /**
+     * Keep track of background work so stop() can wait for it
+     * @private
+     */
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise));
+    }
+
+    /**
+     * Create a webhook subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} subscription - { url, description, events, enabled }
+     * @param {string} userId - Creating user
+     * @returns {Object} { subscription, error } - the subscription includes its signing secret, shown only here
+     */
+    async createSubscription(organizationId, subscription, userId) {
+        const error = await validateWebhookUrl(subscription.url);
+        if (error) {
+            return { subscription: null, error };
+        }
+
+        const created = await this.store.createSubscription(organizationId, {
+            url: subscription.url,
+            description: subscription.description,
+            events: [...new Set(subscription.events)],
+            secret: generateSecret(),
+            enabled: subscription.enabled !== false
+        }, userId);
+        await this.audit({
+            type: 'webhook_subscription_created',
+            organizationId,
+            userId,
+            subscriptionId: created.id,
+            url: created.url,
+            events: created.events
+        });
+
+        return { subscription: created, error: null };
+    }
+
+    /**
+     * Get a webhook subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {Object|null} Subscription
+     */
+    async getSubscription(organizationId, subscriptionId) {
+        return this.store.getSubscription(organizationId, subscriptionId);
+    }
+
+    /**
+     * List webhook subscriptions
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { subscriptions, pagination }
+     */
+    async listSubscriptions(organizationId, pagination = {}) {
+        return this.store.listSubscriptions(organizationId, pagination);
+    }
+
+    /**
+     * Update a webhook subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @param {Object} changes - url, description, events, enabled, rotateSecret
+     * @param {string} userId - Updating user
+     * @returns {Object} { subscription, error } - subscription is null when not found or rejected
+     */
+    async updateSubscription(organizationId, subscriptionId, changes, userId) {
+        const { rotateSecret, ...fields } = changes;
+        if (fields.url !== undefined) {
+            const error = await validateWebhookUrl(fields.url);
+            if (error) {
+                return { subscription: null, error };
+            }
+        }
+        if (fields.events !== undefined) {
+            fields.events = [...new Set(fields.events)];
+        }
+        if (rotateSecret) {
+            fields.secret = generateSecret();
+        }
+
+        const subscription = await this.store.updateSubscription(organizationId, subscriptionId, fields);
+        if (subscription) {
+            await this.audit({
+                type: 'webhook_subscription_updated',
+                organizationId,
+                userId,
+                subscriptionId,
+                fields: Object.keys(changes)
+            });
+        }
+
+        return { subscription, error: null };
+    }
+
+    /**
+     * Delete a webhook subscription and its delivery log
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @param {string} userId - Deleting user
+     * @returns {boolean} True if the subscription existed
+     */
+    async deleteSubscription(organizationId, subscriptionId, userId) {
+        const deleted = await this.store.deleteSubscription(organizationId, subscriptionId);
+        if (deleted) {
+            await this.audit({
+                type: 'webhook_subscription_deleted',
+                organizationId,
+                userId,
+                subscriptionId
+            });
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Send a test event to a subscription and wait for the attempt
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @param {string} userId - Requesting user
+     * @returns {Object|null} Delivery after its first attempt, or null when the subscription was not found
+     */
+    async sendTestEvent(organizationId, subscriptionId, userId) {
+        const subscription = await this.store.getSubscription(organizationId, subscriptionId);
+        if (!subscription) {
+            return null;
+        }
+
+        const event = createEvent(organizationId, TEST_EVENT_TYPE, { subscriptionId, requestedBy: userId });
+        const delivery = await this.store.createDelivery(organizationId, { subscriptionId, event });
+        return this.attemptDelivery(delivery.id);
+    }
+
+    /**
+     * Get a delivery
+     * @param {string} organizationId - Organization identifier
+     * @param {string} deliveryId - Delivery identifier
+     * @returns {Object|null} Delivery
+     */
+    async getDelivery(organizationId, deliveryId) {
+        return this.store.getDelivery(organizationId, deliveryId);
+    }
+
+    /**
+     * List deliveries
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - subscriptionId, status, eventType
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { deliveries, pagination }
+     */
+    async listDeliveries(organizationId, filters = {}, pagination = {}) {
+        return this.store.listDeliveries(organizationId, filters, pagination);
+    }
+
+    /**
+     * Deliver the event of a delivery again, as a new delivery, and wait for the attempt
+     *
+     * The replay carries the same event (and event id), so receivers can
+     * recognize events they already processed.
+     *
+     * @param {string} organizationId - Organization identifier
+     * @param {string} deliveryId - Delivery to replay
+     * @param {string} userId - Requesting user
+     * @returns {Object|null} New delivery after its first attempt, or null when the delivery was not found
+     */
+    async replayDelivery(organizationId, deliveryId, userId) {
+        const original = await this.store.getDelivery(organizationId, deliveryId);
+        if (!original) {
+            return null;
+        }
+
+        const delivery = await this.store.createDelivery(organizationId, {
+            subscriptionId: original.subscriptionId,
+            event: original.payload,
+            replayOf: original.id
+        });
+        await this.audit({
+            type: 'webhook_delivery_replayed',
+            organizationId,
+            userId,
+            subscriptionId: original.subscriptionId,
+            deliveryId: delivery.id,
+            replayOf: original.id,
+            eventType: original.eventType
+        });
+
+        return this.attemptDelivery(delivery.id);
+    }
+
+    /**
+     * Queue and attempt deliveries of a published event to the subscriptions of its organization
+     * @private
+     */
+    async dispatch(event) {
+        if (!event.organizationId) return;
+
+        try {
+            const subscriptions = await this.store.listSubscribed(event.organizationId, event.type);
+            await Promise.all(subscriptions.map(async (subscription) => {
+                const delivery = await this.store.createDelivery(event.organizationId, {
+                    subscriptionId: subscription.id,
+                    event
+                });
+                await this.attemptDelivery(delivery.id);
+            }));
+        } catch (error) {
+            this.logger.error('Webhook dispatch failed', {
+                organizationId: event.organizationId,
+                eventType: event.type,
+                eventId: event.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Attempt a due delivery, if this replica can take its lease
+     * @private
+     * @returns {Object|null} Delivery after the attempt, or null when it was not claimed
+     */
+    async attemptDelivery(deliveryId) {
+        // The lease covers the request and recording its outcome
+        const delivery = await this.store.claim(deliveryId, this.config.timeoutMs * 2);
+        if (!delivery) {
+            return null;
+        }
+
+        const attempt = { responseStatus: null, error: null };
+        const target = await this.store.getTarget(delivery.subscriptionId);
+        const addressError = target && target.enabled ?
+            await checkHostAddresses(new URL(target.url).hostname, allowedHosts()) : null;
+        if (!target || !target.enabled) {
+            attempt.error = 'Subscription is disabled';
+        } else if (addressError) {
+            attempt.error = `Request refused: ${addressError}`;
+        } else {
+            const body = JSON.stringify(delivery.payload);
+            try {
+                const response = await fetch(target.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'VoidGuard-Webhooks/1.0',
+                        'X-VoidGuard-Event': delivery.eventType,
+                        'X-VoidGuard-Delivery': delivery.id,
+                        'X-VoidGuard-Signature': signPayload(target.secret, body)
+                    },
+                    body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(this.config.timeoutMs)
+                });
+                attempt.responseStatus = response.status;
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    attempt.error = `Receiver responded with HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`;
+                }
+            } catch (error) {
+                attempt.error = error.name === 'TimeoutError' ?
+                    `Receiver did not respond within ${this.config.timeoutMs}ms` :
+                    `Request failed: ${error.cause?.message || error.message}`;
+            }
+        }
+
+        if (!attempt.error) {
+            const delivered = await this.store.recordAttempt(delivery.id, { ...attempt, status: 'delivered' });
+            this.logger.info('Webhook delivered', {
+                organizationId: delivery.organizationId,
+                deliveryId: delivery.id,
+                eventType: delivery.eventType,
+                attempts: delivered.attempts
+            });
+            return delivered;
+        }
+
+        // Retry after base, 2 x base, 4 x base... while attempts remain
+        const attempts = delivery.attempts + 1;
+        const exhausted = attempts >= this.config.maxAttempts || !target || !target.enabled;
+        const delay = Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        const updated = await this.store.recordAttempt(delivery.id, {
+            ...attempt,
+            status: exhausted ? 'failed' : 'pending',
+            nextAttemptAt: exhausted ? null : new Date(Date.now() + delay)
+        });
+
+        this.logger.warn(exhausted ? 'Webhook delivery failed' : 'Webhook delivery attempt failed', {
+            organizationId: delivery.organizationId,
+            deliveryId: delivery.id,
+            eventType: delivery.eventType,
+            attempts,
+            error: attempt.error
+        });
+        return updated;
+    }
+
+    /**
+     * Announce waivers about to expire and remediation items that became overdue
+     * @private
+     * @returns {number} Events published
+     */
+    async publishNotices() {
+        const waivers = await this.waivers.claimExpiryNotices(this.config.waiverExpiryNoticeDays, NOTICES_PER_POLL);
+        for (const waiver of waivers) {
+            publishEvent(waiver.organizationId, 'waiver.expiring', {
+                waiverId: waiver.id,
+                systemId: waiver.systemId,
+                checkId: waiver.checkId,
+                ruleId: waiver.ruleId,
+                approvedBy: waiver.approvedBy,
+                expiresAt: waiver.expiresAt
+            });
+        }
+
+        const items = await this.remediation.claimOverdueNotices(NOTICES_PER_POLL);
+        for (const item of items) {
+            publishEvent(item.organizationId, 'remediation.overdue', {
+                itemId: item.id,
+                systemId: item.systemId,
+                category: item.category,
+                priority: item.priority,
+                issue: item.issue,
+                assignee: item.assignee,
+                dueDate: item.dueDate
+            });
+        }
+
+        return waivers.length + items.length;
+    }
+
+    /**
+     * Start delivering governance events and polling for retries and notices
+     */
+    start() {
+        if (this.timer) return;
+
+        governanceEvents.on('event', this.onEvent);
+        this.timer = setInterval(() => this.poll(), this.config.pollIntervalMs);
+        // Polling alone does not keep the process alive
+        this.timer.unref();
+        this.logger.info('Webhook dispatcher started', { pollIntervalMs: this.config.pollIntervalMs });
+    }
+
+    /**
+     * Stop delivering, waiting for a poll and deliveries in progress to finish
+     */
+    async stop() {
+        if (this.timer) {
+            governanceEvents.off('event', this.onEvent);
+            clearInterval(this.timer);
+            this.timer = null;
+            this.logger.info('Webhook dispatcher stopped');
+        }
+        await this.polling;
+        await Promise.allSettled([...this.inFlight]);
+    }
+
+    /**
+     * Retry deliveries that are due, then publish waiver and remediation notices
+     *
+     * Polls do not overlap: a poll that starts while the previous one is
+     * still running waits for it instead.
+     *
+     * @returns {Object} { attempted, notices } for this replica
+     */
+    async poll() {
+        if (this.polling) {
+            return this.polling;
+        }
+
+        this.polling = (async () => {
+            const outcome = { attempted: 0, notices: 0 };
+            try {
+                for (const due of await this.store.listDue(DELIVERIES_PER_POLL)) {
+                    if (await this.attemptDelivery(due.id)) {
+                        outcome.attempted++;
+                    }
+                }
+                outcome.notices = await this.publishNotices();
+            } catch (error) {
+                this.logger.error('Webhook poll failed', { error: error.message });
+            }
+            return outcome;
+        })();
+
+        try {
+            return await this.polling;
+        } finally {
+            this.polling = null;
+        }
+    }
+
+    /**
+     * Get webhook health status
+     * @returns {Object} Health status
+     */
+    getHealthStatus() {
+        return {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            config: {
+                dispatcherRunning: Boolean(this.timer),
+                pollIntervalMs: this.config.pollIntervalMs,
+                maxAttempts: this.config.maxAttempts,
+                retryBaseMs: this.config.retryBaseMs,
+                timeoutMs: this.config.timeoutMs,
+                waiverExpiryNoticeDays: this.config.waiverExpiryNoticeDays,
+                deliveriesInFlight: this.inFlight.size,
+                auditEnabled: this.config.auditEnabled
+            },
+            version: '1.0.0'
+        };
+    }
+}
+
+module.exports = { WebhookService, TEST_EVENT_TYPE, validateWebhookUrl, signPayload };
@@ -0,0 +1,405 @@
+/**
+ * VoidGuard AI Governance Suite - Webhook Store
+ *
+ * Webhook subscriptions and their delivery log
+ * (data/migrations/010_create_webhooks.sql). A delivery attempt is claimed by
+ * taking the delivery's lease in a single UPDATE, so when several API
+ * replicas retry deliveries from the same database each attempt is made once.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { getPool } = require('../utils/database');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/voidguard.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// A delivery that can be attempted now
+const DUE_CONDITION = `status = 'pending' AND next_attempt_at <= NOW()
+               AND (lease_expires_at IS NULL OR lease_expires_at < NOW())`;
+
+/**
+ * Map a webhook_subscriptions row to a subscription; the signing secret is
+ * only returned when a subscription is created or its secret rotated
+ * @private
+ */
+function toSubscription(row) {
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        url: row.url,
+        description: row.description,
+        events: row.events,
+        enabled: row.enabled,
+        createdBy: row.created_by,
+        createdAt: new Date(row.created_at).toISOString(),
+        updatedAt: new Date(row.updated_at).toISOString()
+    };
+}
+
+/**
+ * Map a webhook_deliveries row to a delivery
+ * @private
+ */
+function toDelivery(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+
+    return {
+        id: row.id,
+        organizationId: row.organization_id,
+        subscriptionId: row.subscription_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        payload: row.payload,
+        status: row.status,
+        attempts: Number(row.attempts),
+        nextAttemptAt: timestamp(row.next_attempt_at),
+        lastAttemptAt: timestamp(row.last_attempt_at),
+        responseStatus: row.response_status === null ? null : Number(row.response_status),
+        lastError: row.last_error,
+        replayOf: row.replay_of,
+        createdAt: timestamp(row.created_at),
+        deliveredAt: timestamp(row.delivered_at)
+    };
+}
+
+/**
+ * Paginate a query
+ * @private
+ */
+function pageOf(pagination) {
+    const page = Math.max(parseInt(pagination.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(pagination.limit) || 20, 1), 100);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+class WebhookStore {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.pool - PostgreSQL pool (defaults to the shared pool)
+     */
+    constructor(options = {}) {
+        this.pool = options.pool || null;
+        this.logger = logger.child({ component: 'WebhookStore' });
+    }
+
+    /**
+     * Connection pool, resolved lazily so the app starts without a database
+     * @private
+     */
+    get db() {
+        if (!this.pool) {
+            this.pool = getPool();
+        }
+        return this.pool;
+    }
+
+    /**
+     * Create a subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} subscription - { url, description, events, secret, enabled }
+     * @param {string} userId - Creating user
+     * @returns {Object} Subscription, with its secret
+     */
+    async createSubscription(organizationId, subscription, userId) {
+        const { rows } = await this.db.query(
+            `INSERT INTO webhook_subscriptions (id, organization_id, url, description, events, secret, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                subscription.url,
+                subscription.description || null,
+                JSON.stringify(subscription.events),
+                subscription.secret,
+                subscription.enabled,
+                userId || null
+            ]
+        );
+
+        this.logger.info('Webhook subscription created', { organizationId, subscriptionId: rows[0].id });
+        return { ...toSubscription(rows[0]), secret: rows[0].secret };
+    }
+
+    /**
+     * Get a subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {Object|null} Subscription
+     */
+    async getSubscription(organizationId, subscriptionId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM webhook_subscriptions WHERE organization_id = $1 AND id = $2',
+            [organizationId, subscriptionId]
+        );
+
+        return rows.length > 0 ? toSubscription(rows[0]) : null;
+    }
+
+    /**
+     * Where and how to deliver to a subscription
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {Object|null} { url, secret, enabled }, or null when the subscription was deleted
+     */
+    async getTarget(subscriptionId) {
+        const { rows } = await this.db.query(
+            'SELECT url, secret, enabled FROM webhook_subscriptions WHERE id = $1',
+            [subscriptionId]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * List subscriptions, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { subscriptions, pagination }
+     */
+    async listSubscriptions(organizationId, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM webhook_subscriptions WHERE organization_id = $1
+                 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+                [organizationId, limit, offset]
+            ),
+            this.db.query(
+                'SELECT COUNT(*)::int AS total FROM webhook_subscriptions WHERE organization_id = $1',
+                [organizationId]
+            )
+        ]);
+
+        return {
+            subscriptions: rows.map(toSubscription),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+
+    /**
+     * Enabled subscriptions of an organization to an event type
+     * @param {string} organizationId - Organization identifier
+     * @param {string} eventType - Event type
+     * @returns {Array} Subscriptions
+     */
+    async listSubscribed(organizationId, eventType) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM webhook_subscriptions WHERE organization_id = $1 AND enabled = TRUE',
+            [organizationId]
+        );
+
+        return rows
+            .map(toSubscription)
+            .filter(subscription => subscription.events.includes('*') || subscription.events.includes(eventType));
+    }
+
+    /**
+     * Update a subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @param {Object} changes - url, description, events, enabled, secret
+     * @returns {Object|null} Updated subscription, with its secret when it was rotated
+     */
+    async updateSubscription(organizationId, subscriptionId, changes) {
+        const assignments = ['updated_at = NOW()'];
+        const params = [organizationId, subscriptionId];
+        const assign = (column, value) => {
+            params.push(value);
+            assignments.push(`${column} = $${params.length}`);
+        };
+
+        if (changes.url !== undefined) assign('url', changes.url);
+        if (changes.description !== undefined) assign('description', changes.description);
+        if (changes.events !== undefined) assign('events', JSON.stringify(changes.events));
+        if (changes.enabled !== undefined) assign('enabled', changes.enabled);
+        if (changes.secret !== undefined) assign('secret', changes.secret);
+
+        const { rows } = await this.db.query(
+            `UPDATE webhook_subscriptions SET ${assignments.join(', ')}
+             WHERE organization_id = $1 AND id = $2 RETURNING *`,
+            params
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const subscription = toSubscription(rows[0]);
+        return changes.secret !== undefined ? { ...subscription, secret: rows[0].secret } : subscription;
+    }
+
+    /**
+     * Delete a subscription and its delivery log
+     * @param {string} organizationId - Organization identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {boolean} True if the subscription existed
+     */
+    async deleteSubscription(organizationId, subscriptionId) {
+        const { rowCount } = await this.db.query(
+            'DELETE FROM webhook_subscriptions WHERE organization_id = $1 AND id = $2',
+            [organizationId, subscriptionId]
+        );
+
+        return rowCount > 0;
+    }
+
+    /**
+     * Queue a delivery of an event to a subscription
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} delivery - { subscriptionId, event, replayOf }
+     * @returns {Object} Delivery, due now
+     */
+    async createDelivery(organizationId, { subscriptionId, event, replayOf }) {
+        const { rows } = await this.db.query(
+            `INSERT INTO webhook_deliveries
+                (id, organization_id, subscription_id, event_id, event_type, payload, next_attempt_at, replay_of)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)
+             RETURNING *`,
+            [
+                uuidv4(),
+                organizationId,
+                subscriptionId,
+                event.id,
+                event.type,
+                JSON.stringify(event),
+                replayOf || null
+            ]
+        );
+
+        return toDelivery(rows[0]);
+    }
+
+    /**
+     * Get a delivery
+     * @param {string} organizationId - Organization identifier
+     * @param {string} deliveryId - Delivery identifier
+     * @returns {Object|null} Delivery
+     */
+    async getDelivery(organizationId, deliveryId) {
+        const { rows } = await this.db.query(
+            'SELECT * FROM webhook_deliveries WHERE organization_id = $1 AND id = $2',
+            [organizationId, deliveryId]
+        );
+
+        return rows.length > 0 ? toDelivery(rows[0]) : null;
+    }
+
+    /**
+     * List deliveries, newest first
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} filters - subscriptionId, status, eventType
+     * @param {Object} pagination - { page, limit }
+     * @returns {Object} { deliveries, pagination }
+     */
+    async listDeliveries(organizationId, filters = {}, pagination = {}) {
+        const { page, limit, offset } = pageOf(pagination);
+        const conditions = ['organization_id = $1'];
+        const params = [organizationId];
+        if (filters.subscriptionId) {
+            params.push(filters.subscriptionId);
+            conditions.push(`subscription_id = $${params.length}`);
+        }
+        if (filters.status) {
+            params.push(filters.status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (filters.eventType) {
+            params.push(filters.eventType);
+            conditions.push(`event_type = $${params.length}`);
+        }
+        const where = conditions.join(' AND ');
+
+        const [{ rows }, { rows: [{ total }] }] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM webhook_deliveries WHERE ${where}
+                 ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries WHERE ${where}`, params)
+        ]);
+
+        return {
+            deliveries: rows.map(toDelivery),
+            pagination: { page, limit, total, hasNext: page * limit < total, hasPrev: page > 1 }
+        };
+    }
+
+    /**
+     * Deliveries due for an attempt and not leased, across organizations
+     * @param {number} limit - Maximum deliveries
+     * @returns {Array} Deliveries, longest waiting first
+     */
+    async listDue(limit) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM webhook_deliveries WHERE ${DUE_CONDITION}
+             ORDER BY next_attempt_at ASC LIMIT $1`,
+            [limit]
+        );
+
+        return rows.map(toDelivery);
+    }
+
+    /**
+     * Take the lease of a due delivery for one attempt
+     *
+     * The conditions are re-checked by the UPDATE itself, so of several
+     * replicas claiming the same delivery only one gets it back.
+     *
+     * @param {string} deliveryId - Delivery identifier
+     * @param {number} leaseMs - Lease duration
+     * @returns {Object|null} Claimed delivery, or null when it is not due or another replica holds it
+     */
+    async claim(deliveryId, leaseMs) {
+        const { rows } = await this.db.query(
+            `UPDATE webhook_deliveries SET lease_expires_at = $2
+             WHERE id = $1 AND ${DUE_CONDITION}
+             RETURNING *`,
+            [deliveryId, new Date(Date.now() + leaseMs)]
+        );
+
+        return rows.length > 0 ? toDelivery(rows[0]) : null;
+    }
+
+    /**
+     * Record the outcome of an attempt and release the lease
+     * @param {string} deliveryId - Delivery identifier
+     * @param {Object} attempt - { status, responseStatus, error, nextAttemptAt }
+     * @returns {Object|null} Updated delivery
+     */
+    async recordAttempt(deliveryId, { status, responseStatus, error, nextAttemptAt }) {
+        const { rows } = await this.db.query(
+            `UPDATE webhook_deliveries SET
+                status = $2,
+                attempts = attempts + 1,
+                last_attempt_at = NOW(),
+                response_status = $3,
+                last_error = $4,
+                next_attempt_at = $5,
+                delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END,
+                lease_expires_at = NULL
+             WHERE id = $1
+             RETURNING *`,
+            [deliveryId, status, responseStatus || null, error || null, nextAttemptAt || null]
+        );
+
+        return rows.length > 0 ? toDelivery(rows[0]) : null;
+    }
+}
+
+module.exports = { WebhookStore, DELIVERY_STATUSES };
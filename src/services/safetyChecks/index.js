@@ -0,0 +1,20 @@
+/**
+ * VoidGuard AI Governance Suite - Built-in Safety Checks
+ *
+ * Checks registered by default in every SafetyCheckRegistry: the core
+ * governance policy (src/policies/voidguard-core.yml) plus the regulatory
+ * rule packs.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { loadPolicyFile, compilePolicy } = require('../PolicyEngine');
+
+const CORE_POLICY_PATH = path.join(__dirname, '../../policies/voidguard-core.yml');
+
+module.exports = [
+    ...compilePolicy(loadPolicyFile(CORE_POLICY_PATH)),
+    require('./regulatory')
+];
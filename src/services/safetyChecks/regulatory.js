@@ -0,0 +1,59 @@
+/**
+ * VoidGuard AI Governance Suite - Regulatory Compliance Safety Check
+ *
+ * Built-in check: evaluates the regulatory frameworks requested through
+ * `context.regulatory` (see ../RegulatoryFrameworks.js). Skipped when no
+ * framework is requested.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { SUPPORTED_FRAMEWORKS, evaluateFramework } = require('../RegulatoryFrameworks');
+
+module.exports = {
+    id: 'regulatory',
+    category: 'regulatory',
+    weight: 0.15,
+    description: 'GDPR, CCPA, SOC2, ISO27001 and NIST AI RMF controls requested per validation',
+
+    async evaluate(aiSystem, context = {}) {
+        const frameworks = context.regulatory;
+        if (!frameworks || frameworks.length === 0) {
+            return null;
+        }
+
+        const requested = [...new Set(Array.isArray(frameworks) ? frameworks : [frameworks])];
+        const checks = [];
+        const results = {};
+
+        requested.forEach(frameworkId => {
+            if (!SUPPORTED_FRAMEWORKS.includes(frameworkId)) {
+                checks.push({ type: 'info', message: `Regulatory framework ${frameworkId} is not supported` });
+                return;
+            }
+
+            const result = evaluateFramework(frameworkId, aiSystem);
+            results[frameworkId] = result;
+
+            result.controls
+                .filter(control => control.status !== 'pass')
+                .forEach(control => {
+                    checks.push({
+                        type: control.status === 'fail' ? 'error' : 'warning',
+                        message: `${control.citation}: ${control.title} requirement not met`,
+                        framework: frameworkId,
+                        controlId: control.controlId,
+                        citation: control.citation,
+                        action: control.remediation
+                    });
+                });
+        });
+
+        const evaluated = Object.values(results);
+        const score = evaluated.length > 0 ?
+            evaluated.reduce((sum, result) => sum + result.score, 0) / evaluated.length : 1.0;
+
+        return { score, checks, frameworks: results };
+    }
+};
@@ -0,0 +1,148 @@
+/**
+ * VoidGuard AI Governance Suite - Cron Schedules
+ *
+ * Five-field cron expressions (minute hour day-of-month month day-of-week,
+ * evaluated in UTC) with lists, ranges and steps, plus the @hourly, @daily,
+ * @weekly, @monthly and @yearly shorthands. As in cron, a day matches when
+ * either day field matches if both are restricted.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const CRON_SHORTHANDS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a next run after this many steps (e.g. "0 0 30 2 *")
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @private
+ */
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} field: ${text}`);
+        }
+        const step = match[4] === undefined ? 1 : Number(match[4]);
+        let from = min;
+        let to = max;
+        if (match[1] !== '*') {
+            from = Number(match[2]);
+            // "5/15" runs from 5 to the end of the range
+            to = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? max : from);
+        }
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or shorthand
+ * @returns {Object} Parsed schedule
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (CRON_SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseField(field, CRON_FIELDS[index]));
+    // 7 is Sunday too
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        dayOfMonthRestricted: !fields[2].startsWith('*'),
+        dayOfWeekRestricted: !fields[4].startsWith('*')
+    };
+}
+
+/**
+ * Validate a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when the expression is valid
+ */
+function validateCron(expression) {
+    try {
+        return nextCronRun(expression) ? null : 'Cron expression never fires';
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Whether a schedule runs on the day of a date
+ * @private
+ */
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time a cron expression fires after a date
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start of the search (exclusive)
+ * @returns {Date|null} Next run, or null when the expression never fires
+ */
+function nextCronRun(expression, after = new Date()) {
+    const schedule = parseCron(expression);
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+        if (!schedule.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!schedule.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!schedule.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = { CRON_SHORTHANDS, parseCron, validateCron, nextCronRun };
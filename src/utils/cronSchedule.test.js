@@ -0,0 +1,68 @@
+const { parseCron, validateCron, nextCronRun } = require('./cronSchedule');
+
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+    test('expands lists, ranges and steps', () => {
+        const schedule = parseCron('0,30 9-17/4 * * 1-5');
+
+        expect([...schedule.minute]).toEqual([0, 30]);
+        expect([...schedule.hour]).toEqual([9, 13, 17]);
+        expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('runs a start/step field to the end of the range', () => {
+        expect([...parseCron('5/20 * * * *').minute]).toEqual([5, 25, 45]);
+    });
+
+    test('treats 7 as Sunday', () => {
+        expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    });
+
+    test('expands shorthands', () => {
+        expect(parseCron('@daily')).toEqual(parseCron('0 0 * * *'));
+    });
+});
+
+describe('validateCron', () => {
+    test.each([
+        ['* * * *', 'Cron expressions need five fields: minute hour day-of-month month day-of-week'],
+        ['60 * * * *', 'Invalid minute field: 60 (allowed 0-59)'],
+        ['* * * 0 *', 'Invalid month field: 0 (allowed 1-12)'],
+        ['*/0 * * * *', 'Invalid minute field: */0 (allowed 0-59)'],
+        ['a * * * *', 'Invalid minute field: a'],
+        ['0 0 30 2 *', 'Cron expression never fires']
+    ])('%s is rejected', (expression, message) => {
+        expect(validateCron(expression)).toBe(message);
+    });
+
+    test('accepts a valid expression', () => {
+        expect(validateCron('*/15 * * * *')).toBeNull();
+    });
+});
+
+describe('nextCronRun', () => {
+    test('returns the next matching minute after the date', () => {
+        expect(nextCronRun('*/15 * * * *', at('2026-03-10T10:07:30Z'))).toEqual(at('2026-03-10T10:15:00Z'));
+    });
+
+    test('excludes the start date itself', () => {
+        expect(nextCronRun('0 * * * *', at('2026-03-10T10:00:00Z'))).toEqual(at('2026-03-10T11:00:00Z'));
+    });
+
+    test('rolls over days, months and years in UTC', () => {
+        expect(nextCronRun('30 2 * * *', at('2026-03-10T03:00:00Z'))).toEqual(at('2026-03-11T02:30:00Z'));
+        expect(nextCronRun('@monthly', at('2026-03-10T00:00:00Z'))).toEqual(at('2026-04-01T00:00:00Z'));
+        expect(nextCronRun('@yearly', at('2026-03-10T00:00:00Z'))).toEqual(at('2027-01-01T00:00:00Z'));
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // 2026-03-10 is a Tuesday: the 15th or the next Friday, whichever comes first
+        expect(nextCronRun('0 0 15 * 5', at('2026-03-10T00:00:00Z'))).toEqual(at('2026-03-13T00:00:00Z'));
+        expect(nextCronRun('0 0 11 * 5', at('2026-03-10T00:00:00Z'))).toEqual(at('2026-03-11T00:00:00Z'));
+    });
+
+    test('finds leap days', () => {
+        expect(nextCronRun('0 0 29 2 *', at('2026-03-01T00:00:00Z'))).toEqual(at('2028-02-29T00:00:00Z'));
+    });
+});
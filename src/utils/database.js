@@ -0,0 +1,86 @@
+/**
+ * VoidGuard AI Governance Suite - PostgreSQL Connection
+ *
+ * Shared connection pool configured from the DB_* environment variables
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const { Pool } = require('pg');
+const winston = require('winston');
+
+// Initialize logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/database.log' }),
+        new winston.transports.Console()
+    ]
+});
+
+let pool = null;
+
+/**
+ * Get the shared connection pool, creating it on first use
+ * @returns {Pool} PostgreSQL pool
+ */
+function getPool() {
+    if (!pool) {
+        pool = new Pool({
+            host: process.env.DB_HOST || 'localhost',
+            port: parseInt(process.env.DB_PORT) || 5432,
+            database: process.env.DB_NAME || 'voidguard_governance',
+            user: process.env.DB_USER || 'voidguard_user',
+            password: process.env.DB_PASSWORD,
+            ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+            max: parseInt(process.env.DB_POOL_MAX) || 10
+        });
+
+        // Idle client errors must not crash the process
+        pool.on('error', (error) => {
+            logger.error('PostgreSQL pool error', { error: error.message });
+        });
+    }
+
+    return pool;
+}
+
+/**
+ * Run a function inside a transaction
+ * @param {Pool} db - Connection pool
+ * @param {Function} fn - async (client) => result
+ * @returns {*} Result of fn
+ */
+async function withTransaction(db, fn) {
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Close the shared pool (graceful shutdown)
+ */
+async function closePool() {
+    if (pool) {
+        const closing = pool;
+        pool = null;
+        await closing.end();
+    }
+}
+
+module.exports = { getPool, withTransaction, closePool };
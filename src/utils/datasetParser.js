@@ -0,0 +1,136 @@
+/**
+ * VoidGuard AI Governance Suite - Dataset Parser
+ *
+ * Parses tabular uploads (CSV with a header row, or JSON Lines) into an
+ * array of records keyed by column name
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const DATASET_FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes,
+ * line breaks inside quotes)
+ * @private
+ */
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.length === 0) {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter(fields => fields.length > 1 || fields[0].trim().length > 0);
+}
+
+/**
+ * Parse CSV with a header row
+ * @param {string} text - CSV text
+ * @returns {Array} Records keyed by header
+ */
+function parseCsv(text) {
+    const [header, ...rows] = splitCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw new Error('CSV dataset is empty');
+    }
+
+    const columns = header.map(column => column.trim());
+    return rows.map((fields, index) => {
+        if (fields.length !== columns.length) {
+            throw new Error(`CSV row ${index + 2} has ${fields.length} fields, expected ${columns.length}`);
+        }
+        return Object.fromEntries(columns.map((column, i) => [column, fields[i].trim()]));
+    });
+}
+
+/**
+ * Parse JSON Lines (one object per line)
+ * @param {string} text - JSONL text
+ * @returns {Array} Records
+ */
+function parseJsonl(text) {
+    const records = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim().length === 0) return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`JSONL line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`JSONL line ${index + 1} must be an object`);
+        }
+        records.push(record);
+    });
+
+    return records;
+}
+
+/**
+ * Detect the format of an upload from its file name
+ * @param {string} filename - Uploaded file name
+ * @returns {string|null} 'csv', 'jsonl' or null
+ */
+function detectDatasetFormat(filename) {
+    const extension = String(filename || '').toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+    return null;
+}
+
+/**
+ * Parse a dataset upload
+ * @param {Buffer|string} content - File content (UTF-8)
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Array} Records
+ */
+function parseDataset(content, format) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+
+    if (format === 'csv') return parseCsv(text);
+    if (format === 'jsonl') return parseJsonl(text);
+    throw new Error(`Unsupported dataset format ${format}. Supported: ${DATASET_FORMATS.join(', ')}`);
+}
+
+module.exports = { DATASET_FORMATS, parseCsv, parseJsonl, parseDataset, detectDatasetFormat };
@@ -0,0 +1,80 @@
+/**
+ * VoidGuard AI Governance Suite - Network Guard
+ *
+ * Checks the addresses a user-supplied host name resolves to before the
+ * suite sends requests to it (model probes, webhooks), so a URL cannot reach
+ * loopback, private, link-local (cloud metadata) or other non-public
+ * addresses. An operator reaches such an address by listing the address
+ * itself in the allow list of the feature.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses that are not publicly routable
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8], // private
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12], // private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.168.0.0', 16], // private
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 3] // multicast and reserved
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is not publicly routable
+ */
+function isNonPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return NON_PUBLIC_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    return NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a host name and reject it when it points at a non-public address
+ * @param {string} hostname - Host name or IP address (IPv6 may be in brackets, as in URL.hostname)
+ * @param {Array<string>} allowedAddresses - Non-public addresses the operator allows
+ * @returns {string|null} Error message, or null when every address may be reached
+ */
+async function checkHostAddresses(hostname, allowedAddresses = []) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        return `Host ${hostname} could not be resolved`;
+    }
+
+    const blocked = addresses
+        .map(({ address }) => address)
+        .find(address => isNonPublicAddress(address) && !allowedAddresses.includes(address.toLowerCase()));
+
+    return blocked ? `Host ${hostname} resolves to the non-public address ${blocked}` : null;
+}
+
+module.exports = { isNonPublicAddress, checkHostAddresses };
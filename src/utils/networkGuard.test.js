@@ -0,0 +1,31 @@
+const { isNonPublicAddress, checkHostAddresses } = require('./networkGuard');
+
+describe('isNonPublicAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:169.254.169.254'
+    ])('%s is not public', (address) => {
+        expect(isNonPublicAddress(address)).toBe(true);
+    });
+
+    test.each(['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:1.1.1.1'])('%s is public', (address) => {
+        expect(isNonPublicAddress(address)).toBe(false);
+    });
+});
+
+describe('checkHostAddresses', () => {
+    test('refuses IP literals in non-public ranges', async () => {
+        expect(await checkHostAddresses('169.254.169.254')).toBe(
+            'Host 169.254.169.254 resolves to the non-public address 169.254.169.254'
+        );
+        expect(await checkHostAddresses('[::1]')).toBe('Host [::1] resolves to the non-public address ::1');
+    });
+
+    test('allows non-public addresses the operator listed', async () => {
+        expect(await checkHostAddresses('127.0.0.1', ['127.0.0.1'])).toBeNull();
+    });
+
+    test('allows public IP literals', async () => {
+        expect(await checkHostAddresses('8.8.8.8')).toBeNull();
+    });
+});
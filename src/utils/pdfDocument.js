@@ -0,0 +1,331 @@
+/**
+ * VoidGuard AI Governance Suite - PDF Documents
+ *
+ * Minimal PDF writer for downloadable reports: A4 pages of headings,
+ * wrapped paragraphs and tables set in the standard Helvetica fonts, with a
+ * footer and page numbers. Text is limited to the WinAnsi character set;
+ * other characters are replaced.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+// Lowest baseline of body content; the footer sits below it
+const CONTENT_BOTTOM = MARGIN + 20;
+const CELL_PADDING = 4;
+const LINE_SPACING = 1.3;
+const BLOCK_TYPES = ['heading', 'paragraph', 'table', 'spacer'];
+
+// Glyph widths (1/1000 em) of characters 32-126 in the standard fonts
+const GLYPH_WIDTHS = {
+    F1: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    F2: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsi encodes, and plain replacements for common ones it does not
+const WIN_ANSI = { '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80 };
+const REPLACEMENTS = { '→': '->', '≥': '>=', '≤': '<=', '✓': 'v', '✗': 'x' };
+
+/**
+ * Text as WinAnsi character codes
+ * @private
+ */
+function encodeText(text) {
+    const codes = [];
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (REPLACEMENTS[char]) {
+            codes.push(...REPLACEMENTS[char].split('').map(c => c.charCodeAt(0)));
+        } else if (WIN_ANSI[char]) {
+            codes.push(WIN_ANSI[char]);
+        } else if (code === 0x09 || code === 0x0a || code === 0x0d) {
+            codes.push(0x20);
+        } else if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+            codes.push(code);
+        } else {
+            codes.push(0x3f); // '?'
+        }
+    }
+    return codes;
+}
+
+/**
+ * Width of text in points
+ * @private
+ */
+function textWidth(text, font, size) {
+    const widths = GLYPH_WIDTHS[font];
+    const units = encodeText(text).reduce((sum, code) => (
+        sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH)
+    ), 0);
+    return units * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than a width; words longer than a line are split
+ * @private
+ */
+function wrapText(text, font, size, width) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            while (textWidth(word, font, size) > width) {
+                let cut = 1;
+                while (cut < word.length && textWidth(word.slice(0, cut + 1), font, size) <= width) cut++;
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+            line = word;
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * PDF string literal of text
+ * @private
+ */
+function pdfString(text) {
+    const escaped = encodeText(text).map(code => {
+        const char = String.fromCharCode(code);
+        if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+        return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : char;
+    });
+    return `(${escaped.join('')})`;
+}
+
+/**
+ * Number formatted for content streams
+ * @private
+ */
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * PDF date string
+ * @private
+ */
+function pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Lays blocks out on pages and collects each page's drawing operators
+ * @private
+ */
+class PageLayout {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    ensureSpace(height) {
+        if (this.y - height < CONTENT_BOTTOM) {
+            this.newPage();
+        }
+    }
+
+    text(x, y, text, { font = 'F1', size = 10, color = [0, 0, 0] } = {}) {
+        this.ops.push(`${color.map(num).join(' ')} rg BT /${font} ${num(size)} Tf ${num(x)} ${num(y)} Td ${pdfString(text)} Tj ET`);
+    }
+
+    rect(x, y, width, height, color) {
+        this.ops.push(`${color.map(num).join(' ')} rg ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`);
+    }
+
+    line(x1, y1, x2, y2, color = [0.8, 0.8, 0.8], width = 0.5) {
+        this.ops.push(`${color.map(num).join(' ')} RG ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+    }
+
+    heading({ text, level = 1 }) {
+        const size = level === 1 ? 16 : 12.5;
+        const lines = wrapText(text, 'F2', size, CONTENT_WIDTH);
+        // Keep a heading with at least two lines of what follows
+        this.ensureSpace(lines.length * size * LINE_SPACING + 40);
+        this.y -= level === 1 ? 8 : 6;
+        lines.forEach(line => {
+            this.y -= size * LINE_SPACING;
+            this.text(MARGIN, this.y, line, { font: 'F2', size, color: [0.1, 0.15, 0.3] });
+        });
+        if (level === 1) {
+            this.y -= 4;
+            this.line(MARGIN, this.y, MARGIN + CONTENT_WIDTH, this.y, [0.1, 0.15, 0.3], 1);
+        }
+        this.y -= 6;
+    }
+
+    paragraph({ text, bold = false, size = 10, color }) {
+        const font = bold ? 'F2' : 'F1';
+        wrapText(text, font, size, CONTENT_WIDTH).forEach(line => {
+            this.ensureSpace(size * LINE_SPACING);
+            this.y -= size * LINE_SPACING;
+            this.text(MARGIN, this.y, line, { font, size, color });
+        });
+        this.y -= size * 0.5;
+    }
+
+    table({ columns, rows, size = 8.5 }) {
+        const total = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+        const widths = columns.map(column => CONTENT_WIDTH * (column.width || 1) / total);
+        const leading = size * LINE_SPACING;
+
+        const drawRow = (cells, { font, fill }) => {
+            const wrapped = cells.map((cell, i) => wrapText(cell == null ? '' : cell, font, size, widths[i] - 2 * CELL_PADDING));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * leading + 2 * CELL_PADDING;
+            if (this.y - height < CONTENT_BOTTOM) return false;
+
+            if (fill) this.rect(MARGIN, this.y - height, CONTENT_WIDTH, height, fill);
+            let x = MARGIN;
+            wrapped.forEach((lines, i) => {
+                lines.forEach((line, n) => {
+                    this.text(x + CELL_PADDING, this.y - CELL_PADDING - (n + 1) * leading + size * 0.25, line, { font, size });
+                });
+                x += widths[i];
+            });
+            this.y -= height;
+            this.line(MARGIN, this.y, MARGIN + CONTENT_WIDTH, this.y);
+            return true;
+        };
+        const drawHeader = () => drawRow(columns.map(column => column.header), { font: 'F2', fill: [0.92, 0.93, 0.96] });
+
+        if (!drawHeader()) {
+            this.newPage();
+            drawHeader();
+        }
+        rows.forEach(row => {
+            if (!drawRow(row, { font: 'F1' })) {
+                // Continue on a new page under a repeated header
+                this.newPage();
+                drawHeader();
+                drawRow(row, { font: 'F1' });
+            }
+        });
+        this.y -= 10;
+    }
+
+    spacer({ height = 8 }) {
+        this.y -= height;
+    }
+}
+
+/**
+ * Create a PDF document
+ * @param {Array} blocks - Content, in order: { type: 'heading', text, level },
+ *   { type: 'paragraph', text, bold, size, color }, { type: 'table', columns: [{ header, width }], rows, size }
+ *   or { type: 'spacer', height }
+ * @param {Object} options - { title, author, subject, footer, createdAt }
+ * @returns {Buffer} PDF file
+ */
+function createPdfDocument(blocks, options = {}) {
+    const layout = new PageLayout();
+    blocks.forEach(block => {
+        if (!BLOCK_TYPES.includes(block.type)) {
+            throw new Error(`Unknown PDF block type: ${block.type}`);
+        }
+        layout[block.type](block);
+    });
+
+    const pageCount = layout.pages.length;
+    layout.pages.forEach((ops, index) => {
+        const footer = { size: 7.5, color: [0.4, 0.4, 0.4] };
+        const pageLabel = `Page ${index + 1} of ${pageCount}`;
+        ops.push(`0.8 0.8 0.8 RG 0.5 w ${num(MARGIN)} ${num(MARGIN)} m ${num(MARGIN + CONTENT_WIDTH)} ${num(MARGIN)} l S`);
+        if (options.footer) {
+            const text = wrapText(options.footer, 'F1', footer.size, CONTENT_WIDTH - 70)[0];
+            ops.push(`0.4 0.4 0.4 rg BT /F1 ${footer.size} Tf ${num(MARGIN)} ${num(MARGIN - 12)} Td ${pdfString(text)} Tj ET`);
+        }
+        const x = MARGIN + CONTENT_WIDTH - textWidth(pageLabel, 'F1', footer.size);
+        ops.push(`0.4 0.4 0.4 rg BT /F1 ${footer.size} Tf ${num(x)} ${num(MARGIN - 12)} Td ${pdfString(pageLabel)} Tj ET`);
+    });
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = layout.pages.map((_, index) => 6 + index * 2);
+    objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+    objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`, 'latin1');
+    objects[3] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1');
+    objects[4] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>', 'latin1');
+    const info = [
+        ['Title', options.title],
+        ['Author', options.author],
+        ['Subject', options.subject],
+        ['Producer', 'VoidGuard AI Governance Suite']
+    ].filter(([, value]) => value).map(([key, value]) => `/${key} ${pdfString(value)}`);
+    info.push(`/CreationDate (${pdfDate(options.createdAt || new Date())})`);
+    objects[5] = Buffer.from(`<< ${info.join(' ')} >>`, 'latin1');
+
+    layout.pages.forEach((ops, index) => {
+        const pageId = pageIds[index];
+        const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        objects[pageId] = Buffer.from(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`,
+            'latin1'
+        );
+        objects[pageId + 1] = Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), objects[id], Buffer.from('\nendobj\n', 'latin1')]);
+        offsets[id] = offset;
+        offset += chunk.length;
+        chunks.push(chunk);
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+    for (let id = 1; id < objects.length; id++) {
+        xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    chunks.push(Buffer.from(
+        `${xref.join('')}trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`,
+        'latin1'
+    ));
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = { createPdfDocument };
@@ -0,0 +1,64 @@
+/**
+ * VoidGuard AI Governance Suite - Server-Sent Events
+ *
+ * Writes a text/event-stream response: named events with JSON data, and a
+ * comment line as heartbeat so proxies keep idle streams open.
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+/**
+ * Open an event stream on a response
+ *
+ * onClose is called once when the client disconnects before the stream is
+ * closed by the server.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} options - { heartbeatMs, onClose }
+ * @returns {Object} { send(event, data), close(), closed }
+ */
+function openEventStream(res, options = {}) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    // no-transform also keeps the compression middleware from buffering the stream
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Disable response buffering in nginx
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    const write = (chunk) => {
+        if (!closed) res.write(chunk);
+    };
+
+    const heartbeat = options.heartbeatMs ? setInterval(() => write(': heartbeat\n\n'), options.heartbeatMs) : null;
+    const stop = () => {
+        closed = true;
+        if (heartbeat) clearInterval(heartbeat);
+    };
+
+    res.on('close', () => {
+        if (!closed) {
+            stop();
+            if (options.onClose) options.onClose();
+        }
+    });
+
+    return {
+        send(event, data) {
+            write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            if (closed) return;
+            stop();
+            res.end();
+        },
+        get closed() {
+            return closed;
+        }
+    };
+}
+
+module.exports = { openEventStream };
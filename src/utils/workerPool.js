@@ -0,0 +1,61 @@
+/**
+ * VoidGuard AI Governance Suite - Worker Pool
+ *
+ * Runs async tasks with bounded concurrency: at most `size` tasks run at
+ * once and the rest wait, first in first out
+ *
+ * @author Ricardo Amaral (Brevvi) <team@silverbullet.live>
+ * @version 1.0.0
+ */
+
+class WorkerPool {
+    /**
+     * @param {number} size - Maximum tasks running at once
+     */
+    constructor(size) {
+        this.size = Math.max(parseInt(size, 10) || 1, 1);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Tasks waiting for a worker
+     * @returns {number} Queued tasks
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Run a task when a worker is free
+     * @param {Function} task - async () => value
+     * @returns {Promise} Settles with the task
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start queued tasks while workers are free
+     * @private
+     */
+    drain() {
+        while (this.active < this.size && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+}
+
+module.exports = { WorkerPool };
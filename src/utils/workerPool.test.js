@@ -0,0 +1,53 @@
+const { WorkerPool } = require('./workerPool');
+
+/**
+ * Task resolved from the outside
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+// Let settled tasks hand their worker over
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkerPool', () => {
+    test('runs at most size tasks at once, first in first out', async () => {
+        const pool = new WorkerPool(2);
+        const gates = [deferred(), deferred(), deferred()];
+        const started = [];
+
+        const runs = gates.map((gate, index) => pool.run(async () => {
+            started.push(index);
+            await gate.promise;
+            return index;
+        }));
+        await flush();
+
+        expect(started).toEqual([0, 1]);
+        expect(pool.pending).toBe(1);
+
+        gates[1].resolve();
+        await flush();
+        expect(started).toEqual([0, 1, 2]);
+
+        gates[0].resolve();
+        gates[2].resolve();
+        expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+        await flush();
+        expect(pool.active).toBe(0);
+    });
+
+    test('settles with a failing task and keeps running the others', async () => {
+        const pool = new WorkerPool(1);
+
+        await expect(pool.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        await expect(pool.run(async () => 'next')).resolves.toBe('next');
+    });
+
+    test('needs at least one worker', () => {
+        expect(new WorkerPool(0).size).toBe(1);
+        expect(new WorkerPool('abc').size).toBe(1);
+    });
+});